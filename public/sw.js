@@ -1,11 +1,152 @@
-const CACHE = "afibcare-v1";
-const ASSETS = ["/","/index.html","/manifest.webmanifest"];
+// --- 오프라인 캐시 ---
+// 아래 __PRECACHE_MANIFEST 자리에는 빌드 때 vite.config.js 가 { version, files } 를 넣는다 (빌드 산출물 전체).
+// 개발 서버에서는 치환되지 않으므로 기본 목록만 사용한다.
+const PRECACHE = self.__PRECACHE_MANIFEST || { version: "dev", files: ["/", "/index.html", "/manifest.webmanifest"] };
+const CACHE_PREFIX = "afibcare-precache-";
+const CACHE = CACHE_PREFIX + PRECACHE.version;
+const OLD_CACHES = ["afibcare-v1"];
+
+// 새 버전은 설치 후 대기(waiting) — 앱의 '새로고침' 버튼이 SKIP_WAITING 을 보내면 교체된다 (src/lib/useAppUpdate.js)
 self.addEventListener("install", e => {
-  e.waitUntil(caches.open(CACHE).then(c => c.addAll(ASSETS)));
+  e.waitUntil(caches.open(CACHE).then(c => c.addAll(PRECACHE.files)));
 });
 self.addEventListener("activate", e => {
-  e.waitUntil(caches.keys().then(keys => Promise.all(keys.map(k => k!==CACHE && caches.delete(k)))));
+  e.waitUntil((async () => {
+    const keys = await caches.keys();
+    // 이전 버전의 precache 만 지운다 (알림 일정 캐시는 유지)
+    await Promise.all(keys.filter(k => k !== CACHE && (k.startsWith(CACHE_PREFIX) || OLD_CACHES.includes(k))).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
 });
+
+const networkFirst = async (req) => {
+  try {
+    const res = await fetch(req);
+    if (res.ok) (await caches.open(CACHE)).put("/index.html", res.clone());
+    return res;
+  } catch (err) {
+    const cached = (await caches.match(req)) || (await caches.match("/index.html"));
+    if (cached) return cached;
+    throw err;
+  }
+};
+
 self.addEventListener("fetch", e => {
-  e.respondWith(caches.match(e.request).then(r => r || fetch(e.request)));
+  const req = e.request;
+  const url = new URL(req.url);
+  if (req.method !== "GET" || url.origin !== self.location.origin) return;
+  // 페이지 이동: 네트워크 우선, 오프라인이면 캐시한 index.html
+  if (req.mode === "navigate") {
+    e.respondWith(networkFirst(req));
+    return;
+  }
+  // 빌드 산출물(파일명에 해시 포함)은 캐시 우선, 그 밖의 요청은 네트워크 우선
+  if (PRECACHE.files.includes(url.pathname)) {
+    e.respondWith(caches.match(req, { cacheName: CACHE }).then(r => r || fetch(req)));
+    return;
+  }
+  e.respondWith(fetch(req).catch(() => caches.match(req).then(r => r || Response.error())));
+});
+
+// --- 복약 알림 (src/lib/useReminders.js 참고) ---
+// 일정은 캐시에 JSON으로 보관해 서비스워커가 다시 깨어나도 유지된다 (평문 — 앱 잠금을 쓰면 앱이 약·프로필 이름을 빼고 보낸다).
+const REMINDER_CACHE = "afibcare-reminders";
+const REMINDER_URL = "/__reminders.json";
+const hasTrigger = "TimestampTrigger" in self; // Notification Triggers (Chromium 실험 기능)
+const slotKeyOf = i => `${i.profile}:${i.date}:${i.slot}`; // src/lib/reminders.js slotKey 와 같은 형식
+const DEFAULT_LABELS = { take: "복용 완료", snooze: "{minutes}분 후 다시" }; // 앱이 보낸 화면 언어의 버튼 이름이 없을 때
+
+const readReminders = async () => {
+  const r = await (await caches.open(REMINDER_CACHE)).match(REMINDER_URL);
+  return r ? r.json() : { items: [], shown: [], snoozeMinutes: 10, labels: DEFAULT_LABELS };
+};
+const writeReminders = async (state) =>
+  (await caches.open(REMINDER_CACHE)).put(REMINDER_URL, new Response(JSON.stringify(state)));
+
+const showReminder = (item, state, scheduled) => {
+  const snoozeMinutes = item.snoozeMinutes || state.snoozeMinutes;
+  const labels = { ...DEFAULT_LABELS, ...state.labels };
+  return self.registration.showNotification(item.title, {
+    body: item.body,
+    tag: item.id,
+    data: item,
+    requireInteraction: item.kind === "missed",
+    actions: [
+      { action: "take", title: labels.take },
+      { action: "snooze", title: labels.snooze.replace("{minutes}", snoozeMinutes) }
+    ],
+    ...(scheduled ? { showTrigger: new self.TimestampTrigger(item.at) } : {})
+  });
+};
+
+// 시각이 지났는데 아직 표시하지 않은 알림을 표시
+const showDue = async () => {
+  const state = await readReminders();
+  const now = Date.now();
+  const due = state.items.filter(i => i.at <= now && !state.shown.includes(i.id));
+  await Promise.all(due.map(i => showReminder(i, state, false)));
+  state.shown = [...state.shown, ...due.map(i => i.id)].slice(-200);
+  await writeReminders(state);
+};
+
+const updateReminders = async ({ items, pending, snoozeMinutes, labels }) => {
+  const state = await readReminders();
+  // 다시 알림(snooze)은 해당 시간대가 아직 미복용일 때만 유지
+  const snoozed = state.items.filter(i => i.kind === "snooze" && pending.includes(slotKeyOf(i)));
+  state.items = [...items, ...snoozed];
+  state.snoozeMinutes = snoozeMinutes;
+  state.labels = labels;
+  const ids = state.items.map(i => i.id);
+  // 복용 완료된 시간대의 알림, 시각이 바뀌어 더 이상 없는 예약 알림은 닫는다
+  const open = await self.registration.getNotifications(hasTrigger ? { includeTriggered: true } : {});
+  open
+    .filter(n => n.data?.slot && (!pending.includes(slotKeyOf(n.data)) || (n.data.at > Date.now() && !ids.includes(n.data.id))))
+    .forEach(n => n.close());
+  if (hasTrigger) {
+    // OS가 예약 시각에 표시하므로 showDue 에서 다시 띄우지 않도록 표시해 둔다
+    const future = state.items.filter(i => i.at > Date.now());
+    await Promise.all(future.map(i => showReminder(i, state, true)));
+    state.shown = [...state.shown.filter(id => !future.some(i => i.id === id)), ...future.map(i => i.id)];
+  }
+  await writeReminders(state);
+  await showDue();
+};
+
+self.addEventListener("message", e => {
+  if (e.data?.type === "SKIP_WAITING") self.skipWaiting();
+  if (e.data?.type === "REMINDERS") e.waitUntil(updateReminders(e.data));
+  if (e.data?.type === "REMINDERS_TICK") e.waitUntil(showDue());
+});
+
+self.addEventListener("periodicsync", e => {
+  if (e.tag === "afibcare-reminders") e.waitUntil(showDue());
+});
+
+self.addEventListener("notificationclick", e => {
+  const item = e.notification.data;
+  e.notification.close();
+  if (!item?.slot) return;
+  e.waitUntil((async () => {
+    if (e.action === "snooze") {
+      const state = await readReminders();
+      const snooze = { ...item, id: `${slotKeyOf(item)}:snooze`, kind: "snooze", at: Date.now() + (item.snoozeMinutes || state.snoozeMinutes) * 60000 };
+      state.items = [...state.items.filter(i => i.id !== snooze.id), snooze];
+      state.shown = state.shown.filter(id => id !== snooze.id);
+      if (hasTrigger) {
+        await showReminder(snooze, state, true);
+        state.shown.push(snooze.id);
+      }
+      await writeReminders(state);
+      return;
+    }
+    const wins = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    if (e.action === "take") {
+      // 열린 앱이 있으면 그 앱이 기록, 없으면 앱을 열어 기록
+      if (wins.length) wins.forEach(w => w.postMessage({ type: "DOSE_TAKEN", profile: item.profile, date: item.date, slot: item.slot }));
+      else await self.clients.openWindow(`/?take=${encodeURIComponent(item.slot)}&date=${encodeURIComponent(item.date)}&profile=${encodeURIComponent(item.profile || "")}`);
+      return;
+    }
+    if (wins.length) await wins[0].focus();
+    else await self.clients.openWindow("/");
+  })());
 });
@@ -1,226 +1,311 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Alert, SectionCard, Label, TextInput, Toggle, Pill, Tabs } from "./components/ui.jsx";
+import RegimenEditor from "./components/RegimenEditor.jsx";
+import ReadingsEditor from "./components/ReadingsEditor.jsx";
+import EpisodeEditor from "./components/EpisodeEditor.jsx";
+import DeviceImportPanel from "./components/DeviceImportPanel.jsx";
+import LifestyleCard from "./components/LifestyleCard.jsx";
+import ImportPreview from "./components/ImportPreview.jsx";
+import CsvExportPanel from "./components/CsvExportPanel.jsx";
+import ReportView from "./components/ReportView.jsx";
+import AdherenceView from "./components/AdherenceView.jsx";
+import ReminderSettings from "./components/ReminderSettings.jsx";
+import RuleSettings from "./components/RuleSettings.jsx";
+import HistoryCalendar from "./components/HistoryCalendar.jsx";
+import ProfilePanel from "./components/ProfilePanel.jsx";
+import ChartsView from "./components/ChartsView.jsx";
+import LockScreen from "./components/LockScreen.jsx";
+import LockPanel from "./components/LockPanel.jsx";
+import LabsView from "./components/LabsView.jsx";
+import VisitLog from "./components/VisitLog.jsx";
+import OtherMedsCard from "./components/OtherMedsCard.jsx";
+import InteractionPanel from "./components/InteractionPanel.jsx";
+import ShareSnapshotPanel from "./components/ShareSnapshotPanel.jsx";
+import SnapshotView from "./components/SnapshotView.jsx";
+import RiskCard from "./components/RiskCard.jsx";
+import EmergencyScreen from "./components/EmergencyScreen.jsx";
+import { fmtDate, todayStr, monthOf, isDateStr } from "./lib/date.js";
 import {
-  LineChart,
-  Line,
-  XAxis,
-  YAxis,
-  CartesianGrid,
-  Tooltip,
-  ResponsiveContainer,
-  Legend,
-  AreaChart,
-  Area
-} from "recharts";
+  doseSlotsOn,
+  dosesOn,
+  isTaken,
+  setTaken,
+  takenMark,
+  newMed,
+  changeMed,
+  moveTaken,
+  medLabel,
+  slotLabel,
+  DEFAULT_REGIMEN
+} from "./lib/regimen.js";
+import { openDB, loadAll, createSaver, readLegacyRaw, readLock, saveLock, rewriteAll, wipeAll, hasLegacyData, clearLegacy } from "./lib/storage.js";
+import { createLock, unlockKey } from "./lib/lock.js";
+import { useAutoLock } from "./lib/useAutoLock.js";
+import { downloadFile } from "./lib/download.js";
+import { buildBackup, parseBackup } from "./lib/backup.js";
+import { readSnapshotHash } from "./lib/share.js";
+import { resolveRules, evaluateRules, ruleLabel } from "./lib/rules.js";
+import { monthSummary, matchesFilter } from "./lib/calendar.js";
+import { combinedSchedule, reminderPrefs, markSlotTaken } from "./lib/reminders.js";
+import { profileName, profileLabel, profileFileTag, newProfileId, newProfileData } from "./lib/profiles.js";
+import { useReminders } from "./lib/useReminders.js";
+import { useAppUpdate } from "./lib/useAppUpdate.js";
+import { addImportedReadings } from "./lib/deviceImport.js";
+import { LIFESTYLE_KEYS, LIFESTYLE_FIELDS, LIFESTYLE_TARGETS, lifestylePrefs, lifestyleValue, fmtLifestyle, hasLifestyle } from "./lib/lifestyle.js";
+import { newEpisode, fmtEpisode, sortEpisodes } from "./lib/episodes.js";
+import { upcomingVisits, visitTitle, dDay, UPCOMING_DAYS } from "./lib/visits.js";
+import { riskScores } from "./lib/risk.js";
+import { AUTO_OPEN_MS } from "./lib/emergency.js";
+import { num, newReading, readingStats, sortReadings, fmtStat, fmtBP, fmtReading, armLabel, positionLabel, suspiciousReadings } from "./lib/readings.js";
+import { t, LANGS, getLang, setLang, fmtDay, fmtDayShort } from "./lib/i18n.js";
 
 // --- Helpers ---
-const fmtDate = (d = new Date()) => {
-  const tzOffset = d.getTimezoneOffset();
-  const local = new Date(d.getTime() - tzOffset * 60000); // ISO-local
-  return local.toISOString().slice(0, 10);
-};
-
-const todayStr = fmtDate();
 
 const defaultEntry = () => ({
   date: todayStr,
-  pulse: "",
-  bpSys: "",
-  bpDia: "",
+  readings: [], // 하루 여러 번 측정 — lib/readings.js
   dizziness: false,
   syncope: false,
   dyspnea: false,
   edema: false,
   bleeding: false,
   fatigue: "0", // 0 none,1 mild,2 severe
-  meds: {
-    am: { multaq: false, edoxaban: false, bisoprolol: false },
-    pm: { multaq: false }
-  },
+  episodes: [], // 증상 발작 기록 — lib/episodes.js
+  ...Object.fromEntries(LIFESTYLE_KEYS.map((k) => [k, null])), // 생활 습관 — lib/lifestyle.js
+  meds: {}, // { [slot]: { [medId]: boolean } } — 약 목록은 regimen 기준
+  otherMeds: [], // 그날 먹은 다른 약·보충제 이름 — lib/interactions.js
   notes: ""
 });
 
-const STORAGE_KEY = "afibcare.entries.v1";
-
-function loadEntries() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return {};
-    const obj = JSON.parse(raw);
-    return obj && typeof obj === "object" ? obj : {};
-  } catch (e) {
-    return {};
-  }
-}
-
-function saveEntries(entries) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
-}
-
-const Alert = ({ type = "info", title, children }) => {
-  const color =
-    type === "danger"
-      ? "bg-red-50 border-red-300 text-red-800"
-      : type === "warn"
-      ? "bg-amber-50 border-amber-300 text-amber-800"
-      : "bg-blue-50 border-blue-300 text-blue-800";
-  return (
-    <div className={`border ${color} rounded-2xl p-4`}> 
-      {title && <div className="font-semibold mb-1">{title}</div>}
-      <div className="text-sm leading-relaxed">{children}</div>
-    </div>
-  );
-};
-
-const SectionCard = ({ title, right, children }) => (
-  <div className="bg-white rounded-2xl shadow p-5">
-    <div className="flex items-center justify-between mb-3">
-      <h2 className="text-lg font-semibold">{title}</h2>
-      {right}
-    </div>
-    {children}
-  </div>
-);
-
-const Label = ({ children }) => (
-  <label className="text-sm text-gray-700 mb-1 block">{children}</label>
-);
+const regimenOf = (settings) => settings.regimen || DEFAULT_REGIMEN;
 
-const TextInput = (props) => (
-  <input
-    {...props}
-    className={`w-full rounded-xl border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-gray-300 ${props.className||""}`}
-  />
-);
+const NO_PROFILE = { entries: {}, settings: {} };
 
-const Toggle = ({ checked, onChange, label }) => (
-  <label className="flex items-center gap-2 cursor-pointer select-none">
-    <input type="checkbox" className="w-4 h-4" checked={!!checked} onChange={(e)=>onChange(e.target.checked)} />
-    <span className="text-sm">{label}</span>
-  </label>
-);
+const TAB_IDS = ["today", "history", "charts", "adherence", "labs", "report", "meds", "education"];
+const SYMPTOM_KEYS = ["dizziness", "syncope", "dyspnea", "edema", "bleeding"];
 
-const Pill = ({ children }) => (
-  <span className="px-2.5 py-1 text-xs rounded-full bg-gray-100 border border-gray-200">{children}</span>
-);
-
-const Tabs = ({ tabs, value, onChange }) => (
-  <div className="flex gap-2 bg-gray-100 p-1 rounded-2xl">
-    {tabs.map((t) => (
-      <button
-        key={t}
-        onClick={() => onChange(t)}
-        className={`px-4 py-2 rounded-2xl text-sm ${
-          value === t ? "bg-white shadow" : "text-gray-600"
-        }`}
-      >
-        {t}
-      </button>
-    ))}
-  </div>
+// 화면 언어 — 잠금 화면에서도 바꿀 수 있도록 헤더 양쪽에 둔다
+const LanguageSelect = ({ value, onChange }) => (
+  <select aria-label={t("app.language")} className="rounded-xl border border-gray-300 px-3 py-2 bg-white" value={value} onChange={(e)=>onChange(e.target.value)}>
+    {LANGS.map((l) => (<option key={l.id} value={l.id}>{l.label}</option>))}
+  </select>
 );
 
 // --- Main App ---
 export default function AFibCareApp() {
-  const [entries, setEntries] = useState(() => loadEntries());
+  // 환자 프로필별 데이터 — { [profileId]: { entries, settings } }. 화면은 선택한 프로필 기준.
+  const [profiles, setProfiles] = useState({});
+  const [profileId, setProfileId] = useState(null);
+  const [showProfiles, setShowProfiles] = useState(false);
+  const { entries, settings } = profiles[profileId] || NO_PROFILE; // settings: { profile, regimen, ... } — 설정 저장소와 1:1
+  const [status, setStatus] = useState("loading"); // loading | locked | ready | error
+  const [loadError, setLoadError] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const saver = useRef(null); // 준비(ready) 전에는 null — 읽기 실패 시 절대 쓰지 않는다
+  const db = useRef(null);
+  const cryptoKey = useRef(null); // 앱 잠금의 복호화 키 — 메모리에만 둔다
+  const queuedTakes = useRef([]); // 잠겨 있는 동안 알림에서 누른 '복용 완료' [{ date, slot, profile }] — 잠금을 풀면 기록한다
+  const profilesRef = useRef(profiles); // 키를 만드는 동안(1초 남짓) 바뀐 기록까지 다시 쓰도록 rekey 가 읽는다
+  useEffect(() => {
+    profilesRef.current = profiles;
+  }, [profiles]);
+  const [lock, setLock] = useState(null); // meta.lock (lib/lock.js), 잠금을 쓰지 않으면 null
+  const [showLock, setShowLock] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null); // { source, incoming }
+  const [importError, setImportError] = useState(null);
+  const [showCsv, setShowCsv] = useState(false);
+  const [showDeviceImport, setShowDeviceImport] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+  const [showEmergency, setShowEmergency] = useState(false);
+  const [emergencySeen, setEmergencySeen] = useState([]); // 응급 화면을 자동으로 띄운 위험 경고 ("프로필:규칙") — 닫으면 같은 경고로 다시 띄우지 않는다
+  const [emergencySettled, setEmergencySettled] = useState(""); // AUTO_OPEN_MS 동안 바뀌지 않은 새 위험 경고 목록
+  const [snapshot, setSnapshot] = useState(readSnapshotHash); // 의료진 공유 링크(#snapshot=…)로 열렸으면 그 데이터 — lib/share.js
+  const fileInput = useRef(null);
+  const regimen = regimenOf(settings);
   const [date, setDate] = useState(todayStr);
-  const [tab, setTab] = useState("오늘 체크");
+  const [tab, setTab] = useState("today");
+  const [lang, setLangState] = useState(getLang);
+  const [month, setMonth] = useState(monthOf(todayStr)); // 기록 보기 달력
+  const [historyFilter, setHistoryFilter] = useState("all");
 
   const entry = useMemo(() => {
     return entries[date] || { ...defaultEntry(), date };
   }, [entries, date]);
 
+  const store = () => saver.current?.profile(profileId);
+  const setProfileData = (id, fn) => setProfiles((prev) => ({ ...prev, [id]: fn(prev[id]) }));
+  const setEntries = (next) => setProfileData(profileId, (p) => ({ ...p, entries: next }));
+  const setSettings = (fn) => setProfileData(profileId, (p) => ({ ...p, settings: fn(p.settings) }));
+
   const updateEntry = (patch) => {
     const next = { ...entry, ...patch };
     const nextEntries = { ...entries, [date]: next };
     setEntries(nextEntries);
-    saveEntries(nextEntries);
+    store()?.putEntry(next);
   };
 
+  const updateSetting = (key, value) => {
+    setSettings((prev) => ({ ...prev, [key]: value }));
+    store()?.putSetting(key, value);
+  };
+
+  const updateRegimen = (next) => updateSetting("regimen", next);
+
+  // 약 변경 — 적용일이 지난 날이면 그 뒤에 체크한 복용을 새 항목으로 옮겨 누락으로 보이지 않게 한다
+  const changeRegimenMed = (medId, patch, from) => {
+    const id = newMed().id;
+    const next = changeMed(regimen, medId, patch, from, id);
+    updateRegimen(next);
+    const after = next.find((m) => m.id === id);
+    if (!after) return; // 나누지 않고 그 항목을 고친 경우
+    const moved = moveTaken(entries, regimen.find((m) => m.id === medId), after, from);
+    if (!moved.length) return;
+    setEntries({ ...entries, ...Object.fromEntries(moved.map((e) => [e.date, e])) });
+    for (const e of moved) store()?.putEntry(e);
+  };
+
+  // 화면 글자가 들어가는 값(시간대 이름, 경고 문구, 알림 제목)은 언어를 바꾸면 다시 만들어야 하므로 메모하지 않는다
+  const todaySlots = doseSlotsOn(regimen, date);
+
   const resetToday = () => {
     const nextEntries = { ...entries };
     delete nextEntries[date];
     setEntries(nextEntries);
-    saveEntries(nextEntries);
+    store()?.deleteEntry(date);
+  };
+
+  // 알림의 '복용 완료' — 그 프로필의 해당 날짜·시간대 약을 모두 복용으로 기록 (선택한 프로필과 달라도 됨)
+  const markDoseTaken = (d, slot, id = profileId) => {
+    if (!saver.current) {
+      queuedTakes.current.push({ date: d, slot, profile: id });
+      return;
+    }
+    const p = profiles[id];
+    if (!p) return;
+    const e = p.entries[d] || { ...defaultEntry(), date: d };
+    const next = { ...e, meds: markSlotTaken(e, regimenOf(p.settings), slot) };
+    setProfileData(id, (prev) => ({ ...prev, entries: { ...prev.entries, [d]: next } }));
+    saver.current?.profile(id).putEntry(next);
+  };
+
+  // 알림은 모든 프로필을 대상으로 한다 — 프로필이 여럿이면 제목에 이름을 붙인다
+  const doseReminders = status === "ready" ? combinedSchedule(profiles, regimenOf, { nameOf: profileName, locked: !!lock }) : null;
+  useReminders(doseReminders, {
+    snoozeMinutes: reminderPrefs(settings.reminders).snoozeMinutes,
+    onTaken: markDoseTaken
+  });
+
+  const update = useAppUpdate();
+
+  const rules = useMemo(() => resolveRules(settings.rules), [settings.rules]);
+  const lifestyle = useMemo(() => lifestylePrefs(settings.lifestyle), [settings.lifestyle]);
+  const upcoming = useMemo(() => upcomingVisits(settings.visits), [settings.visits]);
+  const risk = useMemo(() => riskScores(settings, entries, { regimen }), [settings, entries, regimen]); // 글자 없는 결과라 메모해도 된다
+  const flags = evaluateRules(rules, entries, date, { regimen });
+  const monthDays = tab === "history" ? monthSummary(entries, regimen, rules, month) : [];
+  const suspicious = tab === "history" ? suspiciousReadings(entries) : [];
+  const dangerFlags = flags.danger.map((f) => f.label);
+  // 응급 화면은 보고 있는 날과 상관없이 오늘 기록의 위험 경고로 연다
+  const todayDanger = date === todayStr ? flags.danger : evaluateRules(rules, entries, todayStr, { regimen }).danger;
+  const todayDangerKeys = todayDanger.map((f) => `${profileId}:${f.id}`);
+  const emergencyDue = todayDangerKeys.filter((k) => !emergencySeen.includes(k)).join("|");
+  useEffect(() => {
+    if (!emergencyDue) return;
+    const timer = setTimeout(() => setEmergencySettled(emergencyDue), AUTO_OPEN_MS);
+    return () => clearTimeout(timer);
+  }, [emergencyDue]);
+  const emergencyOpen = showEmergency || (!!emergencyDue && emergencySettled === emergencyDue);
+  const closeEmergency = () => {
+    setShowEmergency(false);
+    setEmergencySeen((prev) => [...new Set([...prev, ...todayDangerKeys])]);
+  };
+  const warnFlags = flags.warn.map((f) => f.label);
+
+  const currentData = () => ({ entries, settings: { ...settings, regimen } });
+
+  const exportBackup = async () => {
+    const backup = await buildBackup(currentData());
+    downloadFile(`afibcare_backup_${profileFileTag(settings)}_${fmtDate()}.json`, JSON.stringify(backup, null, 2), "application/json");
+  };
+
+  const importBackup = async (file) => {
+    setImportError(null);
+    try {
+      const incoming = await parseBackup(await file.text());
+      setPendingImport({ source: file.name, incoming });
+    } catch (e) {
+      setImportError(e.message);
+    }
+  };
+
+  // 가져오기/샘플 데이터 적용 — ImportPreview 를 거친 결과만 반영
+  // 가져온 데이터는 선택한 프로필에 들어간다 — 이름·출생연도는 바꾸지 않는다
+  const applyImport = (imported) => {
+    const next = { ...imported, settings: { ...imported.settings, profile: settings.profile } };
+    store()?.replaceEntries(entries, next.entries);
+    store()?.replaceSettings(settings, next.settings);
+    setEntries(next.entries);
+    setSettings(() => next.settings);
+    setPendingImport(null);
+  };
+
+  // 기기 파일에서 고른 측정을 날짜별 기록에 추가 — 바뀐 날짜만 저장
+  const applyDeviceImport = (rows) => {
+    const changed = addImportedReadings(entries, rows, defaultEntry());
+    setEntries({ ...entries, ...changed });
+    for (const e of Object.values(changed)) store()?.putEntry(e);
+    setShowDeviceImport(false);
+  };
+
+  // 오늘 기록이 없으면 빈 기록을 만들어 둔다 — 프로필을 열 때마다
+  const withToday = (id, data) => {
+    if (data.entries[todayStr]) return data;
+    const today = { ...defaultEntry(), date: todayStr };
+    saver.current?.profile(id).putEntry(today);
+    return { ...data, entries: { ...data.entries, [todayStr]: today } };
+  };
+
+  const switchProfile = (id) => {
+    if (!profiles[id] || id === profileId) return;
+    const data = withToday(id, profiles[id]);
+    setProfileData(id, () => data);
+    setProfileId(id);
+    saver.current?.setActive(id);
+    setPendingImport(null);
+    setShowCsv(false);
+    setShowDeviceImport(false);
+    setDate(todayStr);
+  };
+
+  const addProfile = (info) => {
+    const id = newProfileId();
+    const data = withToday(id, newProfileData(info));
+    saver.current?.profile(id).replaceSettings({}, data.settings);
+    setProfiles((prev) => ({ ...prev, [id]: data }));
+    setProfileId(id);
+    saver.current?.setActive(id);
+    setDate(todayStr);
+    setTab("meds"); // 새 환자는 약부터 등록
+  };
+
+  const updateProfileInfo = (id, info) => {
+    setProfileData(id, (p) => ({ ...p, settings: { ...p.settings, profile: info } }));
+    saver.current?.profile(id).putSetting("profile", info);
   };
 
-  const daysData = useMemo(() => {
-    const arr = Object.values(entries).sort((a, b) => a.date.localeCompare(b.date));
-    return arr.map((e) => ({
-      date: e.date.slice(5),
-      pulse: Number(e.pulse) || null,
-      sys: Number(e.bpSys) || null,
-      dia: Number(e.bpDia) || null
-    }));
-  }, [entries]);
-
-  const dangerFlags = useMemo(() => {
-    const p = Number(entry.pulse);
-    const sys = Number(entry.bpSys);
-    const dia = Number(entry.bpDia);
-    const flags = [];
-    if (p && (p < 50 || p > 110)) flags.push("맥박 이상 (50 미만 또는 110 초과)");
-    if (sys && dia && (sys < 90 || dia < 60)) flags.push("저혈압 의심 (90/60 미만)");
-    if (entry.bleeding) flags.push("출혈 보고됨");
-    if (entry.syncope) flags.push("실신/실신감 보고됨");
-    if (entry.dyspnea) flags.push("호흡 곤란 보고됨");
-    return flags;
-  }, [entry]);
-
-  const warnFlags = useMemo(() => {
-    const flags = [];
-    if (entry.dizziness) flags.push("어지럼증");
-    if (entry.edema) flags.push("부종");
-    if (entry.fatigue === "2") flags.push("심한 피로감");
-    return flags;
-  }, [entry]);
-
-  const exportCSV = () => {
-    const rows = [
-      [
-        "date",
-        "pulse",
-        "bpSys",
-        "bpDia",
-        "dizziness",
-        "syncope",
-        "dyspnea",
-        "edema",
-        "bleeding",
-        "fatigue",
-        "meds_am_multaq",
-        "meds_am_edoxaban",
-        "meds_am_bisoprolol",
-        "meds_pm_multaq",
-        "notes"
-      ],
-      ...Object.values(entries)
-        .sort((a, b) => a.date.localeCompare(b.date))
-        .map((e) => [
-          e.date,
-          e.pulse,
-          e.bpSys,
-          e.bpDia,
-          e.dizziness,
-          e.syncope,
-          e.dyspnea,
-          e.edema,
-          e.bleeding,
-          e.fatigue,
-          e.meds?.am?.multaq,
-          e.meds?.am?.edoxaban,
-          e.meds?.am?.bisoprolol,
-          e.meds?.pm?.multaq,
-          (e.notes||"").replace(/\n/g, " ")
-        ])
-    ];
-    const csv = rows.map((r) => r.join(",")).join("\n");
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `afibcare_${fmtDate()}.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
+  const removeProfile = (id) => {
+    const rest = Object.keys(profiles).filter((k) => k !== id);
+    if (!rest.length) return; // 마지막 프로필은 지울 수 없다
+    saver.current?.removeProfile(id, profiles[id]);
+    setProfiles((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+    if (id === profileId) {
+      setProfileId(rest[0]);
+      saver.current?.setActive(rest[0]);
+    }
   };
 
   const fillDemo = () => {
@@ -233,188 +318,618 @@ export default function AFibCareApp() {
       map[ds] = {
         ...defaultEntry(),
         date: ds,
-        pulse: 70 + Math.round(Math.sin(i / 2) * 10 + (Math.random() * 6 - 3)),
-        bpSys: 120 + Math.round(Math.cos(i / 3) * 8 + (Math.random() * 6 - 3)),
-        bpDia: 78 + Math.round(Math.sin(i / 3) * 6 + (Math.random() * 4 - 2)),
+        readings: ["08:00", "20:00", "14:30"].slice(0, Math.random() < 0.2 ? 3 : 2).map((time, k) => ({
+          ...newReading(time),
+          id: `r-demo-${ds}-${k}`,
+          pulse: 70 + Math.round(Math.sin(i / 2) * 10 + (Math.random() * 10 - 5)),
+          sys: 120 + Math.round(Math.cos(i / 3) * 8 + (Math.random() * 10 - 5)),
+          dia: 78 + Math.round(Math.sin(i / 3) * 6 + (Math.random() * 6 - 3)),
+          irregular: Math.random() < 0.05
+        })),
         dizziness: Math.random() < 0.08,
         bleeding: Math.random() < 0.03,
         fatigue: String(Math.random() < 0.15 ? 1 : 0),
-        meds: { am: { multaq: true, edoxaban: true, bisoprolol: true }, pm: { multaq: true } }
+        episodes: Math.random() < 0.1
+          ? [{ ...newEpisode("15:10"), id: `ep-demo-${ds}`, end: "15:35", ehra: "2b", triggers: ["caffeine"], resolution: "spontaneous" }]
+          : [],
+        meds: dosesOn(regimen, ds).reduce((acc, d) => setTaken(acc, d.slot, d.med.id, true), {})
       };
     }
-    setEntries(map);
-    saveEntries(map);
+    setPendingImport({ source: t("app.sampleData"), incoming: { entries: map, settings: { ...settings, regimen } } });
   };
 
-  useEffect(() => {
-    // ensure today exists
-    if (!entries[todayStr]) {
-      const next = { ...entries, [todayStr]: { ...defaultEntry(), date: todayStr } };
-      setEntries(next);
-      saveEntries(next);
+  const load = useCallback(async () => {
+    setStatus("loading");
+    setLoadError(null);
+    try {
+      db.current?.close(); // 잠금 해제·다시 시도 때 이전 연결을 닫고 다시 연다
+      db.current = await openDB();
+      const lockInfo = await readLock(db.current);
+      setLock(lockInfo);
+      if (lockInfo && !cryptoKey.current) {
+        setStatus("locked");
+        return;
+      }
+      const data = await loadAll(db.current, { key: cryptoKey.current });
+      saver.current = createSaver(db.current, { onError: setSaveError, key: cryptoKey.current });
+      const loaded = { ...data.profiles };
+      let active = data.active;
+      const takeDose = ({ date: d, slot, profile }) => {
+        const p = loaded[profile];
+        const e = p.entries[d] || { ...defaultEntry(), date: d };
+        const next = { ...e, meds: markSlotTaken(e, regimenOf(p.settings), slot) };
+        loaded[profile] = { ...p, entries: { ...p.entries, [d]: next } };
+        saver.current.profile(profile).putEntry(next);
+      };
+      // 잠겨 있는 동안 알림에서 누른 '복용 완료'
+      for (const q of queuedTakes.current.splice(0)) {
+        if (loaded[q.profile] && isDateStr(q.date)) takeDose(q);
+      }
+      // 알림에서 '복용 완료'로 앱이 열린 경우: ?take=<slot>&date=<YYYY-MM-DD>&profile=<id>
+      const params = new URLSearchParams(window.location.search);
+      const take = params.get("take");
+      const takeDate = params.get("date");
+      const takeProfile = loaded[params.get("profile")] ? params.get("profile") : active;
+      if (take && isDateStr(takeDate)) {
+        takeDose({ date: takeDate, slot: take, profile: takeProfile });
+        active = takeProfile;
+        window.history.replaceState(null, "", window.location.pathname);
+      }
+      // ensure today exists
+      const p = loaded[active];
+      if (!p.entries[todayStr]) {
+        const today = { ...defaultEntry(), date: todayStr };
+        loaded[active] = { ...p, entries: { ...p.entries, [todayStr]: today } };
+        saver.current.profile(active).putEntry(today);
+      }
+      setProfiles(loaded);
+      setProfileId(active);
+      setStatus("ready");
+    } catch (e) {
+      saver.current = null;
+      setLoadError(e);
+      setStatus("error");
     }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // 공유 링크를 보는 동안에는 저장소를 열지 않는다 — 닫으면 평소대로 불러온다
+  useEffect(() => {
+    if (!snapshot) load();
+  }, [load, snapshot]);
+
+  useEffect(() => {
+    const onHash = () => {
+      const next = readSnapshotHash();
+      if (next) saver.current?.flush();
+      setSnapshot(next);
+    };
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  }, []);
+
+  const closeSnapshot = () => {
+    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+    setSnapshot(null);
+  };
+
+  // 문서 언어·제목과 설치용 매니페스트도 화면 언어를 따른다
+  useEffect(() => {
+    document.documentElement.lang = lang;
+    document.title = t("app.title");
+    document.querySelector('link[rel="manifest"]')?.setAttribute("href", lang === "ko" ? "/manifest.webmanifest" : `/manifest.${lang}.webmanifest`);
+  }, [lang]);
+
+  const changeLang = (id) => {
+    setLang(id);
+    setLangState(id);
+  };
+
+  useEffect(() => {
+    // 앱을 닫거나 백그라운드로 보낼 때 대기 중인 저장을 즉시 반영
+    const flush = () => saver.current?.flush();
+    const onVisibility = () => document.visibilityState === "hidden" && flush();
+    document.addEventListener("visibilitychange", onVisibility);
+    window.addEventListener("pagehide", flush);
+    return () => {
+      document.removeEventListener("visibilitychange", onVisibility);
+      window.removeEventListener("pagehide", flush);
+    };
+  }, []);
+
+  // --- 앱 잠금 ---
+  const unlock = async (secret) => {
+    cryptoKey.current = await unlockKey(lock, secret);
+    await load();
+  };
+
+  // 대기 중인 저장을 마친 뒤 키와 화면의 기록을 메모리에서 지운다
+  const lockNow = useCallback(async () => {
+    await saver.current?.flush();
+    saver.current = null;
+    cryptoKey.current = null;
+    setProfiles({});
+    setProfileId(null);
+    setPendingImport(null);
+    setShowCsv(false);
+    setShowDeviceImport(false);
+    setShowShare(false);
+    setShowProfiles(false);
+    setShowLock(false);
+    setStatus("locked");
+  }, []);
+
+  useAutoLock(status === "ready" && lock ? lock.autoLockMinutes : 0, lockNow);
+
+  // 전체를 새 키로 다시 쓰고, 이후 저장도 새 키로 — 잠금 켜기·PIN 변경·잠금 끄기.
+  // 다시 쓰는 동안 생긴 변경(입력, 알림의 '복용 완료')은 saver 가 끝난 뒤 새 키로 저장한다
+  const rekey = async (nextLock, key) => {
+    await saver.current.changeKey(key, () => rewriteAll(db.current, profilesRef.current, { key, lock: nextLock }));
+    cryptoKey.current = key;
+    setLock(nextLock);
+  };
+
+  const enableLock = async (kind, secret, opts) => {
+    const created = await createLock(kind, secret, opts);
+    await rekey(created.lock, created.key);
+    clearLegacy(); // 암호화한 사본이 저장된 뒤에만 평문 사본을 지운다
+  };
+
+  const changeSecret = async (current, kind, secret) => {
+    await unlockKey(lock, current);
+    const created = await createLock(kind, secret, { autoLockMinutes: lock.autoLockMinutes, recoveryExportedAt: lock.recoveryExportedAt });
+    await rekey(created.lock, created.key);
+  };
+
+  const disableLock = async (current) => {
+    await unlockKey(lock, current);
+    await rekey(null, null);
+  };
+
+  const updateLock = (patch) => {
+    const next = { ...lock, ...patch };
+    setLock(next);
+    saveLock(db.current, next).catch(() => setSaveError(new Error(t("app.lockSaveFailed"))));
+  };
+
+  // 복구용 백업 — 프로필마다 일반 백업 파일 하나 ('백업 불러오기'로 되돌린다)
+  const exportRecovery = async () => {
+    for (const p of Object.values(profiles)) {
+      const backup = await buildBackup({ entries: p.entries, settings: { ...p.settings, regimen: regimenOf(p.settings) } });
+      downloadFile(`afibcare_recovery_${profileFileTag(p.settings)}_${fmtDate()}.json`, JSON.stringify(backup, null, 2), "application/json");
+    }
+    const at = new Date().toISOString();
+    if (lock) updateLock({ recoveryExportedAt: at });
+    return at;
+  };
+
+  // PIN 을 잊은 경우 — 모두 지우고 빈 상태로 다시 연다
+  const resetAll = async () => {
+    try {
+      await wipeAll(db.current);
+      cryptoKey.current = null;
+      await load();
+    } catch (e) {
+      setLoadError(e);
+      setStatus("error");
+    }
+  };
+
+  const downloadRaw = () =>
+    downloadFile(`afibcare_raw_${fmtDate()}.json`, JSON.stringify(readLegacyRaw(), null, 2), "application/json");
+
+  if (snapshot) {
+    return (
+      <div className="min-h-screen bg-gray-50 p-4 md:p-8">
+        {/* 언어를 바꿔도 다시 만들지 않는다 — 암호로 푼 내용을 다시 묻지 않도록 */}
+        <div className="max-w-5xl mx-auto space-y-6">
+          <div className="flex items-center justify-between gap-2">
+            <h1 className="text-2xl md:text-3xl font-bold">{t("share.view.title")}</h1>
+            <LanguageSelect value={lang} onChange={changeLang} />
+          </div>
+          <SnapshotView key={snapshot} token={snapshot} onClose={closeSnapshot} />
+        </div>
+      </div>
+    );
+  }
+
+  if (status !== "ready") {
+    return (
+      <div className="min-h-screen bg-gray-50 p-4 md:p-8">
+        <div key={lang} className="max-w-5xl mx-auto space-y-6">
+          <div className="flex items-center justify-between gap-2">
+            <h1 className="text-2xl md:text-3xl font-bold">{t("app.title")}</h1>
+            <LanguageSelect value={lang} onChange={changeLang} />
+          </div>
+          {status === "loading" && <div className="text-sm text-gray-600">{t("app.loading")}</div>}
+          {status === "locked" && lock && <LockScreen lock={lock} onUnlock={unlock} onReset={resetAll} />}
+          {status === "error" && (
+            <Alert type="danger" title={t("app.loadFailed")}>
+              <div>{loadError?.message}</div>
+              {loadError?.cause && <div className="text-xs text-gray-600 mt-1">{String(loadError.cause.message || loadError.cause)}</div>}
+              <div className="mt-1">{t("app.loadFailedHint")}</div>
+              <div className="flex gap-2 mt-3">
+                <button className="px-4 py-2 rounded-2xl bg-gray-900 text-white" onClick={load}>{t("app.retry")}</button>
+                <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={downloadRaw}>{t("app.downloadRaw")}</button>
+              </div>
+            </Alert>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   return (
-    <div className="min-h-screen bg-gray-50 p-4 md:p-8">
-      <div className="max-w-5xl mx-auto space-y-6">
-        <header className="flex items-center justify-between">
+    <div className="min-h-screen bg-gray-50 p-4 md:p-8 print:bg-white print:p-0">
+      {/* 언어를 바꾸면 key 로 화면 전체를 다시 만든다 — 하위 컴포넌트의 메모한 글자까지 새 언어로 */}
+      <div key={lang} className="max-w-5xl mx-auto space-y-6">
+        <header className="flex items-center justify-between print:hidden">
           <div>
-            <h1 className="text-2xl md:text-3xl font-bold">AFib Care — 생활기록</h1>
-            <p className="text-gray-600 mt-1 text-sm">심방세동 환자를 위한 일상 기록, 복용 확인, 경고 알림, 데이터 내보내기</p>
+            <h1 className="text-2xl md:text-3xl font-bold">{t("app.title")}</h1>
+            <p className="text-gray-600 mt-1 text-sm">{t("app.subtitle")}</p>
+          </div>
+          <div className="flex flex-wrap items-center justify-end gap-2">
+            <LanguageSelect value={lang} onChange={changeLang} />
+            <select
+              aria-label={t("app.profile")}
+              className="rounded-xl border border-gray-300 px-3 py-2 bg-white"
+              value={profileId}
+              onChange={(e)=>switchProfile(e.target.value)}
+            >
+              {Object.entries(profiles).map(([id, p]) => (<option key={id} value={id}>{profileLabel(p.settings)}</option>))}
+            </select>
+            <button className="px-3 py-2 rounded-2xl bg-gray-100 text-sm" onClick={()=>setShowProfiles((v) => !v)}>{t("app.manageProfiles")}</button>
+            {lock && <button className="px-3 py-2 rounded-2xl bg-gray-100 text-sm" onClick={lockNow}>{t("app.lockNow")}</button>}
+            <button className="px-3 py-2 rounded-2xl bg-gray-100 text-sm" onClick={()=>setShowLock((v) => !v)}>{t("app.appLock")}</button>
+            <button className="px-3 py-2 rounded-2xl bg-red-600 text-white text-sm font-semibold" onClick={()=>setShowEmergency(true)}>{t("app.emergency")}</button>
           </div>
-          <Tabs tabs={["오늘 체크", "기록 보기", "그래프", "교육"]} value={tab} onChange={setTab} />
         </header>
 
-        {tab === "오늘 체크" && (
+        {emergencyOpen && (
+          <EmergencyScreen
+            settings={settings}
+            entries={entries}
+            entry={entries[todayStr]}
+            regimen={regimen}
+            dangerFlags={todayDanger.map((f) => f.label)}
+            onSave={(v)=>updateSetting("emergency", v)}
+            onClose={closeEmergency}
+          />
+        )}
+        <div className="print:hidden">
+          <Tabs tabs={TAB_IDS.map((id) => ({ id, label: t(`tabs.${id}`) }))} value={tab} onChange={setTab} />
+        </div>
+
+        <div className="space-y-6 print:hidden">
+          {update.available && (
+            <Alert type="info" title={t("app.updateTitle")}>
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <span>{t("app.updateBody")}</span>
+                <button className="px-4 py-2 rounded-2xl bg-gray-900 text-white" onClick={()=>update.apply(() => saver.current?.flush())}>{t("app.reload")}</button>
+              </div>
+            </Alert>
+          )}
+
+          {update.error && (
+            <Alert type="warn" title={t("app.offlineFailed")}>
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <span>{t("app.offlineFailedHint")}</span>
+                <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={update.dismissError}>{t("common.close")}</button>
+              </div>
+            </Alert>
+          )}
+
+          {showProfiles && (
+            <ProfilePanel
+              profiles={profiles}
+              activeId={profileId}
+              onSwitch={switchProfile}
+              onAdd={addProfile}
+              onUpdate={updateProfileInfo}
+              onRemove={removeProfile}
+              onClose={()=>setShowProfiles(false)}
+            />
+          )}
+
+          {showLock && (
+            <LockPanel
+              lock={lock}
+              hasLegacy={hasLegacyData()}
+              profileCount={Object.keys(profiles).length}
+              onEnable={enableLock}
+              onChangeSecret={changeSecret}
+              onDisable={disableLock}
+              onAutoLock={(m)=>updateLock({ autoLockMinutes: m })}
+              onRecoveryExport={exportRecovery}
+              onLockNow={lockNow}
+              onClose={()=>setShowLock(false)}
+            />
+          )}
+
+          {pendingImport && (
+            <ImportPreview
+              source={pendingImport.source}
+              local={currentData()}
+              incoming={pendingImport.incoming}
+              defaults={defaultEntry()}
+              onApply={applyImport}
+              onCancel={()=>setPendingImport(null)}
+              onBackupFirst={exportBackup}
+            />
+          )}
+
+          {showDeviceImport && (
+            <DeviceImportPanel
+              entries={entries}
+              presets={settings.importPresets}
+              onPresetsChange={(v)=>updateSetting("importPresets", v)}
+              onApply={applyDeviceImport}
+              onClose={()=>setShowDeviceImport(false)}
+            />
+          )}
+
+          {showCsv && (
+            <CsvExportPanel
+              entries={entries}
+              regimen={regimen}
+              risk={risk}
+              fileTag={profileFileTag(settings)}
+              prefs={settings.csvExport || {}}
+              onPrefsChange={(v)=>updateSetting("csvExport", v)}
+              onClose={()=>setShowCsv(false)}
+            />
+          )}
+
+          {showShare && (
+            <ShareSnapshotPanel
+              entries={entries}
+              settings={settings}
+              regimen={regimen}
+              onClose={()=>setShowShare(false)}
+            />
+          )}
+
+          {saveError && (
+            <Alert type="warn" title={t("app.saveFailed")}>
+              {saveError.message} {t("app.saveRetryHint")}
+              <div className="mt-2">
+                <button className="px-3 py-1.5 rounded-2xl bg-gray-100 text-sm" onClick={()=>{ setSaveError(null); saver.current?.flush(); }}>{t("app.saveNow")}</button>
+              </div>
+            </Alert>
+          )}
+        </div>
+
+        {tab === "today" && (
           <div className="grid md:grid-cols-2 gap-6">
-            <SectionCard title="기본 정보">
+            <SectionCard title={t("today.basics")}>
               <div className="grid grid-cols-2 gap-3">
                 <div className="col-span-2">
-                  <Label>날짜</Label>
-                  <TextInput type="date" value={date} onChange={(e)=>setDate(e.target.value)} />
-                </div>
-                <div>
-                  <Label>맥박(분당)</Label>
-                  <TextInput inputMode="numeric" placeholder="예: 72" value={entry.pulse} onChange={(e)=>updateEntry({ pulse: e.target.value })} />
+                  <Label>{t("common.date")}</Label>
+                  <TextInput type="date" value={date} onChange={(e)=>e.target.value && setDate(e.target.value)} />
                 </div>
-                <div className="grid grid-cols-2 gap-3">
-                  <div>
-                    <Label>수축기(mmHg)</Label>
-                    <TextInput inputMode="numeric" placeholder="예: 120" value={entry.bpSys} onChange={(e)=>updateEntry({ bpSys: e.target.value })} />
-                  </div>
-                  <div>
-                    <Label>이완기(mmHg)</Label>
-                    <TextInput inputMode="numeric" placeholder="예: 80" value={entry.bpDia} onChange={(e)=>updateEntry({ bpDia: e.target.value })} />
-                  </div>
+                <div className="col-span-2">
+                  <Label>{t("today.readings")}</Label>
+                  <ReadingsEditor readings={entry.readings} onChange={(readings)=>updateEntry({ readings })} />
                 </div>
                 <div className="col-span-2 grid grid-cols-2 gap-2">
-                  <Toggle label="어지럼증" checked={entry.dizziness} onChange={(v)=>updateEntry({ dizziness: v })} />
-                  <Toggle label="실신/실신감" checked={entry.syncope} onChange={(v)=>updateEntry({ syncope: v })} />
-                  <Toggle label="호흡 곤란" checked={entry.dyspnea} onChange={(v)=>updateEntry({ dyspnea: v })} />
-                  <Toggle label="부종(발/다리)" checked={entry.edema} onChange={(v)=>updateEntry({ edema: v })} />
-                  <Toggle label="출혈/멍" checked={entry.bleeding} onChange={(v)=>updateEntry({ bleeding: v })} />
+                  {SYMPTOM_KEYS.map((k) => (
+                    <Toggle key={k} label={t(`symptoms.${k}`)} checked={entry[k]} onChange={(v)=>updateEntry({ [k]: v })} />
+                  ))}
+                </div>
+                <div className="col-span-2">
+                  <Label>{t("today.episodes")}</Label>
+                  <EpisodeEditor episodes={entry.episodes} onChange={(episodes)=>updateEntry({ episodes })} />
                 </div>
                 <div className="col-span-2">
-                  <Label>피로감</Label>
+                  <Label>{t("fatigue.label")}</Label>
                   <select
                     className="w-full rounded-xl border border-gray-300 px-3 py-2"
                     value={entry.fatigue}
                     onChange={(e)=>updateEntry({ fatigue: e.target.value })}
                   >
-                    <option value="0">없음</option>
-                    <option value="1">약간</option>
-                    <option value="2">심함</option>
+                    {t("fatigue.levels").map((label, i) => (<option key={i} value={String(i)}>{label}</option>))}
                   </select>
                 </div>
                 <div className="col-span-2">
-                  <Label>메모</Label>
-                  <textarea className="w-full rounded-xl border border-gray-300 px-3 py-2 min-h-[80px]" placeholder="특이사항을 적어주세요" value={entry.notes} onChange={(e)=>updateEntry({ notes: e.target.value })} />
+                  <Label>{t("common.notes")}</Label>
+                  <textarea className="w-full rounded-xl border border-gray-300 px-3 py-2 min-h-[80px]" placeholder={t("today.notesPlaceholder")} value={entry.notes} onChange={(e)=>updateEntry({ notes: e.target.value })} />
                 </div>
               </div>
             </SectionCard>
 
             <div className="space-y-4">
               {dangerFlags.length > 0 && (
-                <Alert type="danger" title="즉시 확인이 필요한 항목">
+                <Alert type="danger" title={t("today.dangerTitle")}>
                   <ul className="list-disc ml-4">
                     {dangerFlags.map((f, i) => (<li key={i}>{f}</li>))}
                   </ul>
-                  <div className="mt-2 text-xs text-red-700">증상이 지속되거나 악화되면 즉시 의료기관에 연락하세요.</div>
+                  <div className="mt-2 text-xs text-red-700">{t("today.dangerHint")}</div>
+                  <button className="mt-2 px-4 py-2 rounded-2xl bg-red-600 text-white" onClick={()=>setShowEmergency(true)}>{t("today.openEmergency")}</button>
                 </Alert>
               )}
               {warnFlags.length > 0 && dangerFlags.length === 0 && (
-                <Alert type="warn" title="주의가 필요한 항목">
+                <Alert type="warn" title={t("today.warnTitle")}>
                   <ul className="list-disc ml-4">
                     {warnFlags.map((f, i) => (<li key={i}>{f}</li>))}
                   </ul>
                 </Alert>
               )}
 
-              <SectionCard title="약 복용 확인" right={<Pill>아침/저녁</Pill>}>
+              {upcoming.length > 0 && (
+                <SectionCard title={t("today.upcoming")} right={<button className="px-3 py-1.5 rounded-2xl bg-gray-100 text-sm" onClick={()=>setTab("labs")}>{t("today.visitLog")}</button>}>
+                  <ul className="space-y-2 text-sm">
+                    {upcoming.map((v) => (
+                      <li key={v.id} className="flex flex-wrap items-center gap-2">
+                        <Pill>{dDay(v.date)}</Pill>
+                        <span>{fmtDayShort(v.date)}{v.time ? ` ${v.time}` : ""}</span>
+                        <span className="font-medium">{visitTitle(v)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                  <div className="text-xs text-gray-500 mt-2">{t("today.upcomingHint", { days: UPCOMING_DAYS })}</div>
+                </SectionCard>
+              )}
+
+              <SectionCard title={t("today.meds")} right={<Pill>{todaySlots.map((s) => s.label).join("/") || t("today.noMeds")}</Pill>}>
                 <div className="space-y-3">
-                  <div>
-                    <div className="text-sm font-medium mb-2">아침</div>
-                    <div className="grid grid-cols-2 gap-2">
-                      <Toggle label="멀택 (Dronedarone)" checked={entry.meds.am.multaq} onChange={(v)=>updateEntry({ meds: { ...entry.meds, am: { ...entry.meds.am, multaq: v } } })} />
-                      <Toggle label="릭시아나 (Edoxaban)" checked={entry.meds.am.edoxaban} onChange={(v)=>updateEntry({ meds: { ...entry.meds, am: { ...entry.meds.am, edoxaban: v } } })} />
-                      <Toggle label="콩브렐 (Bisoprolol)" checked={entry.meds.am.bisoprolol} onChange={(v)=>updateEntry({ meds: { ...entry.meds, am: { ...entry.meds.am, bisoprolol: v } } })} />
+                  {todaySlots.length === 0 && (
+                    <div className="text-sm text-gray-500">{t("today.noMedsHint")}</div>
+                  )}
+                  {todaySlots.map((s) => (
+                    <div key={s.slot}>
+                      <div className="text-sm font-medium mb-2">{s.label}</div>
+                      <div className="grid grid-cols-2 gap-2">
+                        {s.meds.map((m) => (
+                          <Toggle key={m.id} label={medLabel(m)} checked={isTaken(entry, s.slot, m.id)} onChange={(v)=>updateEntry({ meds: setTaken(entry.meds, s.slot, m.id, v && takenMark(date)) })} />
+                        ))}
+                      </div>
                     </div>
-                  </div>
-                  <div>
-                    <div className="text-sm font-medium mb-2">저녁</div>
-                    <Toggle label="멀택 (Dronedarone)" checked={entry.meds.pm.multaq} onChange={(v)=>updateEntry({ meds: { ...entry.meds, pm: { ...entry.meds.pm, multaq: v } } })} />
-                  </div>
+                  ))}
                 </div>
               </SectionCard>
 
+              <LifestyleCard
+                entry={entry}
+                entries={entries}
+                prefs={lifestyle}
+                onPrefsChange={(v)=>updateSetting("lifestyle", v)}
+                onChange={updateEntry}
+              />
+
+              <OtherMedsCard entry={entry} entries={entries} regimen={regimen} onChange={updateEntry} />
+
               <div className="flex gap-2">
-                <button className="px-4 py-2 rounded-2xl bg-gray-900 text-white" onClick={exportCSV}>CSV 내보내기</button>
-                <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={fillDemo}>샘플데이터 채우기</button>
-                <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={resetToday}>오늘 기록 초기화</button>
+                <button className="px-4 py-2 rounded-2xl bg-gray-900 text-white" onClick={()=>setShowCsv(true)}>{t("app.exportCsv")}</button>
+                <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={fillDemo}>{t("app.fillDemo")}</button>
+                <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={resetToday}>{t("today.resetDay")}</button>
               </div>
             </div>
           </div>
         )}
 
-        {tab === "기록 보기" && (
+        {tab === "history" && (
           <div className="space-y-4">
-            <SectionCard title="날짜 선택">
-              <div className="flex flex-wrap items-center gap-3">
-                <TextInput type="date" value={date} onChange={(e)=>setDate(e.target.value)} style={{maxWidth: 200}} />
-                <Pill>총 {Object.keys(entries).length}일 기록</Pill>
-              </div>
-            </SectionCard>
+            <HistoryCalendar
+              month={month}
+              onMonthChange={setMonth}
+              days={monthDays}
+              selected={date}
+              onSelect={setDate}
+              filter={historyFilter}
+              onFilterChange={setHistoryFilter}
+            />
 
-            <SectionCard title="선택일 기록 상세">
+            <SectionCard
+              title={t("history.dayTitle", { date: fmtDayShort(date) })}
+              right={<button className="px-4 py-2 rounded-2xl bg-gray-900 text-white" onClick={()=>setTab("today")}>{entries[date] ? t("history.editDay") : t("history.recordDay")}</button>}
+            >
               <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
-                <div><div className="text-gray-500">맥박</div><div className="font-semibold">{entry.pulse || "-"} bpm</div></div>
-                <div><div className="text-gray-500">혈압</div><div className="font-semibold">{entry.bpSys && entry.bpDia ? `${entry.bpSys}/${entry.bpDia}` : "-"} mmHg</div></div>
-                <div><div className="text-gray-500">피로감</div><div className="font-semibold">{entry.fatigue === "2" ? "심함" : entry.fatigue === "1" ? "약간" : "없음"}</div></div>
-                <div><div className="text-gray-500">출혈</div><div className="font-semibold">{entry.bleeding ? "있음" : "없음"}</div></div>
+                <div><div className="text-gray-500">{t("history.pulseAvg")}</div><div className="font-semibold">{fmtStat(readingStats(entry.readings).pulse)} bpm</div></div>
+                <div><div className="text-gray-500">{t("history.bpAvg")}</div><div className="font-semibold">{fmtStat(readingStats(entry.readings).sys)} / {fmtStat(readingStats(entry.readings).dia)} mmHg</div></div>
+                <div><div className="text-gray-500">{t("fatigue.label")}</div><div className="font-semibold">{t("fatigue.levels")[Number(entry.fatigue) || 0]}</div></div>
+                <div><div className="text-gray-500">{t("history.bleeding")}</div><div className="font-semibold">{entry.bleeding ? t("history.present") : t("common.none")}</div></div>
               </div>
-              <div className="mt-3 text-sm text-gray-700 whitespace-pre-wrap">{entry.notes || "메모 없음"}</div>
+              {entry.readings.length > 0 && (
+                <table className="min-w-full text-sm mt-3">
+                  <thead>
+                    <tr className="text-left border-b">
+                      <th className="py-2 pr-4">{t("common.time")}</th>
+                      <th className="py-2 pr-4">{t("history.pulse")}</th>
+                      <th className="py-2 pr-4">{t("history.bp")}</th>
+                      <th className="py-2 pr-4">{t("history.armPosition")}</th>
+                      <th className="py-2 pr-4">{t("history.irregular")}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sortReadings(entry.readings).map((r) => (
+                      <tr key={r.id} className="border-b">
+                        <td className="py-2 pr-4">{r.time || "-"}</td>
+                        <td className="py-2 pr-4">{num(r.pulse) ? r.pulse : "-"}</td>
+                        <td className="py-2 pr-4">{fmtBP(r)}</td>
+                        <td className="py-2 pr-4">{armLabel(r.arm)} · {positionLabel(r.position)}</td>
+                        <td className="py-2 pr-4">{r.irregular ? t("common.detected") : "-"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {hasLifestyle(entry) && (
+                <div className="mt-3 flex flex-wrap gap-1">
+                  {LIFESTYLE_FIELDS.filter((f) => lifestyleValue(entry, f.key) !== null).map((f) => (
+                    <Pill key={f.key}>{f.label} {fmtLifestyle(f.key, lifestyleValue(entry, f.key))}</Pill>
+                  ))}
+                </div>
+              )}
+              {entry.otherMeds?.length > 0 && (
+                <div className="mt-3 text-sm"><span className="text-gray-500 mr-2">{t("history.otherMeds")}</span>{entry.otherMeds.join(", ")}</div>
+              )}
+              {entry.episodes?.length > 0 && (
+                <ul className="mt-3 text-sm space-y-1">
+                  {sortEpisodes(entry.episodes).map((ep) => (<li key={ep.id}><span className="text-gray-500 mr-2">{t("history.episode")}</span>{fmtEpisode(ep)}</li>))}
+                </ul>
+              )}
+              <div className="mt-3 text-sm text-gray-700 whitespace-pre-wrap">{entry.notes || t("history.noNotes")}</div>
             </SectionCard>
 
-            <SectionCard title="이력 목록 (최근→과거)">
+            {suspicious.length > 0 && (
+              <SectionCard title={t("history.suspiciousTitle")} right={<Pill>{t("common.items", { n: suspicious.length })}</Pill>}>
+                <div className="text-sm text-gray-600 mb-2">
+                  {t("history.suspiciousHint")}
+                </div>
+                <ul className="text-sm divide-y">
+                  {suspicious.map((x) => (
+                    <li key={`${x.date}-${x.reading.id}-${x.key}`} className="py-2 flex flex-wrap items-center justify-between gap-2">
+                      <span>
+                        <span className="font-medium mr-2">{fmtDay(x.date)}</span>
+                        <span className="text-gray-500 mr-2">{x.reading.time || "--:--"}</span>
+                        {x.problem}
+                      </span>
+                      <button className="px-3 py-1.5 rounded-2xl bg-gray-100 text-sm" onClick={()=>{ setDate(x.date); setTab("today"); }}>{t("common.edit")}</button>
+                    </li>
+                  ))}
+                </ul>
+              </SectionCard>
+            )}
+
+            <SectionCard title={t("history.listTitle", { month: fmtDay(`${month}-01`, { month: "long" }) })} right={<Pill>{t("history.totalDays", { n: Object.keys(entries).length })}</Pill>}>
               <div className="overflow-x-auto">
                 <table className="min-w-full text-sm">
                   <thead>
                     <tr className="text-left border-b">
-                      <th className="py-2 pr-4">날짜</th>
-                      <th className="py-2 pr-4">맥박</th>
-                      <th className="py-2 pr-4">혈압</th>
-                      <th className="py-2 pr-4">증상</th>
-                      <th className="py-2 pr-4">약 복용</th>
+                      <th className="py-2 pr-4">{t("common.date")}</th>
+                      <th className="py-2 pr-4">{t("history.pulse")}</th>
+                      <th className="py-2 pr-4">{t("history.bp")}</th>
+                      <th className="py-2 pr-4">{t("history.readings")}</th>
+                      <th className="py-2 pr-4">{t("history.symptoms")}</th>
+                      <th className="py-2 pr-4">{t("history.doses")}</th>
                     </tr>
                   </thead>
                   <tbody>
-                    {Object.values(entries)
+                    {monthDays
+                      .filter((d) => entries[d.date] && matchesFilter(d, historyFilter))
+                      .map((d) => entries[d.date])
                       .sort((a,b)=>b.date.localeCompare(a.date))
                       .map((e)=>{
-                        const medsAm = e.meds?.am || {};
-                        const medsPm = e.meds?.pm || {};
-                        const medsTxt = [
-                          medsAm.multaq ? "아침 멀택" : null,
-                          medsAm.edoxaban ? "아침 릭시아나" : null,
-                          medsAm.bisoprolol ? "아침 콩브렐" : null,
-                          medsPm.multaq ? "저녁 멀택" : null
-                        ].filter(Boolean).join(", ");
+                        // 그 날짜에 유효했던 레지멘 기준으로 표시
+                        const doses = dosesOn(regimen, e.date);
+                        const medsTxt = doses
+                          .filter((d) => isTaken(e, d.slot, d.med.id))
+                          .map((d) => `${slotLabel(d.slot)} ${d.med.name}`)
+                          .join(", ");
+                        const st = readingStats(e.readings);
                         const sx = [
-                          e.dizziness && "어지럼",
-                          e.syncope && "실신",
-                          e.dyspnea && "호흡곤란",
-                          e.edema && "부종",
-                          e.bleeding && "출혈"
+                          ...SYMPTOM_KEYS.filter((k) => e[k]).map((k) => t(`symptomsShort.${k}`)),
+                          e.episodes?.length > 0 && t("history.episodes", { n: e.episodes.length })
                         ].filter(Boolean).join(" · ");
                         return (
-                          <tr key={e.date} className="border-b">
-                            <td className="py-2 pr-4">{e.date}</td>
-                            <td className="py-2 pr-4">{e.pulse || "-"}</td>
-                            <td className="py-2 pr-4">{e.bpSys && e.bpDia ? `${e.bpSys}/${e.bpDia}` : "-"}</td>
+                          <tr key={e.date} className={`border-b cursor-pointer ${e.date === date ? "bg-gray-50" : ""}`} onClick={()=>setDate(e.date)}>
+                            <td className="py-2 pr-4 whitespace-nowrap">{fmtDayShort(e.date)}</td>
+                            <td className="py-2 pr-4">{fmtStat(st.pulse)}</td>
+                            <td className="py-2 pr-4">{st.sys && st.dia ? `${fmtStat(st.sys)} / ${fmtStat(st.dia)}` : "-"}</td>
+                            <td className="py-2 pr-4 text-xs text-gray-600">
+                              {sortReadings(e.readings).map((r) => (<div key={r.id}>{fmtReading(r)}</div>))}
+                            </td>
                             <td className="py-2 pr-4">{sx || "-"}</td>
-                            <td className="py-2 pr-4">{medsTxt || "-"}</td>
+                            <td className="py-2 pr-4">{medsTxt || "-"}{doses.length > 0 && <span className="text-gray-400"> ({doses.filter((d) => isTaken(e, d.slot, d.med.id)).length}/{doses.length})</span>}</td>
                           </tr>
                         );
                       })}
@@ -424,78 +939,101 @@ export default function AFibCareApp() {
             </SectionCard>
 
             <div className="flex gap-2">
-              <button className="px-4 py-2 rounded-2xl bg-gray-900 text-white" onClick={exportCSV}>CSV 내보내기</button>
-              <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={fillDemo}>샘플데이터 채우기</button>
+              <button className="px-4 py-2 rounded-2xl bg-gray-900 text-white" onClick={()=>setShowCsv(true)}>{t("app.exportCsv")}</button>
+              <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={()=>setShowShare(true)}>{t("history.shareClinician")}</button>
+              <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={()=>setShowDeviceImport(true)}>{t("history.importDevice")}</button>
+              <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={fillDemo}>{t("app.fillDemo")}</button>
             </div>
+
+            <SectionCard title={t("history.backupTitle")} right={<Pill>JSON</Pill>}>
+              <div className="text-sm text-gray-600 mb-3">
+                {t("history.backupHint")}
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <button className="px-4 py-2 rounded-2xl bg-gray-900 text-white" onClick={exportBackup}>{t("history.exportBackup")}</button>
+                <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={()=>fileInput.current?.click()}>{t("history.importBackup")}</button>
+                <input
+                  ref={fileInput}
+                  type="file"
+                  accept="application/json,.json"
+                  className="hidden"
+                  onChange={(e)=>{ const f = e.target.files?.[0]; e.target.value = ""; if (f) importBackup(f); }}
+                />
+              </div>
+              {importError && <div className="mt-3"><Alert type="danger" title={t("history.importFailed")}>{importError}</Alert></div>}
+            </SectionCard>
           </div>
         )}
 
-        {tab === "그래프" && (
+        {tab === "charts" && (
+          <ChartsView entries={entries} regimen={regimen} rules={rules} />
+        )}
+
+        {tab === "adherence" && (
+          <AdherenceView entries={entries} regimen={regimen} />
+        )}
+
+        {tab === "labs" && (
           <div className="grid md:grid-cols-2 gap-6">
-            <SectionCard title="맥박 추이 (최근 기록)">
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height="100%">
-                  <LineChart data={daysData} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="date" />
-                    <YAxis domain={[40, 140]} />
-                    <Tooltip />
-                    <Legend />
-                    <Line type="monotone" dataKey="pulse" name="맥박" dot={false} />
-                  </LineChart>
-                </ResponsiveContainer>
-              </div>
-            </SectionCard>
+            <div className="md:col-span-2">
+              <RiskCard risk={risk} prefs={settings.risk} onChange={(v)=>updateSetting("risk", v)} />
+            </div>
+            <LabsView labs={settings.labs || []} onChange={(v)=>updateSetting("labs", v)} />
+            <VisitLog visits={settings.visits || []} regimen={regimen} onChange={(v)=>updateSetting("visits", v)} />
+          </div>
+        )}
 
-            <SectionCard title="혈압 추이 (최근 기록)">
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height="100%">
-                  <AreaChart data={daysData} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="date" />
-                    <YAxis domain={[50, 180]} />
-                    <Tooltip />
-                    <Legend />
-                    <Area type="monotone" dataKey="sys" name="수축기" fillOpacity={0.2} />
-                    <Area type="monotone" dataKey="dia" name="이완기" fillOpacity={0.2} />
-                  </AreaChart>
-                </ResponsiveContainer>
-              </div>
-            </SectionCard>
+        {tab === "report" && (
+          <ReportView entries={entries} regimen={regimen} rules={rules} risk={risk} patient={profileLabel(settings)} />
+        )}
+
+        {tab === "meds" && (
+          <div className="space-y-4">
+            <RegimenEditor regimen={regimen} onChange={updateRegimen} onChangeMed={changeRegimenMed} />
+            <InteractionPanel regimen={regimen} entries={entries} />
+            <ReminderSettings regimen={regimen} prefs={settings.reminders || {}} onChange={(v)=>updateSetting("reminders", v)} />
+            <RuleSettings regimen={regimen} overrides={settings.rules || {}} onChange={(v)=>updateSetting("rules", v)} />
           </div>
         )}
 
-        {tab === "교육" && (
+        {tab === "education" && (
           <div className="grid md:grid-cols-2 gap-6">
-            <SectionCard title="복용·기록 수칙">
+            <SectionCard title={t("education.routineTitle")}>
               <ul className="list-disc ml-5 text-sm space-y-2">
-                <li>아침 식사 중: 멀택, 릭시아나, 콩브렐 / 저녁 식사 중: 멀택</li>
-                <li>복용 누락 시 임의로 2배 복용하지 말고, 다음 복용 시간에 평소대로 복용</li>
-                <li>혈압·맥박은 같은 시간대, 같은 팔로 측정하여 기록</li>
-                <li>잇몸 출혈·멍이 잦거나 소변/대변에 피가 보이면 기록 후 병원 상담</li>
-                <li>자몽주스·과도한 음주를 피하고, 새로운 약을 추가할 때는 의사와 상의</li>
+                <li>
+                  {doseSlotsOn(regimen, todayStr).map((s) => `${s.label}: ${s.meds.map((m) => m.name).join(", ")}`).join(" / ") || t("education.noMeds")}
+                </li>
+                <li>{t("education.missedDose")}</li>
+                <li>{t("education.sameArm")}</li>
+                <li>{t("education.bleeding")}</li>
+                <li>{t("education.interactions")}</li>
+                <li>{t("education.risk")}</li>
               </ul>
             </SectionCard>
 
-            <SectionCard title="위험 신호 (즉시 상담)">
+            <SectionCard title={t("education.dangerTitle")}>
               <ul className="list-disc ml-5 text-sm space-y-2">
-                <li>맥박 40회 미만 또는 110회 초과가 반복</li>
-                <li>혈압 90/60mmHg 미만 + 어지럼/실신감</li>
-                <li>멎지 않는 출혈, 대량 코피, 검은 변/선홍빛 소변</li>
-                <li>갑작스러운 말 어눌함, 한쪽 마비, 시야 이상</li>
+                {rules.filter((r) => r.enabled && r.level === "danger").map((r) => (<li key={r.id}>{ruleLabel(r, regimen)}</li>))}
+                <li>{t("education.severeBleeding")}</li>
+                <li>{t("education.stroke")}</li>
               </ul>
+              <div className="text-xs text-gray-500 mt-2">{t("education.thresholdHint")}</div>
             </SectionCard>
 
-            <SectionCard title="데이터 관리 팁">
+            <SectionCard title={t("education.dataTitle")}>
               <ul className="list-disc ml-5 text-sm space-y-2">
-                <li>진료 전 CSV 파일로 내보내 병원에 제출하면 평가가 수월합니다.</li>
-                <li>주당 150분 걷기, 저염식(나트륨 2g/일 이하) 유지</li>
-                <li>카페인·에너지음료 과다 섭취를 피하고 수면 위생을 지키세요.</li>
+                <li>{t("education.reportTip")}</li>
+                <li>{t("education.exercise", { minutes: LIFESTYLE_TARGETS.exerciseMin })}</li>
+                <li>{t("education.caffeineSleep", { cups: LIFESTYLE_TARGETS.caffeine, hours: LIFESTYLE_TARGETS.sleepHours.join("–") })}</li>
+                {rules.filter((r) => r.id === "weightGain").map((r) => (
+                  <li key={r.id}>{t("education.weightGain", { window: r.params.window, kg: r.params.kg })}</li>
+                ))}
+                <li>{t("education.lifestyleTip")}</li>
               </ul>
             </SectionCard>
 
-            <Alert type="info" title="중요 고지">
-              이 앱은 생활기록 보조 도구이며, 의료행위를 대체하지 않습니다. 이상 소견이 있으면 반드시 의료진과 상담하세요.
+            <Alert type="info" title={t("education.disclaimerTitle")}>
+              {t("education.disclaimer")}
             </Alert>
           </div>
         )}
@@ -544,30 +1082,9 @@ export const manifest_webmanifest = `{
   ]
 }`;
 
-// 2) public/sw.js — 간단한 캐시 전략(Service Worker)
-export const sw_js = `const CACHE = 'afibcare-v1';
-const ASSETS = [
-  '/',
-  '/index.html',
-  '/manifest.webmanifest',
-  // 빌드산출물 경로를 프로젝트에 맞게 추가하세요 (예: /assets/*.js, *.css)
-];
-self.addEventListener('install', (e) => {
-  e.waitUntil(
-    caches.open(CACHE).then((cache) => cache.addAll(ASSETS))
-  );
-});
-self.addEventListener('activate', (e) => {
-  e.waitUntil(
-    caches.keys().then((keys) => Promise.all(keys.map((k) => k !== CACHE && caches.delete(k))))
-  );
-});
-self.addEventListener('fetch', (e) => {
-  const req = e.request;
-  e.respondWith(
-    caches.match(req).then((cached) => cached || fetch(req))
-  );
-});`;
+// 2) public/sw.js — 저장소의 public/sw.js 를 사용
+// 빌드 산출물 precache 목록과 캐시 버전은 빌드 때 vite.config.js(precacheManifest)가 넣는다.
+// 페이지 이동은 네트워크 우선(오프라인이면 캐시), 새 버전은 앱의 '새로고침' 안내로 교체된다.
 
 // 3) index.html — manifest 링크 & 기본 메타
 export const index_html = `<!doctype html>
@@ -592,19 +1109,13 @@ export const index_html = `<!doctype html>
 export const main_jsx = `import React from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './App.jsx';
+import { registerServiceWorker } from './lib/useAppUpdate.js';
 
 const root = createRoot(document.getElementById('root'));
 root.render(<App />);
 
-// PWA 서비스워커 등록 (HTTPS 환경에서 동작)
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker
-      .register('/sw.js')
-      .then(() => console.log('Service Worker registered'))
-      .catch((err) => console.error('SW registration failed', err));
-  });
-}
+// PWA 서비스워커 등록 (HTTPS 환경에서 동작) — 새 버전 알림은 App 에서 표시
+registerServiceWorker('/sw.js');
 `;
 
 // 5) 배포 & 설치 가이드 (요약)
@@ -632,5 +1143,6 @@ if ('serviceWorker' in navigator) {
    - manifest.link 태그와 유효한 아이콘
    - Service Worker 정상 등록
 
-Tip) 푸시 알림/백그라운드 동기화는 추후 Firebase Cloud Messaging(FCM) 연동으로 확장 가능합니다.
+Tip) 복약 알림은 서버 없이 서비스워커가 띄운다 (src/lib/useReminders.js, public/sw.js).
+   앱이 닫혀 있을 때는 Notification Triggers 또는 periodicsync 를 지원하는 브라우저(안드로이드 크롬 등)에서만 울린다.
 */
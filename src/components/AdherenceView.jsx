@@ -0,0 +1,124 @@
+import React, { useMemo } from "react";
+import { SectionCard, Pill, Alert } from "./ui.jsx";
+import { adherenceBySlot, adherenceCalendar, missedPatterns } from "../lib/adherence.js";
+import { t, fmtDay, weekdayNames } from "../lib/i18n.js";
+
+const WINDOWS = [7, 30, 90];
+
+// 상태 이름은 달력과 같다 (calendar.dose.*)
+const STATUS_CLASS = {
+  taken: "bg-green-500",
+  partial: "bg-amber-400",
+  missed: "bg-red-500",
+  pending: "bg-blue-200",
+  unknown: "bg-gray-200",
+  none: "bg-white border border-gray-200"
+};
+
+const statusLabel = (status) => t(`calendar.dose.${status}`);
+
+const rateClass = (r) => (r === null ? "text-gray-400" : r >= 90 ? "text-green-700" : r >= 75 ? "text-amber-700" : "text-red-700");
+
+// 달력 히트맵 — 열은 주(왼쪽이 과거), 행은 요일(일~토)
+const Heatmap = ({ days }) => {
+  const pad = new Date(`${days[0].date}T00:00:00`).getDay();
+  const cells = [...Array(pad).fill(null), ...days];
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+  return (
+    <div className="flex gap-1 overflow-x-auto">
+      <div className="flex flex-col gap-1 text-[10px] text-gray-500 pr-1">
+        {weekdayNames("narrow").map((d, i) => (<div key={i} className="h-3.5 leading-[14px]">{d}</div>))}
+      </div>
+      {weeks.map((w, i) => (
+        <div key={i} className="flex flex-col gap-1">
+          {w.map((d, j) =>
+            d ? (
+              <div
+                key={d.date}
+                title={`${fmtDay(d.date)} · ${statusLabel(d.status)}${d.total ? ` (${d.taken}/${d.total})` : ""}`}
+                className={`w-3.5 h-3.5 rounded-sm ${STATUS_CLASS[d.status]}`}
+              />
+            ) : (
+              <div key={`pad-${j}`} className="w-3.5 h-3.5" />
+            )
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// 복용 분석 — 시간대별 복용률/연속 복용, 달력 히트맵, 누락 패턴
+export default function AdherenceView({ entries, regimen }) {
+  const rows = useMemo(() => adherenceBySlot(entries, regimen, { windows: WINDOWS }), [entries, regimen]);
+  const calendar = useMemo(() => adherenceCalendar(entries, regimen, { days: 91 }), [entries, regimen]);
+  const patterns = useMemo(() => missedPatterns(entries, regimen, { days: 90 }), [entries, regimen]);
+
+  return (
+    <div className="space-y-4">
+      <SectionCard title={t("adherence.bySlotTitle")} right={<Pill>{t("adherence.bySlotHint")}</Pill>}>
+        {rows.length === 0 ? (
+          <div className="text-sm text-gray-500">{t("adherence.empty")}</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-2 pr-4">{t("adherence.dose")}</th>
+                  {WINDOWS.map((n) => (<th key={n} className="py-2 pr-4">{t("common.days", { n })}</th>))}
+                  <th className="py-2 pr-4">{t("adherence.currentStreak")}</th>
+                  <th className="py-2 pr-4">{t("adherence.longestStreak")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r) => (
+                  <tr key={r.key} className="border-b">
+                    <td className="py-2 pr-4">{r.label}</td>
+                    {WINDOWS.map((n) => {
+                      const w = r.windows[n];
+                      return (
+                        <td key={n} className="py-2 pr-4">
+                          <span className={`font-semibold ${rateClass(w.rate)}`}>{w.rate === null ? "-" : `${w.rate}%`}</span>
+                          <div className="text-xs text-gray-500">{t("adherence.cellDetail", { missed: w.missed, unknown: w.unknown })}</div>
+                        </td>
+                      );
+                    })}
+                    <td className="py-2 pr-4">{t("common.days", { n: r.current })}</td>
+                    <td className="py-2 pr-4">{t("common.days", { n: r.longest })}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </SectionCard>
+
+      <SectionCard title={t("adherence.calendarTitle")}>
+        <Heatmap days={calendar} />
+        <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-600">
+          {Object.entries(STATUS_CLASS).map(([k, className]) => (
+            <span key={k} className="flex items-center gap-1">
+              <span className={`inline-block w-3 h-3 rounded-sm ${className}`} />
+              {statusLabel(k)}
+            </span>
+          ))}
+        </div>
+      </SectionCard>
+
+      <SectionCard title={t("adherence.patternsTitle")}>
+        {patterns.length === 0 ? (
+          <div className="text-sm text-gray-500">{t("adherence.noPatterns")}</div>
+        ) : (
+          <ul className="list-disc ml-5 text-sm space-y-1">
+            {patterns.map((p) => (<li key={p.key}>{p.text}</li>))}
+          </ul>
+        )}
+      </SectionCard>
+
+      <Alert type="info" title={t("adherence.methodTitle")}>
+        {t("adherence.method")}
+      </Alert>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React, { useMemo, useState } from "react";
+import { SectionCard, Label, TextInput, Toggle, Pill } from "./ui.jsx";
+import { PulseChart, BpChart, PressureChart } from "./VitalsCharts.jsx";
+import InsightsPanel from "./InsightsPanel.jsx";
+import { CHART_RANGES, ROLLING_DAYS, rangeBounds, chartSeries, thresholdBands } from "../lib/charts.js";
+import { todayStr } from "../lib/date.js";
+import { t } from "../lib/i18n.js";
+
+const Swatch = ({ className }) => <span className={`inline-block w-3 h-3 rounded-full align-middle mr-1 ${className}`} />;
+
+// 그래프 탭 — 기간 선택, 7일 평균, 경고 기준 영역, 복용 누락·위험 경고·발작 표시, 같은 기간의 기록 분석
+export default function ChartsView({ entries, regimen, rules }) {
+  const [rangeId, setRangeId] = useState("30");
+  const [custom, setCustom] = useState({ from: "", to: todayStr });
+  const [showAvg, setShowAvg] = useState(true);
+  const [showBands, setShowBands] = useState(true);
+  const [showMarkers, setShowMarkers] = useState(true);
+
+  const { from, to } = rangeBounds(rangeId, custom);
+  const data = useMemo(() => chartSeries(entries, { regimen, rules, from, to }), [entries, regimen, rules, from, to]);
+  const bands = useMemo(() => (showBands ? thresholdBands(rules) : []), [rules, showBands]);
+  const opts = { showAvg, showMarkers, bands };
+
+  return (
+    <div className="space-y-4">
+      <SectionCard title={t("charts.periodTitle")} right={<Pill>{t("charts.recordedDays", { n: data.length })}</Pill>}>
+        <div className="space-y-3 text-sm">
+          <div className="flex flex-wrap gap-2">
+            {CHART_RANGES.map((r) => (
+              <button key={r.id} className={`px-3 py-1.5 rounded-2xl ${rangeId === r.id ? "bg-gray-900 text-white" : "bg-gray-100"}`} onClick={()=>setRangeId(r.id)}>{r.label}</button>
+            ))}
+          </div>
+          {rangeId === "custom" && (
+            <div className="grid grid-cols-2 gap-3 max-w-md">
+              <div>
+                <Label>{t("common.startDate")}</Label>
+                <TextInput type="date" value={custom.from} max={custom.to || undefined} onChange={(e)=>setCustom({ ...custom, from: e.target.value })} />
+              </div>
+              <div>
+                <Label>{t("common.endDate")}</Label>
+                <TextInput type="date" value={custom.to} min={custom.from || undefined} onChange={(e)=>setCustom({ ...custom, to: e.target.value })} />
+              </div>
+            </div>
+          )}
+          <div className="flex flex-wrap gap-4">
+            <Toggle label={t("charts.rollingAvg", { n: ROLLING_DAYS })} checked={showAvg} onChange={setShowAvg} />
+            <Toggle label={t("charts.bands")} checked={showBands} onChange={setShowBands} />
+            <Toggle label={t("charts.markers")} checked={showMarkers} onChange={setShowMarkers} />
+          </div>
+          <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+            {showBands && <span><Swatch className="bg-red-300" />{t("charts.dangerBand")}</span>}
+            {showBands && <span><Swatch className="bg-amber-300" />{t("charts.warnBand")}</span>}
+            {showMarkers && <span><Swatch className="bg-amber-500" />{t("charts.missedMarker")}</span>}
+            {showMarkers && <span><Swatch className="bg-red-600" />{t("charts.dangerMarker")}</span>}
+            <span><span className="inline-block w-3 border-t-2 border-dashed border-red-600 align-middle mr-1" />{t("charts.episode")}</span>
+          </div>
+          {showBands && bands.length > 0 && (
+            <div className="text-xs text-gray-500">{t("charts.bandsHint", { list: [...new Set(bands.map((b) => b.label))].join(" · ") })}</div>
+          )}
+        </div>
+      </SectionCard>
+
+      {data.length === 0 ? (
+        <SectionCard title={t("charts.title")}><div className="text-sm text-gray-500">{t("charts.empty")}</div></SectionCard>
+      ) : (
+        <div className="grid md:grid-cols-2 gap-6">
+          <SectionCard title={t("charts.pulseTitle")}>
+            <div className="h-64"><PulseChart data={data} {...opts} /></div>
+          </SectionCard>
+          <SectionCard title={t("charts.bpTitle")}>
+            <div className="h-64"><BpChart data={data} {...opts} /></div>
+          </SectionCard>
+          <SectionCard title={t("charts.pressureTitle")}>
+            <div className="h-64"><PressureChart data={data} {...opts} /></div>
+            <div className="text-xs text-gray-500 mt-2">{t("charts.pressureHint")}</div>
+          </SectionCard>
+        </div>
+      )}
+
+      <InsightsPanel entries={entries} regimen={regimen} from={from} to={to} />
+    </div>
+  );
+}
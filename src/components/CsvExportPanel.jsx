@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+import { SectionCard, Label, TextInput, Toggle, Pill } from "./ui.jsx";
+import { CSV_DEFAULTS, buildEntriesCSV, toCSV } from "../lib/csv.js";
+import { buildRiskRows } from "../lib/risk.js";
+import { downloadFile } from "../lib/download.js";
+import { fmtDate, todayStr, addDays, inRange } from "../lib/date.js";
+import { t, LANGS, getLang } from "../lib/i18n.js";
+
+const selectClass = "w-full rounded-xl border border-gray-300 px-3 py-2";
+
+const PRESETS = [null, 7, 30, 90];
+const presetLabel = (days) => (days ? t("common.lastDays", { n: days }) : t("common.all"));
+
+// CSV 내보내기 옵션 — BOM/참·거짓 표기는 설정으로 저장, 기간은 매번 선택. 열 이름은 화면 언어를 따른다
+// 위험 점수(risk)는 열이 달라 별도 파일로 내려받는다
+export default function CsvExportPanel({ entries, regimen, risk, fileTag, prefs, onPrefsChange, onClose }) {
+  const opts = { ...CSV_DEFAULTS, ...prefs };
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const count = Object.keys(entries).filter((d) => inRange(d, from, to)).length;
+
+  const setPreset = (days) => {
+    setFrom(days ? addDays(todayStr, -(days - 1)) : "");
+    setTo(days ? todayStr : "");
+  };
+
+  const download = () => {
+    const csv = buildEntriesCSV(entries, regimen, { ...opts, from, to });
+    const range = from || to ? `_${from || "start"}_${to || "end"}` : "";
+    downloadFile(`afibcare_${fileTag ? `${fileTag}_` : ""}${fmtDate()}${range}.csv`, csv, "text/csv;charset=utf-8;");
+  };
+
+  const downloadRisk = () => {
+    const csv = toCSV(buildRiskRows(risk), { bom: opts.bom });
+    downloadFile(`afibcare_risk_${fileTag ? `${fileTag}_` : ""}${fmtDate()}.csv`, csv, "text/csv;charset=utf-8;");
+  };
+
+  return (
+    <SectionCard title={t("csv.title")} right={<Pill>{t("csv.selected", { n: count })}</Pill>}>
+      <div className="space-y-3 text-sm">
+        <div className="flex flex-wrap gap-2">
+          {PRESETS.map((days) => (
+            <button key={days || "all"} className="px-3 py-1.5 rounded-2xl bg-gray-100" onClick={()=>setPreset(days)}>{presetLabel(days)}</button>
+          ))}
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <Label>{t("common.startDate")}</Label>
+            <TextInput type="date" value={from} max={to || undefined} onChange={(e)=>setFrom(e.target.value)} />
+          </div>
+          <div>
+            <Label>{t("common.endDate")}</Label>
+            <TextInput type="date" value={to} min={from || undefined} onChange={(e)=>setTo(e.target.value)} />
+          </div>
+          <div>
+            <Label>{t("csv.bools")}</Label>
+            <select className={selectClass} value={opts.bools} onChange={(e)=>onPrefsChange({ ...prefs, bools: e.target.value })}>
+              <option value="yn">{t("csv.yesNo")}</option>
+              <option value="10">1 / 0</option>
+            </select>
+          </div>
+        </div>
+        <Toggle label={t("csv.bom")} checked={opts.bom} onChange={(v)=>onPrefsChange({ ...prefs, bom: v })} />
+        {risk && <div className="text-xs text-gray-500">{t("csv.riskHint")}</div>}
+        <div className="text-xs text-gray-500">{t("csv.languageHint", { lang: LANGS.find((l) => l.id === getLang()).label })}</div>
+        <div className="flex gap-2">
+          <button className="px-4 py-2 rounded-2xl bg-gray-900 text-white" disabled={count === 0} onClick={download}>{t("csv.download")}</button>
+          {risk && <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={downloadRisk}>{t("csv.riskDownload")}</button>}
+          <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={onClose}>{t("common.close")}</button>
+        </div>
+      </div>
+    </SectionCard>
+  );
+}
@@ -0,0 +1,204 @@
+import React, { useMemo, useRef, useState } from "react";
+import { SectionCard, Label, TextInput, Toggle, Pill, Alert } from "./ui.jsx";
+import {
+  FORMATS, MAPPING_FIELDS, DATE_ORDERS, detectFormat, csvHeader, guessMapping, matchPreset, newPreset, mappingProblems,
+  previewRows, defaultSelected, DUPLICATE_MINUTES
+} from "../lib/deviceImport.js";
+import { t } from "../lib/i18n.js";
+
+const selectClass = "w-full rounded-xl border border-gray-300 px-3 py-2";
+const PREVIEW_LIMIT = 300; // 표에는 앞부분만 — 선택은 전체에 적용
+
+const rowStatus = (r) =>
+  r.problems.length ? <span className="text-red-700">{r.problems.join(" · ")}</span> : r.duplicate ? <span className="text-amber-700">{t("deviceImport.existing")}</span> : <span className="text-gray-500">{t("deviceImport.new")}</span>;
+
+// 혈압계·스마트워치 파일 가져오기 — 열 매핑(CSV) → 미리보기에서 행 선택 → 기록에 추가
+export default function DeviceImportPanel({ entries, presets = [], onPresetsChange, onApply, onClose }) {
+  const fileInput = useRef(null);
+  const [file, setFile] = useState(null); // { name, text, format, header?, sample? }
+  const [error, setError] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [presetId, setPresetId] = useState("");
+  const [presetName, setPresetName] = useState("");
+  const [includePulseOnly, setIncludePulseOnly] = useState(false);
+  const [picked, setPicked] = useState({}); // { [row key]: boolean } — 기본 선택을 바꾼 행만
+
+  const openFile = async (f) => {
+    setError(null);
+    setFile(null);
+    setPicked({});
+    try {
+      const text = await f.text();
+      const format = detectFormat(f.name, text);
+      if (format === "csv") {
+        const { header, sample } = csvHeader(text);
+        const preset = matchPreset(presets, header);
+        setPresetId(preset?.id || "");
+        setMapping(preset ? preset.mapping : guessMapping(header, sample));
+        setFile({ name: f.name, text, format, header, sample });
+      } else setFile({ name: f.name, text, format });
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const problems = file?.format === "csv" && mapping ? mappingProblems(mapping) : [];
+  const preview = useMemo(() => {
+    if (!file || problems.length) return { rows: [], error: null };
+    try {
+      return { rows: previewRows(file.format, file.text, { mapping, includePulseOnly, entries }), error: null };
+    } catch (e) {
+      return { rows: [], error: e.message };
+    }
+  }, [file, mapping, includePulseOnly, entries, problems.length]);
+  const rows = preview.rows;
+  const defaults = useMemo(() => new Set(defaultSelected(rows)), [rows]);
+  const isPicked = (r) => picked[r.key] ?? defaults.has(r.key);
+  const chosen = rows.filter(isPicked);
+  const counts = {
+    duplicate: rows.filter((r) => r.duplicate).length,
+    invalid: rows.filter((r) => r.problems.length).length
+  };
+
+  const setField = (key, value) => {
+    setMapping({ ...mapping, [key]: value });
+    setPresetId("");
+  };
+  const choosePreset = (id) => {
+    setPresetId(id);
+    const p = presets.find((x) => x.id === id);
+    setMapping(p ? p.mapping : guessMapping(file.header, file.sample));
+  };
+  const savePreset = () => {
+    const preset = newPreset(presetName, mapping);
+    onPresetsChange([...presets, preset]);
+    setPresetId(preset.id);
+    setPresetName("");
+  };
+  const removePreset = () => {
+    onPresetsChange(presets.filter((p) => p.id !== presetId));
+    setPresetId("");
+  };
+  const pickAll = (v) => setPicked(Object.fromEntries(rows.filter((r) => !r.problems.length).map((r) => [r.key, v])));
+
+  return (
+    <SectionCard title={t("deviceImport.title")} right={<button className="px-3 py-1.5 rounded-2xl bg-gray-100 text-sm" onClick={onClose}>{t("common.close")}</button>}>
+      <div className="space-y-3 text-sm">
+        <div className="text-gray-600">
+          {t("deviceImport.intro")}
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <button className="px-4 py-2 rounded-2xl bg-gray-900 text-white" onClick={()=>fileInput.current?.click()}>{t("deviceImport.chooseFile")}</button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".csv,.txt,.tsv,.xml,.json,text/csv,application/json,text/xml"
+            className="hidden"
+            onChange={(e)=>{ const f = e.target.files?.[0]; e.target.value = ""; if (f) openFile(f); }}
+          />
+          {file && <Pill>{file.name} · {FORMATS[file.format]}</Pill>}
+        </div>
+        {(error || preview.error) && <Alert type="danger" title={t("deviceImport.readFailed")}>{error || preview.error}</Alert>}
+
+        {file?.format === "csv" && mapping && (
+          <div className="border rounded-2xl p-3 space-y-3">
+            <div className="grid grid-cols-2 gap-3 items-end">
+              <div>
+                <Label>{t("deviceImport.preset")}</Label>
+                <select className={selectClass} value={presetId} onChange={(e)=>choosePreset(e.target.value)}>
+                  <option value="">{t("deviceImport.autoDetect")}</option>
+                  {presets.map((p) => (<option key={p.id} value={p.id}>{p.name}</option>))}
+                </select>
+              </div>
+              {presetId ? (
+                <button className="px-3 py-2 rounded-2xl bg-gray-100" onClick={removePreset}>{t("deviceImport.removePreset")}</button>
+              ) : (
+                <div className="flex gap-2">
+                  <TextInput value={presetName} placeholder={t("deviceImport.presetPlaceholder")} onChange={(e)=>setPresetName(e.target.value)} />
+                  <button className="px-3 py-2 rounded-2xl bg-gray-100 whitespace-nowrap disabled:opacity-40" disabled={!presetName.trim() || problems.length > 0} onClick={savePreset}>{t("deviceImport.savePreset")}</button>
+                </div>
+              )}
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {MAPPING_FIELDS.map((f) => (
+                <div key={f.key}>
+                  <Label>{f.label}</Label>
+                  <select className={selectClass} value={mapping[f.key]} onChange={(e)=>setField(f.key, e.target.value)}>
+                    <option value="">{t("common.notUsed")}</option>
+                    {file.header.map((h, i) => (<option key={i} value={h}>{h}{file.sample[i] ? t("deviceImport.sampleValue", { value: file.sample[i] }) : ""}</option>))}
+                  </select>
+                </div>
+              ))}
+              <div>
+                <Label>{t("deviceImport.dateOrder")}</Label>
+                <select className={selectClass} value={mapping.dateOrder} onChange={(e)=>setField("dateOrder", e.target.value)}>
+                  {DATE_ORDERS.map((o) => (<option key={o.id} value={o.id}>{o.label}</option>))}
+                </select>
+              </div>
+            </div>
+            {problems.length > 0 && <div className="text-red-700">{problems.join(" · ")}</div>}
+          </div>
+        )}
+
+        {file && file.format !== "csv" && (
+          <Toggle label={t("deviceImport.pulseOnly")} checked={includePulseOnly} onChange={(v)=>{ setIncludePulseOnly(v); setPicked({}); }} />
+        )}
+
+        {file && rows.length === 0 && problems.length === 0 && !preview.error && (
+          <div className="text-gray-500">{t("deviceImport.nothing")}</div>
+        )}
+
+        {rows.length > 0 && (
+          <>
+            <div className="flex flex-wrap items-center gap-2">
+              <Pill>{t("deviceImport.read", { n: rows.length })}</Pill>
+              {counts.duplicate > 0 && <Pill>{t("deviceImport.duplicates", { n: counts.duplicate })}</Pill>}
+              {counts.invalid > 0 && <Pill>{t("deviceImport.invalid", { n: counts.invalid })}</Pill>}
+              <Pill>{t("deviceImport.chosen", { n: chosen.length })}</Pill>
+              <button className="px-3 py-1.5 rounded-2xl bg-gray-100" onClick={()=>pickAll(true)}>{t("deviceImport.selectAll")}</button>
+              <button className="px-3 py-1.5 rounded-2xl bg-gray-100" onClick={()=>pickAll(false)}>{t("deviceImport.clearAll")}</button>
+            </div>
+            <div className="text-gray-500">{t("deviceImport.defaultsHint", { minutes: DUPLICATE_MINUTES })}</div>
+            <div className="overflow-x-auto max-h-96 overflow-y-auto border rounded-2xl">
+              <table className="min-w-full">
+                <thead>
+                  <tr className="text-left border-b">
+                    <th className="py-2 px-2">{t("deviceImport.columns.pick")}</th>
+                    <th className="py-2 pr-4">{t("common.date")}</th>
+                    <th className="py-2 pr-4">{t("common.time")}</th>
+                    <th className="py-2 pr-4">{t("deviceImport.columns.bp")}</th>
+                    <th className="py-2 pr-4">{t("deviceImport.columns.pulse")}</th>
+                    <th className="py-2 pr-4">{t("deviceImport.columns.irregular")}</th>
+                    <th className="py-2 pr-4">{t("deviceImport.columns.status")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.slice(0, PREVIEW_LIMIT).map((r) => (
+                    <tr key={r.key} className={`border-b ${isPicked(r) ? "" : "text-gray-400"}`}>
+                      <td className="py-1.5 px-2">
+                        <input type="checkbox" className="w-4 h-4" disabled={r.problems.length > 0} checked={isPicked(r)} onChange={(e)=>setPicked({ ...picked, [r.key]: e.target.checked })} />
+                      </td>
+                      <td className="py-1.5 pr-4">{r.date || "-"}</td>
+                      <td className="py-1.5 pr-4">{r.time || "-"}</td>
+                      <td className="py-1.5 pr-4">{r.sys !== null && r.dia !== null ? `${r.sys}/${r.dia}` : "-"}</td>
+                      <td className="py-1.5 pr-4">{r.pulse ?? "-"}</td>
+                      <td className="py-1.5 pr-4">{r.irregular ? t("common.detected") : "-"}</td>
+                      <td className="py-1.5 pr-4">{rowStatus(r)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {rows.length > PREVIEW_LIMIT && <div className="text-gray-500">{t("deviceImport.limited", { limit: PREVIEW_LIMIT, n: rows.length })}</div>}
+            <div className="flex gap-2">
+              <button className="px-4 py-2 rounded-2xl bg-gray-900 text-white disabled:opacity-40" disabled={chosen.length === 0} onClick={()=>onApply(chosen)}>
+                {t("deviceImport.apply", { n: chosen.length })}
+              </button>
+              <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={onClose}>{t("common.cancel")}</button>
+            </div>
+          </>
+        )}
+      </div>
+    </SectionCard>
+  );
+}
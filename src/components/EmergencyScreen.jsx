@@ -0,0 +1,228 @@
+import React, { useState } from "react";
+import { Label, TextInput, Alert } from "./ui.jsx";
+import { EMERGENCY_NUMBER, FAST_STEPS, BLEEDING_SIGNS, emergencyPrefs, conditionsOf, todayDoses, lastDose, recentReadings, telHref, RECENT_VITAL_DAYS } from "../lib/emergency.js";
+import { medLabel } from "../lib/regimen.js";
+import { fmtReading } from "../lib/readings.js";
+import { ageOf } from "../lib/risk.js";
+import { profileInfo, profileName } from "../lib/profiles.js";
+import { nowTime } from "../lib/date.js";
+import { t, fmtDayShort } from "../lib/i18n.js";
+
+const VIEWS = ["fast", "bleeding", "card"];
+
+const CallButton = ({ className = "" }) => (
+  <a href={telHref(EMERGENCY_NUMBER)} className={`inline-block text-center px-5 py-3 rounded-2xl bg-red-600 text-white text-lg font-bold ${className}`}>
+    {t("emergency.call", { number: EMERGENCY_NUMBER })}
+  </a>
+);
+
+// FAST — 한 단계씩 예/아니오. 하나라도 예면 바로 119 와 증상 시작 시각
+const FastCheck = () => {
+  const [answers, setAnswers] = useState([]);
+  const [onset, setOnset] = useState("");
+  const step = FAST_STEPS[answers.length];
+  const positive = answers.some(Boolean);
+  const answer = (yes) => setAnswers([...answers, yes]);
+
+  if (positive || !step) {
+    return (
+      <div className="space-y-4">
+        {positive ? (
+          <Alert type="danger" title={t("emergency.fastPositiveTitle")}>
+            <div>{t("emergency.fastPositive", { items: FAST_STEPS.filter((s, i) => answers[i]).map((s) => s.label).join(", ") })}</div>
+          </Alert>
+        ) : (
+          <Alert type="info" title={t("emergency.fastNegativeTitle")}>
+            {t("emergency.fastNegative")}
+          </Alert>
+        )}
+        {positive && <CallButton className="w-full" />}
+        <div className="rounded-2xl border p-4 space-y-2">
+          <div className="font-semibold">{t("emergency.timeTitle")}</div>
+          <div className="text-sm text-gray-700">{t("emergency.timeHint")}</div>
+          {onset ? (
+            <div className="text-2xl font-bold">{t("emergency.onsetAt", { time: onset })}</div>
+          ) : (
+            <button className="px-4 py-2 rounded-2xl bg-gray-900 text-white" onClick={()=>setOnset(nowTime())}>{t("emergency.markOnset")}</button>
+          )}
+        </div>
+        <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={()=>{ setAnswers([]); setOnset(""); }}>{t("emergency.restart")}</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="text-sm text-gray-600">{t("emergency.fastStep", { n: answers.length + 1, total: FAST_STEPS.length })}</div>
+      <div className="text-2xl font-bold">{step.label}</div>
+      <div className="text-lg">{step.check}</div>
+      <div className="grid grid-cols-2 gap-3">
+        <button className="py-4 rounded-2xl bg-red-600 text-white text-lg font-semibold" onClick={()=>answer(true)}>{t("emergency.yes")}</button>
+        <button className="py-4 rounded-2xl bg-gray-200 text-lg font-semibold" onClick={()=>answer(false)}>{t("emergency.no")}</button>
+      </div>
+    </div>
+  );
+};
+
+const BleedingCheck = () => (
+  <div className="space-y-4">
+    <div className="text-lg font-semibold">{t("emergency.bleedingIntro")}</div>
+    <ul className="list-disc ml-6 space-y-2 text-lg">
+      {BLEEDING_SIGNS.map((s) => (<li key={s.id}>{s.label}</li>))}
+    </ul>
+    <CallButton className="w-full" />
+    <Alert type="warn" title={t("emergency.bleedingWhileWaitingTitle")}>
+      <ul className="list-disc ml-4 space-y-1">
+        <li>{t("emergency.bleedingPressure")}</li>
+        <li>{t("emergency.bleedingNoDose")}</li>
+        <li>{t("emergency.bleedingTell")}</li>
+      </ul>
+    </Alert>
+  </div>
+);
+
+// 카드 정보 수정 — 알레르기·보호자 연락처·기타 (진단명과 약은 다른 탭에서 온다)
+const CardForm = ({ prefs, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(prefs);
+  const set = (key) => (e) => setDraft({ ...draft, [key]: e.target.value });
+  return (
+    <div className="space-y-3">
+      <div>
+        <Label>{t("emergency.allergies")}</Label>
+        <TextInput placeholder={t("emergency.allergiesPlaceholder")} value={draft.allergies} onChange={set("allergies")} />
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <Label>{t("emergency.contactName")}</Label>
+          <TextInput placeholder={t("emergency.contactNamePlaceholder")} value={draft.contactName} onChange={set("contactName")} />
+        </div>
+        <div>
+          <Label>{t("emergency.contactPhone")}</Label>
+          <TextInput type="tel" placeholder="010-0000-0000" value={draft.contactPhone} onChange={set("contactPhone")} />
+        </div>
+      </div>
+      <div>
+        <Label>{t("emergency.notes")}</Label>
+        <TextInput placeholder={t("emergency.notesPlaceholder")} value={draft.notes} onChange={set("notes")} />
+      </div>
+      <div className="flex gap-2">
+        <button className="px-4 py-2 rounded-2xl bg-gray-900 text-white" onClick={()=>onSave(draft)}>{t("common.save")}</button>
+        <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={onCancel}>{t("common.cancel")}</button>
+      </div>
+    </div>
+  );
+};
+
+const CardRow = ({ label, children }) => (
+  <div className="border-b py-3">
+    <div className="text-sm text-gray-500">{label}</div>
+    <div className="text-xl font-semibold">{children}</div>
+  </div>
+);
+
+// 의료 정보 카드 — 구급대원·응급실에 화면째 보여 준다. 큰 글씨, 항응고제를 맨 위에
+const InfoCard = ({ settings, entries, entry, regimen, onSave }) => {
+  const [editing, setEditing] = useState(false);
+  const prefs = emergencyPrefs(settings.emergency);
+  const age = ageOf(profileInfo(settings).birthYear);
+  const conditions = [t("emergency.afib"), ...conditionsOf(settings)];
+  const meds = todayDoses(regimen, entry);
+  const anticoagulants = meds.filter((m) => m.anticoagulant);
+  const vitals = recentReadings(entries);
+
+  if (editing) return <CardForm prefs={prefs} onSave={(v)=>{ onSave(v); setEditing(false); }} onCancel={()=>setEditing(false)} />;
+
+  return (
+    <div className="space-y-2">
+      <div className="text-3xl font-bold">
+        {profileName(settings)}
+        {age !== null && <span className="ml-3 text-xl font-medium">{t("emergency.age", { age })}</span>}
+      </div>
+      {anticoagulants.length > 0 && (
+        <div className="rounded-2xl bg-red-600 text-white p-4 text-xl font-bold">
+          {t("emergency.anticoagulant", { meds: anticoagulants.map((m) => medLabel(m.med)).join(", ") })}
+        </div>
+      )}
+      <CardRow label={t("emergency.conditions")}>{conditions.join(", ")}</CardRow>
+      <CardRow label={t("emergency.meds")}>
+        {meds.length === 0 ? (
+          <span className="text-gray-500">{t("emergency.noMeds")}</span>
+        ) : (
+          <ul className="space-y-1">
+            {meds.map(({ med, doses }) => {
+              const last = lastDose(doses);
+              return (
+                <li key={med.id}>
+                  {medLabel(med)}
+                  <span className="ml-2 text-base font-normal text-gray-700">
+                    {last ? t("emergency.lastDose", { slot: last.label, time: last.time || t("emergency.timeUnknown") }) : t("emergency.notTakenToday")}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </CardRow>
+      <CardRow label={t("emergency.allergies")}>{prefs.allergies.trim() || <span className="text-gray-500">{t("emergency.notEntered")}</span>}</CardRow>
+      <CardRow label={t("emergency.contact")}>
+        {prefs.contactPhone.trim() ? (
+          <a className="underline" href={telHref(prefs.contactPhone)}>{[prefs.contactName.trim(), prefs.contactPhone.trim()].filter(Boolean).join(" ")}</a>
+        ) : (
+          <span className="text-gray-500">{t("emergency.notEntered")}</span>
+        )}
+      </CardRow>
+      <CardRow label={t("emergency.vitals", { days: RECENT_VITAL_DAYS })}>
+        {vitals.length === 0 ? (
+          <span className="text-gray-500">{t("emergency.noVitals")}</span>
+        ) : (
+          <ul className="space-y-1 text-lg">
+            {vitals.map(({ date, reading }) => (<li key={reading.id}>{fmtDayShort(date)} {fmtReading(reading)}</li>))}
+          </ul>
+        )}
+      </CardRow>
+      {prefs.notes.trim() && <CardRow label={t("emergency.notes")}>{prefs.notes}</CardRow>}
+      <button className="mt-2 px-4 py-2 rounded-2xl bg-gray-100" onClick={()=>setEditing(true)}>{t("emergency.editCard")}</button>
+    </div>
+  );
+};
+
+// 응급 화면 — 헤더 버튼으로 열거나, 오늘 기록에 위험 경고가 생기면 자동으로 열린다. 전체 화면, 저장소 밖 데이터 없음
+export default function EmergencyScreen({ settings, entries, entry, regimen, dangerFlags, onSave, onClose }) {
+  const [view, setView] = useState("fast");
+
+  return (
+    <div className="fixed inset-0 z-50 bg-white overflow-y-auto print:hidden" role="dialog" aria-modal="true" aria-label={t("emergency.title")}>
+      <div className="max-w-3xl mx-auto p-4 md:p-8 space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h1 className="text-2xl font-bold text-red-700">{t("emergency.title")}</h1>
+          <div className="flex gap-2">
+            <CallButton />
+            <button className="px-4 py-3 rounded-2xl bg-gray-100" onClick={onClose}>{t("common.close")}</button>
+          </div>
+        </div>
+
+        {dangerFlags.length > 0 && (
+          <Alert type="danger" title={t("today.dangerTitle")}>
+            <ul className="list-disc ml-4">
+              {dangerFlags.map((f, i) => (<li key={i}>{f}</li>))}
+            </ul>
+          </Alert>
+        )}
+
+        <div className="grid grid-cols-3 gap-2">
+          {VIEWS.map((id) => (
+            <button key={id} className={`py-3 rounded-2xl text-sm md:text-base font-semibold ${view === id ? "bg-gray-900 text-white" : "bg-gray-100"}`} onClick={()=>setView(id)}>
+              {t(`emergency.views.${id}`)}
+            </button>
+          ))}
+        </div>
+
+        {view === "fast" && <FastCheck />}
+        {view === "bleeding" && <BleedingCheck />}
+        {view === "card" && <InfoCard settings={settings} entries={entries} entry={entry} regimen={regimen} onSave={onSave} />}
+
+        <div className="text-xs text-gray-500">{t("emergency.offline")}</div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import React from "react";
+import { Label, TextInput, Toggle, Pill } from "./ui.jsx";
+import { EPISODE_SYMPTOMS, EHRA_CLASSES, EPISODE_TRIGGERS, EPISODE_RESOLUTIONS, newEpisode, sortEpisodes, durationMinutes, fmtDuration, validateEpisode } from "../lib/episodes.js";
+import { t } from "../lib/i18n.js";
+
+const selectClass = "w-full rounded-xl border border-gray-300 px-3 py-2";
+
+const toggleId = (list, id, on) => (on ? [...new Set([...(list || []), id])] : (list || []).filter((x) => x !== id));
+
+// 하루 동안의 증상 발작(에피소드) 목록 편집 — 시작/끝 시각, 증상, EHRA 분류, 유발 요인, 멈춘 방법
+export default function EpisodeEditor({ episodes = [], onChange }) {
+  const patchEpisode = (id, patch) => onChange(episodes.map((ep) => (ep.id === id ? { ...ep, ...patch } : ep)));
+  const removeEpisode = (id) => onChange(episodes.filter((ep) => ep.id !== id));
+  return (
+    <div className="space-y-3">
+      {episodes.length === 0 && <div className="text-sm text-gray-500">{t("episodes.empty")}</div>}
+      {sortEpisodes(episodes).map((ep) => {
+        const duration = fmtDuration(durationMinutes(ep));
+        const problems = validateEpisode(ep);
+        return (
+          <div key={ep.id} className="border rounded-2xl p-3 space-y-3">
+            <div className="grid grid-cols-3 gap-2 items-end">
+              <div>
+                <Label>{t("episodes.start")}</Label>
+                <TextInput type="time" value={ep.start} onChange={(e)=>patchEpisode(ep.id, { start: e.target.value })} />
+              </div>
+              <div>
+                <Label>{t("episodes.end")}</Label>
+                <TextInput type="time" value={ep.end} onChange={(e)=>patchEpisode(ep.id, { end: e.target.value })} />
+              </div>
+              <div className="text-sm text-gray-600 pb-2">{duration ? t("episodes.duration", { duration }) : t("episodes.endUnknown")}</div>
+            </div>
+            <div>
+              <Label>{t("episodes.symptomsLabel")}</Label>
+              <div className="grid grid-cols-2 gap-2">
+                {EPISODE_SYMPTOMS.map((s) => (
+                  <Toggle key={s.id} label={s.label} checked={ep.symptoms?.includes(s.id)} onChange={(v)=>patchEpisode(ep.id, { symptoms: toggleId(ep.symptoms, s.id, v) })} />
+                ))}
+              </div>
+            </div>
+            <div>
+              <Label>{t("episodes.ehraLabel")}</Label>
+              <select className={selectClass} value={ep.ehra} onChange={(e)=>patchEpisode(ep.id, { ehra: e.target.value })}>
+                {EHRA_CLASSES.map((c) => (<option key={c.id} value={c.id}>{c.label}</option>))}
+              </select>
+            </div>
+            <div>
+              <Label>{t("episodes.triggersLabel")}</Label>
+              <div className="grid grid-cols-2 gap-2">
+                {EPISODE_TRIGGERS.map((tr) => (
+                  <Toggle key={tr.id} label={tr.label} checked={ep.triggers?.includes(tr.id)} onChange={(v)=>patchEpisode(ep.id, { triggers: toggleId(ep.triggers, tr.id, v) })} />
+                ))}
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <Label>{t("episodes.resolutionLabel")}</Label>
+                <select className={selectClass} value={ep.resolution} onChange={(e)=>patchEpisode(ep.id, { resolution: e.target.value })}>
+                  {EPISODE_RESOLUTIONS.map((r) => (<option key={r.id} value={r.id}>{r.label}</option>))}
+                </select>
+              </div>
+              <div>
+                <Label>{t("common.notes")}</Label>
+                <TextInput value={ep.note} placeholder={t("episodes.notePlaceholder")} onChange={(e)=>patchEpisode(ep.id, { note: e.target.value })} />
+              </div>
+            </div>
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <div className="text-xs text-red-700">{problems.join(" · ")}</div>
+              <button className="px-3 py-1.5 rounded-2xl bg-gray-100 text-sm" onClick={()=>removeEpisode(ep.id)}>{t("common.delete")}</button>
+            </div>
+          </div>
+        );
+      })}
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <button className="px-3 py-1.5 rounded-2xl bg-gray-900 text-white text-sm" onClick={()=>onChange([...episodes, newEpisode()])}>{t("episodes.add")}</button>
+        {episodes.length > 0 && <Pill>{t("episodes.count", { n: episodes.length })}</Pill>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React from "react";
+import { SectionCard, Pill } from "./ui.jsx";
+import { HISTORY_FILTERS, matchesFilter } from "../lib/calendar.js";
+import { addMonths, todayStr } from "../lib/date.js";
+import { t, fmtMonth, weekdayNames } from "../lib/i18n.js";
+
+const DOSE_CLASS = {
+  taken: "bg-green-100",
+  partial: "bg-amber-100",
+  missed: "bg-red-100",
+  pending: "bg-blue-50",
+  unknown: "bg-gray-50",
+  none: "bg-white"
+};
+
+const doseLabel = (status) => t(`calendar.dose.${status}`);
+
+const LEVEL_DOT = { danger: "bg-red-600", warn: "bg-amber-500" };
+
+// 월간 달력 — 날짜를 누르면 onSelect(date). days: lib/calendar.js monthSummary() 결과
+export default function HistoryCalendar({ month, onMonthChange, days, selected, onSelect, filter, onFilterChange }) {
+  const pad = new Date(`${month}-01T00:00:00`).getDay();
+  const matched = days.filter((d) => matchesFilter(d, filter));
+
+  return (
+    <SectionCard
+      title={t("calendar.title")}
+      right={
+        <div className="flex items-center gap-2">
+          <button className="px-3 py-1.5 rounded-2xl bg-gray-100" aria-label={t("calendar.prevMonth")} onClick={()=>onMonthChange(addMonths(month, -1))}>‹</button>
+          <span className="font-medium min-w-24 text-center">{fmtMonth(month)}</span>
+          <button className="px-3 py-1.5 rounded-2xl bg-gray-100" aria-label={t("calendar.nextMonth")} onClick={()=>onMonthChange(addMonths(month, 1))}>›</button>
+          <button className="px-3 py-1.5 rounded-2xl bg-gray-100 text-sm" onClick={()=>{ onMonthChange(todayStr.slice(0, 7)); onSelect(todayStr); }}>{t("calendar.today")}</button>
+        </div>
+      }
+    >
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        {HISTORY_FILTERS.map((f) => (
+          <button
+            key={f.id}
+            className={`px-3 py-1.5 rounded-2xl text-sm ${filter === f.id ? "bg-gray-900 text-white" : "bg-gray-100"}`}
+            onClick={()=>onFilterChange(f.id)}
+          >
+            {f.label}
+          </button>
+        ))}
+        {filter !== "all" && <Pill>{t("calendar.matched", { n: matched.length })}</Pill>}
+      </div>
+
+      <div className="grid grid-cols-7 gap-1 text-center text-xs text-gray-500 mb-1">
+        {weekdayNames("narrow").map((d, i) => (<div key={i}>{d}</div>))}
+      </div>
+      <div className="grid grid-cols-7 gap-1">
+        {Array.from({ length: pad }, (_, i) => (<div key={`pad-${i}`} />))}
+        {days.map((d) => {
+          const future = d.date > todayStr;
+          const dim = !matchesFilter(d, filter);
+          return (
+            <button
+              key={d.date}
+              disabled={future}
+              onClick={()=>onSelect(d.date)}
+              title={[d.date, doseLabel(d.dose.status), ...d.flags.danger.map((f) => f.label), ...d.flags.warn.map((f) => f.label)].join("\n")}
+              className={`relative h-14 rounded-xl border text-left p-1.5 text-sm ${DOSE_CLASS[d.dose.status]} ${
+                d.date === selected ? "ring-2 ring-gray-900" : ""
+              } ${future ? "opacity-40 cursor-default" : ""} ${dim ? "opacity-25" : ""}`}
+            >
+              <span className={d.date === todayStr ? "font-bold" : ""}>{Number(d.date.slice(8))}</span>
+              {d.level && <span className={`absolute top-1.5 right-1.5 w-2.5 h-2.5 rounded-full ${LEVEL_DOT[d.level]}`} />}
+              {d.recorded && <span className="absolute bottom-1.5 left-1.5 text-[10px] text-gray-600">{t("calendar.recorded")}</span>}
+              {d.dose.total > 0 && d.dose.status !== "unknown" && (
+                <span className="absolute bottom-1.5 right-1.5 text-[10px] text-gray-600">{d.dose.taken}/{d.dose.total}</span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-600">
+        {["taken", "partial", "missed", "unknown"].map((k) => (
+          <span key={k} className="flex items-center gap-1">
+            <span className={`inline-block w-3 h-3 rounded-sm border ${DOSE_CLASS[k]}`} />
+            {doseLabel(k)}
+          </span>
+        ))}
+        <span className="flex items-center gap-1"><span className={`inline-block w-2.5 h-2.5 rounded-full ${LEVEL_DOT.danger}`} />{t("calendar.dangerLegend")}</span>
+        <span className="flex items-center gap-1"><span className={`inline-block w-2.5 h-2.5 rounded-full ${LEVEL_DOT.warn}`} />{t("calendar.warnLegend")}</span>
+        <span>{t("calendar.legendHint")}</span>
+      </div>
+    </SectionCard>
+  );
+}
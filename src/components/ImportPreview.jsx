@@ -0,0 +1,84 @@
+import React, { useMemo, useState } from "react";
+import { SectionCard, Alert, Pill, Toggle } from "./ui.jsx";
+import { diffEntries, applyImport } from "../lib/backup.js";
+import { t, fmtDay } from "../lib/i18n.js";
+
+const DateList = ({ dates }) =>
+  dates.length === 0 ? (
+    <span className="text-gray-400">{t("common.none")}</span>
+  ) : (
+    <span className="text-gray-700">{dates.length > 12 ? t("importPreview.more", { list: dates.slice(0, 12).join(", "), n: dates.length - 12 }) : dates.join(", ")}</span>
+  );
+
+// 가져오기 미리보기 — 추가/변경/충돌 날짜를 보여주고 병합 또는 전체 교체를 고르게 한다.
+export default function ImportPreview({ source, local, incoming, defaults, onApply, onCancel, onBackupFirst }) {
+  const [mode, setMode] = useState("merge");
+  const [takeIncoming, setTakeIncoming] = useState([]);
+  const [confirmReplace, setConfirmReplace] = useState(false);
+  const diff = useMemo(() => diffEntries(local.entries, incoming.entries, defaults), [local, incoming, defaults]);
+  const localCount = Object.keys(local.entries).length;
+
+  const apply = () => {
+    if (mode === "replace" && !window.confirm(t("importPreview.confirmReplace", { n: localCount, source }))) return;
+    onApply(applyImport(local, incoming, { mode, defaults, takeIncoming }), mode);
+  };
+
+  return (
+    <SectionCard title={t("importPreview.title", { source })} right={<Pill>{t("importPreview.recordDays", { n: Object.keys(incoming.entries).length })}</Pill>}>
+      <div className="space-y-3 text-sm">
+        <div><span className="font-medium">{t("importPreview.added", { n: diff.added.length })}</span><DateList dates={diff.added} /></div>
+        <div><span className="font-medium">{t("importPreview.changed", { n: diff.changed.length })}</span><DateList dates={diff.changed} /></div>
+        <div><span className="font-medium">{t("importPreview.conflicting", { n: diff.conflicting.length })}</span><DateList dates={diff.conflicting} /></div>
+        <div className="text-gray-500">{t("importPreview.unchanged", { n: diff.unchanged.length })}</div>
+
+        <div className="flex gap-4">
+          <label className="flex items-center gap-2">
+            <input type="radio" checked={mode === "merge"} onChange={()=>setMode("merge")} />
+            {t("importPreview.merge")}
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="radio" checked={mode === "replace"} onChange={()=>setMode("replace")} />
+            {t("importPreview.replace")}
+          </label>
+        </div>
+
+        {mode === "merge" && diff.conflicting.length > 0 && (
+          <div className="border rounded-2xl p-3 space-y-2">
+            <div className="text-gray-600">{t("importPreview.conflictHint")}</div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+              {diff.conflicting.map((d) => (
+                <Toggle
+                  key={d}
+                  label={fmtDay(d)}
+                  checked={takeIncoming.includes(d)}
+                  onChange={(v)=>setTakeIncoming(v ? [...takeIncoming, d] : takeIncoming.filter((x) => x !== d))}
+                />
+              ))}
+            </div>
+          </div>
+        )}
+
+        {mode === "replace" && (
+          <Alert type="danger" title={t("importPreview.replaceTitle")}>
+            {t("importPreview.replaceWarning", { n: localCount })}
+            <div className="mt-2 flex flex-wrap items-center gap-3">
+              <button className="px-3 py-1.5 rounded-2xl bg-gray-100 text-sm" onClick={onBackupFirst}>{t("importPreview.backupFirst")}</button>
+              <Toggle label={t("importPreview.confirmed")} checked={confirmReplace} onChange={setConfirmReplace} />
+            </div>
+          </Alert>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            className="px-4 py-2 rounded-2xl bg-gray-900 text-white"
+            disabled={mode === "replace" && !confirmReplace}
+            onClick={apply}
+          >
+            {mode === "merge" ? t("importPreview.applyMerge") : t("importPreview.replace")}
+          </button>
+          <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={onCancel}>{t("common.cancel")}</button>
+        </div>
+      </div>
+    </SectionCard>
+  );
+}
@@ -0,0 +1,119 @@
+import React, { useMemo } from "react";
+import { SectionCard, Pill, Alert } from "./ui.jsx";
+import { buildInsights, TIME_BANDS, MIN_SAMPLE, LOW_SYS, CHANGE_WINDOW } from "../lib/insights.js";
+import { fmtStat } from "../lib/readings.js";
+import { t, fmtDay } from "../lib/i18n.js";
+
+const bandLabel = (id) => TIME_BANDS.find((b) => b.id === id)?.label || id;
+
+const signed = (v) => (v > 0 ? `+${v}` : `${v}`);
+
+const meanText = (m) => (m ? `${m.mean}` : "-");
+
+// 인사이트 하나 — 제목, 표본 크기, 내용. 표본이 적으면 비교 대신 안내
+const Insight = ({ title, sample, children }) => (
+  <div className="border rounded-2xl p-3 space-y-2">
+    <div className="flex flex-wrap items-center justify-between gap-2">
+      <h3 className="font-semibold">{title}</h3>
+      <Pill>{sample}</Pill>
+    </div>
+    <div className="text-sm">{children}</div>
+  </div>
+);
+
+const TooFew = () => <div className="text-gray-500">{t("insights.tooFew", { n: MIN_SAMPLE })}</div>;
+
+// 그래프 탭 — 고른 기간의 기록으로 낸 간단한 통계. 각 항목에 표본 크기를 함께 보인다
+export default function InsightsPanel({ entries, regimen, from, to }) {
+  const data = useMemo(() => buildInsights(entries, regimen, { from, to }), [entries, regimen, from, to]);
+  const readings = data.timeOfDay.reduce((sum, b) => sum + b.n, 0);
+
+  return (
+    <SectionCard title={t("insights.title")} right={<Pill>{t("charts.recordedDays", { n: data.days })}</Pill>}>
+      <div className="space-y-3">
+        <Insight title={t("insights.timeOfDay.title")} sample={t("insights.readings", { n: readings })}>
+          {readings === 0 ? (
+            <div className="text-gray-500">{t("insights.timeOfDay.empty")}</div>
+          ) : (
+            <table className="min-w-full">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-1.5 pr-4">{t("insights.timeOfDay.band")}</th>
+                  <th className="py-1.5 pr-4">{t("history.pulse")}</th>
+                  <th className="py-1.5 pr-4">{t("history.bp")}</th>
+                  <th className="py-1.5 pr-4">{t("report.columns.count")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.timeOfDay.map((b) => (
+                  <tr key={b.band} className="border-b">
+                    <td className="py-1.5 pr-4">{bandLabel(b.band)}</td>
+                    <td className="py-1.5 pr-4">{fmtStat(b.pulse)}</td>
+                    <td className="py-1.5 pr-4">{b.sys && b.dia ? `${b.sys.mean}/${b.dia.mean}` : "-"}</td>
+                    <td className="py-1.5 pr-4 text-gray-500">{t("common.times", { n: b.n })}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </Insight>
+
+        {data.missedDose.length === 0 ? (
+          <Insight title={t("insights.missedDose.title")} sample={t("common.days", { n: 0 })}>
+            <div className="text-gray-500">{t("insights.missedDose.empty")}</div>
+          </Insight>
+        ) : (
+          data.missedDose.map((m) => (
+            <Insight
+              key={m.med}
+              title={t("insights.missedDose.medTitle", { med: m.med })}
+              sample={t("insights.missedDose.sample", { missed: m.missed.n, adherent: m.adherent?.n || 0 })}
+            >
+              <div>{t("insights.missedDose.compare", { missed: meanText(m.missed), nMissed: m.missed.n, adherent: meanText(m.adherent), nAdherent: m.adherent?.n || 0 })}</div>
+              {m.enough ? (
+                <div className="font-medium">{t("insights.missedDose.diff", { diff: signed(m.diff) })}</div>
+              ) : (
+                <TooFew />
+              )}
+            </Insight>
+          ))
+        )}
+
+        <Insight title={t("insights.lowBp.title", { sys: LOW_SYS })} sample={t("common.days", { n: data.lowBp.low.n + data.lowBp.other.n })}>
+          {["low", "other"].map((k) => (
+            <div key={k}>{data.lowBp[k].n ? t(`insights.lowBp.${k}`, { sys: LOW_SYS, ...data.lowBp[k] }) : t(`insights.lowBp.${k}None`, { sys: LOW_SYS })}</div>
+          ))}
+          {!data.lowBp.enough && <TooFew />}
+        </Insight>
+
+        {data.changes.length === 0 ? (
+          <Insight title={t("insights.change.title")} sample={t("insights.changes", { n: 0 })}>
+            <div className="text-gray-500">{t("insights.change.empty")}</div>
+          </Insight>
+        ) : (
+          data.changes.map((c) => (
+            <Insight
+              key={c.date}
+              title={t("insights.change.dateTitle", { date: fmtDay(c.date) })}
+              sample={t("insights.change.sample", { before: c.before.fatigue?.n || 0, after: c.after.fatigue?.n || 0 })}
+            >
+              <div className="text-gray-600">
+                {[
+                  c.started.length > 0 && t("insights.change.started", { list: c.started.join(", ") }),
+                  c.stopped.length > 0 && t("insights.change.stopped", { list: c.stopped.join(", ") })
+                ].filter(Boolean).join(" · ")}
+              </div>
+              <div>{t("insights.change.fatigue", { days: CHANGE_WINDOW, before: meanText(c.before.fatigue), after: meanText(c.after.fatigue) })}</div>
+              <div>{t("insights.change.pulse", { before: meanText(c.before.pulse), nBefore: c.before.pulse?.n || 0, after: meanText(c.after.pulse), nAfter: c.after.pulse?.n || 0 })}</div>
+              {!c.enough && <TooFew />}
+            </Insight>
+          ))
+        )}
+
+        <Alert type="info" title={t("insights.disclaimerTitle")}>
+          {t("insights.disclaimer")}
+        </Alert>
+      </div>
+    </SectionCard>
+  );
+}
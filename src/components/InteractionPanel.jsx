@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import { SectionCard, Label, TextInput, Pill, Alert } from "./ui.jsx";
+import { findInteractions, otherMedSummary, regimenItems, otherItems, severityOf, SUGGESTIONS } from "../lib/interactions.js";
+import { todayStr, addDays, inRange } from "../lib/date.js";
+import { t } from "../lib/i18n.js";
+
+const RECENT_DAYS = 30;
+
+// 상호작용 경고 목록 — 무거운 순, 항목마다 근거 문서를 함께 보인다
+export const InteractionList = ({ items }) => (
+  <div className="space-y-2">
+    {items.map((x) => {
+      const severity = severityOf(x.severity);
+      return (
+        <Alert key={`${x.id}-${x.a}-${x.b}`} type={severity.alert} title={t("interactions.pair", { severity: severity.label, a: x.a, b: x.b })}>
+          <div>{x.text}</div>
+          <div className="text-xs mt-1 opacity-80">{t("interactions.source", { source: x.source })}</div>
+        </Alert>
+      );
+    })}
+  </div>
+);
+
+// 다른 약 이름 입력 — 자동 완성 목록은 상호작용 표의 흔한 이름
+export const OtherMedInput = ({ id, onAdd }) => {
+  const [name, setName] = useState("");
+  const add = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onAdd(name);
+    setName("");
+  };
+  return (
+    <form className="flex gap-2" onSubmit={add}>
+      <TextInput list={id} placeholder={t("interactions.namePlaceholder")} value={name} onChange={(e)=>setName(e.target.value)} />
+      <datalist id={id}>
+        {SUGGESTIONS.map((s) => (<option key={s} value={s} />))}
+      </datalist>
+      <button type="submit" className="px-4 py-2 rounded-2xl bg-gray-900 text-white shrink-0" disabled={!name.trim()}>{t("interactions.add")}</button>
+    </form>
+  );
+};
+
+// 약 관리 탭 — 현재 레지멘과 최근 기록한 다른 약의 상호작용, 새 약을 먹기 전에 미리 확인
+export default function InteractionPanel({ regimen, entries }) {
+  const [trial, setTrial] = useState([]);
+  const recent = otherMedSummary(Object.values(entries).filter((e) => inRange(e.date, addDays(todayStr, -(RECENT_DAYS - 1)), todayStr)));
+  const items = findInteractions([...regimenItems(regimen, todayStr), ...otherItems(recent.map((s) => s.name)), ...otherItems(trial)]);
+
+  return (
+    <SectionCard title={t("interactions.title")} right={<Pill>{t("common.items", { n: items.length })}</Pill>}>
+      <div className="space-y-3 text-sm">
+        <div className="text-gray-600">{t("interactions.intro", { days: RECENT_DAYS })}</div>
+        {recent.length > 0 && (
+          <div className="flex flex-wrap gap-1">
+            {recent.map((s) => (<Pill key={s.name}>{t("interactions.recentPill", { name: s.name, n: s.days })}</Pill>))}
+          </div>
+        )}
+        <div>
+          <Label>{t("interactions.tryLabel")}</Label>
+          <OtherMedInput id="interaction-try" onAdd={(name)=>setTrial((prev) => (prev.includes(name.trim()) ? prev : [...prev, name.trim()]))} />
+          {trial.length > 0 && (
+            <div className="flex flex-wrap items-center gap-1 mt-2">
+              {trial.map((name) => (<Pill key={name}>{name}</Pill>))}
+              <button className="text-xs px-2 py-1 rounded-xl bg-gray-100" onClick={()=>setTrial([])}>{t("interactions.clearTrial")}</button>
+            </div>
+          )}
+        </div>
+        {items.length === 0 ? (
+          <div className="text-gray-500">{t("interactions.none")}</div>
+        ) : (
+          <InteractionList items={items} />
+        )}
+        <div className="text-xs text-gray-500">{t("interactions.disclaimer")}</div>
+      </div>
+    </SectionCard>
+  );
+}
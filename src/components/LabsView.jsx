@@ -0,0 +1,218 @@
+import React, { useMemo, useState } from "react";
+import { SectionCard, Label, TextInput, Pill, Alert } from "./ui.jsx";
+import { LabChart } from "./VitalsCharts.jsx";
+import { LAB_TESTS, CUSTOM_TEST, newLab, withTest, labStatus, isOutOfRange, fmtRange, parseLabNumber, validateLab, labGroups } from "../lib/labs.js";
+import { t, fmtDay } from "../lib/i18n.js";
+
+const statusText = (s) => t(`labs.status.${s}`);
+
+const statusBadge = (lab) => {
+  const s = labStatus(lab);
+  if (!s) return <span className="text-gray-400">-</span>;
+  return <span className={s === "normal" ? "text-green-700" : "text-red-700 font-medium"}>{statusText(s)}</span>;
+};
+
+const hintOf = (lab) => LAB_TESTS.find((x) => x.id === lab.test)?.hint || "";
+
+const valueText = (lab) => `${lab.value}${lab.unit ? ` ${lab.unit}` : ""}`;
+
+const numText = (v) => (v === null || v === undefined ? "" : String(v));
+
+// 결과 입력 — 숫자 칸은 글자로 들고 있다가 저장할 때 바꾼다
+const LabForm = ({ lab, onSave, onCancel }) => {
+  const [draft, setDraft] = useState({ ...lab, valueText: numText(lab.value), lowText: numText(lab.low), highText: numText(lab.high) });
+  const parsed = { value: parseLabNumber(draft.valueText), low: parseLabNumber(draft.lowText), high: parseLabNumber(draft.highText) };
+  const result = { ...draft, ...parsed };
+  delete result.valueText;
+  delete result.lowText;
+  delete result.highText;
+  const problems = [
+    ...validateLab(result),
+    ...(Number.isNaN(parsed.low) || Number.isNaN(parsed.high) ? [t("labs.problems.rangeNumbers")] : [])
+  ];
+
+  const changeTest = (id) => {
+    const next = withTest(draft, id);
+    setDraft({ ...next, lowText: numText(next.low), highText: numText(next.high) });
+  };
+
+  return (
+    <div className="border rounded-2xl p-3 space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <Label>{t("labs.date")}</Label>
+          <TextInput type="date" value={draft.date} onChange={(e)=>setDraft({ ...draft, date: e.target.value })} />
+        </div>
+        <div>
+          <Label>{t("labs.test")}</Label>
+          <select aria-label={t("labs.test")} className="w-full rounded-xl border border-gray-300 px-3 py-2" value={draft.test} onChange={(e)=>changeTest(e.target.value)}>
+            {LAB_TESTS.map((x) => (<option key={x.id} value={x.id}>{x.label}</option>))}
+            <option value={CUSTOM_TEST}>{t("labs.customOption")}</option>
+          </select>
+        </div>
+        {draft.test === CUSTOM_TEST && (
+          <div className="col-span-2">
+            <Label>{t("labs.name")}</Label>
+            <TextInput placeholder={t("labs.namePlaceholder")} value={draft.name} onChange={(e)=>setDraft({ ...draft, name: e.target.value })} />
+          </div>
+        )}
+        <div>
+          <Label>{t("labs.value")}</Label>
+          <TextInput inputMode="decimal" placeholder={t("common.example", { value: "2.4" })} value={draft.valueText} onChange={(e)=>setDraft({ ...draft, valueText: e.target.value })} />
+        </div>
+        <div>
+          <Label>{t("labs.unit")}</Label>
+          <TextInput placeholder={t("common.example", { value: "mg/dL" })} value={draft.unit} onChange={(e)=>setDraft({ ...draft, unit: e.target.value })} />
+        </div>
+        <div>
+          <Label>{t("labs.low")}</Label>
+          <TextInput inputMode="decimal" placeholder={t("labs.emptyIfNone")} value={draft.lowText} onChange={(e)=>setDraft({ ...draft, lowText: e.target.value })} />
+        </div>
+        <div>
+          <Label>{t("labs.high")}</Label>
+          <TextInput inputMode="decimal" placeholder={t("labs.emptyIfNone")} value={draft.highText} onChange={(e)=>setDraft({ ...draft, highText: e.target.value })} />
+        </div>
+        <div className="col-span-2">
+          <Label>{t("common.notes")}</Label>
+          <TextInput placeholder={t("labs.notePlaceholder")} value={draft.note} onChange={(e)=>setDraft({ ...draft, note: e.target.value })} />
+        </div>
+      </div>
+      {hintOf(draft) && <div className="text-xs text-gray-500">{t("labs.rangeHint", { hint: hintOf(draft) })}</div>}
+      {problems.length > 0 && <div className="text-xs text-red-700">{problems.join(" · ")}</div>}
+      <div className="flex gap-2">
+        <button className="px-3 py-1.5 rounded-2xl bg-gray-900 text-white text-sm" disabled={problems.length > 0} onClick={()=>onSave(result)}>{t("common.save")}</button>
+        <button className="px-3 py-1.5 rounded-2xl bg-gray-100 text-sm" onClick={onCancel}>{t("common.cancel")}</button>
+      </div>
+    </div>
+  );
+};
+
+// 검사 결과 — 항목별 최근 값과 추이 그래프, 참고 범위를 벗어난 결과는 빨갛게
+export default function LabsView({ labs, onChange }) {
+  const [draft, setDraft] = useState(null); // 새 결과
+  const [editing, setEditing] = useState(null); // 고치는 결과 id
+  const [selected, setSelected] = useState(null); // 그래프로 볼 검사 key
+  const groups = useMemo(() => labGroups(labs), [labs]);
+  const group = groups.find((g) => g.key === selected) || groups[0];
+  const outOfRange = groups.filter((g) => isOutOfRange(g.latest));
+
+  const save = (lab) => {
+    onChange(labs.some((l) => l.id === lab.id) ? labs.map((l) => (l.id === lab.id ? lab : l)) : [...labs, lab]);
+    setDraft(null);
+    setEditing(null);
+  };
+  const remove = (id) => {
+    if (!window.confirm(t("labs.confirmRemove"))) return;
+    onChange(labs.filter((l) => l.id !== id));
+  };
+
+  return (
+    <div className="space-y-4">
+      {outOfRange.length > 0 && (
+        <Alert type="warn" title={t("labs.outOfRangeTitle")}>
+          <ul className="list-disc ml-4">
+            {outOfRange.map((g) => (
+              <li key={g.key}>{t("labs.outOfRangeItem", { name: g.name, value: valueText(g.latest), status: statusText(labStatus(g.latest)), range: fmtRange(g.latest), date: fmtDay(g.latest.date) })}</li>
+            ))}
+          </ul>
+          <div className="mt-2 text-xs">{t("labs.outOfRangeHint")}</div>
+        </Alert>
+      )}
+
+      <SectionCard
+        title={t("labs.title")}
+        right={<button className="px-3 py-1.5 rounded-2xl bg-gray-900 text-white text-sm" onClick={()=>setDraft(newLab(group?.latest.test === CUSTOM_TEST ? "inr" : group?.latest.test))}>{t("labs.add")}</button>}
+      >
+        {draft && <div className="mb-4"><LabForm lab={draft} onSave={save} onCancel={()=>setDraft(null)} /></div>}
+        {groups.length === 0 && !draft && (
+          <div className="text-sm text-gray-500">
+            {t("labs.empty")}
+          </div>
+        )}
+        {groups.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-2 pr-3">{t("labs.columns.test")}</th>
+                  <th className="py-2 pr-3">{t("labs.columns.latest")}</th>
+                  <th className="py-2 pr-3">{t("labs.columns.range")}</th>
+                  <th className="py-2 pr-3">{t("labs.columns.status")}</th>
+                  <th className="py-2 pr-3">{t("labs.columns.date")}</th>
+                  <th className="py-2">{t("labs.columns.count")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {groups.map((g) => {
+                  const out = isOutOfRange(g.latest);
+                  return (
+                    <tr
+                      key={g.key}
+                      className={`border-b cursor-pointer ${out ? "bg-red-50" : ""} ${group?.key === g.key ? "font-medium" : ""}`}
+                      onClick={()=>setSelected(g.key)}
+                    >
+                      <td className="py-2 pr-3">{g.name}</td>
+                      <td className="py-2 pr-3">{valueText(g.latest)}</td>
+                      <td className="py-2 pr-3">{fmtRange(g.latest)}</td>
+                      <td className="py-2 pr-3">{statusBadge(g.latest)}</td>
+                      <td className="py-2 pr-3">{fmtDay(g.latest.date)}</td>
+                      <td className="py-2">{g.results.length}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </SectionCard>
+
+      {group && (
+        <SectionCard title={t("labs.trendTitle", { name: group.name })} right={<Pill>{t("labs.legend")}</Pill>}>
+          {group.results.length > 1 ? (
+            <div className="h-64">
+              <LabChart results={group.results} name={group.name} unit={group.unit} />
+            </div>
+          ) : (
+            <div className="text-sm text-gray-500 mb-2">{t("labs.needTwo")}</div>
+          )}
+          <div className="overflow-x-auto mt-3">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-2 pr-3">{t("labs.columns.date")}</th>
+                  <th className="py-2 pr-3">{t("labs.columns.result")}</th>
+                  <th className="py-2 pr-3">{t("labs.columns.range")}</th>
+                  <th className="py-2 pr-3">{t("labs.columns.status")}</th>
+                  <th className="py-2 pr-3">{t("labs.columns.note")}</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...group.results].reverse().map((l) =>
+                  editing === l.id ? (
+                    <tr key={l.id} className="border-b">
+                      <td colSpan={6} className="py-2"><LabForm lab={l} onSave={save} onCancel={()=>setEditing(null)} /></td>
+                    </tr>
+                  ) : (
+                    <tr key={l.id} className={`border-b ${isOutOfRange(l) ? "bg-red-50" : ""}`}>
+                      <td className="py-2 pr-3">{fmtDay(l.date)}</td>
+                      <td className="py-2 pr-3">{valueText(l)}</td>
+                      <td className="py-2 pr-3">{fmtRange(l)}</td>
+                      <td className="py-2 pr-3">{statusBadge(l)}</td>
+                      <td className="py-2 pr-3 text-gray-600">{l.note}</td>
+                      <td className="py-2 whitespace-nowrap">
+                        <button className="px-2 py-1 rounded-xl bg-gray-100 text-xs mr-1" onClick={()=>setEditing(l.id)}>{t("common.edit")}</button>
+                        <button className="px-2 py-1 rounded-xl bg-gray-100 text-xs text-red-700" onClick={()=>remove(l.id)}>{t("common.delete")}</button>
+                      </td>
+                    </tr>
+                  )
+                )}
+              </tbody>
+            </table>
+          </div>
+          {hintOf(group.latest) && <div className="text-xs text-gray-500 mt-2">{hintOf(group.latest)}</div>}
+        </SectionCard>
+      )}
+    </div>
+  );
+}
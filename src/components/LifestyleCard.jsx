@@ -0,0 +1,101 @@
+import React, { useMemo, useState } from "react";
+import { SectionCard, Label, TextInput, Toggle, Pill } from "./ui.jsx";
+import { LIFESTYLE_MODULES, enabledModules, parseLifestyle, weeklySummary } from "../lib/lifestyle.js";
+import { t, fmtDay } from "../lib/i18n.js";
+
+// 숫자 입력 — 올바른 값(또는 빈 칸)만 저장하고, 잘못된 글자는 입력칸에 남겨 오류를 보여 준다 (ReadingsEditor 의 VitalInput 과 같은 방식)
+const LifestyleInput = ({ field, value, onChange }) => {
+  const [draft, setDraft] = useState(null);
+  const [touched, setTouched] = useState(false);
+  const text = draft ?? (value ?? "");
+  const { error } = parseLifestyle(field.key, text);
+  const shown = error && (touched || !/^[\d.,]*$/.test(String(text).trim())) ? error : null;
+
+  const change = (next) => {
+    const parsed = parseLifestyle(field.key, next);
+    if (parsed.error) {
+      setDraft(next);
+      return;
+    }
+    setDraft(/[.,]$/.test(next.trim()) ? next : null); // "68." 입력 중에는 글자를 유지
+    onChange(parsed.value);
+  };
+
+  return (
+    <div>
+      <Label>{t("common.withUnit", { label: field.label, unit: field.unit })}</Label>
+      <TextInput
+        inputMode={field.decimals ? "decimal" : "numeric"}
+        placeholder={field.placeholder}
+        value={text}
+        aria-invalid={!!shown}
+        className={shown ? "border-red-400 focus:ring-red-200" : ""}
+        onChange={(e)=>{ setTouched(false); change(e.target.value); }}
+        onBlur={()=>{ setTouched(true); if (!error) setDraft(null); }}
+      />
+      {shown && <div className="text-xs text-red-700 mt-1">{shown}</div>}
+    </div>
+  );
+};
+
+const monthDay = { month: "short", day: "numeric" };
+
+const metText = (met) =>
+  met === true ? <span className="text-green-700">{t("lifestyle.met")}</span> : met === false ? <span className="text-amber-700">{t("lifestyle.notMet")}</span> : <span className="text-gray-400">-</span>;
+
+// 생활 습관 — 켠 항목만 입력칸을 보여 주고, 이번 주/지난 주 요약을 교육 탭의 목표와 비교한다
+export default function LifestyleCard({ entry, entries, prefs, onPrefsChange, onChange }) {
+  const [editing, setEditing] = useState(false);
+  const modules = useMemo(() => enabledModules(prefs), [prefs]);
+  const weeks = useMemo(() => weeklySummary(entries, modules), [entries, modules]);
+
+  // 처음 고를 때도 '완료'를 누를 때까지 선택 목록을 열어 둔다
+  const toggleModule = (id, v) => {
+    setEditing(true);
+    onPrefsChange({ ...prefs, modules: { ...prefs.modules, [id]: v } });
+  };
+
+  return (
+    <SectionCard title={t("lifestyle.title")} right={<button className="px-3 py-1.5 rounded-2xl bg-gray-100 text-sm" onClick={()=>setEditing(!editing)}>{editing ? t("lifestyle.done") : t("lifestyle.choose")}</button>}>
+      {(editing || modules.length === 0) && (
+        <div className="mb-3">
+          <div className="text-sm text-gray-600 mb-2">{t("lifestyle.chooseHint")}</div>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+            {LIFESTYLE_MODULES.map((m) => (
+              <Toggle key={m.id} label={m.label} checked={prefs.modules[m.id]} onChange={(v)=>toggleModule(m.id, v)} />
+            ))}
+          </div>
+        </div>
+      )}
+      {modules.length > 0 && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-3">
+            {modules.flatMap((m) => m.fields).map((f) => (
+              <LifestyleInput key={`${entry.date}-${f.key}`} field={f} value={entry[f.key] ?? null} onChange={(v)=>onChange({ [f.key]: v })} />
+            ))}
+          </div>
+          {weeks.map((w, i) => (
+            <div key={w.start}>
+              <div className="flex items-center gap-2 mb-1">
+                <span className="text-sm font-medium">{i === 0 ? t("lifestyle.thisWeek") : t("lifestyle.lastWeek")}</span>
+                <Pill>{fmtDay(w.start, monthDay)} ~ {fmtDay(w.end, monthDay)}</Pill>
+              </div>
+              <table className="min-w-full text-sm">
+                <tbody>
+                  {w.items.map((it) => (
+                    <tr key={it.id} className="border-b">
+                      <td className="py-1.5 pr-3">{it.label}</td>
+                      <td className="py-1.5 pr-3">{it.value}{it.days > 0 && <span className="text-gray-400">{t("lifestyle.daysRecorded", { n: it.days })}</span>}</td>
+                      <td className="py-1.5 pr-3 text-gray-500">{t("lifestyle.target", { target: it.target })}</td>
+                      <td className="py-1.5">{metText(it.met)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      )}
+    </SectionCard>
+  );
+}
@@ -0,0 +1,195 @@
+import React, { useState } from "react";
+import { SectionCard, Label, TextInput, Toggle, Pill, Alert } from "./ui.jsx";
+import { LOCK_KINDS, AUTO_LOCK_OPTIONS, DEFAULT_AUTO_LOCK, cryptoAvailable, validateSecret } from "../lib/lock.js";
+import { t, fmtDay, fmtDateTime } from "../lib/i18n.js";
+
+const autoLockLabel = (m) => (m ? t("lock.minutes", { n: m }) : t("common.notUsed"));
+const autoLockOption = (m) => (m ? t("lock.afterIdle", { n: m }) : t("common.notUsed"));
+const kindName = (kind) => (kind === "pin" ? t("lock.pin") : t("lock.passphrase"));
+
+const selectClass = "w-full rounded-xl border border-gray-300 px-3 py-2 bg-white";
+
+// 새 PIN/암호 입력 — 종류, 입력, 확인
+const SecretFields = ({ value, onChange }) => {
+  const isPin = value.kind === "pin";
+  return (
+    <div className="grid grid-cols-2 gap-3">
+      <div className="col-span-2">
+        <Label>{t("lock.kind")}</Label>
+        <select aria-label={t("lock.kind")} className={selectClass} value={value.kind} onChange={(e)=>onChange({ ...value, kind: e.target.value })}>
+          {LOCK_KINDS.map((k) => (<option key={k.id} value={k.id}>{k.label}</option>))}
+        </select>
+      </div>
+      <div>
+        <Label>{isPin ? t("lock.newPin") : t("lock.newPassphrase")}</Label>
+        <TextInput type="password" autoComplete="new-password" inputMode={isPin ? "numeric" : undefined} placeholder={isPin ? t("lock.newPin") : t("lock.newPassphrase")} value={value.secret} onChange={(e)=>onChange({ ...value, secret: e.target.value })} />
+      </div>
+      <div>
+        <Label>{t("lock.confirm")}</Label>
+        <TextInput type="password" autoComplete="new-password" inputMode={isPin ? "numeric" : undefined} placeholder={t("lock.confirmPlaceholder")} value={value.confirm} onChange={(e)=>onChange({ ...value, confirm: e.target.value })} />
+      </div>
+    </div>
+  );
+};
+
+const emptySecret = (kind = "pin") => ({ kind, secret: "", confirm: "" });
+
+// 앱 잠금 설정 — 켜기(복구용 백업 안내 포함), 자동 잠금, PIN/암호 변경, 끄기
+export default function LockPanel({ lock, hasLegacy, profileCount, onEnable, onChangeSecret, onDisable, onAutoLock, onRecoveryExport, onLockNow, onClose }) {
+  const [next, setNext] = useState(emptySecret());
+  const [autoLock, setAutoLock] = useState(DEFAULT_AUTO_LOCK);
+  const [exportedAt, setExportedAt] = useState(null); // 이번에 받은 복구용 백업 시각
+  const [understood, setUnderstood] = useState(false);
+  const [current, setCurrent] = useState("");
+  const [mode, setMode] = useState(null); // 잠금 켠 상태에서: "change" | "disable" | null
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [done, setDone] = useState(null);
+
+  const run = async (fn, message) => {
+    setBusy(true);
+    setError(null);
+    setDone(null);
+    try {
+      await fn();
+      setDone(message);
+      setNext(emptySecret(next.kind));
+      setCurrent("");
+      setMode(null);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const exportRecovery = async () => setExportedAt(await onRecoveryExport());
+
+  const problems = validateSecret(next.kind, next.secret, next.confirm);
+  const secretError = next.secret && next.confirm && problems.length > 0 ? problems.join(" · ") : null;
+  const closeButton = <button className="px-3 py-1.5 rounded-2xl bg-gray-100 text-sm" onClick={onClose}>{t("common.close")}</button>;
+
+  const recoveryButton = (
+    <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={exportRecovery}>
+      {t("lock.recovery")}{profileCount > 1 ? t("lock.recoveryFiles", { n: profileCount }) : ""}
+    </button>
+  );
+
+  if (!cryptoAvailable()) {
+    return (
+      <SectionCard title={t("lock.title")} right={closeButton}>
+        <Alert type="warn" title={t("lock.noCryptoTitle")}>
+          {t("lock.noCrypto")}
+        </Alert>
+      </SectionCard>
+    );
+  }
+
+  if (!lock) {
+    return (
+      <SectionCard title={t("lock.title")} right={closeButton}>
+        <div className="space-y-4">
+          {done && <div className="text-sm text-green-700">{done}</div>}
+          <div className="text-sm text-gray-600">
+            {t("lock.intro")}
+            {hasLegacy && t("lock.legacy")}
+          </div>
+          <SecretFields value={next} onChange={setNext} />
+          <div>
+            <Label>{t("lock.autoLock")}</Label>
+            <select aria-label={t("lock.autoLock")} className={selectClass} value={autoLock} onChange={(e)=>setAutoLock(Number(e.target.value))}>
+              {AUTO_LOCK_OPTIONS.map((m) => (<option key={m} value={m}>{autoLockOption(m)}</option>))}
+            </select>
+          </div>
+          <Alert type="danger" title={t("lock.forgetTitle")}>
+            {t("lock.forget")}
+            {" "}
+            {t("lock.plainBackup")}
+            <div className="flex flex-wrap items-center gap-2 mt-3">
+              {recoveryButton}
+              {exportedAt && <Pill>{t("lock.received", { at: fmtDateTime(exportedAt) })}</Pill>}
+            </div>
+            <div className="mt-3">
+              <Toggle label={t("lock.understood")} checked={understood} onChange={setUnderstood} />
+            </div>
+          </Alert>
+          {secretError && <div className="text-sm text-red-700">{secretError}</div>}
+          {error && <div className="text-sm text-red-700">{error}</div>}
+          <button
+            className="px-4 py-2 rounded-2xl bg-gray-900 text-white disabled:opacity-40"
+            disabled={busy || problems.length > 0 || !understood}
+            onClick={()=>run(() => onEnable(next.kind, next.secret, { autoLockMinutes: autoLock, recoveryExportedAt: exportedAt }), t("lock.enabled"))}
+          >
+            {busy ? t("lock.encrypting") : t("lock.enable")}
+          </button>
+        </div>
+      </SectionCard>
+    );
+  }
+
+  const lastExport = exportedAt || lock.recoveryExportedAt;
+  return (
+    <SectionCard title={t("lock.title")} right={<div className="flex gap-2"><button className="px-3 py-1.5 rounded-2xl bg-gray-900 text-white text-sm" onClick={onLockNow}>{t("lock.lockNow")}</button>{closeButton}</div>}>
+      <div className="space-y-4">
+        <div className="flex flex-wrap gap-2 text-sm">
+          <Pill>{t("lock.inUse", { kind: kindName(lock.kind) })}</Pill>
+          <Pill>{t("lock.autoLockPill", { value: autoLockLabel(lock.autoLockMinutes) })}</Pill>
+        </div>
+        {done && <div className="text-sm text-green-700">{done}</div>}
+        <div>
+          <Label>{t("lock.autoLock")}</Label>
+          <select aria-label={t("lock.autoLock")} className={selectClass} value={lock.autoLockMinutes} onChange={(e)=>onAutoLock(Number(e.target.value))}>
+            {AUTO_LOCK_OPTIONS.map((m) => (<option key={m} value={m}>{autoLockOption(m)}</option>))}
+          </select>
+        </div>
+
+        <div className="border rounded-2xl p-3 text-sm space-y-2">
+          <div className="font-medium">{t("lock.recoveryTitle")}</div>
+          <div className="text-gray-600">
+            {t("lock.recoveryHint")} {lastExport ? t("lock.lastRecovery", { date: fmtDay(lastExport.slice(0, 10)) }) : t("lock.noRecovery")}
+          </div>
+          {recoveryButton}
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={()=>{ setMode(mode === "change" ? null : "change"); setError(null); }}>{t("lock.changeSecret")}</button>
+          <button className="px-4 py-2 rounded-2xl bg-gray-100 text-red-700" onClick={()=>{ setMode(mode === "disable" ? null : "disable"); setError(null); }}>{t("lock.disable")}</button>
+        </div>
+
+        {mode && (
+          <div className="border rounded-2xl p-3 space-y-3">
+            <div>
+              <Label>{t("lock.current", { kind: kindName(lock.kind) })}</Label>
+              <TextInput type="password" autoComplete="current-password" placeholder={t("lock.currentPlaceholder")} value={current} onChange={(e)=>setCurrent(e.target.value)} />
+            </div>
+            {mode === "change" && <SecretFields value={next} onChange={setNext} />}
+            {mode === "change" && <div className="text-xs text-gray-500">{t("lock.rekeyHint")}</div>}
+            {mode === "disable" && <div className="text-xs text-gray-500">{t("lock.disableHint")}</div>}
+            {mode === "change" && secretError && <div className="text-sm text-red-700">{secretError}</div>}
+            {error && <div className="text-sm text-red-700">{error}</div>}
+            <div className="flex gap-2">
+              {mode === "change" ? (
+                <button
+                  className="px-4 py-2 rounded-2xl bg-gray-900 text-white disabled:opacity-40"
+                  disabled={busy || !current || problems.length > 0}
+                  onClick={()=>run(() => onChangeSecret(current, next.kind, next.secret), t("lock.changed"))}
+                >
+                  {busy ? t("lock.reencrypting") : t("lock.change")}
+                </button>
+              ) : (
+                <button
+                  className="px-4 py-2 rounded-2xl bg-red-600 text-white disabled:opacity-40"
+                  disabled={busy || !current}
+                  onClick={()=>run(() => onDisable(current), t("lock.disabled"))}
+                >
+                  {busy ? t("lock.decrypting") : t("lock.turnOff")}
+                </button>
+              )}
+              <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={()=>{ setMode(null); setCurrent(""); setError(null); }}>{t("common.cancel")}</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </SectionCard>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useEffect, useState } from "react";
+import { SectionCard, Label, TextInput, Alert } from "./ui.jsx";
+import { MAX_ATTEMPTS, RETRY_DELAY } from "../lib/lock.js";
+import { t, fmtDay } from "../lib/i18n.js";
+
+// 잠금 화면 — PIN/암호를 확인한 뒤에야 기록을 복호화해 불러온다
+export default function LockScreen({ lock, onUnlock, onReset }) {
+  const [secret, setSecret] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [failures, setFailures] = useState(0);
+  const [waitUntil, setWaitUntil] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+  const [forgot, setForgot] = useState(false);
+  const isPin = lock.kind === "pin";
+  const kind = isPin ? t("lock.pin") : t("lock.passphrase");
+  const wait = Math.max(0, Math.ceil((waitUntil - now) / 1000));
+
+  useEffect(() => {
+    if (!waitUntil) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [waitUntil]);
+
+  const submit = async () => {
+    if (!secret || busy || wait > 0) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await onUnlock(secret);
+    } catch (e) {
+      const n = failures + 1;
+      setFailures(n);
+      setSecret("");
+      setError(e.message);
+      if (n % MAX_ATTEMPTS === 0) {
+        setNow(Date.now());
+        setWaitUntil(Date.now() + RETRY_DELAY * 1000);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const reset = () => {
+    if (!window.confirm(t("lock.screen.confirmReset"))) return;
+    if (!window.confirm(t("lock.screen.confirmResetAgain"))) return;
+    onReset();
+  };
+
+  return (
+    <div className="max-w-md mx-auto space-y-4">
+      <SectionCard title={t("lock.screen.title")}>
+        <form className="space-y-3" onSubmit={(e)=>{ e.preventDefault(); submit(); }}>
+          <div>
+            <Label>{kind}</Label>
+            <TextInput
+              type="password"
+              autoFocus
+              autoComplete="current-password"
+              inputMode={isPin ? "numeric" : undefined}
+              placeholder={isPin ? t("lock.screen.enterPin") : t("lock.screen.enterPassphrase")}
+              value={secret}
+              onChange={(e)=>setSecret(e.target.value)}
+            />
+          </div>
+          {error && <div className="text-sm text-red-700">{error}</div>}
+          {wait > 0 && <div className="text-sm text-amber-700">{t("lock.screen.tooMany", { n: MAX_ATTEMPTS, seconds: wait })}</div>}
+          <button type="submit" className="w-full px-4 py-2 rounded-2xl bg-gray-900 text-white disabled:opacity-40" disabled={!secret || busy || wait > 0}>
+            {busy ? t("lock.screen.checking") : t("lock.screen.unlock")}
+          </button>
+        </form>
+        <button className="mt-3 text-sm text-gray-600 underline" onClick={()=>setForgot(!forgot)}>{isPin ? t("lock.screen.forgotPin") : t("lock.screen.forgotPassphrase")}</button>
+      </SectionCard>
+
+      {forgot && (
+        <Alert type="danger" title={t("lock.screen.noWayTitle")}>
+          {t("lock.screen.noWay", { kind })}
+          {" "}
+          {t("lock.screen.restoreHint")}
+          {lock.recoveryExportedAt && <div className="mt-1">{t("lock.screen.lastRecovery", { date: fmtDay(lock.recoveryExportedAt.slice(0, 10)) })}</div>}
+          <div className="mt-3">
+            <button className="px-4 py-2 rounded-2xl bg-red-600 text-white" onClick={reset}>{t("lock.screen.reset")}</button>
+          </div>
+        </Alert>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import React from "react";
+import { SectionCard, Pill } from "./ui.jsx";
+import { InteractionList, OtherMedInput } from "./InteractionPanel.jsx";
+import { entryInteractions, substancesOf, addOtherMed } from "../lib/interactions.js";
+import { t, fmtDay } from "../lib/i18n.js";
+
+// 그날 먹은 다른 약·보충제 — 기록에 함께 저장하고, 그날의 레지멘과 맞춰 상호작용을 경고한다
+export default function OtherMedsCard({ entry, entries, regimen, onChange }) {
+  const list = entry.otherMeds || [];
+  const items = entryInteractions(regimen, entry).filter((x) => x.other);
+  // 매일 먹는 약은 가장 최근에 기록한 날의 목록을 그대로 가져온다
+  const previous = Object.values(entries)
+    .filter((e) => e.date < entry.date && e.otherMeds?.length)
+    .sort((a, b) => b.date.localeCompare(a.date))[0];
+
+  const setList = (otherMeds) => onChange({ otherMeds });
+
+  return (
+    <SectionCard title={t("interactions.otherTitle")} right={<Pill>{t("common.items", { n: list.length })}</Pill>}>
+      <div className="space-y-3 text-sm">
+        <OtherMedInput id="other-meds" onAdd={(name)=>setList(addOtherMed(list, name))} />
+        {list.length === 0 ? (
+          <div className="text-gray-500">{t("interactions.otherEmpty")}</div>
+        ) : (
+          <ul className="flex flex-wrap gap-2">
+            {list.map((name) => {
+              const known = substancesOf(name);
+              return (
+                <li key={name} className="flex items-center gap-1 rounded-2xl bg-gray-100 pl-3 pr-1 py-1">
+                  <span>{name}</span>
+                  {known.length > 0 && <span className="text-xs text-gray-500">({known.map((s) => s.label).join(", ")})</span>}
+                  <button className="text-xs px-2 py-0.5 rounded-xl hover:bg-gray-200" aria-label={t("interactions.remove", { name })} onClick={()=>setList(list.filter((x) => x !== name))}>×</button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        {previous && list.length === 0 && (
+          <button className="px-3 py-1.5 rounded-2xl bg-gray-100" onClick={()=>setList(previous.otherMeds)}>
+            {t("interactions.copyPrevious", { date: fmtDay(previous.date, { month: "short", day: "numeric" }), n: previous.otherMeds.length })}
+          </button>
+        )}
+        {items.length > 0 && <InteractionList items={items} />}
+        <div className="text-xs text-gray-500">{t("interactions.otherHint")}</div>
+      </div>
+    </SectionCard>
+  );
+}
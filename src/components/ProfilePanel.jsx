@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import { SectionCard, Label, TextInput, Pill, Alert } from "./ui.jsx";
+import { profileInfo, profileLabel, validateProfile } from "../lib/profiles.js";
+import { t } from "../lib/i18n.js";
+
+const ProfileForm = ({ initial, submitLabel, onSubmit, onCancel }) => {
+  const [draft, setDraft] = useState(initial);
+  const problems = validateProfile(draft);
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <Label>{t("profiles.name")}</Label>
+          <TextInput value={draft.name} onChange={(e)=>setDraft({ ...draft, name: e.target.value })} placeholder={t("profiles.namePlaceholder")} />
+        </div>
+        <div>
+          <Label>{t("profiles.birthYear")}</Label>
+          <TextInput inputMode="numeric" value={draft.birthYear} onChange={(e)=>setDraft({ ...draft, birthYear: e.target.value.trim() })} placeholder={t("profiles.birthYearPlaceholder")} />
+        </div>
+      </div>
+      {draft.name && problems.length > 0 && <div className="text-sm text-red-700">{problems.join(" · ")}</div>}
+      <div className="flex gap-2">
+        <button className="px-4 py-2 rounded-2xl bg-gray-900 text-white disabled:opacity-40" disabled={problems.length > 0} onClick={()=>onSubmit({ ...draft, name: draft.name.trim() })}>{submitLabel}</button>
+        <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={onCancel}>{t("common.cancel")}</button>
+      </div>
+    </div>
+  );
+};
+
+// 환자 프로필 관리 — 추가, 이름/출생연도 수정, 삭제
+export default function ProfilePanel({ profiles, activeId, onSwitch, onAdd, onUpdate, onRemove, onClose }) {
+  const [editing, setEditing] = useState(null); // profileId | "new" | null
+  const ids = Object.keys(profiles);
+
+  const remove = (id) => {
+    const { entries, settings } = profiles[id];
+    const n = Object.keys(entries).length;
+    if (window.confirm(t("profiles.confirmRemove", { name: profileLabel(settings), n }))) onRemove(id);
+  };
+
+  return (
+    <SectionCard title={t("profiles.title")} right={<button className="px-3 py-1.5 rounded-2xl bg-gray-100 text-sm" onClick={onClose}>{t("common.close")}</button>}>
+      <div className="text-sm text-gray-600 mb-3">
+        {t("profiles.intro")}
+      </div>
+      <div className="divide-y">
+        {ids.map((id) => (
+          <div key={id} className="py-3">
+            {editing === id ? (
+              <ProfileForm
+                initial={profileInfo(profiles[id].settings)}
+                submitLabel={t("common.save")}
+                onSubmit={(info)=>{ onUpdate(id, info); setEditing(null); }}
+                onCancel={()=>setEditing(null)}
+              />
+            ) : (
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium">{profileLabel(profiles[id].settings)}</span>
+                  <Pill>{t("profiles.recordDays", { n: Object.keys(profiles[id].entries).length })}</Pill>
+                  {id === activeId && <Pill>{t("profiles.active")}</Pill>}
+                </div>
+                <div className="flex gap-2">
+                  {id !== activeId && <button className="px-3 py-1.5 rounded-2xl bg-gray-900 text-white text-sm" onClick={()=>onSwitch(id)}>{t("common.select")}</button>}
+                  <button className="px-3 py-1.5 rounded-2xl bg-gray-100 text-sm" onClick={()=>setEditing(id)}>{t("common.edit")}</button>
+                  {ids.length > 1 && <button className="px-3 py-1.5 rounded-2xl bg-red-50 text-red-700 text-sm" onClick={()=>remove(id)}>{t("common.delete")}</button>}
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="mt-3">
+        {editing === "new" ? (
+          <ProfileForm
+            initial={{ name: "", birthYear: "" }}
+            submitLabel={t("profiles.add")}
+            onSubmit={(info)=>{ onAdd(info); setEditing(null); }}
+            onCancel={()=>setEditing(null)}
+          />
+        ) : (
+          <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={()=>setEditing("new")}>{t("profiles.new")}</button>
+        )}
+      </div>
+      {ids.length > 1 && (
+        <div className="mt-3">
+          <Alert type="info" title={t("profiles.remindersTitle")}>
+            {t("profiles.remindersHint")}
+          </Alert>
+        </div>
+      )}
+    </SectionCard>
+  );
+}
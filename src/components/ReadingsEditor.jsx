@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import { Label, TextInput, Toggle, Pill } from "./ui.jsx";
+import { ARMS, POSITIONS, VITALS, newReading, sortReadings, readingStats, fmtStat, parseVital, bpSwapped } from "../lib/readings.js";
+import { t } from "../lib/i18n.js";
+
+const selectClass = "w-full rounded-xl border border-gray-300 px-3 py-2";
+
+// 숫자 입력 — 올바른 값(또는 빈 칸 = 측정 안 함)만 onChange 로 저장하고, 잘못된 글자는 입력칸에만 남겨 오류를 보여 준다.
+// raw: 예전 기록에서 숫자로 읽지 못한 글자 — 처음에 그대로 보여 주고 고치게 한다
+const VitalInput = ({ field, value, raw, placeholder, onChange }) => {
+  const [draft, setDraft] = useState(raw ?? null); // null 이면 저장된 값을 보여 준다
+  // 예전 기록의 잘못된 값은 처음부터 오류를 보여 준다
+  const [touched, setTouched] = useState(() => raw !== undefined || (value !== null && value !== undefined && !!parseVital(field, value).error));
+  const text = draft ?? (value ?? "");
+  const { error } = parseVital(field, text);
+  // 입력 중에는 숫자가 아닌 글자만 바로 알리고, 범위 오류는 입력칸을 벗어난 뒤 알린다
+  const shown = error && (touched || !/^\d*$/.test(String(text).trim())) ? error : null;
+
+  const change = (next) => {
+    const parsed = parseVital(field, next);
+    if (parsed.error) {
+      setDraft(next);
+      return;
+    }
+    setDraft(null);
+    onChange(parsed.value);
+  };
+
+  return (
+    <div>
+      <Label>{t("common.withUnit", { label: VITALS[field].label, unit: VITALS[field].unit })}</Label>
+      <TextInput
+        inputMode="numeric"
+        placeholder={placeholder}
+        value={text}
+        aria-invalid={!!shown}
+        className={shown ? "border-red-400 focus:ring-red-200" : ""}
+        onChange={(e)=>{ setTouched(false); change(e.target.value); }}
+        onBlur={()=>setTouched(true)}
+      />
+      {shown && <div className="text-xs text-red-700 mt-1">{shown}</div>}
+    </div>
+  );
+};
+
+// 하루 동안의 측정값 목록 편집 + 일일 최소/최대/평균
+export default function ReadingsEditor({ readings = [], onChange }) {
+  const patchReading = (id, patch) => onChange(readings.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  // 값을 고치면 그 항목의 예전 원래 글자(raw)는 지운다
+  const setVital = (r, key, value) => {
+    const raw = { ...(r.raw || {}) };
+    delete raw[key];
+    patchReading(r.id, { [key]: value, raw: Object.keys(raw).length ? raw : undefined });
+  };
+  const removeReading = (id) => onChange(readings.filter((r) => r.id !== id));
+  const stats = readingStats(readings);
+
+  return (
+    <div className="space-y-3">
+      {readings.length === 0 && <div className="text-sm text-gray-500">{t("readings.empty")}</div>}
+      {sortReadings(readings).map((r) => (
+        <div key={r.id} className="border rounded-2xl p-3 space-y-2">
+          <div className="grid grid-cols-4 gap-2">
+            <div>
+              <Label>{t("common.time")}</Label>
+              <TextInput type="time" value={r.time} onChange={(e)=>patchReading(r.id, { time: e.target.value })} />
+            </div>
+            <VitalInput field="pulse" placeholder={t("common.example", { value: 72 })} value={r.pulse} raw={r.raw?.pulse} onChange={(v)=>setVital(r, "pulse", v)} />
+            <VitalInput field="sys" placeholder={t("common.example", { value: 120 })} value={r.sys} raw={r.raw?.sys} onChange={(v)=>setVital(r, "sys", v)} />
+            <VitalInput field="dia" placeholder={t("common.example", { value: 80 })} value={r.dia} raw={r.raw?.dia} onChange={(v)=>setVital(r, "dia", v)} />
+          </div>
+          {bpSwapped(r) && (
+            <div className="flex flex-wrap items-center gap-2 text-sm text-red-700">
+              {t("readings.swappedHint", { sys: r.sys, dia: r.dia })}
+              <button className="px-3 py-1 rounded-2xl bg-red-50 text-red-700 text-xs" onClick={()=>patchReading(r.id, { sys: r.dia, dia: r.sys })}>{t("readings.swap")}</button>
+            </div>
+          )}
+          <div className="grid grid-cols-3 gap-2 items-center">
+            <select className={selectClass} value={r.arm} onChange={(e)=>patchReading(r.id, { arm: e.target.value })}>
+              {ARMS.map((a) => (<option key={a.id} value={a.id}>{a.label}</option>))}
+            </select>
+            <select className={selectClass} value={r.position} onChange={(e)=>patchReading(r.id, { position: e.target.value })}>
+              {POSITIONS.map((p) => (<option key={p.id} value={p.id}>{p.label}</option>))}
+            </select>
+            <button className="px-3 py-2 rounded-2xl bg-gray-100 text-sm" onClick={()=>removeReading(r.id)}>{t("common.delete")}</button>
+          </div>
+          <Toggle label={t("readings.irregular")} checked={r.irregular} onChange={(v)=>patchReading(r.id, { irregular: v })} />
+        </div>
+      ))}
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <button className="px-3 py-1.5 rounded-2xl bg-gray-900 text-white text-sm" onClick={()=>onChange([...readings, newReading()])}>{t("readings.add")}</button>
+        {readings.length > 0 && (
+          <div className="flex flex-wrap gap-1">
+            <Pill>{VITALS.pulse.label} {fmtStat(stats.pulse)}</Pill>
+            <Pill>{VITALS.sys.label} {fmtStat(stats.sys)}</Pill>
+            <Pill>{VITALS.dia.label} {fmtStat(stats.dia)}</Pill>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,178 @@
+import React, { useState } from "react";
+import { SectionCard, Label, TextInput, Toggle, Pill, Alert } from "./ui.jsx";
+import { DOSE_SLOTS, medLabel, newMed, isActiveOn, validateMed, slotLabel, toggleSlot } from "../lib/regimen.js";
+import { todayStr, addDays } from "../lib/date.js";
+import { t, fmtDay } from "../lib/i18n.js";
+
+const MedForm = ({ med, onChange }) => (
+  <div className="grid grid-cols-2 gap-3">
+    <div>
+      <Label>{t("regimen.name")}</Label>
+      <TextInput placeholder={t("regimen.namePlaceholder")} value={med.name} onChange={(e)=>onChange({ name: e.target.value })} />
+    </div>
+    <div>
+      <Label>{t("regimen.generic")}</Label>
+      <TextInput placeholder={t("regimen.genericPlaceholder")} value={med.generic} onChange={(e)=>onChange({ generic: e.target.value })} />
+    </div>
+    <div className="col-span-2">
+      <Label>{t("regimen.dose")}</Label>
+      <TextInput placeholder={t("regimen.dosePlaceholder")} value={med.dose} onChange={(e)=>onChange({ dose: e.target.value })} />
+    </div>
+    <div className="col-span-2">
+      <Label>{t("regimen.slots")}</Label>
+      <div className="flex flex-wrap gap-3">
+        {DOSE_SLOTS.map((s) => (
+          <Toggle
+            key={s.id}
+            label={s.label}
+            checked={med.slots.includes(s.id)}
+            onChange={(v)=>onChange({ slots: toggleSlot(med.slots, s.id, v) })}
+          />
+        ))}
+      </div>
+    </div>
+    <div>
+      <Label>{t("common.startDate")}</Label>
+      <TextInput type="date" value={med.start} onChange={(e)=>onChange({ start: e.target.value })} />
+    </div>
+    <div>
+      <Label>{t("regimen.end")}</Label>
+      <TextInput type="date" value={med.end} onChange={(e)=>onChange({ end: e.target.value })} />
+    </div>
+  </div>
+);
+
+// 용량/시간대 변경 — 적용일부터 새 항목으로 분리해 과거 기록을 보존한다.
+const ChangeForm = ({ med, onApply, onCancel }) => {
+  const [draft, setDraft] = useState({ dose: med.dose, slots: med.slots });
+  const [from, setFrom] = useState(todayStr);
+  const problems = [
+    ...validateMed({ ...med, ...draft }),
+    ...(med.end && from > med.end ? [t("regimen.problems.fromAfterEnd", { end: fmtDay(med.end) })] : [])
+  ];
+  return (
+    <div className="mt-3 border-t pt-3 space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <Label>{t("regimen.newDose")}</Label>
+          <TextInput value={draft.dose} onChange={(e)=>setDraft({ ...draft, dose: e.target.value })} />
+        </div>
+        <div>
+          <Label>{t("regimen.from")}</Label>
+          <TextInput type="date" value={from} onChange={(e)=>setFrom(e.target.value)} />
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-3">
+        {DOSE_SLOTS.map((s) => (
+          <Toggle
+            key={s.id}
+            label={s.label}
+            checked={draft.slots.includes(s.id)}
+            onChange={(v)=>setDraft({ ...draft, slots: toggleSlot(draft.slots, s.id, v) })}
+          />
+        ))}
+      </div>
+      {problems.length > 0 && <div className="text-xs text-red-700">{problems.join(" · ")}</div>}
+      <div className="flex gap-2">
+        <button className="px-3 py-1.5 rounded-2xl bg-gray-900 text-white text-sm" disabled={problems.length > 0 || !from} onClick={()=>onApply(draft, from)}>{t("regimen.applyChange")}</button>
+        <button className="px-3 py-1.5 rounded-2xl bg-gray-100 text-sm" onClick={onCancel}>{t("common.cancel")}</button>
+      </div>
+    </div>
+  );
+};
+
+// onChangeMed(medId, patch, from) — 용량·시간대 변경은 기록의 복용 체크도 옮겨야 하므로 App 이 처리한다
+export default function RegimenEditor({ regimen, onChange, onChangeMed }) {
+  const [editing, setEditing] = useState(null); // 편집 중인 약 id
+  const [changing, setChanging] = useState(null); // 용량 변경 중인 약 id
+  const [draft, setDraft] = useState(null); // 새로 추가하는 약
+
+  const current = regimen.filter((m) => isActiveOn(m, todayStr) || (m.start && m.start > todayStr));
+  const past = regimen.filter((m) => m.end && m.end < todayStr);
+
+  const patchMed = (id, patch) => onChange(regimen.map((m) => (m.id === id ? { ...m, ...patch } : m)));
+  const removeMed = (id) => {
+    if (!window.confirm(t("regimen.confirmRemove"))) return;
+    onChange(regimen.filter((m) => m.id !== id));
+  };
+  // 중단: 어제까지 먹은 것으로. 오늘 시작한 약은 오늘까지, 아직 시작하지 않은 약은 남길 기록이 없으므로 지운다
+  const stopMed = (m) => {
+    if (m.start && m.start > todayStr) onChange(regimen.filter((x) => x.id !== m.id));
+    else patchMed(m.id, { end: m.start === todayStr ? todayStr : addDays(todayStr, -1) });
+  };
+
+  const renderMed = (m, isPast) => (
+    <div key={m.id} className="border rounded-2xl p-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <div className="font-medium">{medLabel(m)}</div>
+          <div className="text-xs text-gray-500 mt-1 flex flex-wrap gap-1">
+            {m.slots.map((s) => (<Pill key={s}>{slotLabel(s)}</Pill>))}
+            <span>{m.start ? fmtDay(m.start) : t("regimen.since")} ~ {m.end ? fmtDay(m.end) : t("regimen.ongoing")}</span>
+          </div>
+        </div>
+        {!isPast && (
+          <div className="flex gap-2 text-sm">
+            <button className="px-3 py-1.5 rounded-2xl bg-gray-100" onClick={()=>setEditing(editing === m.id ? null : m.id)}>{t("common.edit")}</button>
+            <button className="px-3 py-1.5 rounded-2xl bg-gray-100" onClick={()=>setChanging(changing === m.id ? null : m.id)}>{t("regimen.change")}</button>
+            <button className="px-3 py-1.5 rounded-2xl bg-gray-100" onClick={()=>stopMed(m)}>{t("regimen.stop")}</button>
+            <button className="px-3 py-1.5 rounded-2xl bg-gray-100 text-red-700" onClick={()=>removeMed(m.id)}>{t("common.delete")}</button>
+          </div>
+        )}
+      </div>
+      {editing === m.id && (
+        <div className="mt-3 border-t pt-3">
+          <MedForm med={m} onChange={(patch)=>patchMed(m.id, patch)} />
+          {validateMed(m).length > 0 && <div className="text-xs text-red-700 mt-2">{validateMed(m).join(" · ")}</div>}
+        </div>
+      )}
+      {changing === m.id && (
+        <ChangeForm
+          med={m}
+          onCancel={()=>setChanging(null)}
+          onApply={(patch, from)=>{ onChangeMed(m.id, patch, from); setChanging(null); }}
+        />
+      )}
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      <SectionCard
+        title={t("regimen.currentTitle")}
+        right={<button className="px-3 py-1.5 rounded-2xl bg-gray-900 text-white text-sm" onClick={()=>setDraft(newMed(todayStr))}>{t("regimen.add")}</button>}
+      >
+        <div className="space-y-3">
+          {current.length === 0 && <div className="text-sm text-gray-500">{t("regimen.empty")}</div>}
+          {current.map((m) => renderMed(m, false))}
+        </div>
+        {draft && (
+          <div className="mt-4 border rounded-2xl p-3 space-y-3">
+            <MedForm med={draft} onChange={(patch)=>setDraft({ ...draft, ...patch })} />
+            {validateMed(draft).length > 0 && <div className="text-xs text-red-700">{validateMed(draft).join(" · ")}</div>}
+            <div className="flex gap-2">
+              <button
+                className="px-3 py-1.5 rounded-2xl bg-gray-900 text-white text-sm"
+                disabled={validateMed(draft).length > 0}
+                onClick={()=>{ onChange([...regimen, draft]); setDraft(null); }}
+              >
+                {t("common.save")}
+              </button>
+              <button className="px-3 py-1.5 rounded-2xl bg-gray-100 text-sm" onClick={()=>setDraft(null)}>{t("common.cancel")}</button>
+            </div>
+          </div>
+        )}
+      </SectionCard>
+
+      {past.length > 0 && (
+        <SectionCard title={t("regimen.pastTitle")} right={<Pill>{t("regimen.pastHint")}</Pill>}>
+          <div className="space-y-3">{past.map((m) => renderMed(m, true))}</div>
+        </SectionCard>
+      )}
+
+      <Alert type="info" title={t("regimen.changeTitle")}>
+        {t("regimen.changeHint")}
+      </Alert>
+    </div>
+  );
+}
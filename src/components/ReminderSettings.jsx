@@ -0,0 +1,69 @@
+import React, { useState } from "react";
+import { SectionCard, Label, TextInput, Toggle, Pill, Alert } from "./ui.jsx";
+import { reminderPrefs } from "../lib/reminders.js";
+import { notificationsSupported, enableNotifications, showTestNotification } from "../lib/useReminders.js";
+import { doseSlotsOn } from "../lib/regimen.js";
+import { todayStr } from "../lib/date.js";
+import { t, hasMessage } from "../lib/i18n.js";
+
+const permissionText = (permission) => (hasMessage(`reminders.permission.${permission}`) ? t(`reminders.permission.${permission}`) : permission);
+
+// 복약 알림 설정 — 현재 레지멘에 있는 시간대만 표시
+export default function ReminderSettings({ regimen, prefs, onChange }) {
+  const p = reminderPrefs(prefs);
+  const supported = notificationsSupported();
+  const [permission, setPermission] = useState(supported ? Notification.permission : "unsupported");
+  const slots = doseSlotsOn(regimen, todayStr);
+
+  const setEnabled = async (on) => {
+    if (on) {
+      const result = await enableNotifications();
+      setPermission(result);
+      if (result !== "granted") return;
+    }
+    onChange({ ...prefs, enabled: on });
+  };
+
+  return (
+    <SectionCard title={t("reminders.title")} right={<Pill>{t("reminders.permissionPill", { state: permissionText(permission) })}</Pill>}>
+      <div className="space-y-3 text-sm">
+        {!supported && (
+          <Alert type="warn" title={t("reminders.unsupportedTitle")}>
+            {t("reminders.unsupported")}
+          </Alert>
+        )}
+        {permission === "denied" && (
+          <Alert type="warn" title={t("reminders.deniedTitle")}>
+            {t("reminders.denied")}
+          </Alert>
+        )}
+        <Toggle label={t("reminders.enable")} checked={p.enabled} onChange={setEnabled} />
+        <div className="grid grid-cols-2 gap-3">
+          {slots.map((s) => (
+            <div key={s.slot}>
+              <Label>{t("reminders.slotTime", { slot: s.label, meds: s.meds.map((m) => m.name).join(", ") })}</Label>
+              <TextInput type="time" value={p.times[s.slot]} onChange={(e)=>e.target.value && onChange({ ...prefs, times: { ...p.times, [s.slot]: e.target.value } })} />
+            </div>
+          ))}
+          <div>
+            <Label>{t("reminders.snoozeMinutes")}</Label>
+            <TextInput type="number" min="1" max="120" value={p.snoozeMinutes} onChange={(e)=>onChange({ ...prefs, snoozeMinutes: Math.max(1, Number(e.target.value) || 1) })} />
+          </div>
+          <div>
+            <Label>{t("reminders.cutoffMinutes")}</Label>
+            <TextInput type="number" min="15" max="720" value={p.cutoffMinutes} onChange={(e)=>onChange({ ...prefs, cutoffMinutes: Math.max(15, Number(e.target.value) || 15) })} />
+          </div>
+        </div>
+        <div className="text-gray-600">
+          {t("reminders.howItWorks", { minutes: p.cutoffMinutes })}
+        </div>
+        <div className="text-xs text-gray-500">
+          {t("reminders.closedHint")}
+        </div>
+        {permission === "granted" && (
+          <button className="px-3 py-1.5 rounded-2xl bg-gray-100" onClick={showTestNotification}>{t("reminders.test")}</button>
+        )}
+      </div>
+    </SectionCard>
+  );
+}
@@ -0,0 +1,270 @@
+import React, { useMemo, useState } from "react";
+import { SectionCard, Label, TextInput, Pill, Alert } from "./ui.jsx";
+import { PulseChart, BpChart } from "./VitalsCharts.jsx";
+import { RiskScores } from "./RiskCard.jsx";
+import { VITALS, dailyVitals, readingStats } from "../lib/readings.js";
+import { medAdherence } from "../lib/adherence.js";
+import { flagSummary, evaluateRules } from "../lib/rules.js";
+import { thresholdBands } from "../lib/charts.js";
+import { medLabel } from "../lib/regimen.js";
+import { otherMedSummary, entryInteractions, severityOf } from "../lib/interactions.js";
+import { episodeSummary, sortEpisodes, fmtEpisode, fmtDuration, ehraShort } from "../lib/episodes.js";
+import { todayStr, addDays, inRange } from "../lib/date.js";
+import { t, fmtDay, fmtDayShort } from "../lib/i18n.js";
+
+const PRESETS = [14, 30, 90];
+const presetLabel = (days) => (days === 14 ? t("report.presets.twoWeeks") : t("common.lastDays", { n: days }));
+
+const StatRow = ({ label, stat, unit }) => (
+  <tr className="border-b">
+    <td className="py-1.5 pr-4">{label}</td>
+    <td className="py-1.5 pr-4 font-semibold">{stat ? stat.mean : "-"}</td>
+    <td className="py-1.5 pr-4">{stat ? stat.min : "-"}</td>
+    <td className="py-1.5 pr-4">{stat ? stat.max : "-"}</td>
+    <td className="py-1.5 pr-4 text-gray-500">{stat ? t("common.times", { n: stat.n }) : "-"}</td>
+    <td className="py-1.5 pr-4 text-gray-500">{unit}</td>
+  </tr>
+);
+
+// 진료 리포트 — 선택 기간 요약. 인쇄(브라우저 'PDF로 저장')용 레이아웃.
+export default function ReportView({ entries, regimen, rules, risk, patient }) {
+  const [from, setFrom] = useState(addDays(todayStr, -29));
+  const [to, setTo] = useState(todayStr);
+
+  const list = useMemo(
+    () => Object.values(entries).filter((e) => inRange(e.date, from, to)).sort((a, b) => a.date.localeCompare(b.date)),
+    [entries, from, to]
+  );
+  const chartData = useMemo(() => dailyVitals(list), [list]);
+  const bands = useMemo(() => thresholdBands(rules), [rules]);
+  const stats = useMemo(() => readingStats(list.flatMap((e) => e.readings || [])), [list]);
+  const adherence = useMemo(() => medAdherence(list, regimen), [list, regimen]);
+  const flags = useMemo(() => flagSummary(rules, entries, list.map((e) => e.date), { regimen }), [rules, entries, list, regimen]);
+  const episodes = useMemo(() => episodeSummary(list), [list]);
+  const otherMeds = useMemo(() => otherMedSummary(list), [list]);
+  // 기간 중 다른 약이 낀 상호작용 — 같은 조합은 한 번만
+  const interactions = [
+    ...new Map(
+      list.flatMap((e) => entryInteractions(regimen, e).filter((x) => x.other)).map((x) => [`${x.id}-${x.a}-${x.b}`, x])
+    ).values()
+  ];
+  const flaggedNotes = useMemo(
+    () =>
+      list
+        .map((e) => ({ entry: e, flags: evaluateRules(rules, entries, e.date, { regimen }) }))
+        .filter(({ entry, flags }) => entry.notes?.trim() && flags.danger.length + flags.warn.length > 0),
+    [rules, entries, list, regimen]
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="print:hidden">
+        <SectionCard title={t("report.periodTitle")} right={<button className="px-4 py-2 rounded-2xl bg-gray-900 text-white" onClick={()=>window.print()}>{t("report.print")}</button>}>
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <Label>{t("common.startDate")}</Label>
+              <TextInput type="date" value={from} max={to} onChange={(e)=>setFrom(e.target.value)} />
+            </div>
+            <div>
+              <Label>{t("common.endDate")}</Label>
+              <TextInput type="date" value={to} min={from} onChange={(e)=>setTo(e.target.value)} />
+            </div>
+            {PRESETS.map((days) => (
+              <button key={days} className="px-3 py-2 rounded-2xl bg-gray-100 text-sm" onClick={()=>{ setFrom(addDays(todayStr, -(days - 1))); setTo(todayStr); }}>{presetLabel(days)}</button>
+            ))}
+          </div>
+        </SectionCard>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow p-5 print:shadow-none print:p-0 space-y-5">
+        <div className="flex items-end justify-between border-b pb-3">
+          <div>
+            <h2 className="text-xl font-bold">{t("report.title")}</h2>
+            {patient && <div className="font-medium mt-1">{t("report.patient", { name: patient })}</div>}
+            <div className="text-sm text-gray-600">{t("report.period", { from: fmtDay(from), to: fmtDay(to), n: list.length })}</div>
+          </div>
+          <div className="text-xs text-gray-500">{t("report.printedOn", { date: fmtDay(todayStr) })}</div>
+        </div>
+
+        {list.length === 0 && <div className="text-sm text-gray-500">{t("report.empty")}</div>}
+
+        <section className="break-inside-avoid">
+          <h3 className="font-semibold mb-2">{t("report.vitalsTitle")}</h3>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-1.5 pr-4">{t("report.columns.item")}</th>
+                <th className="py-1.5 pr-4">{t("report.columns.mean")}</th>
+                <th className="py-1.5 pr-4">{t("report.columns.min")}</th>
+                <th className="py-1.5 pr-4">{t("report.columns.max")}</th>
+                <th className="py-1.5 pr-4">{t("report.columns.count")}</th>
+                <th className="py-1.5 pr-4">{t("report.columns.unit")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              <StatRow label={VITALS.pulse.label} stat={stats.pulse} unit="bpm" />
+              <StatRow label={t("report.sys")} stat={stats.sys} unit="mmHg" />
+              <StatRow label={t("report.dia")} stat={stats.dia} unit="mmHg" />
+            </tbody>
+          </table>
+        </section>
+
+        <section className="grid md:grid-cols-2 gap-4 print:grid-cols-2 break-inside-avoid">
+          <div>
+            <h3 className="font-semibold mb-2">{t("charts.pulseTitle")}</h3>
+            <div className="h-56"><PulseChart data={chartData} bands={bands} animate={false} /></div>
+          </div>
+          <div>
+            <h3 className="font-semibold mb-2">{t("charts.bpTitle")}</h3>
+            <div className="h-56"><BpChart data={chartData} bands={bands} animate={false} /></div>
+          </div>
+        </section>
+
+        <section className="break-inside-avoid">
+          <h3 className="font-semibold mb-2">{t("report.episodesTitle")}</h3>
+          {episodes.count === 0 ? (
+            <div className="text-sm text-gray-500">{t("report.noEpisodes")}</div>
+          ) : (
+            <>
+              <div className="flex flex-wrap gap-1 mb-2">
+                <Pill>{t("episodes.count", { n: episodes.count })}</Pill>
+                {episodes.totalMinutes > 0 && <Pill>{t("report.totalDuration", { duration: fmtDuration(episodes.totalMinutes) })}</Pill>}
+                {episodes.worstEhra && <Pill>{t("report.worst", { ehra: ehraShort(episodes.worstEhra) })}</Pill>}
+                {episodes.triggers.length > 0 && <Pill>{t("report.triggers", { list: episodes.triggers.map((x) => `${x.label} ${x.count}`).join(", ") })}</Pill>}
+              </div>
+              <ul className="text-sm space-y-1">
+                {list
+                  .filter((e) => e.episodes?.length)
+                  .flatMap((e) => sortEpisodes(e.episodes).map((ep) => (
+                    <li key={ep.id}>
+                      <span className="font-medium mr-2">{fmtDay(e.date)}</span>
+                      {fmtEpisode(ep)}
+                    </li>
+                  )))}
+              </ul>
+            </>
+          )}
+        </section>
+
+        <section className="break-inside-avoid">
+          <h3 className="font-semibold mb-2">{t("report.adherenceTitle")}</h3>
+          {adherence.length === 0 ? (
+            <div className="text-sm text-gray-500">{t("report.noMeds")}</div>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-1.5 pr-4">{t("report.med")}</th>
+                  <th className="py-1.5 pr-4">{t("report.rate")}</th>
+                  <th className="py-1.5 pr-4">{t("report.takenOfExpected")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {adherence.map((a) => (
+                  <tr key={a.med.id} className="border-b">
+                    <td className="py-1.5 pr-4">{medLabel(a.med)}</td>
+                    <td className="py-1.5 pr-4 font-semibold">{a.rate === null ? "-" : `${a.rate}%`}</td>
+                    <td className="py-1.5 pr-4">{t("report.takenCount", { taken: a.taken, expected: a.expected })}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <div className="text-xs text-gray-500 mt-1">{t("report.adherenceHint")}</div>
+        </section>
+
+        <section className="break-inside-avoid">
+          <h3 className="font-semibold mb-2">{t("report.otherMedsTitle")}</h3>
+          {otherMeds.length === 0 ? (
+            <div className="text-sm text-gray-500">{t("report.noOtherMeds")}</div>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-1.5 pr-4">{t("report.med")}</th>
+                  <th className="py-1.5 pr-4">{t("report.daysRecorded")}</th>
+                  <th className="py-1.5 pr-4">{t("report.dates")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {otherMeds.map((m) => (
+                  <tr key={m.name} className="border-b">
+                    <td className="py-1.5 pr-4">{m.name}</td>
+                    <td className="py-1.5 pr-4 font-semibold">{t("common.days", { n: m.days })}</td>
+                    <td className="py-1.5 pr-4">{m.first === m.last ? fmtDay(m.first) : `${fmtDay(m.first)} – ${fmtDay(m.last)}`}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {interactions.length > 0 && (
+            <ul className="text-sm space-y-1 mt-2">
+              {interactions.map((x) => (
+                <li key={`${x.id}-${x.a}-${x.b}`}>
+                  <span className={`font-medium mr-2 ${severityOf(x.severity).alert === "danger" ? "text-red-700" : "text-amber-700"}`}>{severityOf(x.severity).label}</span>
+                  {x.a} + {x.b} — {x.text} <span className="text-xs text-gray-500">({x.source})</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        {risk && (
+          <section className="break-inside-avoid">
+            <h3 className="font-semibold mb-2">{t("report.riskTitle")}</h3>
+            <RiskScores risk={risk} />
+          </section>
+        )}
+
+        <section className="break-inside-avoid">
+          <h3 className="font-semibold mb-2">{t("report.flagsTitle")}</h3>
+          {flags.length === 0 ? (
+            <div className="text-sm text-gray-500">{t("report.noFlags")}</div>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-1.5 pr-4">{t("report.columns.item")}</th>
+                  <th className="py-1.5 pr-4">{t("report.level")}</th>
+                  <th className="py-1.5 pr-4">{t("report.count")}</th>
+                  <th className="py-1.5 pr-4">{t("report.dates")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {flags.map((f) => (
+                  <tr key={f.id} className="border-b align-top">
+                    <td className="py-1.5 pr-4">{f.label}</td>
+                    <td className="py-1.5 pr-4">{f.level === "danger" ? <span className="text-red-700">{t("common.danger")}</span> : <span className="text-amber-700">{t("common.warn")}</span>}</td>
+                    <td className="py-1.5 pr-4 font-semibold">{f.dates.length}</td>
+                    <td className="py-1.5 pr-4 text-xs">{f.dates.map((d) => fmtDayShort(d)).join(", ")}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+
+        <section>
+          <h3 className="font-semibold mb-2">{t("report.notesTitle")}</h3>
+          {flaggedNotes.length === 0 ? (
+            <div className="text-sm text-gray-500">{t("common.none")}</div>
+          ) : (
+            <ul className="text-sm space-y-2">
+              {flaggedNotes.map(({ entry: e, flags: f }) => (
+                <li key={e.date} className="break-inside-avoid">
+                  <span className="font-medium mr-2">{fmtDay(e.date)}</span>
+                  <Pill>{[...f.danger, ...f.warn].map((x) => x.label).join(" · ")}</Pill>
+                  <div className="whitespace-pre-wrap text-gray-700 mt-1">{e.notes}</div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        <Alert type="info" title={t("report.noteTitle")}>
+          {t("report.note")}
+        </Alert>
+      </div>
+    </div>
+  );
+}
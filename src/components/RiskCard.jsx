@@ -0,0 +1,95 @@
+import React from "react";
+import { SectionCard, Label, Toggle, Pill, Alert } from "./ui.jsx";
+import { RISK_FIELDS, SEXES, riskPrefs, reasonText, scoreTitle, itemLabel, levelText } from "../lib/risk.js";
+import { t } from "../lib/i18n.js";
+
+const SCORES = ["chads", "hasbled"];
+
+const levelClass = (level) => (level === "high" ? "text-red-700" : level === "moderate" ? "text-amber-700" : "text-green-700");
+
+// 점수 한 가지의 항목별 표 — 근거는 프로필에서 체크했는지, 기록에서 읽었는지
+const ScoreTable = ({ score, result }) => (
+  <div>
+    <h3 className="font-semibold mb-2">
+      {scoreTitle(score)} <span className="ml-1">{t("risk.total", { total: result.total, max: result.max })}</span>
+      <span className={`ml-2 text-sm font-medium ${levelClass(result.level)}`}>{levelText(score, result.level)}</span>
+    </h3>
+    <table className="min-w-full text-sm">
+      <thead>
+        <tr className="text-left border-b">
+          <th className="py-1.5 pr-4">{t("risk.columns.item")}</th>
+          <th className="py-1.5 pr-4">{t("risk.columns.points")}</th>
+          <th className="py-1.5 pr-4">{t("risk.columns.basis")}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {result.items.map((x) => (
+          <tr key={x.id} className="border-b align-top">
+            <td className="py-1.5 pr-4">{itemLabel(score, x.id)}</td>
+            <td className={`py-1.5 pr-4 ${x.points ? "font-semibold" : "text-gray-400"}`}>{x.points}</td>
+            <td className="py-1.5 pr-4 text-xs text-gray-600">{reasonText(x.reason)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+    <div className="text-xs text-gray-500 mt-1">{t(`risk.${score}.meaning`)}</div>
+  </div>
+);
+
+// 두 점수의 항목별 내역 — 위험 점수 카드, 진료 리포트, 의료진 공유 화면에서 같이 쓴다
+export const RiskScores = ({ risk }) => (
+  <div className="space-y-3">
+    {risk.missing.length > 0 && (
+      <Alert type="warn" title={t("risk.missingTitle")}>
+        {risk.missing.map((m) => t(`risk.missing.${m}`)).join(" · ")}
+      </Alert>
+    )}
+    <div className="grid md:grid-cols-2 gap-4 print:grid-cols-2">
+      {SCORES.map((score) => (<ScoreTable key={score} score={score} result={risk[score]} />))}
+    </div>
+  </div>
+);
+
+// 검사·진료 탭 — 점수에 필요한 진단명을 체크하고, 기록에서 읽은 항목과 합친 점수를 보인다
+export default function RiskCard({ prefs, risk, onChange }) {
+  const p = riskPrefs(prefs);
+  const set = (key, value) => onChange({ ...p, [key]: value });
+
+  return (
+    <SectionCard
+      title={t("risk.title")}
+      right={<Pill>{t("risk.summary", { chads: risk.chads.total, hasbled: risk.hasbled.total })}</Pill>}
+    >
+      <div className="space-y-4 text-sm">
+        <div className="text-gray-600">{t("risk.intro")}</div>
+        <div className="grid md:grid-cols-2 gap-4">
+          <div className="space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <Label>{t("risk.sex")}</Label>
+                <select aria-label={t("risk.sex")} className="w-full rounded-xl border border-gray-300 px-3 py-2" value={p.sex} onChange={(e)=>set("sex", e.target.value)}>
+                  <option value="">{t("risk.sexUnset")}</option>
+                  {SEXES.map((s) => (<option key={s} value={s}>{t(`risk.sexes.${s}`)}</option>))}
+                </select>
+              </div>
+              <div>
+                <Label>{t("risk.age")}</Label>
+                <div className="py-2">{risk.age === null ? <span className="text-gray-500">{t("risk.ageUnset")}</span> : t("risk.ageValue", { age: risk.age })}</div>
+              </div>
+            </div>
+            <div className="space-y-2">
+              {RISK_FIELDS.map((f) => (
+                <div key={f.id}>
+                  <Toggle label={f.label} checked={p[f.id]} onChange={(v)=>set(f.id, v)} />
+                  <div className="text-xs text-gray-500 ml-6">{f.hint}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+          <RiskScores risk={risk} />
+        </div>
+        <div className="text-xs text-gray-500">{t("risk.disclaimer")}</div>
+      </div>
+    </SectionCard>
+  );
+}
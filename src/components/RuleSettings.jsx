@@ -0,0 +1,65 @@
+import React from "react";
+import { SectionCard, Label, TextInput, Toggle } from "./ui.jsx";
+import { RULES, resolveRules, ruleLabel, ruleFieldLabel } from "../lib/rules.js";
+import { t } from "../lib/i18n.js";
+
+// 경고 기준 — 규칙별 켜기/끄기와 기준값. 주치의가 정해 준 개인 목표가 있으면 여기서 바꾼다.
+export default function RuleSettings({ regimen, overrides, onChange }) {
+  const rules = resolveRules(overrides);
+  const meds = [...new Map(regimen.map((m) => [m.generic || m.name, m])).values()];
+
+  const patch = (id, p) => {
+    const o = overrides[id] || {};
+    onChange({ ...overrides, [id]: { ...o, ...p, params: { ...(o.params || {}), ...(p.params || {}) } } });
+  };
+  const reset = (id) => {
+    const next = { ...overrides };
+    delete next[id];
+    onChange(next);
+  };
+
+  const customized = (r) => !!overrides[r.id];
+  const input = (r, f) =>
+    f.kind === "med" ? (
+      <select className="w-full rounded-xl border border-gray-300 px-3 py-2" value={r.params[f.key]} onChange={(e)=>patch(r.id, { params: { [f.key]: e.target.value } })}>
+        {!meds.some((m) => (m.generic || m.name) === r.params[f.key]) && <option value={r.params[f.key]}>{r.params[f.key]}</option>}
+        {meds.map((m) => (<option key={m.id} value={m.generic || m.name}>{m.name}{m.generic ? ` (${m.generic})` : ""}</option>))}
+      </select>
+    ) : (
+      <TextInput type="number" min={f.step || 1} step={f.step || 1} value={r.params[f.key]} onChange={(e)=>patch(r.id, { params: { [f.key]: e.target.value === "" ? "" : Math.max(f.step || 1, Number(e.target.value)) } })} />
+    );
+
+  return (
+    <SectionCard title={t("rules.settings.title")}>
+      <div className="text-sm text-gray-600 mb-3">
+        {t("rules.settings.intro")}
+      </div>
+      <div className="divide-y">
+        {rules.map((r) => (
+          <div key={r.id} className="py-3">
+            <div className="flex items-center justify-between gap-3">
+              <Toggle label={ruleLabel(r, regimen)} checked={r.enabled} onChange={(v)=>patch(r.id, { enabled: v })} />
+              <div className="flex items-center gap-2 shrink-0">
+                <span className={`text-xs ${r.level === "danger" ? "text-red-700" : "text-amber-700"}`}>{t(`common.${r.level}`)}</span>
+                {customized(r) && (
+                  <button className="text-xs px-2 py-1 rounded-xl bg-gray-100" onClick={()=>reset(r.id)}>{t("rules.settings.reset")}</button>
+                )}
+              </div>
+            </div>
+            {r.fields && r.enabled && (
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mt-2">
+                {r.fields.map((f) => (
+                  <div key={f.key}>
+                    <Label>{ruleFieldLabel(r, f.key)}</Label>
+                    {input(r, f)}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="text-xs text-gray-500 mt-2">{t("rules.settings.footer", { n: RULES.length })}</div>
+    </SectionCard>
+  );
+}
@@ -0,0 +1,134 @@
+import React, { useState } from "react";
+import QRCode from "qrcode";
+import { SectionCard, Label, TextInput, Toggle, Pill, Alert } from "./ui.jsx";
+import { buildSnapshot, encodeSnapshot, shareUrl, validatePassword, QR_MAX_LENGTH, MIN_PASSWORD } from "../lib/share.js";
+import { cryptoAvailable } from "../lib/lock.js";
+import { todayStr, addDays, inRange } from "../lib/date.js";
+import { t, fmtNumber } from "../lib/i18n.js";
+
+const PRESETS = [7, 14, 30];
+
+// 의료진 공유 — 선택 기간을 읽기 전용 링크와 QR 코드로 만든다. 서버에 올리지 않으므로 링크 자체가 기록이다
+export default function ShareSnapshotPanel({ entries, settings, regimen, onClose }) {
+  const [from, setFrom] = useState(addDays(todayStr, -13));
+  const [to, setTo] = useState(todayStr);
+  const [notes, setNotes] = useState(false);
+  const [password, setPassword] = useState("");
+  const [link, setLink] = useState(null); // { url, qr } — qr 은 data URL, 너무 길면 null
+  const [problems, setProblems] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const count = Object.keys(entries).filter((d) => inRange(d, from, to)).length;
+  const canEncrypt = cryptoAvailable();
+
+  // 조건을 바꾸면 이전에 만든 링크는 지운다 — 다른 기간의 링크를 잘못 보내지 않도록
+  const clearLink = () => {
+    setLink(null);
+    setCopied(false);
+  };
+  const change = (setter) => (value) => {
+    setter(value);
+    clearLink();
+  };
+
+  const setPreset = (days) => {
+    setFrom(addDays(todayStr, -(days - 1)));
+    setTo(todayStr);
+    clearLink();
+  };
+
+  const create = async () => {
+    const found = validatePassword(password);
+    setProblems(found);
+    if (found.length) return;
+    setBusy(true);
+    try {
+      const token = await encodeSnapshot(buildSnapshot(entries, settings, regimen, { from, to, notes }), password);
+      const url = shareUrl(token);
+      const qr = url.length <= QR_MAX_LENGTH ? await QRCode.toDataURL(url, { errorCorrectionLevel: "L", margin: 1, width: 288 }).catch(() => null) : null;
+      setLink({ url, qr });
+    } catch (e) {
+      setProblems([e.message]);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(link.url);
+      setCopied(true);
+    } catch {
+      setProblems([t("share.copyFailed")]);
+    }
+  };
+
+  return (
+    <SectionCard title={t("share.title")} right={<Pill>{t("csv.selected", { n: count })}</Pill>}>
+      <div className="space-y-3 text-sm">
+        <div className="text-gray-600">{t("share.intro")}</div>
+        <div className="flex flex-wrap gap-2">
+          {PRESETS.map((days) => (
+            <button key={days} className="px-3 py-1.5 rounded-2xl bg-gray-100" onClick={()=>setPreset(days)}>{t("common.lastDays", { n: days })}</button>
+          ))}
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <Label>{t("common.startDate")}</Label>
+            <TextInput type="date" value={from} max={to} onChange={(e)=>change(setFrom)(e.target.value)} />
+          </div>
+          <div>
+            <Label>{t("common.endDate")}</Label>
+            <TextInput type="date" value={to} min={from} onChange={(e)=>change(setTo)(e.target.value)} />
+          </div>
+          <div className="col-span-2">
+            <Label>{t("share.password")}</Label>
+            <TextInput
+              type="password"
+              autoComplete="new-password"
+              placeholder={canEncrypt ? t("share.passwordPlaceholder", { n: MIN_PASSWORD }) : t("share.noCrypto")}
+              disabled={!canEncrypt}
+              value={password}
+              onChange={(e)=>change(setPassword)(e.target.value)}
+            />
+          </div>
+        </div>
+        <Toggle label={t("share.includeNotes")} checked={notes} onChange={change(setNotes)} />
+        {problems.length > 0 && (
+          <Alert type="danger" title={t("share.failed")}>
+            <ul className="list-disc pl-5">{problems.map((p) => (<li key={p}>{p}</li>))}</ul>
+          </Alert>
+        )}
+        <div className="flex gap-2">
+          <button className="px-4 py-2 rounded-2xl bg-gray-900 text-white" disabled={count === 0 || busy} onClick={create}>{busy ? t("share.creating") : t("share.create")}</button>
+          <button className="px-4 py-2 rounded-2xl bg-gray-100" onClick={onClose}>{t("common.close")}</button>
+        </div>
+
+        {link && (
+          <div className="space-y-3 border-t pt-3">
+            <div>
+              <Label>{t("share.link", { n: fmtNumber(link.url.length) })}</Label>
+              <textarea readOnly className="w-full rounded-xl border border-gray-300 px-3 py-2 text-xs font-mono h-24" value={link.url} onFocus={(e)=>e.target.select()} />
+            </div>
+            <div className="flex gap-2">
+              <button className="px-4 py-2 rounded-2xl bg-gray-900 text-white" onClick={copy}>{copied ? t("share.copied") : t("share.copy")}</button>
+            </div>
+            {link.qr ? (
+              <div>
+                <img src={link.qr} alt={t("share.qrAlt")} className="w-48 h-48 border rounded-xl" />
+                <div className="text-xs text-gray-500 mt-1">{t("share.qrHint")}</div>
+              </div>
+            ) : (
+              <Alert type="info" title={t("share.qrTooLongTitle")}>
+                {t("share.qrTooLong")}
+              </Alert>
+            )}
+            <Alert type="warn" title={t("share.warningTitle")}>
+              {password ? t("share.warningEncrypted") : t("share.warningPlain")}
+            </Alert>
+          </div>
+        )}
+      </div>
+    </SectionCard>
+  );
+}
@@ -0,0 +1,188 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { SectionCard, Label, TextInput, Pill, Alert } from "./ui.jsx";
+import { PulseChart, BpChart } from "./VitalsCharts.jsx";
+import { RiskScores } from "./RiskCard.jsx";
+import { decodeSnapshot, isEncryptedToken } from "../lib/share.js";
+import { dailyVitals, readingStats, sortReadings, fmtStat, fmtReading } from "../lib/readings.js";
+import { resolveRules, flagSummary } from "../lib/rules.js";
+import { thresholdBands } from "../lib/charts.js";
+import { dosesOn, isTaken, slotLabel } from "../lib/regimen.js";
+import { t, fmtDay, fmtDayShort, fmtDateTime } from "../lib/i18n.js";
+
+const SYMPTOM_KEYS = ["dizziness", "syncope", "dyspnea", "edema", "bleeding"];
+
+// 받은 스냅샷의 내용 — 메모리에서만 보여 주고 저장소에는 쓰지 않는다
+function SnapshotContent({ data }) {
+  const list = useMemo(() => Object.values(data.entries).sort((a, b) => a.date.localeCompare(b.date)), [data]);
+  const chartData = useMemo(() => dailyVitals(list), [list]);
+  const rules = useMemo(() => resolveRules(data.settings.rules), [data]);
+  const bands = useMemo(() => thresholdBands(rules), [rules]);
+  const regimen = data.settings.regimen;
+  // 경고 문구는 화면 언어를 따르므로 메모하지 않는다
+  const flags = flagSummary(rules, data.entries, list.map((e) => e.date), { regimen });
+  const hasNotes = list.some((e) => e.notes?.trim());
+
+  return (
+    <div className="space-y-4">
+      <SectionCard title={t("share.view.vitalsTitle")}>
+        <div className="grid md:grid-cols-2 gap-4">
+          <div>
+            <h3 className="font-semibold mb-2">{t("charts.pulseTitle")}</h3>
+            <div className="h-56"><PulseChart data={chartData} bands={bands} /></div>
+          </div>
+          <div>
+            <h3 className="font-semibold mb-2">{t("charts.bpTitle")}</h3>
+            <div className="h-56"><BpChart data={chartData} bands={bands} /></div>
+          </div>
+        </div>
+      </SectionCard>
+
+      {data.risk && (
+        <SectionCard title={t("share.view.riskTitle", { date: fmtDay(data.createdAt.slice(0, 10)) })}>
+          <RiskScores risk={data.risk} />
+        </SectionCard>
+      )}
+
+      <SectionCard title={t("report.flagsTitle")}>
+        {flags.length === 0 ? (
+          <div className="text-sm text-gray-500">{t("report.noFlags")}</div>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-1.5 pr-4">{t("report.columns.item")}</th>
+                <th className="py-1.5 pr-4">{t("report.level")}</th>
+                <th className="py-1.5 pr-4">{t("report.count")}</th>
+                <th className="py-1.5 pr-4">{t("report.dates")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {flags.map((f) => (
+                <tr key={f.id} className="border-b align-top">
+                  <td className="py-1.5 pr-4">{f.label}</td>
+                  <td className="py-1.5 pr-4">{f.level === "danger" ? <span className="text-red-700">{t("common.danger")}</span> : <span className="text-amber-700">{t("common.warn")}</span>}</td>
+                  <td className="py-1.5 pr-4 font-semibold">{f.dates.length}</td>
+                  <td className="py-1.5 pr-4 text-xs">{f.dates.map((d) => fmtDayShort(d)).join(", ")}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </SectionCard>
+
+      <SectionCard title={t("share.view.historyTitle")} right={<Pill>{t("history.totalDays", { n: list.length })}</Pill>}>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-2 pr-4">{t("common.date")}</th>
+                <th className="py-2 pr-4">{t("history.pulse")}</th>
+                <th className="py-2 pr-4">{t("history.bp")}</th>
+                <th className="py-2 pr-4">{t("history.readings")}</th>
+                <th className="py-2 pr-4">{t("history.symptoms")}</th>
+                <th className="py-2 pr-4">{t("history.doses")}</th>
+                {hasNotes && <th className="py-2 pr-4">{t("common.notes")}</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {[...list].reverse().map((e) => {
+                const doses = dosesOn(regimen, e.date);
+                const taken = doses.filter((d) => isTaken(e, d.slot, d.med.id));
+                const st = readingStats(e.readings);
+                const sx = [
+                  ...SYMPTOM_KEYS.filter((k) => e[k]).map((k) => t(`symptomsShort.${k}`)),
+                  e.episodes.length > 0 && t("history.episodes", { n: e.episodes.length })
+                ].filter(Boolean).join(" · ");
+                return (
+                  <tr key={e.date} className="border-b align-top">
+                    <td className="py-2 pr-4 whitespace-nowrap">{fmtDayShort(e.date)}</td>
+                    <td className="py-2 pr-4">{fmtStat(st.pulse)}</td>
+                    <td className="py-2 pr-4">{st.sys && st.dia ? `${fmtStat(st.sys)} / ${fmtStat(st.dia)}` : "-"}</td>
+                    <td className="py-2 pr-4 text-xs text-gray-600">
+                      {sortReadings(e.readings).map((r) => (<div key={r.id}>{fmtReading(r)}</div>))}
+                    </td>
+                    <td className="py-2 pr-4">{sx || "-"}</td>
+                    <td className="py-2 pr-4">{taken.map((d) => `${slotLabel(d.slot)} ${d.med.name}`).join(", ") || "-"}{doses.length > 0 && <span className="text-gray-400"> ({taken.length}/{doses.length})</span>}</td>
+                    {hasNotes && <td className="py-2 pr-4 text-xs whitespace-pre-wrap">{e.notes}</td>}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </SectionCard>
+    </div>
+  );
+}
+
+// 의료진 공유 링크(#snapshot=…)로 열린 화면 — 읽기 전용. 닫으면 받은 사람의 앱이 평소대로 열린다
+export default function SnapshotView({ token, onClose }) {
+  const encrypted = isEncryptedToken(token);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (encrypted) return undefined;
+    let live = true;
+    decodeSnapshot(token).then(
+      (snap) => live && setData(snap),
+      (e) => live && setError(e.message)
+    );
+    return () => {
+      live = false;
+    };
+  }, [token, encrypted]);
+
+  const open = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      setData(await decodeSnapshot(token, password));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <Alert type="warn" title={t("share.view.bannerTitle")}>
+        {data && (
+          <div className="font-medium">
+            {data.patient && <span className="mr-2">{t("report.patient", { name: data.patient })}</span>}
+            {data.from && data.to && <span className="mr-2">{t("share.view.period", { from: fmtDay(data.from), to: fmtDay(data.to) })}</span>}
+          </div>
+        )}
+        {data?.createdAt && <div>{t("share.view.createdAt", { at: fmtDateTime(data.createdAt) })}</div>}
+        <div className="mt-1">{t("share.view.banner")}</div>
+        <button className="mt-2 px-4 py-2 rounded-2xl bg-gray-900 text-white" onClick={onClose}>{t("share.view.close")}</button>
+      </Alert>
+
+      {!data && encrypted && (
+        <SectionCard title={t("share.view.passwordTitle")}>
+          <form className="flex flex-wrap items-end gap-3" onSubmit={open}>
+            <div>
+              <Label>{t("share.password")}</Label>
+              <TextInput type="password" autoComplete="off" value={password} onChange={(e)=>setPassword(e.target.value)} />
+            </div>
+            <button type="submit" className="px-4 py-2 rounded-2xl bg-gray-900 text-white" disabled={!password || busy}>{busy ? t("lock.decrypting") : t("share.view.open")}</button>
+          </form>
+        </SectionCard>
+      )}
+
+      {error && (
+        <Alert type="danger" title={t("share.view.failed")}>
+          {error}
+        </Alert>
+      )}
+
+      {!data && !encrypted && !error && <div className="text-sm text-gray-600">{t("app.loading")}</div>}
+
+      {data && <SnapshotContent data={data} />}
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+import { SectionCard, Label, TextInput, Pill } from "./ui.jsx";
+import { newVisit, validateVisit, futureVisits, pastVisits, dDay, visitTitle } from "../lib/visits.js";
+import { medLabel } from "../lib/regimen.js";
+import { todayStr } from "../lib/date.js";
+import { t, fmtDay } from "../lib/i18n.js";
+
+const VisitForm = ({ visit, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(visit);
+  const problems = validateVisit(draft);
+  const set = (patch) => setDraft({ ...draft, ...patch });
+  return (
+    <div className="border rounded-2xl p-3 space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <Label>{t("common.date")}</Label>
+          <TextInput type="date" value={draft.date} onChange={(e)=>set({ date: e.target.value })} />
+        </div>
+        <div>
+          <Label>{t("visits.time")}</Label>
+          <TextInput type="time" value={draft.time} onChange={(e)=>set({ time: e.target.value })} />
+        </div>
+        <div>
+          <Label>{t("visits.clinic")}</Label>
+          <TextInput placeholder={t("visits.clinicPlaceholder")} value={draft.clinic} onChange={(e)=>set({ clinic: e.target.value })} />
+        </div>
+        <div>
+          <Label>{t("visits.doctorLabel")}</Label>
+          <TextInput placeholder={t("visits.doctorPlaceholder")} value={draft.doctor} onChange={(e)=>set({ doctor: e.target.value })} />
+        </div>
+        <div className="col-span-2">
+          <Label>{t("visits.purpose")}</Label>
+          <TextInput placeholder={t("visits.purposePlaceholder")} value={draft.purpose} onChange={(e)=>set({ purpose: e.target.value })} />
+        </div>
+        <div className="col-span-2">
+          <Label>{t("visits.instructions")}</Label>
+          <textarea className="w-full rounded-xl border border-gray-300 px-3 py-2 min-h-[60px]" placeholder={t("visits.instructionsPlaceholder")} value={draft.instructions} onChange={(e)=>set({ instructions: e.target.value })} />
+        </div>
+        <div className="col-span-2">
+          <Label>{t("visits.doseChanges")}</Label>
+          <TextInput placeholder={t("visits.doseChangesPlaceholder")} value={draft.doseChanges} onChange={(e)=>set({ doseChanges: e.target.value })} />
+        </div>
+      </div>
+      {problems.length > 0 && <div className="text-xs text-red-700">{problems.join(" · ")}</div>}
+      <div className="flex gap-2">
+        <button className="px-3 py-1.5 rounded-2xl bg-gray-900 text-white text-sm" disabled={problems.length > 0} onClick={()=>onSave(draft)}>{t("common.save")}</button>
+        <button className="px-3 py-1.5 rounded-2xl bg-gray-100 text-sm" onClick={onCancel}>{t("common.cancel")}</button>
+      </div>
+    </div>
+  );
+};
+
+// 진료 예약과 기록 — 예약을 잡아 두고, 진료가 끝나면 같은 항목에 지시 사항과 용량 변경을 채운다
+export default function VisitLog({ visits, regimen, onChange }) {
+  const [draft, setDraft] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const upcoming = futureVisits(visits);
+  const past = pastVisits(visits);
+
+  const save = (v) => {
+    onChange(visits.some((x) => x.id === v.id) ? visits.map((x) => (x.id === v.id ? v : x)) : [...visits, v]);
+    setDraft(null);
+    setEditing(null);
+  };
+  const remove = (id) => {
+    if (!window.confirm(t("visits.confirmRemove"))) return;
+    onChange(visits.filter((v) => v.id !== id));
+  };
+
+  const renderVisit = (v, isPast) => {
+    if (editing === v.id) return <VisitForm key={v.id} visit={v} onSave={save} onCancel={()=>setEditing(null)} />;
+    // '약 관리'에서 이 날짜부터 적용한 약 변경 — 따로 적지 않아도 함께 보여 준다
+    const started = regimen.filter((m) => m.start && m.start === v.date);
+    return (
+      <div key={v.id} className="border rounded-2xl p-3">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div>
+            <div className="font-medium">{visitTitle(v)}</div>
+            <div className="text-xs text-gray-500 mt-1 flex flex-wrap gap-1 items-center">
+              <span>{fmtDay(v.date)}{v.time ? ` ${v.time}` : ""}</span>
+              {!isPast && <Pill>{dDay(v.date)}</Pill>}
+            </div>
+          </div>
+          <div className="flex gap-2 text-sm">
+            <button className="px-3 py-1.5 rounded-2xl bg-gray-100" onClick={()=>setEditing(v.id)}>{isPast && !v.instructions ? t("visits.writeUp") : t("common.edit")}</button>
+            <button className="px-3 py-1.5 rounded-2xl bg-gray-100 text-red-700" onClick={()=>remove(v.id)}>{t("common.delete")}</button>
+          </div>
+        </div>
+        {(v.instructions || v.doseChanges || started.length > 0) && (
+          <div className="mt-2 text-sm space-y-1">
+            {v.instructions && <div className="whitespace-pre-wrap"><span className="text-gray-500">{t("visits.instructionsPrefix")}</span>{v.instructions}</div>}
+            {v.doseChanges && <div><span className="text-gray-500">{t("visits.doseChangesPrefix")}</span>{v.doseChanges}</div>}
+            {started.length > 0 && (
+              <div className="flex flex-wrap gap-1 items-center">
+                <span className="text-gray-500">{t("visits.startedMeds")}</span>
+                {started.map((m) => (<Pill key={m.id}>{medLabel(m)}</Pill>))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <SectionCard
+        title={t("visits.upcomingTitle")}
+        right={<button className="px-3 py-1.5 rounded-2xl bg-gray-900 text-white text-sm" onClick={()=>setDraft(newVisit(todayStr))}>{t("visits.add")}</button>}
+      >
+        {draft && <div className="mb-3"><VisitForm visit={draft} onSave={save} onCancel={()=>setDraft(null)} /></div>}
+        <div className="space-y-3">
+          {upcoming.length === 0 && <div className="text-sm text-gray-500">{t("visits.empty")}</div>}
+          {upcoming.map((v) => renderVisit(v, false))}
+        </div>
+      </SectionCard>
+
+      {past.length > 0 && (
+        <SectionCard title={t("visits.pastTitle")} right={<Pill>{t("common.times", { n: past.length })}</Pill>}>
+          <div className="space-y-3">{past.map((v) => renderVisit(v, true))}</div>
+        </SectionCard>
+      )}
+    </div>
+  );
+}
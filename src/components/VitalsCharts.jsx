@@ -0,0 +1,105 @@
+import React from "react";
+import { Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, ComposedChart, Area, ReferenceLine, ReferenceArea, ReferenceDot } from "recharts";
+import { yDomain, dateTick } from "../lib/charts.js";
+import { labDomain, isOutOfRange } from "../lib/labs.js";
+import { VITALS } from "../lib/readings.js";
+import { t, fmtDay } from "../lib/i18n.js";
+
+const COLORS = { pulse: "#2563eb", sys: "#7c3aed", dia: "#0891b2", pp: "#ea580c", map: "#16a34a" };
+const BAND_FILL = { danger: "#fca5a5", warn: "#fcd34d" };
+
+// 증상 발작이 있었던 날 — 세로 점선 (날짜별 dailyVitals().episodes)
+const episodeLines = (data) =>
+  data
+    .filter((d) => d.episodes > 0)
+    .map((d) => (
+      <ReferenceLine key={`ep-${d.date}`} x={d.date} stroke="#dc2626" strokeDasharray="4 3" label={{ value: t("charts.episodeLine", { n: d.episodes }), position: "insideTop", fontSize: 10, fill: "#dc2626" }} />
+    ));
+
+// 복용 누락(아래, 주황)과 위험 경고(위, 빨강) 표시 — lib/charts.js chartSeries() 의 missed/danger
+const markerDots = (data, [lo, hi]) => {
+  const pad = (hi - lo) * 0.04;
+  return data.flatMap((d) => [
+    d.missed && <ReferenceDot key={`miss-${d.date}`} x={d.date} y={lo + pad} r={4} fill="#f59e0b" stroke="none" />,
+    d.danger && <ReferenceDot key={`danger-${d.date}`} x={d.date} y={hi - pad} r={4} fill="#dc2626" stroke="none" />
+  ].filter(Boolean));
+};
+
+const bandAreas = (bands) =>
+  bands.map((b) => (
+    <ReferenceArea key={b.id} y1={b.y1} y2={b.y2} fill={BAND_FILL[b.level]} fillOpacity={0.25} strokeOpacity={0} ifOverflow="hidden" />
+  ));
+
+// series: [{ key, name }] — 평균 선, 범위(key+"Range")가 있으면 영역, showAvg 면 key+"Avg" 점선
+// bands: 이 그래프의 측정값에 해당하는 경고 기준 영역 (lib/charts.js thresholdBands)
+const TrendChart = ({ data, series, withRange, fallback, bands = [], showAvg = false, showMarkers = false, animate }) => {
+  const values = series.flatMap((s) => data.flatMap((d) => [d[s.key], ...(withRange ? d[`${s.key}Range`] || [] : [])]));
+  const domain = yDomain(values, bands, fallback);
+  const tick = dateTick(data);
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <ComposedChart data={data} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="date" tickFormatter={tick} minTickGap={16} />
+        <YAxis domain={domain} allowDataOverflow />
+        <Tooltip labelFormatter={(d) => fmtDay(d)} />
+        <Legend />
+        {bandAreas(bands)}
+        {withRange && series.map((s) => (
+          <Area key={`${s.key}-range`} type="monotone" dataKey={`${s.key}Range`} name={t("charts.range", { name: s.name })} stroke={COLORS[s.key]} fill={COLORS[s.key]} fillOpacity={0.15} strokeOpacity={0} isAnimationActive={animate} />
+        ))}
+        {series.map((s) => (
+          <Line key={s.key} type="monotone" dataKey={s.key} name={t("charts.mean", { name: s.name })} stroke={COLORS[s.key]} dot={data.length < 40} isAnimationActive={animate} />
+        ))}
+        {showAvg && series.map((s) => (
+          <Line key={`${s.key}-avg`} type="monotone" dataKey={`${s.key}Avg`} name={t("charts.weekAvg", { name: s.name })} stroke={COLORS[s.key]} strokeWidth={2.5} strokeDasharray="6 3" dot={false} connectNulls isAnimationActive={animate} />
+        ))}
+        {episodeLines(data)}
+        {showMarkers && markerDots(data, domain)}
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+};
+
+const bandsFor = (bands, metrics) => bands.filter((b) => metrics.includes(b.metric));
+
+// data: lib/charts.js chartSeries() 또는 lib/readings.js dailyVitals() 결과. 인쇄용에서는 animate={false}
+export const PulseChart = ({ data, bands = [], animate = true, ...opts }) => (
+  <TrendChart data={data} series={[{ key: "pulse", name: VITALS.pulse.label }]} withRange fallback={[40, 140]} bands={bandsFor(bands, ["pulse"])} animate={animate} {...opts} />
+);
+
+export const BpChart = ({ data, bands = [], animate = true, ...opts }) => (
+  <TrendChart data={data} series={[{ key: "sys", name: VITALS.sys.label }, { key: "dia", name: VITALS.dia.label }]} withRange fallback={[50, 180]} bands={bandsFor(bands, ["sys", "dia"])} animate={animate} {...opts} />
+);
+
+// 맥압(수축기−이완기)과 평균동맥압 — 경고 규칙이 없어 기준 영역은 그리지 않는다
+export const PressureChart = ({ data, animate = true, ...opts }) => (
+  <TrendChart data={data} series={[{ key: "pp", name: t("charts.pp") }, { key: "map", name: t("charts.map") }]} fallback={[20, 120]} animate={animate} {...opts} bands={[]} />
+);
+
+// 검사 결과 추이 — results: lib/labs.js labGroups() 의 results. 최근 결과지의 참고 범위를 초록 영역으로, 범위 밖 값은 빨간 점
+const LabDot = ({ cx, cy, payload }) => {
+  if (cx == null || cy == null) return null;
+  const out = isOutOfRange(payload);
+  return <circle cx={cx} cy={cy} r={out ? 5 : 3.5} fill={out ? "#dc2626" : "#2563eb"} stroke="#fff" strokeWidth={1} />;
+};
+
+export const LabChart = ({ results, name, unit, animate = true }) => {
+  const latest = results[results.length - 1] || {};
+  const domain = labDomain(results, latest);
+  const tick = dateTick(results);
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <ComposedChart data={results} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="date" tickFormatter={tick} minTickGap={16} />
+        <YAxis domain={domain} allowDataOverflow />
+        <Tooltip labelFormatter={(d) => fmtDay(d)} formatter={(v) => [`${v}${unit ? ` ${unit}` : ""}`, name]} />
+        {(latest.low != null || latest.high != null) && (
+          <ReferenceArea y1={latest.low ?? domain[0]} y2={latest.high ?? domain[1]} fill="#86efac" fillOpacity={0.25} strokeOpacity={0} ifOverflow="hidden" />
+        )}
+        <Line type="monotone" dataKey="value" name={name} stroke="#2563eb" dot={<LabDot />} activeDot={{ r: 6 }} isAnimationActive={animate} />
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+};
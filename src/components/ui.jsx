@@ -0,0 +1,66 @@
+import React from "react";
+
+// --- 공통 UI 컴포넌트 ---
+export const Alert = ({ type = "info", title, children }) => {
+  const color =
+    type === "danger"
+      ? "bg-red-50 border-red-300 text-red-800"
+      : type === "warn"
+      ? "bg-amber-50 border-amber-300 text-amber-800"
+      : "bg-blue-50 border-blue-300 text-blue-800";
+  return (
+    <div className={`border ${color} rounded-2xl p-4`}> 
+      {title && <div className="font-semibold mb-1">{title}</div>}
+      <div className="text-sm leading-relaxed">{children}</div>
+    </div>
+  );
+};
+
+export const SectionCard = ({ title, right, children }) => (
+  <div className="bg-white rounded-2xl shadow p-5">
+    <div className="flex items-center justify-between mb-3">
+      <h2 className="text-lg font-semibold">{title}</h2>
+      {right}
+    </div>
+    {children}
+  </div>
+);
+
+export const Label = ({ children }) => (
+  <label className="text-sm text-gray-700 mb-1 block">{children}</label>
+);
+
+export const TextInput = (props) => (
+  <input
+    {...props}
+    className={`w-full rounded-xl border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-gray-300 ${props.className||""}`}
+  />
+);
+
+export const Toggle = ({ checked, onChange, label }) => (
+  <label className="flex items-center gap-2 cursor-pointer select-none">
+    <input type="checkbox" className="w-4 h-4" checked={!!checked} onChange={(e)=>onChange(e.target.checked)} />
+    <span className="text-sm">{label}</span>
+  </label>
+);
+
+export const Pill = ({ children }) => (
+  <span className="px-2.5 py-1 text-xs rounded-full bg-gray-100 border border-gray-200">{children}</span>
+);
+
+// tabs: [{ id, label }] — value/onChange 는 id (화면 언어가 바뀌어도 그대로)
+export const Tabs = ({ tabs, value, onChange }) => (
+  <div className="flex gap-2 bg-gray-100 p-1 rounded-2xl">
+    {tabs.map((tab) => (
+      <button
+        key={tab.id}
+        onClick={() => onChange(tab.id)}
+        className={`px-4 py-2 rounded-2xl text-sm ${
+          value === tab.id ? "bg-white shadow" : "text-gray-600"
+        }`}
+      >
+        {tab.label}
+      </button>
+    ))}
+  </div>
+);
@@ -0,0 +1,158 @@
+// --- 복용 순응도 ---
+// 기록이 있는 날만 계산한다. 기록이 없는 날(또는 앱이 자동으로 만든 빈 기록)은 '알 수 없음'이며
+// 누락으로 세지 않는다. 오늘 아직 체크하지 않은 복용은 '대기'로 보고 제외한다.
+import { dosesOn, isTaken, slotLabel } from "./regimen.js";
+import { hasLifestyle } from "./lifestyle.js";
+import { addDays, todayStr } from "./date.js";
+import { t, weekdayNames } from "./i18n.js";
+
+// 사용자가 실제로 무언가를 입력한 기록인지
+export const isRecorded = (entry) =>
+  !!entry &&
+  ((entry.readings || []).length > 0 ||
+    (entry.episodes || []).length > 0 ||
+    hasLifestyle(entry) ||
+    ["dizziness", "syncope", "dyspnea", "edema", "bleeding"].some((k) => entry[k]) ||
+    (entry.fatigue && entry.fatigue !== "0") ||
+    !!entry.notes?.trim() ||
+    Object.values(entry.meds || {}).some((slot) => Object.values(slot || {}).some(Boolean)));
+
+// "taken" | "missed" | "pending" | "unknown"
+export function doseStatus(entry, slot, medId, today = todayStr) {
+  if (isTaken(entry, slot, medId)) return "taken";
+  if (!isRecorded(entry)) return "unknown";
+  return entry.date === today ? "pending" : "missed";
+}
+
+// 약별 복용률: [{ med, expected, taken, rate }] — rate 는 0–100 (계산할 기록이 없으면 null)
+export function medAdherence(entryList, regimen, today = todayStr) {
+  const byMed = new Map();
+  for (const e of entryList) {
+    for (const d of dosesOn(regimen, e.date)) {
+      const status = doseStatus(e, d.slot, d.med.id, today);
+      if (status !== "taken" && status !== "missed") continue;
+      if (!byMed.has(d.med.id)) byMed.set(d.med.id, { med: d.med, expected: 0, taken: 0 });
+      const row = byMed.get(d.med.id);
+      row.expected += 1;
+      if (status === "taken") row.taken += 1;
+    }
+  }
+  return [...byMed.values()].map((r) => ({ ...r, rate: r.expected ? Math.round((r.taken / r.expected) * 1000) / 10 : null }));
+}
+
+const rate = (taken, missed) => (taken + missed ? Math.round((taken / (taken + missed)) * 1000) / 10 : null);
+
+// (약, 시간대)별 일자 상태 목록 — 과거→오늘, 복용 대상인 날만
+function doseDays(entries, regimen, days, today) {
+  const series = new Map(); // `${medId}:${slot}` → { med, slot, days: [{ date, status }] }
+  for (let i = days - 1; i >= 0; i--) {
+    const date = addDays(today, -i);
+    for (const d of dosesOn(regimen, date)) {
+      const key = `${d.med.id}:${d.slot}`;
+      if (!series.has(key)) series.set(key, { key, med: d.med, slot: d.slot, days: [] });
+      series.get(key).days.push({ date, status: doseStatus(entries[date], d.slot, d.med.id, today) });
+    }
+  }
+  return [...series.values()];
+}
+
+// 연속 복용: 기록 없는 날은 건너뛰고(끊지 않음), 누락이 있으면 끊는다.
+function streaks(days) {
+  let longest = 0;
+  let run = 0;
+  for (const d of days) {
+    if (d.status === "taken") longest = Math.max(longest, ++run);
+    else if (d.status === "missed") run = 0;
+  }
+  let current = 0;
+  for (let i = days.length - 1; i >= 0; i--) {
+    const s = days[i].status;
+    if (s === "taken") current += 1;
+    else if (s === "missed") break;
+  }
+  return { current, longest };
+}
+
+const daysSinceFirst = (entries, today) => {
+  const first = Object.keys(entries).sort()[0];
+  if (!first || first > today) return 1;
+  return Math.round((new Date(`${today}T00:00:00`) - new Date(`${first}T00:00:00`)) / 86400000) + 1;
+};
+
+// 복용 시간대별 요약: [{ key, med, slot, label, windows: { 7: { rate, taken, missed, unknown }, ... }, current, longest }]
+// 연속 기록은 전체 기록 기준으로 계산한다.
+export function adherenceBySlot(entries, regimen, { windows = [7, 30, 90], today = todayStr } = {}) {
+  const span = Math.max(...windows, daysSinceFirst(entries, today));
+  return doseDays(entries, regimen, span, today)
+    .map((s) => {
+      const w = {};
+      for (const n of windows) {
+        const from = addDays(today, -(n - 1));
+        const inWin = s.days.filter((d) => d.date >= from);
+        const count = (st) => inWin.filter((d) => d.status === st).length;
+        w[n] = { taken: count("taken"), missed: count("missed"), unknown: count("unknown"), rate: rate(count("taken"), count("missed")) };
+      }
+      return { key: s.key, med: s.med, slot: s.slot, label: `${slotLabel(s.slot)} ${s.med.name}`, windows: w, ...streaks(s.days) };
+    })
+    // 최근 기간에 복용 대상이었던 것만 (오래전에 끝난 약 제외)
+    .filter((r) => windows.some((n) => r.windows[n].taken + r.windows[n].missed + r.windows[n].unknown > 0));
+}
+
+// 하루의 복용 상태: { status, taken, total }
+// status: "taken"(모두 복용) | "partial" | "missed"(모두 누락) | "pending" | "unknown" | "none"(복용 대상 없음)
+export function dayDoseStatus(entry, regimen, date, today = todayStr) {
+  const doses = dosesOn(regimen, date);
+  if (!doses.length) return { status: "none", taken: 0, total: 0 };
+  const st = doses.map((d) => doseStatus(entry, d.slot, d.med.id, today));
+  const taken = st.filter((s) => s === "taken").length;
+  let status;
+  if (st.every((s) => s === "unknown")) status = "unknown";
+  else if (taken === doses.length) status = "taken";
+  else if (st.includes("pending")) status = "pending";
+  else status = taken === 0 ? "missed" : "partial";
+  return { status, taken, total: doses.length };
+}
+
+// 달력 히트맵: 최근 days 일의 [{ date, status, taken, total }]
+export function adherenceCalendar(entries, regimen, { days = 91, today = todayStr } = {}) {
+  const out = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = addDays(today, -i);
+    out.push({ date, ...dayDoseStatus(entries[date], regimen, date, today) });
+  }
+  return out;
+}
+
+const weekday = (date) => new Date(`${date}T00:00:00`).getDay();
+
+// 누락 패턴: 주말/평일 차이, 특정 요일 집중 — [{ key, label, text }]
+export function missedPatterns(entries, regimen, { days = 90, today = todayStr, minMisses = 3 } = {}) {
+  const patterns = [];
+  for (const s of doseDays(entries, regimen, days, today)) {
+    const known = s.days.filter((d) => d.status === "taken" || d.status === "missed");
+    const missed = known.filter((d) => d.status === "missed");
+    if (missed.length < minMisses) continue;
+    const label = `${slotLabel(s.slot)} ${s.med.name}`;
+
+    const isWeekend = (d) => [0, 6].includes(weekday(d.date));
+    const we = known.filter(isWeekend);
+    const wd = known.filter((d) => !isWeekend(d));
+    const weRate = we.length ? we.filter((d) => d.status === "missed").length / we.length : 0;
+    const wdRate = wd.length ? wd.filter((d) => d.status === "missed").length / wd.length : 0;
+    const pct = (x) => Math.round(x * 100);
+    const weekendHeavy = we.length >= 2 && weRate >= 0.2 && weRate >= wdRate * 2;
+    if (weekendHeavy) {
+      patterns.push({ key: `${s.key}:weekend`, label, text: t("adherence.weekend", { label, weekend: pct(weRate), weekday: pct(wdRate) }) });
+    } else if (wd.length >= 2 && wdRate >= 0.2 && wdRate >= weRate * 2 && we.length >= 2) {
+      patterns.push({ key: `${s.key}:weekday`, label, text: t("adherence.weekday", { label, weekend: pct(weRate), weekday: pct(wdRate) }) });
+    }
+
+    const byDay = [0, 1, 2, 3, 4, 5, 6].map((i) => missed.filter((d) => weekday(d.date) === i).length);
+    const top = byDay.indexOf(Math.max(...byDay));
+    // 주말 패턴으로 이미 설명되는 토·일 집중은 따로 알리지 않는다
+    if (byDay[top] >= 3 && byDay[top] / missed.length >= 0.4 && !(weekendHeavy && [0, 6].includes(top))) {
+      patterns.push({ key: `${s.key}:day${top}`, label, text: t("adherence.day", { label, total: missed.length, count: byDay[top], day: weekdayNames("long")[top] }) });
+    }
+  }
+  return patterns;
+}
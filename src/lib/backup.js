@@ -0,0 +1,171 @@
+// --- 전체 백업/복원 (JSON) ---
+// { format, schemaVersion, exportedAt, checksum, data: { entries, settings } } — 환자 프로필 하나의 데이터
+// checksum 은 JSON.stringify(data) 의 SHA-256 (hex).
+import { SCHEMA_VERSION } from "./migrations.js";
+import { migrate } from "./storage.js";
+import { t } from "./i18n.js";
+
+export const BACKUP_FORMAT = "afibcare-backup";
+
+export class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BackupError";
+  }
+}
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+const optional = (check) => (v) => v === undefined || check(v);
+const listOf = (check) => (v) => Array.isArray(v) && v.every(check);
+
+// 화면이 바로 읽는 목록·객체 필드의 형식 — 마이그레이션을 거친 뒤라 readings·meds 는 항상 있어야 한다
+const ENTRY_FIELDS = {
+  readings: listOf(isObj),
+  meds: (v) => isObj(v) && Object.values(v).every(isObj),
+  episodes: optional(listOf(isObj)),
+  otherMeds: optional(listOf((x) => typeof x === "string"))
+};
+
+// 알려진 설정 키의 형식 — 없는 키는 기본값을 쓰므로 괜찮다
+const SETTINGS_FIELDS = {
+  regimen: optional(listOf((m) => isObj(m) && typeof m.id === "string" && Array.isArray(m.slots))),
+  labs: optional(listOf(isObj)),
+  visits: optional(listOf(isObj)),
+  importPresets: optional(listOf(isObj)),
+  rules: optional((v) => isObj(v) && Object.values(v).every(isObj)),
+  reminders: optional((v) => isObj(v) && optional(isObj)(v.times)),
+  ...Object.fromEntries(["profile", "risk", "emergency", "lifestyle", "csvExport"].map((k) => [k, optional(isObj)]))
+};
+
+async function sha256(text) {
+  if (!globalThis.crypto?.subtle) throw new BackupError(t("backup.noChecksum"));
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(buf)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function buildBackup({ entries, settings }) {
+  const data = { entries, settings };
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    checksum: await sha256(JSON.stringify(data)),
+    data
+  };
+}
+
+// 파일 내용을 검증하고 현재 형식으로 올린 { entries, settings } 를 돌려준다.
+export async function parseBackup(text) {
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch {
+    throw new BackupError(t("backup.notJson"));
+  }
+  if (!isObj(obj) || obj.format !== BACKUP_FORMAT) throw new BackupError(t("backup.notBackup"));
+  if (!Number.isInteger(obj.schemaVersion) || obj.schemaVersion < 1) throw new BackupError(t("backup.badVersion"));
+  if (obj.schemaVersion > SCHEMA_VERSION) throw new BackupError(t("backup.newerVersion"));
+  if (!isObj(obj.data) || !isObj(obj.data.entries) || !isObj(obj.data.settings)) throw new BackupError(t("backup.badData"));
+  if ((await sha256(JSON.stringify(obj.data))) !== obj.checksum) throw new BackupError(t("backup.checksum"));
+  for (const [date, e] of Object.entries(obj.data.entries)) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !isObj(e) || e.date !== date) {
+      throw new BackupError(t("backup.badEntry", { date }));
+    }
+  }
+  let data;
+  try {
+    data = migrate(obj.data, obj.schemaVersion);
+  } catch {
+    throw new BackupError(t("backup.badData"));
+  }
+  for (const [date, e] of Object.entries(data.entries)) {
+    const field = Object.keys(ENTRY_FIELDS).find((k) => !ENTRY_FIELDS[k](e[k]));
+    if (field) throw new BackupError(t("backup.badField", { date, field }));
+  }
+  const setting = Object.keys(SETTINGS_FIELDS).find((k) => !SETTINGS_FIELDS[k](data.settings[k]));
+  if (setting) throw new BackupError(t("backup.badSetting", { field: setting }));
+  return data;
+}
+
+// --- 병합 ---
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const isBlank = (v, def) =>
+  v === undefined ||
+  v === null ||
+  v === "" ||
+  v === false ||
+  (def !== undefined && same(v, def)) ||
+  (Array.isArray(v) && v.length === 0) ||
+  (isObj(v) && Object.values(v).every((x) => isBlank(x)));
+
+// 두 값을 필드 단위로 합친다. 같은 자리에 서로 다른 값이 있으면 conflict (값은 a 유지).
+function mergeValue(a, b, def) {
+  if (same(a, b) || isBlank(b, def)) return { value: a, conflict: false };
+  if (isBlank(a, def)) return { value: b, conflict: false };
+  if (Array.isArray(a) && Array.isArray(b) && [...a, ...b].every((x) => isObj(x) && x.id)) {
+    let conflict = false;
+    const byId = new Map(a.map((x) => [x.id, x]));
+    for (const item of b) {
+      if (!byId.has(item.id)) byId.set(item.id, item);
+      else {
+        const m = mergeValue(byId.get(item.id), item);
+        conflict = conflict || m.conflict;
+        byId.set(item.id, m.value);
+      }
+    }
+    return { value: [...byId.values()], conflict };
+  }
+  if (isObj(a) && isObj(b)) {
+    let conflict = false;
+    const value = { ...a };
+    for (const k of Object.keys(b)) {
+      const m = mergeValue(a[k], b[k], def?.[k]);
+      conflict = conflict || m.conflict;
+      value[k] = m.value;
+    }
+    return { value, conflict };
+  }
+  return { value: a, conflict: true };
+}
+
+export const mergeEntry = (local, incoming, defaults) => mergeValue(local, incoming, defaults);
+
+// 날짜별 비교: added(새 날짜), changed(빈 칸만 채워짐), conflicting(같은 항목이 서로 다름), unchanged
+export function diffEntries(local, incoming, defaults) {
+  const result = { added: [], changed: [], conflicting: [], unchanged: [] };
+  for (const [date, inc] of Object.entries(incoming)) {
+    const cur = local[date];
+    if (!cur || isBlank(cur, { ...defaults, date })) {
+      result[isBlank(inc, { ...defaults, date }) ? "unchanged" : "added"].push(date);
+      continue;
+    }
+    const m = mergeValue(cur, inc, { ...defaults, date });
+    if (m.conflict) result.conflicting.push(date);
+    else if (same(m.value, cur)) result.unchanged.push(date);
+    else result.changed.push(date);
+  }
+  for (const k of Object.keys(result)) result[k].sort();
+  return result;
+}
+
+// mode: "merge" | "replace". merge 시 conflicting 날짜는 takeIncoming 에 있으면 백업 값, 아니면 내 기록 유지.
+export function applyImport(local, incoming, { mode, defaults, takeIncoming = [] }) {
+  if (mode === "replace") return { entries: { ...incoming.entries }, settings: { ...incoming.settings } };
+  const entries = { ...local.entries };
+  const diff = diffEntries(local.entries, incoming.entries, defaults);
+  for (const d of diff.added) entries[d] = incoming.entries[d];
+  for (const d of diff.changed) entries[d] = mergeEntry(local.entries[d], incoming.entries[d], { ...defaults, date: d }).value;
+  for (const d of diff.conflicting) {
+    entries[d] = takeIncoming.includes(d)
+      ? incoming.entries[d]
+      : mergeEntry(local.entries[d], incoming.entries[d], { ...defaults, date: d }).value;
+  }
+  // 설정: 목록(레지멘 등)은 id 기준 합치기, 나머지는 내 설정 유지
+  const settings = { ...local.settings };
+  for (const [k, v] of Object.entries(incoming.settings)) {
+    settings[k] = k in settings ? mergeValue(settings[k], v).value : v;
+  }
+  return { entries, settings };
+}
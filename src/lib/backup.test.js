@@ -0,0 +1,106 @@
+import { describe, it, expect } from "vitest";
+import { buildBackup, parseBackup, diffEntries, mergeEntry, applyImport, BackupError } from "./backup.js";
+
+const DAY = "2026-10-19";
+const DEFAULTS = { readings: [], meds: {}, dizziness: false, notes: "" };
+
+const entry = (extra = {}) => ({ date: DAY, readings: [], meds: {}, ...extra });
+
+const backupText = async (data) => JSON.stringify(await buildBackup(data));
+
+// 내용을 바꾼 뒤 checksum 을 다시 맞춘다 — 형식 검사만 보려고
+const withData = async (data) => JSON.stringify({ ...JSON.parse(await backupText(data)), data });
+
+describe("parseBackup", () => {
+  it("만든 백업을 그대로 되읽는다", async () => {
+    const data = { entries: { [DAY]: entry({ notes: "메모" }) }, settings: { regimen: [{ id: "a", name: "약", slots: ["am"] }] } };
+    expect(await parseBackup(await backupText(data))).toEqual(data);
+  });
+
+  it("JSON·형식·버전이 다르면 거부한다", async () => {
+    await expect(parseBackup("{")).rejects.toThrow(BackupError);
+    await expect(parseBackup(JSON.stringify({ format: "other" }))).rejects.toThrow(BackupError);
+    const newer = { ...JSON.parse(await backupText({ entries: {}, settings: {} })), schemaVersion: 999 };
+    await expect(parseBackup(JSON.stringify(newer))).rejects.toThrow(BackupError);
+  });
+
+  it("checksum 이 맞지 않으면 거부한다", async () => {
+    const obj = JSON.parse(await backupText({ entries: { [DAY]: entry() }, settings: {} }));
+    obj.data.entries[DAY].notes = "고친 내용";
+    await expect(parseBackup(JSON.stringify(obj))).rejects.toThrow(BackupError);
+  });
+
+  it.each([
+    ["readings", { readings: "x" }],
+    ["meds", { meds: [] }],
+    ["meds", { meds: { am: true } }],
+    ["episodes", { episodes: {} }],
+    ["otherMeds", { otherMeds: [1] }]
+  ])("기록의 %s 형식이 잘못되면 거부한다", async (field, extra) => {
+    const text = await withData({ entries: { [DAY]: entry(extra) }, settings: {} });
+    await expect(parseBackup(text)).rejects.toThrow(new RegExp(field));
+  });
+
+  it("날짜 키와 기록의 date 가 다르면 거부한다", async () => {
+    const text = await withData({ entries: { [DAY]: entry({ date: "2026-10-18" }) }, settings: {} });
+    await expect(parseBackup(text)).rejects.toThrow(BackupError);
+  });
+
+  it.each([
+    ["regimen", {}],
+    ["regimen", [{ id: "a", slots: "am" }]],
+    ["labs", "x"],
+    ["visits", [1]],
+    ["rules", []],
+    ["reminders", { times: "08:00" }],
+    ["profile", "이름"]
+  ])("설정 %s 형식이 잘못되면 거부한다", async (field, value) => {
+    const text = await withData({ entries: {}, settings: { [field]: value } });
+    await expect(parseBackup(text)).rejects.toThrow(new RegExp(field));
+  });
+
+  it("예전 버전의 잘못된 기록은 마이그레이션 중 실패해도 BackupError", async () => {
+    const obj = JSON.parse(await withData({ entries: { [DAY]: { date: DAY, readings: "x" } }, settings: {} }));
+    obj.schemaVersion = 3;
+    await expect(parseBackup(JSON.stringify(obj))).rejects.toThrow(BackupError);
+  });
+});
+
+describe("병합", () => {
+  it("빈 칸은 채우고, 서로 다른 값은 충돌로 본다", () => {
+    const local = { [DAY]: entry({ notes: "내 메모" }), "2026-10-18": entry({ notes: "같음" }) };
+    const incoming = {
+      [DAY]: entry({ notes: "백업 메모" }),
+      "2026-10-18": entry({ notes: "같음", dizziness: true }),
+      "2026-10-17": entry({ notes: "새 날" })
+    };
+    expect(diffEntries(local, incoming, DEFAULTS)).toEqual({ added: ["2026-10-17"], changed: ["2026-10-18"], conflicting: [DAY], unchanged: [] });
+  });
+
+  it("id 가 있는 목록은 id 로 합친다", () => {
+    const a = entry({ readings: [{ id: "r1", pulse: 70 }] });
+    const b = entry({ readings: [{ id: "r1", pulse: 70 }, { id: "r2", pulse: 80 }] });
+    const m = mergeEntry(a, b, { ...DEFAULTS, date: DAY });
+    expect(m.conflict).toBe(false);
+    expect(m.value.readings.map((r) => r.id)).toEqual(["r1", "r2"]);
+  });
+
+  it("합치기: 충돌한 날은 takeIncoming 에 있을 때만 백업 값", () => {
+    const local = { entries: { [DAY]: entry({ notes: "내 메모" }), "2026-10-18": entry({ notes: "내 것" }) }, settings: { regimen: [{ id: "a", slots: ["am"] }] } };
+    const incoming = {
+      entries: { [DAY]: entry({ notes: "백업 메모" }), "2026-10-18": entry({ notes: "백업 것" }) },
+      settings: { regimen: [{ id: "b", slots: ["pm"] }], labs: [{ id: "l1" }] }
+    };
+    const out = applyImport(local, incoming, { mode: "merge", defaults: DEFAULTS, takeIncoming: [DAY] });
+    expect(out.entries[DAY].notes).toBe("백업 메모");
+    expect(out.entries["2026-10-18"].notes).toBe("내 것");
+    expect(out.settings.regimen.map((m) => m.id)).toEqual(["a", "b"]);
+    expect(out.settings.labs).toEqual([{ id: "l1" }]);
+  });
+
+  it("바꾸기는 백업 내용으로 통째로", () => {
+    const local = { entries: { [DAY]: entry({ notes: "내 메모" }) }, settings: { risk: { chf: true } } };
+    const incoming = { entries: {}, settings: {} };
+    expect(applyImport(local, incoming, { mode: "replace", defaults: DEFAULTS })).toEqual({ entries: {}, settings: {} });
+  });
+});
@@ -0,0 +1,30 @@
+// --- 기록 보기: 월간 달력 요약 ---
+import { monthDays, todayStr } from "./date.js";
+import { isRecorded, dayDoseStatus } from "./adherence.js";
+import { evaluateRules } from "./rules.js";
+import { t } from "./i18n.js";
+
+export const HISTORY_FILTERS = ["all", "danger", "missed"].map((id) => ({
+  id,
+  get label() {
+    return t(`calendar.filters.${id}`);
+  }
+}));
+
+// 그 달의 날짜별 요약: [{ date, recorded, dose: { status, taken, total }, level: "danger" | "warn" | null, flags }]
+export function monthSummary(entries, regimen, rules, month, today = todayStr) {
+  return monthDays(month).map((date) => {
+    const entry = entries[date];
+    const flags = evaluateRules(rules, entries, date, { regimen, today });
+    return {
+      date,
+      recorded: isRecorded(entry),
+      dose: dayDoseStatus(entry, regimen, date, today),
+      level: flags.danger.length ? "danger" : flags.warn.length ? "warn" : null,
+      flags
+    };
+  });
+}
+
+export const matchesFilter = (day, filter) =>
+  filter === "danger" ? day.level === "danger" : filter === "missed" ? ["missed", "partial"].includes(day.dose.status) : true;
@@ -0,0 +1,93 @@
+// --- 그래프: 기간, 7일 이동 평균, 경고 기준 영역, 누락·경고 표시 ---
+import { addDays, inRange, todayStr } from "./date.js";
+import { dailyVitals } from "./readings.js";
+import { dayDoseStatus } from "./adherence.js";
+import { evaluateRules, ruleLabel } from "./rules.js";
+import { t } from "./i18n.js";
+
+const range = (id, days) => ({
+  id,
+  days,
+  get label() {
+    return days ? t("common.days", { n: days }) : t(`charts.ranges.${id}`);
+  }
+});
+
+export const CHART_RANGES = [range("7", 7), range("30", 30), range("90", 90), range("all", null), range("custom", null)];
+
+export const ROLLING_DAYS = 7;
+const ROLLING_KEYS = ["pulse", "sys", "dia", "pp", "map"];
+
+// 기간 id → { from, to } ("" 이면 제한 없음)
+export function rangeBounds(rangeId, custom = {}, today = todayStr) {
+  if (rangeId === "custom") return { from: custom.from || "", to: custom.to || "" };
+  const r = CHART_RANGES.find((x) => x.id === rangeId);
+  return r?.days ? { from: addDays(today, -(r.days - 1)), to: today } : { from: "", to: "" };
+}
+
+// 달력 기준 최근 days 일(그날 포함) 일평균들의 평균 — 측정이 없는 날은 빼고, 하나도 없으면 null
+function rolling(series, key, days) {
+  return series.map((d, i) => {
+    const start = addDays(d.date, -(days - 1));
+    const values = [];
+    for (let j = i; j >= 0 && series[j].date >= start; j--) if (series[j][key] !== null) values.push(series[j][key]);
+    return values.length ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10 : null;
+  });
+}
+
+// 그래프 데이터: dailyVitals + `${key}Avg` (7일 평균) + missed(복용 누락) + danger(위험 경고)
+// 이동 평균은 기간 앞쪽도 제대로 나오도록 전체 기록으로 계산한 뒤 기간을 자른다.
+export function chartSeries(entries, { regimen = [], rules = [], from = "", to = "", today = todayStr } = {}) {
+  const all = dailyVitals(Object.values(entries));
+  const avgs = Object.fromEntries(ROLLING_KEYS.map((k) => [k, rolling(all, k, ROLLING_DAYS)]));
+  return all
+    .map((d, i) => ({ ...d, ...Object.fromEntries(ROLLING_KEYS.map((k) => [`${k}Avg`, avgs[k][i]])) }))
+    .filter((d) => inRange(d.date, from, to))
+    .map((d) => ({
+      ...d,
+      missed: ["missed", "partial"].includes(dayDoseStatus(entries[d.date], regimen, d.date, today).status),
+      danger: evaluateRules(rules, entries, d.date, { regimen, today }).danger.length > 0
+    }));
+}
+
+// 켜져 있는 경고 규칙의 측정값 기준 → 그래프 영역: [{ id, metric, level, y1, y2, label }]
+// "<" 는 기준 아래(y1 없음), ">" 는 기준 위(y2 없음). 기간 규칙(count)은 그 안의 측정 조건을 쓴다.
+export function thresholdBands(rules) {
+  const bands = [];
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    const cond = rule.when.type === "reading" ? rule.when : rule.when.type === "count" && rule.when.of.type === "reading" ? rule.when.of : null;
+    for (const c of cond?.any || []) {
+      const v = Number(rule.params?.[c.param]);
+      if (!c.op || !Number.isFinite(v)) continue;
+      bands.push({
+        id: `${rule.id}-${c.metric}-${c.param}`,
+        metric: c.metric,
+        level: rule.level,
+        y1: c.op === "<" ? undefined : v,
+        y2: c.op === "<" ? v : undefined,
+        label: ruleLabel(rule)
+      });
+    }
+  }
+  return bands;
+}
+
+// y 축 범위 — 값과 기준선이 모두 보이도록 10 단위로 넓힌다. 값이 없으면 fallback
+export function yDomain(values, bands = [], fallback = [40, 140]) {
+  const nums = [...values, ...bands.flatMap((b) => [b.y1, b.y2])].filter((v) => typeof v === "number" && Number.isFinite(v));
+  if (!values.some((v) => typeof v === "number")) return fallback;
+  const lo = Math.min(...nums);
+  const hi = Math.max(...nums);
+  return [Math.floor((lo - 5) / 10) * 10, Math.ceil((hi + 5) / 10) * 10];
+}
+
+// x 축 날짜 글자 — 여러 해에 걸치면 연도를 붙인다 ("24.12.30"), 아니면 "12/30"
+export function dateTick(data) {
+  const years = new Set(data.map((d) => d.date.slice(0, 4)));
+  const multiYear = years.size > 1 || (years.size === 1 && !years.has(todayStr.slice(0, 4)));
+  return (date) => {
+    const [y, m, d] = date.split("-");
+    return multiYear ? `${y.slice(2)}.${Number(m)}.${Number(d)}` : `${Number(m)}/${Number(d)}`;
+  };
+}
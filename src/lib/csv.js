@@ -0,0 +1,129 @@
+// --- CSV (RFC 4180) ---
+// 필드에 쉼표/따옴표/줄바꿈이 있으면 큰따옴표로 감싸고 내부 따옴표는 두 번 쓴다. 줄 끝은 CRLF.
+import { DOSE_SLOTS, isActiveOn, isTaken, slotLabel } from "./regimen.js";
+import { readingStats, sortReadings, fmtReading } from "./readings.js";
+import { sortEpisodes, fmtEpisode, ehraShort, worstEhra } from "./episodes.js";
+import { LIFESTYLE_FIELDS, lifestyleValue } from "./lifestyle.js";
+import { inRange } from "./date.js";
+import { t, getLang } from "./i18n.js";
+
+export const BOM = "\uFEFF"; // Excel(한글) 인코딩 인식용
+
+export const csvField = (v) => {
+  if (v === null || v === undefined) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const toCSV = (rows, { bom = false } = {}) =>
+  (bom ? BOM : "") + rows.map((r) => r.map(csvField).join(",")).join("\r\n") + "\r\n";
+
+// 읽기 — 행 배열(각 행은 문자열 배열). BOM, CRLF/LF, 따옴표 안의 쉼표·줄바꿈을 처리하고 빈 줄은 버린다.
+// delimiter 를 주지 않으면 첫 줄에서 쉼표/세미콜론/탭 중 많은 쪽을 고른다 (유럽식 Excel 은 세미콜론).
+export function parseCSV(text, { delimiter } = {}) {
+  const src = text.replace(/^\uFEFF/, "");
+  const firstLine = src.slice(0, src.search(/\r?\n|$/));
+  const sep = delimiter || [",", ";", "\t"].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ",");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === "") quoted = true;
+    else if (c === sep) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim() !== ""));
+}
+
+// --- 기록 내보내기 ---
+// 열 이름과 값(예/아니오, 피로감, 측정·발작 내역)은 화면 언어를 따른다 (locales 의 csv.*).
+export const CSV_DEFAULTS = { bom: true, bools: "yn", from: "", to: "" };
+
+// opts: { bools: "yn"|"10", from, to }
+export function buildEntriesRows(entries, regimen, opts = {}) {
+  const { bools, from, to } = { ...CSV_DEFAULTS, ...opts };
+  const h = t("csv.headers");
+  const yes = bools === "10" ? "1" : t("common.yes");
+  const no = bools === "10" ? "0" : t("common.no");
+  const bool = (v) => (v ? yes : no);
+  const fatigue = t("fatigue.levels");
+
+  const list = Object.values(entries)
+    .filter((e) => inRange(e.date, from, to))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  // 기간 중 한 번이라도 복용 대상이었던 (시간대, 약) 조합을 열로 만든다.
+  const medCols = DOSE_SLOTS.flatMap((s) =>
+    regimen
+      .filter((m) => m.slots.includes(s.id) && list.some((e) => isActiveOn(m, e.date)))
+      .map((m) => ({ slot: s.id, med: m }))
+  );
+  // 생활 습관은 기간 중 값이 있는 항목만 열로 만든다
+  const lifeCols = LIFESTYLE_FIELDS.filter((f) => list.some((e) => lifestyleValue(e, f.key) !== null));
+  // 영어로 내보낼 때는 해외 의료진이 알아보도록 성분명을 먼저 쓴다
+  const medName = (m) => (getLang() === "en" ? m.generic || m.name : m.name);
+  const medHeader = (c) => `${slotLabel(c.slot)} ${medName(c.med)}${c.med.dose ? ` ${c.med.dose}` : ""}`;
+
+  const header = [
+    h.date,
+    h.readings_count,
+    h.pulse_mean, h.pulse_min, h.pulse_max,
+    h.sys_mean, h.sys_min, h.sys_max,
+    h.dia_mean, h.dia_min, h.dia_max,
+    h.irregular,
+    h.readings,
+    h.dizziness, h.syncope, h.dyspnea, h.edema, h.bleeding,
+    h.fatigue,
+    h.episodes_count, h.episodes_worst, h.episodes,
+    ...lifeCols.map((f) => t("csv.lifestyleHeader", { label: f.label, unit: f.unit })),
+    ...medCols.map(medHeader),
+    h.otherMeds,
+    h.notes
+  ];
+
+  const rows = list.map((e) => {
+    const st = readingStats(e.readings);
+    return [
+      e.date,
+      e.readings?.length || 0,
+      ...["pulse", "sys", "dia"].flatMap((k) => (st[k] ? [st[k].mean, st[k].min, st[k].max] : ["", "", ""])),
+      bool((e.readings || []).some((r) => r.irregular)),
+      // 각 측정: 시각 맥박 수축기/이완기 팔·자세 [불규칙] — 세미콜론으로 구분
+      sortReadings(e.readings).map(fmtReading).join("; "),
+      bool(e.dizziness), bool(e.syncope), bool(e.dyspnea), bool(e.edema), bool(e.bleeding),
+      fatigue[Number(e.fatigue) || 0],
+      e.episodes?.length || 0,
+      ehraShort(worstEhra(e.episodes)),
+      // 각 발작: 시작–끝 (지속) 증상 EHRA 유발 요인 / 멈춘 방법 — 세미콜론으로 구분
+      sortEpisodes(e.episodes).map(fmtEpisode).join("; "),
+      ...lifeCols.map((f) => lifestyleValue(e, f.key) ?? ""),
+      // 그날 복용 대상이 아니었던 약은 빈 칸
+      ...medCols.map((c) => (isActiveOn(c.med, e.date) ? bool(isTaken(e, c.slot, c.med.id)) : "")),
+      (e.otherMeds || []).join("; "),
+      e.notes || ""
+    ];
+  });
+  return [header, ...rows];
+}
+
+export const buildEntriesCSV = (entries, regimen, opts = {}) =>
+  toCSV(buildEntriesRows(entries, regimen, opts), { bom: opts.bom ?? CSV_DEFAULTS.bom });
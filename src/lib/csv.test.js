@@ -0,0 +1,61 @@
+import { describe, it, expect } from "vitest";
+import { BOM, csvField, toCSV, parseCSV } from "./csv.js";
+
+describe("csvField", () => {
+  it.each([
+    [null, ""],
+    [undefined, ""],
+    [0, "0"],
+    ["맥박", "맥박"],
+    ["a,b", '"a,b"'],
+    ['말한 "그것"', '"말한 ""그것"""'],
+    ["첫 줄\n둘째 줄", '"첫 줄\n둘째 줄"'],
+    ["a\r\nb", '"a\r\nb"'],
+    [" 앞 공백", '" 앞 공백"']
+  ])("%j → %j", (value, out) => {
+    expect(csvField(value)).toBe(out);
+  });
+});
+
+describe("toCSV → parseCSV", () => {
+  const rows = [
+    ["날짜", "메모", "측정"],
+    ["2026-10-19", '어지러움, "심함"', "08:00 72\n20:00 80"],
+    ["2026-10-20", "", " 공백 "]
+  ];
+
+  it("줄 끝은 CRLF, 마지막 줄도 CRLF", () => {
+    const text = toCSV([["a", "b"], ["1", "2"]]);
+    expect(text).toBe("a,b\r\n1,2\r\n");
+  });
+
+  it("BOM 을 붙이면 맨 앞에만", () => {
+    expect(toCSV([["a"]], { bom: true })).toBe(`${BOM}a\r\n`);
+  });
+
+  it.each([
+    ["BOM 없이", {}],
+    ["BOM 과 함께", { bom: true }]
+  ])("%s 되읽으면 그대로", (label, opts) => {
+    expect(parseCSV(toCSV(rows, opts))).toEqual(rows);
+  });
+});
+
+describe("parseCSV", () => {
+  it("LF 만 쓴 파일과 빈 줄", () => {
+    expect(parseCSV("a,b\n\n1,2\n")).toEqual([["a", "b"], ["1", "2"]]);
+  });
+
+  it("세미콜론·탭 구분자를 첫 줄에서 알아낸다", () => {
+    expect(parseCSV("날짜;맥박\r\n2026-10-19;72,5\r\n")).toEqual([["날짜", "맥박"], ["2026-10-19", "72,5"]]);
+    expect(parseCSV("날짜\t맥박\n2026-10-19\t72")).toEqual([["날짜", "맥박"], ["2026-10-19", "72"]]);
+  });
+
+  it("구분자를 주면 그것만 쓴다", () => {
+    expect(parseCSV("a;b,c", { delimiter: "," })).toEqual([["a;b", "c"]]);
+  });
+
+  it("필드 중간의 따옴표는 글자 그대로", () => {
+    expect(parseCSV('5\'7",x')).toEqual([['5\'7"', "x"]]);
+  });
+});
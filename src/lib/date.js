@@ -0,0 +1,40 @@
+// --- 날짜 유틸 (로컬 시간 기준 YYYY-MM-DD) ---
+export const fmtDate = (d = new Date()) => {
+  const tzOffset = d.getTimezoneOffset();
+  const local = new Date(d.getTime() - tzOffset * 60000); // ISO-local
+  return local.toISOString().slice(0, 10);
+};
+
+export const todayStr = fmtDate();
+
+// "YYYY-MM-DD" ± n일
+export const addDays = (ds, n) => {
+  const d = new Date(`${ds}T00:00:00`);
+  d.setDate(d.getDate() + n);
+  return fmtDate(d);
+};
+
+// 달력에 있는 "YYYY-MM-DD" 인지 — 비운 날짜 입력칸("")이나 잘못된 값은 addDays 에 넘기지 않는다
+export const isDateStr = (ds) => /^\d{4}-\d{2}-\d{2}$/.test(ds || "") && !Number.isNaN(new Date(`${ds}T00:00:00`).getTime());
+
+// from/to 가 비어 있으면 해당 방향으로 제한 없음
+export const inRange = (date, from, to) => (!from || date >= from) && (!to || date <= to);
+
+// 현재 시각 "HH:MM"
+export const nowTime = (d = new Date()) =>
+  `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+
+// --- 월 단위 ("YYYY-MM") ---
+export const monthOf = (ds) => ds.slice(0, 7);
+
+export const addMonths = (month, n) => {
+  const [y, m] = month.split("-").map(Number);
+  return fmtDate(new Date(y, m - 1 + n, 1)).slice(0, 7);
+};
+
+// 그 달의 모든 날짜
+export const monthDays = (month) => {
+  const out = [];
+  for (let d = `${month}-01`; monthOf(d) === month; d = addDays(d, 1)) out.push(d);
+  return out;
+};
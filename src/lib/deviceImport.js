@@ -0,0 +1,327 @@
+// --- 혈압계·스마트워치 내보내기 파일 가져오기 ---
+// 파일은 기기 밖으로 보내지 않고 브라우저에서만 읽는다.
+// 지원 형식: CSV(열 매핑), Apple Health export.xml, Google Fit(Takeout/REST) JSON.
+// 결과는 미리보기 행 [{ key, date, time, pulse, sys, dia, irregular, problems, duplicate }] — 사용자가 고른 행만 기록에 넣는다.
+import { parseCSV } from "./csv.js";
+import { fmtDate, nowTime } from "./date.js";
+import { VITALS, VITAL_KEYS, newReading, num } from "./readings.js";
+import { t } from "./i18n.js";
+
+export class DeviceImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DeviceImportError";
+  }
+}
+
+export const FORMATS = {
+  csv: "CSV",
+  get appleHealth() {
+    return t("deviceImport.formats.appleHealth");
+  },
+  googleFit: "Google Fit (JSON)"
+};
+
+// 확장자와 내용 앞부분으로 형식을 고른다
+export function detectFormat(name, text) {
+  const head = text.slice(0, 2000).replace(/^\uFEFF/, "").trimStart();
+  if (head.startsWith("<")) {
+    if (/<HealthData|HKQuantityTypeIdentifier/.test(text.slice(0, 200000))) return "appleHealth";
+    throw new DeviceImportError(t("deviceImport.unknownXml"));
+  }
+  if (head.startsWith("{") || head.startsWith("[")) return "googleFit";
+  if (/\.(csv|txt|tsv)$/i.test(name) || head.includes(",") || head.includes(";") || head.includes("\t")) return "csv";
+  throw new DeviceImportError(t("deviceImport.unsupported"));
+}
+
+// --- CSV 열 매핑 ---
+// mapping: { timestamp, date, time, pulse, sys, dia, irregular, dateOrder } — 값은 열 이름("" 이면 사용 안 함)
+// 날짜와 시각이 한 열에 있으면 timestamp, 따로 있으면 date + time 을 쓴다.
+export const MAPPING_FIELDS = ["timestamp", "date", "time", "sys", "dia", "pulse", "irregular"].map((key) => ({
+  key,
+  get label() {
+    return t(`deviceImport.fields.${key}`);
+  }
+}));
+
+export const DATE_ORDERS = ["ymd", "mdy", "dmy"].map((id) => ({
+  id,
+  get label() {
+    return t(`deviceImport.dateOrders.${id}`);
+  }
+}));
+
+const EMPTY_MAPPING = { timestamp: "", date: "", time: "", pulse: "", sys: "", dia: "", irregular: "", dateOrder: "ymd" };
+
+// 열 이름으로 짐작 — 순서가 중요하다 (일시 → 날짜 → 시각)
+const GUESS = [
+  ["timestamp", /date.?time|timestamp|측정.?일시|^일시$/i],
+  ["date", /^date$|날짜|측정.?일$|^일자$/i],
+  ["time", /^time$|시각|시간$/i],
+  ["sys", /sys|수축|최고/i],
+  ["dia", /dia|이완|최저/i],
+  ["irregular", /irregular|불규칙|afib|arrhythm|ihb/i], // "Irregular heartbeat" 가 맥박 열로 잡히지 않게 먼저 본다
+  ["pulse", /pulse|heart|맥박|심박|bpm/i]
+];
+
+// sample: 첫 측정 행 — 연도가 뒤에 오는 날짜면 월/일 순서를 짐작한다
+export function guessMapping(header, sample = []) {
+  const mapping = { ...EMPTY_MAPPING };
+  const used = new Set();
+  for (const [key, re] of GUESS) {
+    const col = header.find((h) => !used.has(h) && re.test(h.trim()));
+    if (col) {
+      mapping[key] = col;
+      used.add(col);
+    }
+  }
+  if (mapping.timestamp) mapping.date = mapping.time = "";
+  const dateText = sample[header.indexOf(mapping.timestamp || mapping.date)] || "";
+  const dm = /(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/.exec(dateText);
+  if (dm) mapping.dateOrder = Number(dm[1]) > 12 ? "dmy" : "mdy";
+  return mapping;
+}
+
+// 저장된 기기별 매핑 — settings.importPresets = [{ id, name, mapping }]
+export const newPreset = (name, mapping) => ({
+  id: `imp-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+  name: name.trim(),
+  mapping
+});
+
+// 매핑한 열이 모두 파일에 있는 프리셋 — 파일을 고르면 자동으로 선택한다
+export const matchPreset = (presets = [], header) =>
+  presets.find((p) => {
+    const cols = MAPPING_FIELDS.map((f) => p.mapping[f.key]).filter(Boolean);
+    return cols.length > 0 && cols.every((c) => header.includes(c));
+  }) || null;
+
+export function mappingProblems(mapping) {
+  const problems = [];
+  if (!mapping.timestamp && !mapping.date) problems.push(t("deviceImport.problems.dateColumn"));
+  if (!VITAL_KEYS.some((k) => mapping[k])) problems.push(t("deviceImport.problems.valueColumn"));
+  return problems;
+}
+
+// --- 일시 읽기 ---
+const pad = (n) => String(n).padStart(2, "0");
+
+const fromDate = (d) => (Number.isNaN(d.getTime()) ? null : { date: fmtDate(d), time: nowTime(d) });
+
+// "2024-03-05", "2024/3/5", "03/05/2024", "5.3.2024" + "08:10", "8:10 PM", "오후 8:10"
+// 시간대가 붙은 ISO 형식은 이 기기의 시간대로 바꾼다. 나머지는 적힌 그대로(기기 현지 시각)로 본다.
+export function parseStamp(text, order = "ymd") {
+  const t = String(text ?? "").trim();
+  if (!t) return null;
+  if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(t)) return fromDate(new Date(t));
+  const dm = /(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})/.exec(t);
+  if (!dm) return null;
+  const [a, b, c] = [dm[1], dm[2], dm[3]].map(Number);
+  let [y, m, d] = [a, b, c];
+  if (dm[1].length !== 4 && order === "mdy") [m, d, y] = [a, b, c];
+  if (dm[1].length !== 4 && order === "dmy") [d, m, y] = [a, b, c];
+  if (y < 100) y += 2000;
+  if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+  const date = `${y}-${pad(m)}-${pad(d)}`;
+  if (fmtDate(new Date(y, m - 1, d)) !== date) return null; // 2월 30일 등
+
+  const rest = t.slice(dm.index + dm[0].length) + " " + t.slice(0, dm.index);
+  const tm = /(\d{1,2}):(\d{2})/.exec(rest);
+  if (!tm) return { date, time: "" };
+  let h = Number(tm[1]);
+  if (/\bpm\b|오후/i.test(rest) && h < 12) h += 12;
+  if (/\bam\b|오전/i.test(rest) && h === 12) h = 0;
+  if (h > 23 || Number(tm[2]) > 59) return null;
+  return { date, time: `${pad(h)}:${tm[2]}` };
+}
+
+// "128", "128 mmHg", "72.0" → 정수. 비어 있으면 null, 읽을 수 없으면 NaN
+const cellNumber = (v) => {
+  const t = String(v ?? "").trim();
+  if (!t || t === "-") return null;
+  const m = /^(\d+(?:[.,]\d+)?)/.exec(t);
+  return m ? Math.round(Number(m[1].replace(",", "."))) : NaN;
+};
+
+const cellBool = (v) => /^(1|y|yes|true|예|있음|o|detected|검출)/i.test(String(v ?? "").trim());
+
+// --- 미리보기 행 ---
+// 값 검증은 직접 입력과 같은 범위(VITALS)를 쓴다. 문제가 있는 행은 기본으로 제외한다.
+function makeRow({ date, time, pulse = null, sys = null, dia = null, irregular = false }, line) {
+  const problems = [];
+  const values = { pulse, sys, dia };
+  for (const key of VITAL_KEYS) {
+    const v = values[key];
+    if (v === null) continue;
+    if (Number.isNaN(v)) {
+      problems.push(t("deviceImport.rowProblems.notNumber", { label: VITALS[key].label }));
+      values[key] = null;
+    } else if (v < VITALS[key].min || v > VITALS[key].max) {
+      problems.push(t("deviceImport.rowProblems.outOfRange", { label: VITALS[key].label, value: v }));
+      values[key] = null;
+    }
+  }
+  if (!date) problems.push(t("deviceImport.rowProblems.date"));
+  if (VITAL_KEYS.every((k) => values[k] === null) && problems.length === 0) problems.push(t("deviceImport.rowProblems.empty"));
+  if (values.sys !== null && values.dia !== null && values.sys <= values.dia) problems.push(t("deviceImport.rowProblems.swapped"));
+  return { key: `${line}`, date: date || "", time: time || "", ...values, irregular: !!irregular, problems, duplicate: false };
+}
+
+// { header, sample } — 매핑 화면용 (머리글 + 첫 측정 행)
+export function csvHeader(text) {
+  const rows = parseCSV(text);
+  if (rows.length < 2) throw new DeviceImportError(t("deviceImport.noRows"));
+  return { header: rows[0].map((h) => h.trim()), sample: rows[1] };
+}
+
+export function rowsFromCSV(text, mapping) {
+  const [header, ...body] = parseCSV(text);
+  const idx = (col) => (col ? header.findIndex((h) => h.trim() === col) : -1);
+  const cols = Object.fromEntries(MAPPING_FIELDS.map((f) => [f.key, idx(mapping[f.key])]));
+  const cell = (r, key) => (cols[key] >= 0 ? r[cols[key]] : undefined);
+  return body.map((r, i) => {
+    const stamp = cols.timestamp >= 0
+      ? parseStamp(cell(r, "timestamp"), mapping.dateOrder)
+      : parseStamp(`${cell(r, "date") ?? ""} ${cell(r, "time") ?? ""}`, mapping.dateOrder);
+    return makeRow(
+      {
+        date: stamp?.date,
+        time: stamp?.time,
+        pulse: cellNumber(cell(r, "pulse")),
+        sys: cellNumber(cell(r, "sys")),
+        dia: cellNumber(cell(r, "dia")),
+        irregular: cellBool(cell(r, "irregular"))
+      },
+      `csv-${i + 2}`
+    );
+  });
+}
+
+// 같은 시각의 수축기/이완기/심박 기록을 한 측정으로 묶는다
+function groupByTime(samples) {
+  const byTime = new Map();
+  for (const s of samples) {
+    if (!s.stamp) continue;
+    const k = `${s.stamp.date} ${s.stamp.time}`;
+    byTime.set(k, { ...(byTime.get(k) || { date: s.stamp.date, time: s.stamp.time }), [s.key]: s.value });
+  }
+  return [...byTime.values()];
+}
+
+// Apple 건강: <Record type="HKQuantityTypeIdentifierBloodPressureSystolic" startDate="2024-03-05 08:10:00 +0900" value="128" .../>
+// 파일이 매우 클 수 있어 DOM 으로 읽지 않고 Record 태그만 훑는다.
+const APPLE_TYPES = {
+  HKQuantityTypeIdentifierBloodPressureSystolic: "sys",
+  HKQuantityTypeIdentifierBloodPressureDiastolic: "dia",
+  HKQuantityTypeIdentifierHeartRate: "pulse"
+};
+
+const attr = (tag, name) => new RegExp(`\\b${name}="([^"]*)"`).exec(tag)?.[1];
+
+const appleStamp = (s) => {
+  const m = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/.exec(s || "");
+  return m ? fromDate(new Date(`${m[1]}T${m[2]}${m[3]}:${m[4]}`)) : null;
+};
+
+export function samplesFromAppleHealth(text) {
+  const samples = [];
+  for (const [tag] of text.matchAll(/<Record\b[^>]*>/g)) {
+    const key = APPLE_TYPES[attr(tag, "type")];
+    if (key) samples.push({ key, stamp: appleStamp(attr(tag, "startDate")), value: cellNumber(attr(tag, "value")) });
+  }
+  return samples;
+}
+
+// Google Fit: Takeout 의 { "Data Points": [{ dataTypeName, startTimeNanos, fitValue: [{ value: { fpVal } }] }] }
+// 또는 REST 의 { point: [{ startTimeNanos, value: [{ fpVal }] }], dataSourceId } / { bucket: [{ dataset: [...] }] }
+const FIT_TYPES = { "com.google.heart_rate.bpm": "heart", "com.google.blood_pressure": "bp" };
+
+export function samplesFromGoogleFit(text) {
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch {
+    throw new DeviceImportError(t("deviceImport.notJson"));
+  }
+  const points = [];
+  const visit = (node, typeName) => {
+    if (Array.isArray(node)) return node.forEach((n) => visit(n, typeName));
+    if (!node || typeof node !== "object") return;
+    const type = node.dataTypeName || typeName || node.dataSourceId?.match(/com\.google\.[a-z_.]+/)?.[0];
+    if (node.startTimeNanos !== undefined) points.push({ ...node, dataTypeName: type });
+    for (const k of ["Data Points", "point", "bucket", "dataset"]) if (node[k]) visit(node[k], type);
+  };
+  visit(obj);
+  const samples = [];
+  for (const p of points) {
+    const kind = FIT_TYPES[p.dataTypeName];
+    if (!kind) continue;
+    const stamp = fromDate(new Date(Math.round(Number(p.startTimeNanos) / 1e6)));
+    const vals = (p.fitValue || p.value || []).map((v) => v.value?.fpVal ?? v.fpVal ?? v.value?.intVal ?? v.intVal);
+    if (kind === "heart") samples.push({ key: "pulse", stamp, value: cellNumber(vals[0]) });
+    else {
+      samples.push({ key: "sys", stamp, value: cellNumber(vals[0]) });
+      samples.push({ key: "dia", stamp, value: cellNumber(vals[1]) });
+    }
+  }
+  return samples;
+}
+
+// 워치의 심박은 하루 수백 개가 될 수 있다 — includePulseOnly 가 아니면 혈압과 같은 시각의 심박만 쓴다
+export function rowsFromSamples(samples, { includePulseOnly = false } = {}) {
+  return groupByTime(samples)
+    .filter((g) => includePulseOnly || g.sys !== undefined || g.dia !== undefined)
+    .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`))
+    .map((g, i) => makeRow(g, `s-${i}`));
+}
+
+// --- 중복 ---
+const minutesOf = (hhmm) => {
+  const m = /^(\d{2}):(\d{2})$/.exec(hhmm || "");
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+
+export const DUPLICATE_MINUTES = 10;
+
+// 같은 날 DUPLICATE_MINUTES 분 안에 같은 값이 이미 있으면 중복 (손으로 먼저 적어 둔 측정 포함)
+const sameReading = (a, b) => {
+  const ta = minutesOf(a.time);
+  const tb = minutesOf(b.time);
+  if (ta !== null && tb !== null && Math.abs(ta - tb) > DUPLICATE_MINUTES) return false;
+  const shared = VITAL_KEYS.filter((k) => num(a[k]) !== null && num(b[k]) !== null);
+  return shared.length > 0 && shared.every((k) => num(a[k]) === num(b[k]));
+};
+
+// 기존 기록 및 파일 안의 앞선 행과 겹치는 행에 duplicate 표시
+export function markDuplicates(rows, entries) {
+  const seen = [];
+  return rows.map((r) => {
+    const existing = entries[r.date]?.readings || [];
+    const duplicate = !!r.date && (existing.some((x) => sameReading(x, r)) || seen.some((x) => x.date === r.date && sameReading(x, r)));
+    if (r.problems.length === 0) seen.push(r);
+    return { ...r, duplicate };
+  });
+}
+
+// 기본 선택 — 문제가 없고 중복이 아닌 행
+export const defaultSelected = (rows) => rows.filter((r) => r.problems.length === 0 && !r.duplicate).map((r) => r.key);
+
+// 파일 → 미리보기 행
+export function previewRows(format, text, { mapping, includePulseOnly, entries = {} } = {}) {
+  const rows =
+    format === "csv"
+      ? rowsFromCSV(text, mapping)
+      : rowsFromSamples(format === "appleHealth" ? samplesFromAppleHealth(text) : samplesFromGoogleFit(text), { includePulseOnly });
+  return markDuplicates(rows, entries);
+}
+
+// 고른 행을 날짜별 기록에 넣는다 — 바뀐 기록만 { [date]: entry } 로 돌려준다
+export function addImportedReadings(entries, rows, defaults) {
+  const changed = {};
+  for (const r of rows) {
+    const base = changed[r.date] || entries[r.date] || { ...defaults, date: r.date };
+    const reading = { ...newReading(r.time), pulse: r.pulse, sys: r.sys, dia: r.dia, irregular: r.irregular };
+    changed[r.date] = { ...base, readings: [...(base.readings || []), reading] };
+  }
+  return changed;
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect } from "vitest";
+import { parseStamp, guessMapping, markDuplicates, rowsFromCSV, defaultSelected } from "./deviceImport.js";
+import { fmtDate, nowTime } from "./date.js";
+
+describe("parseStamp", () => {
+  it.each([
+    ["2024-03-05 08:10", "ymd", { date: "2024-03-05", time: "08:10" }],
+    ["2024/3/5 8:10", "ymd", { date: "2024-03-05", time: "08:10" }],
+    ["03/05/2024 08:10", "mdy", { date: "2024-03-05", time: "08:10" }],
+    ["05.03.2024 08:10", "dmy", { date: "2024-03-05", time: "08:10" }],
+    ["5.3.24", "dmy", { date: "2024-03-05", time: "" }],
+    ["3/5/2024 8:10 PM", "mdy", { date: "2024-03-05", time: "20:10" }],
+    ["3/5/2024 12:05 AM", "mdy", { date: "2024-03-05", time: "00:05" }],
+    ["3/5/2024 12:05 PM", "mdy", { date: "2024-03-05", time: "12:05" }],
+    ["2024-03-05 오후 8:10", "ymd", { date: "2024-03-05", time: "20:10" }],
+    ["오전 7:30 2024-03-05", "ymd", { date: "2024-03-05", time: "07:30" }]
+  ])("%s (%s)", (text, order, out) => {
+    expect(parseStamp(text, order)).toEqual(out);
+  });
+
+  it("같은 글자도 순서에 따라 다르게 읽는다", () => {
+    expect(parseStamp("03/05/2024", "mdy").date).toBe("2024-03-05");
+    expect(parseStamp("03/05/2024", "dmy").date).toBe("2024-05-03");
+  });
+
+  it.each([
+    ["2024-02-30", "ymd"],
+    ["30/02/2024", "dmy"],
+    ["2023-02-29", "ymd"],
+    ["13/05/2024", "mdy"],
+    ["2024-03-05 24:10", "ymd"],
+    ["2024-03-05 08:61", "ymd"],
+    ["어제", "ymd"],
+    ["", "ymd"]
+  ])("%s (%s) 는 읽지 않는다", (text, order) => {
+    expect(parseStamp(text, order)).toBe(null);
+  });
+
+  it("윤년의 2월 29일은 된다", () => {
+    expect(parseStamp("2024-02-29").date).toBe("2024-02-29");
+  });
+
+  it("시간대가 붙은 ISO 형식은 이 기기의 시각으로", () => {
+    const d = new Date("2024-03-05T08:10:00Z");
+    expect(parseStamp("2024-03-05T08:10:00Z")).toEqual({ date: fmtDate(d), time: nowTime(d) });
+  });
+});
+
+describe("guessMapping", () => {
+  it("영문 머리글 — 일시 한 열, 불규칙 열은 맥박으로 잡지 않는다", () => {
+    const header = ["Date Time", "Systolic", "Diastolic", "Irregular heartbeat", "Pulse"];
+    expect(guessMapping(header, ["2024-03-05 08:10", "128", "82", "0", "71"])).toEqual({
+      timestamp: "Date Time", date: "", time: "", sys: "Systolic", dia: "Diastolic", pulse: "Pulse", irregular: "Irregular heartbeat", dateOrder: "ymd"
+    });
+  });
+
+  it("한글 머리글 — 날짜·시각이 따로", () => {
+    const m = guessMapping(["날짜", "시각", "최고 혈압", "최저 혈압", "맥박"]);
+    expect(m).toMatchObject({ timestamp: "", date: "날짜", time: "시각", sys: "최고 혈압", dia: "최저 혈압", pulse: "맥박" });
+  });
+
+  it("연도가 뒤에 오면 첫 행으로 월/일 순서를 짐작한다", () => {
+    const header = ["Date", "Time", "SYS", "DIA", "Pulse"];
+    expect(guessMapping(header, ["25/03/2024", "08:10"]).dateOrder).toBe("dmy");
+    expect(guessMapping(header, ["03/05/2024", "08:10"]).dateOrder).toBe("mdy");
+  });
+});
+
+describe("markDuplicates", () => {
+  const csv = [
+    "Date,Time,SYS,DIA,Pulse",
+    "2024-03-05,08:10,128,82,71",
+    "2024-03-05,08:15,128,82,71",
+    "2024-03-05,20:00,128,82,71",
+    "2024-03-06,08:00,130,85,70",
+    "2024-03-06,08:05,300,85,99"
+  ].join("\n");
+  const mapping = guessMapping(["Date", "Time", "SYS", "DIA", "Pulse"]);
+  const entries = { "2024-03-06": { date: "2024-03-06", readings: [{ id: "r1", time: "08:09", pulse: 70, sys: 130, dia: 85 }] } };
+
+  it("파일 안의 앞선 행·기존 기록과 10분 안에 같은 값이면 중복", () => {
+    const rows = markDuplicates(rowsFromCSV(csv, mapping), entries);
+    expect(rows.map((r) => r.duplicate)).toEqual([false, true, false, true, false]);
+  });
+
+  it("문제 있는 행과 중복은 기본 선택에서 뺀다", () => {
+    const rows = markDuplicates(rowsFromCSV(csv, mapping), entries);
+    expect(rows[4].problems).toHaveLength(1);
+    expect(defaultSelected(rows)).toEqual([rows[0].key, rows[2].key]);
+  });
+
+  it("값이 다르면 같은 시각이라도 중복이 아니다", () => {
+    const rows = markDuplicates(rowsFromCSV("Date,Time,Pulse\n2024-03-06,08:09,88", guessMapping(["Date", "Time", "Pulse"])), entries);
+    expect(rows[0].duplicate).toBe(false);
+  });
+});
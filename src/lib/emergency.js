@@ -0,0 +1,84 @@
+// --- 응급 화면 (FAST 뇌졸중 체크, 출혈 위험 신호, 의료 정보 카드) ---
+// 구급대원에게 보여 줄 정보는 설정 "emergency": { allergies, contactName, contactPhone, notes } 와
+// 레지멘·오늘 기록(복용 체크 시각)·최근 측정에서 만든다. 모두 기기 안의 데이터라 인터넷 없이 동작한다.
+import { activeMeds, doseSlotsOn, slotLabel } from "./regimen.js";
+import { substancesOf } from "./interactions.js";
+import { sortReadings } from "./readings.js";
+import { RISK_FIELDS, riskPrefs } from "./risk.js";
+import { todayStr, addDays, inRange } from "./date.js";
+import { t } from "./i18n.js";
+
+export const EMERGENCY_NUMBER = "119";
+
+// 오늘 기록의 위험 경고가 이만큼 그대로 있어야 응급 화면을 자동으로 연다 — 측정값은 글자마다 저장되므로
+// "200" 을 치는 도중의 "20" 같은 값으로는 열지 않는다
+export const AUTO_OPEN_MS = 3000;
+
+export const EMERGENCY_DEFAULTS = { allergies: "", contactName: "", contactPhone: "", notes: "" };
+
+export const emergencyPrefs = (saved = {}) => ({ ...EMERGENCY_DEFAULTS, ...saved });
+
+const labelled = (group, ids) =>
+  ids.map((id) => ({
+    id,
+    get label() {
+      return t(`emergency.${group}.${id}.label`);
+    },
+    get check() {
+      return t(`emergency.${group}.${id}.check`);
+    }
+  }));
+
+// FAST — 하나라도 "예"면 바로 119. 시각(Time)은 마지막 단계에서 기록한다
+export const FAST_STEPS = labelled("fast", ["face", "arm", "speech"]);
+
+// 항응고제를 먹는 사람의 출혈 위험 신호 — 하나라도 있으면 119
+export const BLEEDING_SIGNS = ["nonstop", "vomit", "stool", "urine", "head", "headache"].map((id) => ({
+  id,
+  get label() {
+    return t(`emergency.bleedingSigns.${id}`);
+  }
+}));
+
+// 카드에 보이는 진단명 — 위험 점수 입력에서 체크한 병 (약·음주 항목은 빼고)
+const CONDITION_IDS = ["chf", "hypertension", "diabetes", "stroke", "vascular", "renal", "liver", "bleedingHistory"];
+
+export const conditionsOf = (settings) => {
+  const p = riskPrefs(settings.risk);
+  return RISK_FIELDS.filter((f) => CONDITION_IDS.includes(f.id) && p[f.id]).map((f) => f.label);
+};
+
+// 항응고제 — 구급대원이 가장 먼저 알아야 하는 약 (뇌졸중 치료·출혈 처치가 달라진다)
+export const isAnticoagulant = (med) => substancesOf(`${med.name} ${med.generic || ""}`).some((s) => ["edoxaban", "anticoagulant"].includes(s.id));
+
+// 오늘 복용 — 약마다 시간대별 { slot, label, taken, time }. time 은 체크한 시각 (예전 기록·한꺼번에 체크는 없음)
+export function todayDoses(regimen, entry, date = todayStr) {
+  const slots = doseSlotsOn(regimen, date);
+  return activeMeds(regimen, date)
+    .map((med) => ({
+      med,
+      anticoagulant: isAnticoagulant(med),
+      doses: slots
+        .filter((s) => s.meds.some((m) => m.id === med.id))
+        .map((s) => {
+          const value = entry?.meds?.[s.slot]?.[med.id];
+          return { slot: s.slot, label: slotLabel(s.slot), taken: !!value, time: typeof value === "string" ? value : null };
+        })
+    }))
+    .sort((a, b) => b.anticoagulant - a.anticoagulant);
+}
+
+// 마지막으로 먹은 시각 — 오늘 체크한 것 중 가장 늦은 시간대
+export const lastDose = (doses) => [...doses].reverse().find((d) => d.taken) || null;
+
+export const RECENT_VITAL_DAYS = 3;
+
+// 최근 측정 — 가까운 날부터 최대 n개 [{ date, reading }]
+export const recentReadings = (entries, { days = RECENT_VITAL_DAYS, n = 3, today = todayStr } = {}) =>
+  Object.values(entries)
+    .filter((e) => inRange(e.date, addDays(today, -(days - 1)), today))
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .flatMap((e) => sortReadings(e.readings).reverse().map((reading) => ({ date: e.date, reading })))
+    .slice(0, n);
+
+export const telHref = (phone) => `tel:${String(phone).replace(/[^\d+]/g, "")}`;
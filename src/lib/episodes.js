@@ -0,0 +1,107 @@
+// --- 증상 발작(에피소드) 기록 ---
+// entry.episodes = [{ id, start, end, symptoms, ehra, triggers, resolution, note }]
+// start/end 는 그날 기준 "HH:MM". end 가 start 보다 이르면 다음 날 끝난 것으로 본다. end 가 비어 있으면 지속 중/모름.
+import { nowTime } from "./date.js";
+import { t } from "./i18n.js";
+
+// label 은 getter — 화면 언어를 따라간다 (locales 의 episodes.<section>.<id>)
+const labelled = (section, ids) =>
+  ids.map((id) => ({
+    id,
+    get label() {
+      return t(`episodes.${section}.${id || "none"}`);
+    }
+  }));
+
+export const EPISODE_SYMPTOMS = labelled("symptoms", ["palpitations", "dizziness", "dyspnea", "chestPain", "fatigue", "syncope", "anxiety"]);
+
+// EHRA 증상 분류 (modified EHRA score)
+export const EHRA_CLASSES = labelled("ehra", ["1", "2a", "2b", "3", "4"]);
+
+export const EPISODE_TRIGGERS = labelled("triggers", ["alcohol", "caffeine", "sleepLoss", "exercise", "stress", "meal", "missedDose"]);
+
+export const EPISODE_RESOLUTIONS = labelled("resolutions", ["", "spontaneous", "vagal", "medication", "hospital", "ongoing"]);
+
+const labelOf = (list, id) => list.find((x) => x.id === id)?.label || "";
+
+export const newEpisode = (start = nowTime()) => ({
+  id: `ep-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+  start,
+  end: "",
+  symptoms: ["palpitations"],
+  ehra: "2a",
+  triggers: [],
+  resolution: "",
+  note: ""
+});
+
+export const sortEpisodes = (episodes) =>
+  [...(episodes || [])].sort((a, b) => (a.start || "").localeCompare(b.start || ""));
+
+const toMinutes = (hhmm) => {
+  const m = /^(\d{2}):(\d{2})$/.exec(hhmm || "");
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+
+// 지속 시간(분) — 시각을 모르면 null
+export const durationMinutes = (ep) => {
+  const s = toMinutes(ep.start);
+  const e = toMinutes(ep.end);
+  if (s === null || e === null) return null;
+  return e >= s ? e - s : e + 24 * 60 - s;
+};
+
+export const fmtDuration = (min) => {
+  if (min === null) return "";
+  const h = Math.floor(min / 60);
+  const m = min % 60;
+  return h ? t("episodes.hours", { h, m }) : t("episodes.minutes", { m });
+};
+
+export const ehraShort = (id) => (id ? `EHRA ${id}` : "");
+
+// "14:20–14:45 (25분) 두근거림·어지럼 EHRA 2b 유발: 카페인 / 저절로 멈춤"
+export const fmtEpisode = (ep) => {
+  const dur = fmtDuration(durationMinutes(ep));
+  const pick = (list, ids) => (ids || []).map((id) => labelOf(list, id)).filter(Boolean);
+  const triggers = pick(EPISODE_TRIGGERS, ep.triggers);
+  const resolution = ep.resolution ? labelOf(EPISODE_RESOLUTIONS, ep.resolution) : "";
+  return [
+    `${ep.start || "--:--"}–${ep.end || "?"}${dur ? ` (${dur})` : ""}`,
+    pick(EPISODE_SYMPTOMS, ep.symptoms).join(t("episodes.symptomSep")),
+    ehraShort(ep.ehra),
+    triggers.length ? t("episodes.triggersList", { list: triggers.join(", ") }) : null,
+    resolution ? `/ ${resolution}` : null,
+    ep.note ? `"${ep.note}"` : null
+  ]
+    .filter(Boolean)
+    .join(" ");
+};
+
+// 유효성 검사 — 문제 목록(문자열)을 반환
+export const validateEpisode = (ep) => {
+  const problems = [];
+  if (!ep.start) problems.push(t("episodes.problems.start"));
+  if (!ep.symptoms?.length && ep.ehra !== "1") problems.push(t("episodes.problems.symptoms"));
+  return problems;
+};
+
+const EHRA_ORDER = EHRA_CLASSES.map((c) => c.id);
+
+// 가장 심한 EHRA 분류 — 없으면 ""
+export const worstEhra = (episodes = []) =>
+  episodes.reduce((w, ep) => (EHRA_ORDER.indexOf(ep.ehra) > EHRA_ORDER.indexOf(w) ? ep.ehra : w), "");
+
+// 기간 요약: { count, totalMinutes, worstEhra, triggers: [{ id, label, count }] }
+export function episodeSummary(entryList) {
+  const eps = entryList.flatMap((e) => e.episodes || []);
+  const triggerCounts = new Map();
+  for (const ep of eps) for (const id of ep.triggers || []) triggerCounts.set(id, (triggerCounts.get(id) || 0) + 1);
+  const durations = eps.map(durationMinutes).filter((m) => m !== null);
+  return {
+    count: eps.length,
+    totalMinutes: durations.reduce((a, b) => a + b, 0),
+    worstEhra: worstEhra(eps),
+    triggers: [...triggerCounts].map(([id, count]) => ({ id, label: labelOf(EPISODE_TRIGGERS, id), count })).sort((a, b) => b.count - a.count)
+  };
+}
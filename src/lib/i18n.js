@@ -0,0 +1,86 @@
+// --- 다국어 (i18n) ---
+// 화면·내보내기·알림의 모든 글자는 src/locales/<lang>.js 메시지 카탈로그에 있고, t("tabs.today") 처럼 점 경로로 찾는다.
+// 메시지는 문자열("{name} 님" — {키} 를 params 로 바꾼다), 함수(params → 문자열, 영어 복수형 등), 배열·객체(열 이름 묶음 등) 중 하나.
+// 현재 언어는 모듈 변수 하나다 — 바꾸면 App 이 화면 전체를 다시 그린다 (setLang + App 의 lang 상태).
+// 언어 선택은 잠금 화면에서도 필요하므로 기록 저장소가 아닌 localStorage 에 둔다 (건강 정보 아님).
+import ko from "../locales/ko.js";
+import en from "../locales/en.js";
+
+export const LANGS = [
+  { id: "ko", label: "한국어", locale: "ko-KR" },
+  { id: "en", label: "English", locale: "en-US" }
+];
+
+const CATALOGS = { ko, en };
+const FALLBACK = "ko"; // 번역이 빠진 키는 한국어로 보인다
+const LANG_KEY = "afibcare.lang";
+
+const storedLang = () => {
+  try {
+    return localStorage.getItem(LANG_KEY);
+  } catch {
+    return null;
+  }
+};
+
+// 저장한 선택 → 브라우저 언어 순서. 지원하지 않는 언어만 쓰는 브라우저는 영어로
+function detectLang() {
+  const saved = storedLang();
+  if (CATALOGS[saved]) return saved;
+  const prefs = typeof navigator !== "undefined" ? navigator.languages || [navigator.language] : [];
+  const found = prefs.map((l) => String(l || "").slice(0, 2).toLowerCase()).find((l) => CATALOGS[l]);
+  return found || (prefs.length ? "en" : FALLBACK);
+}
+
+let current = detectLang();
+
+export const getLang = () => current;
+
+export function setLang(lang) {
+  if (!CATALOGS[lang]) return;
+  current = lang;
+  try {
+    localStorage.setItem(LANG_KEY, lang);
+  } catch {
+    // 저장하지 못해도 이번 실행 동안은 바뀐 언어로 보인다
+  }
+}
+
+// Intl 에 넘길 로캘 ("ko-KR" | "en-US")
+export const locale = () => LANGS.find((l) => l.id === current).locale;
+
+const lookup = (catalog, key) => key.split(".").reduce((o, k) => (o && typeof o === "object" ? o[k] : undefined), catalog);
+
+const interpolate = (msg, params) => msg.replace(/\{(\w+)\}/g, (m, k) => (params[k] ?? m));
+
+export function t(key, params = {}) {
+  const msg = lookup(CATALOGS[current], key) ?? lookup(CATALOGS[FALLBACK], key);
+  if (msg === undefined) return key;
+  if (typeof msg === "function") return interpolate(msg(params), params);
+  return typeof msg === "string" ? interpolate(msg, params) : msg;
+}
+
+// 카탈로그에 키가 있는지 — 사용자가 직접 입력한 값(예: 사용자 정의 검사)과 구분할 때
+export const hasMessage = (key) => lookup(CATALOGS[current], key) !== undefined || lookup(CATALOGS[FALLBACK], key) !== undefined;
+
+// --- 날짜·숫자 형식 ---
+// 저장·파일·입력칸은 언어와 상관없이 "YYYY-MM-DD" 를 쓰고, 화면에 보이는 글자만 로캘 형식으로 바꾼다.
+const asDate = (ds) => new Date(`${ds}T00:00:00`);
+
+// "2025-03-04" → "2025년 3월 4일" / "Mar 4, 2025"
+export const fmtDay = (ds, opts = { year: "numeric", month: "short", day: "numeric" }) =>
+  ds ? new Intl.DateTimeFormat(locale(), opts).format(asDate(ds)) : "";
+
+// "2025-03-04" → "3월 4일 (화)" / "Tue, Mar 4"
+export const fmtDayShort = (ds) => fmtDay(ds, { month: "short", day: "numeric", weekday: "short" });
+
+// "2025-03" → "2025년 3월" / "March 2025"
+export const fmtMonth = (month) => fmtDay(`${month}-01`, { year: "numeric", month: "long" });
+
+// ISO 시각 → "2025. 3. 4. 오후 2:30" / "Mar 4, 2025, 2:30 PM"
+export const fmtDateTime = (iso) => (iso ? new Intl.DateTimeFormat(locale(), { dateStyle: "medium", timeStyle: "short" }).format(new Date(iso)) : "");
+
+// 일요일부터의 요일 이름 — ["일", "월", …] / ["Sun", "Mon", …]. style "long" 은 "일요일" / "Sunday"
+export const weekdayNames = (style = "short") => Array.from({ length: 7 }, (_, i) => fmtDay(`2023-01-0${i + 1}`, { weekday: style }));
+
+export const fmtNumber = (n, opts) => (typeof n === "number" && Number.isFinite(n) ? new Intl.NumberFormat(locale(), opts).format(n) : "-");
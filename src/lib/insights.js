@@ -0,0 +1,143 @@
+// --- 기록 분석 (인사이트) ---
+// 그래프 탭에서 고른 기간의 기록으로 간단한 통계를 낸다: 시간대별 맥박·혈압, 약을 빠뜨린 다음 날의 맥박,
+// 낮은 혈압과 어지럼증이 겹치는 빈도, 약을 바꾼 전후의 피로감. 인과 관계가 아니라 함께 나타난 정도일 뿐이다.
+// 결과에는 글자를 넣지 않는다 (id·숫자·날짜만) — 문구는 InsightsPanel 이 화면 언어로 만든다.
+import { readingStats, vitalValue } from "./readings.js";
+import { doseStatus, isRecorded } from "./adherence.js";
+import { dosesOn } from "./regimen.js";
+import { addDays, inRange, todayStr } from "./date.js";
+import { t } from "./i18n.js";
+
+export const MIN_SAMPLE = 3; // 비교는 양쪽 모두 이만큼 있을 때만
+export const LOW_SYS = 100; // mmHg
+export const CHANGE_WINDOW = 14; // 약을 바꾼 날 전후로 볼 일수
+
+// 측정 시각 구분 — 밤은 자정을 넘긴다
+export const TIME_BANDS = [
+  { id: "morning", from: "04:00", to: "11:00" },
+  { id: "afternoon", from: "11:00", to: "17:00" },
+  { id: "evening", from: "17:00", to: "22:00" },
+  { id: "night", from: "22:00", to: "04:00" }
+].map((b) => ({
+  ...b,
+  get label() {
+    return t(`insights.bands.${b.id}`);
+  }
+}));
+
+const bandOf = (time) =>
+  TIME_BANDS.find((b) => (b.from < b.to ? time >= b.from && time < b.to : time >= b.from || time < b.to))?.id || null;
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+// 숫자 목록 → { mean, n } (비었으면 null)
+const meanOf = (values) => (values.length ? { mean: round1(values.reduce((a, b) => a + b, 0) / values.length), n: values.length } : null);
+
+const enough = (...groups) => groups.every((g) => g && g.n >= MIN_SAMPLE);
+
+// 시간대별 측정: [{ band, n, pulse, sys, dia }] — 시각이 없는 측정은 뺀다
+export function timeOfDayStats(list) {
+  const readings = list.flatMap((e) => e.readings || []).filter((r) => r.time);
+  return TIME_BANDS.map((b) => {
+    const group = readings.filter((r) => bandOf(r.time) === b.id);
+    return { band: b.id, n: group.length, ...readingStats(group) };
+  }).filter((x) => x.n > 0);
+}
+
+const dayPulse = (e) => readingStats(e.readings).pulse?.mean ?? null;
+
+// 약별로, 전날 그 약을 하나라도 빠뜨린 날과 전날 모두 먹은 날의 평균 맥박 (하루 평균들의 평균)
+// [{ med, missed: { mean, n } | null, adherent, diff, enough }] — 빠뜨린 날이 없는 약은 뺀다
+export function missedDosePulse(entries, list, regimen, today = todayStr) {
+  const byMed = new Map(); // 용량을 바꿔 id 가 달라져도 같은 약으로 — 이름으로 묶는다
+  for (const e of list) {
+    const pulse = dayPulse(e);
+    if (pulse === null) continue;
+    const prev = addDays(e.date, -1);
+    const statuses = new Map();
+    for (const d of dosesOn(regimen, prev)) {
+      const status = doseStatus(entries[prev], d.slot, d.med.id, today);
+      if (!statuses.has(d.med.name)) statuses.set(d.med.name, []);
+      statuses.get(d.med.name).push(status);
+    }
+    for (const [name, found] of statuses) {
+      const group = found.includes("missed") ? "missed" : found.every((s) => s === "taken") ? "adherent" : null;
+      if (!group) continue;
+      if (!byMed.has(name)) byMed.set(name, { missed: [], adherent: [] });
+      byMed.get(name)[group].push(pulse);
+    }
+  }
+  return [...byMed.entries()]
+    .map(([med, g]) => {
+      const missed = meanOf(g.missed);
+      const adherent = meanOf(g.adherent);
+      return { med, missed, adherent, diff: missed && adherent ? round1(missed.mean - adherent.mean) : null, enough: enough(missed, adherent) };
+    })
+    .filter((x) => x.missed);
+}
+
+// 수축기 최저값이 LOW_SYS 미만인 날과 아닌 날의 어지럼증 빈도 — 수축기 측정이 있는 날만
+export function lowBpDizziness(list) {
+  const rows = list
+    .map((e) => {
+      const sys = (e.readings || []).map((r) => vitalValue(r, "sys")).filter((v) => v !== null);
+      return sys.length ? { low: Math.min(...sys) < LOW_SYS, dizzy: !!e.dizziness } : null;
+    })
+    .filter(Boolean);
+  const count = (low) => {
+    const days = rows.filter((r) => r.low === low);
+    const dizzy = days.filter((r) => r.dizzy).length;
+    return { n: days.length, dizzy, pct: days.length ? Math.round((dizzy / days.length) * 100) : null };
+  };
+  const low = count(true);
+  const other = count(false);
+  return { low, other, enough: enough(low, other) };
+}
+
+const medName = (m) => `${m.name}${m.dose ? ` ${m.dose}` : ""}`;
+
+// 약을 시작·종료한 날 — 기간 안의 레지멘 변경일 [{ date, started: [이름], stopped: [이름] }]
+export function regimenChanges(regimen, from, to) {
+  const dates = new Set([
+    ...regimen.filter((m) => m.start).map((m) => m.start),
+    ...regimen.filter((m) => m.end).map((m) => addDays(m.end, 1))
+  ]);
+  return [...dates]
+    .filter((d) => inRange(d, from, to))
+    .sort()
+    .map((date) => ({
+      date,
+      started: regimen.filter((m) => m.start === date).map(medName),
+      stopped: regimen.filter((m) => m.end && addDays(m.end, 1) === date).map(medName)
+    }));
+}
+
+// 변경일 전후 CHANGE_WINDOW 일의 피로감(0 없음 – 2 심함)과 맥박 — 무언가 기록한 날만
+export function changeEffects(entries, regimen, from, to) {
+  const around = (start, end) => {
+    const days = Object.values(entries).filter((e) => inRange(e.date, start, end) && isRecorded(e));
+    return {
+      fatigue: meanOf(days.map((e) => Number(e.fatigue) || 0)),
+      pulse: meanOf(days.map(dayPulse).filter((v) => v !== null))
+    };
+  };
+  return regimenChanges(regimen, from, to).map((c) => {
+    const before = around(addDays(c.date, -CHANGE_WINDOW), addDays(c.date, -1));
+    const after = around(c.date, addDays(c.date, CHANGE_WINDOW - 1));
+    return { ...c, before, after, enough: enough(before.fatigue, after.fatigue) };
+  });
+}
+
+// 기간의 모든 분석 — entries 는 전체 기록 (전날·변경 전 기록을 보려고), from/to 는 "" 이면 처음/끝까지
+export function buildInsights(entries, regimen, { from = "", to = "", today = todayStr } = {}) {
+  const list = Object.values(entries)
+    .filter((e) => inRange(e.date, from, to))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  return {
+    days: list.length,
+    timeOfDay: timeOfDayStats(list),
+    missedDose: missedDosePulse(entries, list, regimen, today),
+    lowBp: lowBpDizziness(list),
+    changes: changeEffects(entries, regimen, from, to || today)
+  };
+}
@@ -0,0 +1,138 @@
+// --- 약물 상호작용 (오프라인 표) ---
+// 레지멘의 약과 그날 기록한 '다른 약·보충제'(entry.otherMeds: 이름 문자열 배열)를 성분 단위로 맞춰 보고, 알려진 조합이면 경고한다.
+// 표는 앱에 들어 있어 네트워크 없이 동작하고, 각 항목에 근거(허가사항 등)를 붙인다. 모든 상호작용을 담은 목록은 아니다.
+// 이름 맞추기: 공백·대소문자를 무시하고 성분명·제품명(한/영) 중 하나가 이름 안에 있으면 그 성분으로 본다 ("이부프로펜 200mg" → NSAID).
+import { activeMeds, medLabel } from "./regimen.js";
+import { t } from "./i18n.js";
+
+const norm = (s) => String(s || "").toLowerCase().replace(/[\s\-_()·.,]/g, "");
+
+// 성분(또는 같은 경고를 받는 성분 묶음) — names 는 norm 한 별칭
+const substance = (id, names) => ({
+  id,
+  names: names.map(norm),
+  get label() {
+    return t(`interactions.substances.${id}`);
+  }
+});
+
+export const SUBSTANCES = [
+  substance("dronedarone", ["dronedarone", "드로네다론", "multaq", "멀택"]),
+  substance("edoxaban", ["edoxaban", "에독사반", "lixiana", "릭시아나", "savaysa"]),
+  substance("bisoprolol", ["bisoprolol", "비소프롤롤", "concor", "콩코르", "콩브렐"]),
+  substance("verapamil", ["verapamil", "베라파밀", "isoptin", "이솝틴"]),
+  substance("diltiazem", ["diltiazem", "딜티아젬", "herben", "헤르벤"]),
+  substance("strongCyp3a", ["ketoconazole", "케토코나졸", "nizoral", "니조랄", "itraconazole", "이트라코나졸", "sporanox", "스포라녹스", "voriconazole", "보리코나졸", "clarithromycin", "클래리트로마이신", "클라리스로마이신", "klaricid", "클래리시드", "ritonavir", "리토나비르"]),
+  substance("cyclosporine", ["cyclosporine", "ciclosporin", "사이클로스포린", "시클로스포린", "neoral", "산디문"]),
+  substance("erythromycin", ["erythromycin", "에리스로마이신"]),
+  substance("simvastatin", ["simvastatin", "심바스타틴", "zocor", "조코"]),
+  substance("otherStatin", ["atorvastatin", "아토르바스타틴", "lipitor", "리피토", "rosuvastatin", "로수바스타틴", "crestor", "크레스토", "lovastatin", "로바스타틴"]),
+  substance("digoxin", ["digoxin", "디곡신", "lanoxin", "라녹신"]),
+  substance("nsaid", ["ibuprofen", "이부프로펜", "부루펜", "애드빌", "advil", "naproxen", "나프록센", "탁센", "diclofenac", "디클로페낙", "celecoxib", "셀레콕시브", "쎄레브렉스", "celebrex", "loxoprofen", "록소프로펜", "록소닌", "dexibuprofen", "덱시부프로펜", "nsaid", "소염진통제"]),
+  substance("aspirin", ["aspirin", "아스피린", "acetylsalicylic", "아세틸살리실산"]),
+  substance("antiplatelet", ["clopidogrel", "클로피도그렐", "plavix", "플라빅스", "ticagrelor", "티카그렐러", "brilinta", "브릴린타", "prasugrel", "프라수그렐"]),
+  substance("anticoagulant", ["warfarin", "와파린", "coumadin", "쿠마딘", "apixaban", "아픽사반", "eliquis", "엘리퀴스", "rivaroxaban", "리바록사반", "xarelto", "자렐토", "dabigatran", "다비가트란", "pradaxa", "프라닥사"]),
+  substance("ssri", ["sertraline", "서트랄린", "escitalopram", "에스시탈로프람", "렉사프로", "fluoxetine", "플루옥세틴", "프로작", "paroxetine", "파록세틴", "venlafaxine", "벤라팍신", "duloxetine", "둘록세틴", "심발타"]),
+  substance("inducer", ["rifampicin", "rifampin", "리팜피신", "carbamazepine", "카르바마제핀", "phenytoin", "페니토인", "phenobarbital", "페노바르비탈", "stjohnswort", "세인트존스워트", "성요한풀"]),
+  substance("grapefruit", ["grapefruit", "자몽"]),
+  substance("clonidine", ["clonidine", "클로니딘"]),
+  substance("ginkgo", ["ginkgo", "은행잎", "징코", "기넥신"])
+];
+
+// 심각도 — 위에서부터 무겁다. alert 는 ui.jsx Alert 의 type
+export const SEVERITIES = ["contraindicated", "major", "moderate", "minor"].map((id, i) => ({
+  id,
+  rank: i,
+  alert: i < 2 ? "danger" : i === 2 ? "warn" : "info",
+  get label() {
+    return t(`interactions.severity.${id}`);
+  }
+}));
+
+export const severityOf = (id) => SEVERITIES.find((s) => s.id === id);
+
+// 근거 — 문서 이름과 항목이라 번역하지 않는다
+const MULTAQ = "MULTAQ (dronedarone) US Prescribing Information";
+const LIXIANA = "LIXIANA (edoxaban) EU SmPC";
+const CONCOR = "Concor (bisoprolol) SmPC";
+
+// a 와 b(성분 id 목록) 를 함께 쓰면 경고. 설명은 interactions.rules.<id>
+const INTERACTIONS = [
+  { id: "dronedaroneStrongCyp3a", a: "dronedarone", b: ["strongCyp3a", "cyclosporine"], severity: "contraindicated", source: `${MULTAQ} §4 Contraindications` },
+  { id: "dronedaroneGrapefruit", a: "dronedarone", b: ["grapefruit"], severity: "major", source: `${MULTAQ} §7 Drug Interactions` },
+  { id: "dronedaroneInducer", a: "dronedarone", b: ["inducer"], severity: "major", source: `${MULTAQ} §7 Drug Interactions` },
+  { id: "dronedaroneErythromycin", a: "dronedarone", b: ["erythromycin"], severity: "major", source: `${MULTAQ} §4 Contraindications (QT-prolonging drugs)` },
+  { id: "dronedaroneCcb", a: "dronedarone", b: ["verapamil", "diltiazem"], severity: "major", source: `${MULTAQ} §7 Drug Interactions` },
+  { id: "dronedaroneDigoxin", a: "dronedarone", b: ["digoxin"], severity: "major", source: `${MULTAQ} §7 Drug Interactions` },
+  { id: "dronedaroneSimvastatin", a: "dronedarone", b: ["simvastatin"], severity: "major", source: `${MULTAQ} §7 Drug Interactions` },
+  { id: "dronedaroneStatin", a: "dronedarone", b: ["otherStatin"], severity: "moderate", source: `${MULTAQ} §7 Drug Interactions` },
+  { id: "dronedaroneBetaBlocker", a: "dronedarone", b: ["bisoprolol"], severity: "moderate", source: `${MULTAQ} §7 Drug Interactions` },
+  { id: "dronedaroneAnticoagulant", a: "dronedarone", b: ["anticoagulant"], severity: "moderate", source: `${MULTAQ} §7 Drug Interactions` },
+  { id: "edoxabanAnticoagulant", a: "edoxaban", b: ["anticoagulant"], severity: "contraindicated", source: `${LIXIANA} §4.3 Contraindications` },
+  { id: "edoxabanNsaid", a: "edoxaban", b: ["nsaid"], severity: "major", source: `${LIXIANA} §4.5 Interactions` },
+  { id: "edoxabanAspirin", a: "edoxaban", b: ["aspirin"], severity: "major", source: `${LIXIANA} §4.5 Interactions` },
+  { id: "edoxabanAntiplatelet", a: "edoxaban", b: ["antiplatelet"], severity: "major", source: `${LIXIANA} §4.5 Interactions` },
+  { id: "edoxabanPgpInhibitor", a: "edoxaban", b: ["dronedarone", "cyclosporine", "erythromycin", "strongCyp3a"], severity: "moderate", source: `${LIXIANA} §4.2 Posology, §4.5 Interactions` },
+  { id: "edoxabanInducer", a: "edoxaban", b: ["inducer"], severity: "moderate", source: `${LIXIANA} §4.5 Interactions` },
+  { id: "edoxabanSsri", a: "edoxaban", b: ["ssri"], severity: "moderate", source: `${LIXIANA} §4.5 Interactions` },
+  { id: "edoxabanGinkgo", a: "edoxaban", b: ["ginkgo"], severity: "minor", source: "NIH NCCIH, Ginkgo — Safety" },
+  { id: "bisoprololCcb", a: "bisoprolol", b: ["verapamil", "diltiazem"], severity: "major", source: `${CONCOR} §4.5 Combinations not recommended` },
+  { id: "bisoprololClonidine", a: "bisoprolol", b: ["clonidine"], severity: "major", source: `${CONCOR} §4.5 Combinations not recommended` },
+  { id: "bisoprololNsaid", a: "bisoprolol", b: ["nsaid"], severity: "minor", source: `${CONCOR} §4.5 Combinations to be used with caution` }
+];
+
+// 이름 → 맞는 성분들 (없으면 빈 배열)
+export const substancesOf = (name) => {
+  const n = norm(name);
+  return n ? SUBSTANCES.filter((s) => s.names.some((alias) => n.includes(alias))) : [];
+};
+
+// 약 이름 목록 입력칸의 자동 완성 — 자주 쓰는 한글 이름
+export const SUGGESTIONS = ["이부프로펜", "나프록센", "아스피린", "클로피도그렐", "와파린", "베라파밀", "딜티아젬", "케토코나졸", "이트라코나졸", "클래리트로마이신", "에리스로마이신", "심바스타틴", "아토르바스타틴", "로수바스타틴", "디곡신", "서트랄린", "에스시탈로프람", "리팜피신", "세인트존스워트", "자몽주스", "은행잎 추출물", "Ibuprofen", "Aspirin", "Clopidogrel", "Verapamil", "Simvastatin", "Grapefruit juice"];
+
+// items: [{ name, source: "regimen" | "other" }] → 경고 목록 [{ id, severity, text, source, a, b, other }] (무거운 순)
+// a, b 는 해당하는 항목의 이름, other 는 다른 약이 낀 조합인지. 같은 항목끼리는 보지 않는다
+export function findInteractions(items) {
+  const matched = items.map((item) => ({ ...item, ids: substancesOf(item.name).map((s) => s.id) }));
+  const out = [];
+  for (const rule of INTERACTIONS) {
+    for (const x of matched.filter((m) => m.ids.includes(rule.a))) {
+      for (const y of matched.filter((m) => m !== x && rule.b.some((id) => m.ids.includes(id)))) {
+        if (out.some((o) => o.id === rule.id && o.a === x.name && o.b === y.name)) continue;
+        out.push({ id: rule.id, severity: rule.severity, text: t(`interactions.rules.${rule.id}`), source: rule.source, a: x.name, b: y.name, other: x.source === "other" || y.source === "other" });
+      }
+    }
+  }
+  return out.sort((p, q) => severityOf(p.severity).rank - severityOf(q.severity).rank);
+}
+
+// 그날 복용 대상인 레지멘 약 — 이름은 성분명까지 붙인 medLabel 로 맞춘다
+export const regimenItems = (regimen, date) => activeMeds(regimen, date).map((m) => ({ name: medLabel(m), source: "regimen" }));
+
+export const otherItems = (names = []) => names.map((name) => ({ name, source: "other" }));
+
+// 그날 복용 대상인 레지멘 약 + 그날 기록한 다른 약
+export const entryInteractions = (regimen, entry) => findInteractions([...regimenItems(regimen, entry.date), ...otherItems(entry.otherMeds)]);
+
+// 기간 중 기록한 다른 약 — [{ name, days, first, last }] (많이 기록한 순)
+export function otherMedSummary(list) {
+  const byName = new Map();
+  for (const e of list) {
+    for (const name of e.otherMeds || []) {
+      const key = norm(name);
+      const s = byName.get(key) || { name, days: 0, first: e.date, last: e.date };
+      s.days += 1;
+      if (e.date < s.first) s.first = e.date;
+      if (e.date > s.last) s.last = e.date;
+      byName.set(key, s);
+    }
+  }
+  return [...byName.values()].sort((a, b) => b.days - a.days || a.name.localeCompare(b.name));
+}
+
+// 입력칸의 이름을 목록에 더한다 — 앞뒤 공백을 빼고 이미 있는 이름(대소문자·공백 무시)은 더하지 않는다
+export const addOtherMed = (list, name) => {
+  const trimmed = String(name || "").trim();
+  if (!trimmed || (list || []).some((x) => norm(x) === norm(trimmed))) return list || [];
+  return [...(list || []), trimmed];
+};
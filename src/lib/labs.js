@@ -0,0 +1,122 @@
+// --- 검사 결과 (INR, 신장 기능, 혈구, 간 기능, 심전도 등) ---
+// 설정 "labs": [{ id, date, test, name, value, unit, low, high, note }] — 레지멘처럼 프로필 설정에 목록으로 둔다.
+// test 는 LAB_TESTS 의 id 또는 "custom"(name 에 검사명). low/high 는 그 결과지에 적힌 참고 범위 (없으면 null).
+import { todayStr } from "./date.js";
+import { t } from "./i18n.js";
+
+// 흔한 검사와 일반적인 참고 범위 — 병원마다 다르므로 결과지의 범위로 고쳐 쓴다
+// 이름·설명은 getter — 화면 언어를 따라간다 (locales 의 labs.tests.<id>)
+const labTest = (id, range) => ({
+  id,
+  ...range,
+  get label() {
+    return t(`labs.tests.${id}.label`);
+  },
+  get hint() {
+    return t(`labs.tests.${id}.hint`);
+  }
+});
+
+export const LAB_TESTS = [
+  labTest("inr", { unit: "", low: 2.0, high: 3.0 }),
+  labTest("creatinine", { unit: "mg/dL", low: 0.7, high: 1.3 }),
+  labTest("egfr", { unit: "mL/min/1.73m²", low: 60, high: null }),
+  labTest("crcl", { unit: "mL/min", low: 50, high: null }),
+  labTest("hemoglobin", { unit: "g/dL", low: 12, high: 16 }),
+  labTest("platelets", { unit: "10³/µL", low: 150, high: 400 }),
+  labTest("ast", { unit: "U/L", low: null, high: 40 }),
+  labTest("alt", { unit: "U/L", low: null, high: 40 }),
+  labTest("potassium", { unit: "mmol/L", low: 3.5, high: 5.0 }),
+  labTest("qtc", { unit: "ms", low: null, high: 450 })
+];
+
+export const CUSTOM_TEST = "custom";
+
+const testOf = (id) => LAB_TESTS.find((x) => x.id === id) || null;
+
+export const newLab = (test = "inr", date = todayStr) => {
+  const t = testOf(test);
+  return {
+    id: `lab-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    date,
+    test,
+    name: "",
+    value: null,
+    unit: t?.unit ?? "",
+    low: t?.low ?? null,
+    high: t?.high ?? null,
+    note: ""
+  };
+};
+
+// 검사 종류를 바꾸면 단위와 참고 범위도 그 검사의 기본값으로
+export const withTest = (lab, test) => {
+  const t = testOf(test);
+  return { ...lab, test, name: t ? "" : lab.name, unit: t?.unit ?? lab.unit, low: t?.low ?? null, high: t?.high ?? null };
+};
+
+export const labName = (lab) => (lab.test === CUSTOM_TEST ? lab.name.trim() || t("labs.custom") : testOf(lab.test)?.label || lab.test);
+
+// 같은 검사끼리 묶는 열쇠 — 기타 검사는 이름으로
+export const labKey = (lab) => (lab.test === CUSTOM_TEST ? `${CUSTOM_TEST}:${lab.name.trim().toLowerCase()}` : lab.test);
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+// "low" | "high" | "normal" | null(값 또는 범위 없음)
+export function labStatus(lab) {
+  if (!isNum(lab.value)) return null;
+  if (isNum(lab.low) && lab.value < lab.low) return "low";
+  if (isNum(lab.high) && lab.value > lab.high) return "high";
+  return isNum(lab.low) || isNum(lab.high) ? "normal" : null;
+}
+
+export const isOutOfRange = (lab) => ["low", "high"].includes(labStatus(lab));
+
+export const fmtRange = (lab) =>
+  isNum(lab.low) && isNum(lab.high) ? `${lab.low}–${lab.high}` : isNum(lab.low) ? `≥ ${lab.low}` : isNum(lab.high) ? `≤ ${lab.high}` : "-";
+
+export const fmtLab = (lab) => `${labName(lab)} ${isNum(lab.value) ? lab.value : "-"}${lab.unit ? ` ${lab.unit}` : ""}`;
+
+// 입력 글자 → 숫자 | null (빈 칸). 읽을 수 없으면 NaN
+export const parseLabNumber = (text) => {
+  const t = String(text ?? "").trim().replace(",", ".");
+  if (!t) return null;
+  return /^-?\d+(\.\d+)?$/.test(t) ? Number(t) : NaN;
+};
+
+export function validateLab(lab) {
+  const problems = [];
+  if (!lab.date) problems.push(t("labs.problems.date"));
+  if (lab.test === CUSTOM_TEST && !lab.name.trim()) problems.push(t("labs.problems.name"));
+  if (!isNum(lab.value)) problems.push(t("labs.problems.value"));
+  if (isNum(lab.low) && isNum(lab.high) && lab.low > lab.high) problems.push(t("labs.problems.range"));
+  return problems;
+}
+
+// 검사별 묶음: [{ key, name, unit, results(날짜순), latest }] — 최근 검사한 것부터
+export function labGroups(labs = []) {
+  const map = new Map();
+  for (const lab of labs) {
+    const k = labKey(lab);
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(lab);
+  }
+  return [...map.entries()]
+    .map(([key, results]) => {
+      const sorted = [...results].sort((a, b) => a.date.localeCompare(b.date));
+      const latest = sorted[sorted.length - 1];
+      return { key, name: labName(latest), unit: latest.unit, results: sorted, latest };
+    })
+    .sort((a, b) => b.latest.date.localeCompare(a.latest.date));
+}
+
+// 그래프 y 축 — 값과 참고 범위를 모두 담고 위아래로 10% 여유 (INR 처럼 작은 값도 있어 10 단위로 반올림하지 않는다)
+export function labDomain(results, range = {}) {
+  const nums = [...results.map((r) => r.value), range.low, range.high].filter(isNum);
+  if (!nums.length) return [0, 1];
+  const lo = Math.min(...nums);
+  const hi = Math.max(...nums);
+  const pad = (hi - lo || Math.abs(hi) || 1) * 0.1;
+  const round = (v) => Math.round(v * 100) / 100;
+  return [round(Math.max(0, lo - pad)), round(hi + pad)];
+}
@@ -0,0 +1,161 @@
+// --- 생활 습관 기록 (체중, 걷기·운동, 음주, 카페인, 수면) ---
+// 기록: entry.weight, steps, exerciseMin, alcohol, caffeine, sleepHours — 숫자, 입력하지 않았으면 null
+// 설정 "lifestyle": { modules: { [moduleId]: boolean } } — 켠 항목만 '오늘 체크'에 보인다 (기본은 모두 끔)
+import { addDays, todayStr } from "./date.js";
+import { t } from "./i18n.js";
+
+// 이름·단위·예시는 getter — 화면 언어를 따라간다 (locales 의 lifestyle.*)
+const field = (key, { min, max, decimals, example }) => ({
+  key,
+  min,
+  max,
+  decimals,
+  get label() {
+    return t(`lifestyle.fields.${key}`);
+  },
+  get unit() {
+    return t(`lifestyle.units.${key}`);
+  },
+  get placeholder() {
+    return t("common.example", { value: example });
+  }
+});
+
+const lifestyleModule = (id, fields) => ({
+  id,
+  fields,
+  get label() {
+    return t(`lifestyle.modules.${id}`);
+  }
+});
+
+export const LIFESTYLE_MODULES = [
+  lifestyleModule("weight", [field("weight", { min: 20, max: 300, decimals: 1, example: "68.5" })]),
+  lifestyleModule("activity", [
+    field("steps", { min: 0, max: 100000, decimals: 0, example: "6000" }),
+    field("exerciseMin", { min: 0, max: 1440, decimals: 0, example: "30" })
+  ]),
+  lifestyleModule("alcohol", [field("alcohol", { min: 0, max: 50, decimals: 1, example: "1" })]),
+  lifestyleModule("caffeine", [field("caffeine", { min: 0, max: 30, decimals: 0, example: "1" })]),
+  lifestyleModule("sleep", [field("sleepHours", { min: 0, max: 24, decimals: 1, example: "7" })])
+];
+
+export const LIFESTYLE_FIELDS = LIFESTYLE_MODULES.flatMap((m) => m.fields);
+export const LIFESTYLE_KEYS = LIFESTYLE_FIELDS.map((f) => f.key);
+const fieldOf = (key) => LIFESTYLE_FIELDS.find((f) => f.key === key);
+
+// 교육 탭의 생활 수칙과 같은 목표 — 주간 요약에서 비교한다
+export const LIFESTYLE_TARGETS = {
+  exerciseMin: 150, // 분/주 이상
+  alcohol: 0, // 잔/주 — 피하기
+  caffeine: 2, // 잔/일 이하 (평균)
+  sleepHours: [7, 9] // 시간/일 (평균)
+};
+
+export const lifestylePrefs = (saved = {}) => ({
+  modules: Object.fromEntries(LIFESTYLE_MODULES.map((m) => [m.id, !!saved.modules?.[m.id]]))
+});
+
+export const enabledModules = (prefs) => LIFESTYLE_MODULES.filter((m) => prefs.modules[m.id]);
+
+// 입력 글자 → { value: number | null, error }. 빈 칸은 '기록 안 함'(null)
+export function parseLifestyle(key, text) {
+  const f = fieldOf(key);
+  const s = String(text ?? "").trim().replace(",", ".");
+  if (!s) return { value: null, error: null };
+  if (!(f.decimals ? /^\d+(\.\d*)?$/ : /^\d+$/).test(s)) return { value: null, error: f.decimals ? t("common.numbersOnly") : t("common.integersOnly") };
+  const n = Number(s);
+  if (n < f.min || n > f.max) return { value: null, error: t("common.between", { range: `${f.min}–${f.max} ${f.unit}` }) };
+  return { value: Math.round(n * 10 ** f.decimals) / 10 ** f.decimals, error: null };
+}
+
+export const lifestyleValue = (entry, key) => {
+  const v = entry?.[key];
+  return typeof v === "number" && Number.isFinite(v) ? v : null;
+};
+
+export const hasLifestyle = (entry) => LIFESTYLE_KEYS.some((k) => lifestyleValue(entry, k) !== null);
+
+export const fmtLifestyle = (key, v) => (v === null ? "-" : t("lifestyle.value", { value: v, unit: fieldOf(key).unit }));
+
+// --- 주간 요약 (월요일 시작) ---
+export const weekStart = (date) => {
+  const day = new Date(`${date}T00:00:00`).getDay(); // 0 = 일
+  return addDays(date, -((day + 6) % 7));
+};
+
+const round1 = (v) => Math.round(v * 10) / 10;
+const sum = (xs) => xs.reduce((a, b) => a + b, 0);
+const mean = (xs) => (xs.length ? round1(sum(xs) / xs.length) : null);
+
+// 최근 weeks 주: [{ start, end, complete, items: [{ id, label, value, target, met, days }] }] — 최근 주부터
+// met: true/false, 비교할 목표가 없거나 아직 판단할 수 없으면 null
+export function weeklySummary(entries, modules, { weeks = 2, today = todayStr } = {}) {
+  const out = [];
+  for (let w = 0; w < weeks; w++) {
+    const start = addDays(weekStart(today), -7 * w);
+    const end = addDays(start, 6);
+    const dates = Array.from({ length: 7 }, (_, i) => addDays(start, i)).filter((d) => d <= today);
+    const values = (key) => dates.map((d) => lifestyleValue(entries[d], key)).filter((v) => v !== null);
+    const complete = end < today;
+    const items = [];
+    for (const m of modules) {
+      if (m.id === "weight") {
+        const v = values("weight");
+        items.push({
+          id: m.id,
+          label: m.label,
+          value: v.length ? t("lifestyle.weightMean", { mean: mean(v) }) + (v.length > 1 ? t("lifestyle.weightChange", { delta: `${v[v.length - 1] - v[0] >= 0 ? "+" : ""}${round1(v[v.length - 1] - v[0])}` }) : "") : "-",
+          target: t("lifestyle.weightTarget"),
+          met: null,
+          days: v.length
+        });
+      } else if (m.id === "activity") {
+        const mins = values("exerciseMin");
+        const steps = values("steps");
+        const total = sum(mins);
+        items.push({
+          id: m.id,
+          label: m.label,
+          value: [mins.length ? t("lifestyle.exercise", { minutes: total }) : null, steps.length ? t("lifestyle.stepsMean", { steps: Math.round(sum(steps) / steps.length) }) : null].filter(Boolean).join(" · ") || "-",
+          target: t("lifestyle.exerciseTarget", { minutes: LIFESTYLE_TARGETS.exerciseMin }),
+          met: total >= LIFESTYLE_TARGETS.exerciseMin ? true : complete && mins.length ? false : null,
+          days: Math.max(mins.length, steps.length)
+        });
+      } else if (m.id === "alcohol") {
+        const v = values("alcohol");
+        items.push({
+          id: m.id,
+          label: m.label,
+          value: v.length ? t("lifestyle.drinks", { n: round1(sum(v)) }) : "-",
+          target: t("lifestyle.alcoholTarget"),
+          met: v.length ? sum(v) <= LIFESTYLE_TARGETS.alcohol : null,
+          days: v.length
+        });
+      } else if (m.id === "caffeine") {
+        const v = values("caffeine");
+        items.push({
+          id: m.id,
+          label: m.label,
+          value: v.length ? t("lifestyle.cupsMean", { n: mean(v) }) : "-",
+          target: t("lifestyle.caffeineTarget", { n: LIFESTYLE_TARGETS.caffeine }),
+          met: v.length ? mean(v) <= LIFESTYLE_TARGETS.caffeine : null,
+          days: v.length
+        });
+      } else if (m.id === "sleep") {
+        const v = values("sleepHours");
+        const [lo, hi] = LIFESTYLE_TARGETS.sleepHours;
+        items.push({
+          id: m.id,
+          label: m.label,
+          value: v.length ? t("lifestyle.sleepMean", { n: mean(v) }) : "-",
+          target: t("lifestyle.sleepTarget", { lo, hi }),
+          met: v.length ? mean(v) >= lo && mean(v) <= hi : null,
+          days: v.length
+        });
+      }
+    }
+    out.push({ start, end, complete, items });
+  }
+  return out;
+}
@@ -0,0 +1,100 @@
+// --- 앱 잠금 (PIN / 암호) ---
+// 잠금을 켜면 저장소의 모든 기록·설정 값을 암호에서 만든 키로 암호화한다 (Web Crypto: PBKDF2-SHA256 → AES-GCM 256).
+// 키는 메모리에만 두고 저장하지 않는다 — 암호를 잊으면 복호화할 방법이 없으므로, 켜기 전에 복구용 백업을 받게 한다.
+// meta.lock: { kind, iterations, salt, check, autoLockMinutes, createdAt, recoveryExportedAt } — 값이 없으면 잠금 꺼짐.
+// 레코드 키([profileId, 날짜 | 설정 키])는 암호화하지 않는다 (기록이 있는 날짜는 드러난다).
+import { t } from "./i18n.js";
+
+export const LOCK_KINDS = [
+  {
+    id: "pin",
+    get label() {
+      return t("lock.kinds.pin");
+    }
+  },
+  {
+    id: "passphrase",
+    get label() {
+      return t("lock.kinds.passphrase");
+    }
+  }
+];
+
+export const AUTO_LOCK_OPTIONS = [1, 5, 15, 30, 0]; // 분, 0 = 자동 잠금 안 함
+export const DEFAULT_AUTO_LOCK = 5;
+export const MAX_ATTEMPTS = 5; // 연속으로 틀리면 잠시 기다리게 한다
+export const RETRY_DELAY = 30; // 초
+
+export const ITERATIONS = 600000;
+const CHECK_TEXT = "afibcare-lock";
+
+export class LockError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LockError";
+  }
+}
+
+export const cryptoAvailable = () => typeof crypto !== "undefined" && !!crypto.subtle;
+
+export function validateSecret(kind, secret, confirm) {
+  const problems = [];
+  if (kind === "pin" && !/^\d{6,}$/.test(secret)) problems.push(t("lock.problems.pin"));
+  if (kind === "passphrase" && secret.length < 8) problems.push(t("lock.problems.passphrase"));
+  if (confirm !== undefined && secret !== confirm) problems.push(t("lock.problems.confirm"));
+  return problems;
+}
+
+// 의료진 공유 링크의 암호화(lib/share.js)도 같은 방식으로 키를 만든다
+export const deriveKey = async (secret, salt, iterations) => {
+  const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+};
+
+// 저장소에 들어가는 암호문 레코드: { enc: 1, iv, data } (Uint8Array / ArrayBuffer)
+export const isEncrypted = (v) => !!v && typeof v === "object" && v.enc === 1 && "iv" in v && "data" in v;
+
+export async function encryptValue(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { enc: 1, iv, data: new Uint8Array(data) };
+}
+
+// 키가 틀리거나 내용이 손상되면 예외 (AES-GCM 인증 실패)
+export async function decryptValue(key, record) {
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: record.iv }, key, record.data);
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+// 새 잠금 정보와 키 — 잠금을 켜거나 암호를 바꿀 때마다 새 salt 로 만든다
+export async function createLock(kind, secret, { autoLockMinutes = DEFAULT_AUTO_LOCK, recoveryExportedAt = null } = {}) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(secret, salt, ITERATIONS);
+  const lock = {
+    kind,
+    iterations: ITERATIONS,
+    salt,
+    check: await encryptValue(key, CHECK_TEXT),
+    autoLockMinutes,
+    createdAt: new Date().toISOString(),
+    recoveryExportedAt
+  };
+  return { lock, key };
+}
+
+// 입력한 PIN/암호로 키를 만든다 — 틀리면 LockError
+export async function unlockKey(lock, secret) {
+  const key = await deriveKey(secret, lock.salt, lock.iterations);
+  try {
+    if ((await decryptValue(key, lock.check)) === CHECK_TEXT) return key;
+  } catch {
+    // 인증 실패 = 틀린 암호
+  }
+  throw new LockError(lock.kind === "pin" ? t("lock.wrongPin") : t("lock.wrongPassphrase"));
+}
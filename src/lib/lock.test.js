@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeAll } from "vitest";
+import { createLock, unlockKey, encryptValue, decryptValue, isEncrypted, validateSecret, LockError, ITERATIONS } from "./lock.js";
+
+const VALUE = { date: "2026-10-19", readings: [{ id: "r1", pulse: 72 }], notes: "개인 메모" };
+
+// PBKDF2 반복이 많아 키는 한 번만 만든다
+let pin;
+
+beforeAll(async () => {
+  pin = await createLock("pin", "123456");
+});
+
+describe("createLock", () => {
+  it("잠금 정보에는 암호가 들어가지 않는다", () => {
+    expect(pin.lock).toMatchObject({ kind: "pin", iterations: ITERATIONS });
+    expect(pin.lock.salt).toHaveLength(16);
+    expect(isEncrypted(pin.lock.check)).toBe(true);
+    expect(JSON.stringify(pin.lock)).not.toContain("123456");
+  });
+});
+
+describe("encryptValue → decryptValue", () => {
+  it("같은 키로 되돌린다", async () => {
+    const record = await encryptValue(pin.key, VALUE);
+    expect(isEncrypted(record)).toBe(true);
+    expect(new TextDecoder().decode(record.data)).not.toContain("개인 메모");
+    expect(await decryptValue(pin.key, record)).toEqual(VALUE);
+  });
+
+  it("같은 값이라도 매번 다른 암호문", async () => {
+    const [a, b] = await Promise.all([encryptValue(pin.key, VALUE), encryptValue(pin.key, VALUE)]);
+    expect(a.iv).not.toEqual(b.iv);
+    expect(a.data).not.toEqual(b.data);
+  });
+
+  it("손상된 암호문은 예외", async () => {
+    const record = await encryptValue(pin.key, VALUE);
+    record.data[0] ^= 1;
+    await expect(decryptValue(pin.key, record)).rejects.toThrow();
+  });
+});
+
+describe("unlockKey", () => {
+  it("맞는 PIN 이면 저장된 값을 읽을 수 있는 키", async () => {
+    const record = await encryptValue(pin.key, VALUE);
+    const key = await unlockKey(pin.lock, "123456");
+    expect(await decryptValue(key, record)).toEqual(VALUE);
+  });
+
+  it("틀린 PIN 이면 LockError", async () => {
+    await expect(unlockKey(pin.lock, "654321")).rejects.toThrow(LockError);
+  });
+});
+
+describe("validateSecret", () => {
+  it("PIN 은 숫자 6자리 이상, 암호는 8자 이상, 확인이 같아야", () => {
+    expect(validateSecret("pin", "123456", "123456")).toEqual([]);
+    expect(validateSecret("pin", "12345")).toHaveLength(1);
+    expect(validateSecret("pin", "12345a")).toHaveLength(1);
+    expect(validateSecret("passphrase", "long enough")).toEqual([]);
+    expect(validateSecret("passphrase", "short")).toHaveLength(1);
+    expect(validateSecret("passphrase", "long enough", "long enougj")).toHaveLength(1);
+  });
+});
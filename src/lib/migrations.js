@@ -0,0 +1,23 @@
+// --- 데이터 형식 마이그레이션 ---
+// MIGRATIONS[v] 는 (v-1) 형식의 스냅샷 { entries, settings } 을 받아 v 형식으로 돌려주는 순수 함수.
+// 스냅샷은 환자 한 명(프로필)의 데이터다. 저장소는 프로필마다 따로 올린다 (storage.js).
+// v1: localStorage(afibcare.entries.v1) 시절 형식 — 하루 한 벌의 pulse/bpSys/bpDia
+import { upgradeLegacyVitals, normalizeReading } from "./readings.js";
+import { t } from "./i18n.js";
+
+export const SCHEMA_VERSION = 4;
+
+const mapEntries = (snap, fn) => ({
+  ...snap,
+  entries: Object.fromEntries(Object.entries(snap.entries).map(([k, e]) => [k, fn(e)]))
+});
+
+export const MIGRATIONS = {
+  // v2: 하루 여러 번 측정(readings 배열), 약 복용은 레지멘 id 기준 meds[slot][medId]
+  2: (snap) =>
+    mapEntries(snap, (e) => upgradeLegacyVitals({ ...e, meds: e.meds && typeof e.meds === "object" ? e.meds : {} })),
+  // v3: 여러 환자 프로필 — 기존 데이터는 기본 프로필이 된다
+  3: (snap) => ({ ...snap, settings: { ...snap.settings, profile: { name: t("profiles.default"), birthYear: "", ...(snap.settings.profile || {}) } } }),
+  // v4: 측정값을 숫자(측정 안 함 = null)로 — 읽을 수 없는 글자는 reading.raw 에 보존
+  4: (snap) => mapEntries(snap, (e) => ({ ...e, readings: (e.readings || []).map(normalizeReading) }))
+};
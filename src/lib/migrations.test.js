@@ -0,0 +1,52 @@
+import { describe, it, expect } from "vitest";
+import { SCHEMA_VERSION, MIGRATIONS } from "./migrations.js";
+import { migrate } from "./storage.js";
+
+const DAY = "2026-10-19";
+
+// v1: 하루 한 벌의 pulse/bpSys/bpDia, 값은 입력칸 글자 그대로
+const v1 = (extra = {}) => ({ entries: { [DAY]: { date: DAY, pulse: "72", bpSys: "120", bpDia: "80", notes: "메모", ...extra } }, settings: {} });
+
+describe("migrate", () => {
+  it("v1 → 최신: 측정 목록·프로필·숫자 값", () => {
+    const { entries, settings } = migrate(v1(), 1);
+    const e = entries[DAY];
+    expect(e).not.toHaveProperty("pulse");
+    expect(e).not.toHaveProperty("bpSys");
+    expect(e.meds).toEqual({});
+    expect(e.notes).toBe("메모");
+    expect(e.readings).toHaveLength(1);
+    expect(e.readings[0]).toMatchObject({ id: `r-legacy-${DAY}`, pulse: 72, sys: 120, dia: 80 });
+    expect(e.readings[0]).not.toHaveProperty("raw");
+    expect(settings.profile).toEqual({ name: "기본 프로필", birthYear: "" });
+  });
+
+  it("v1 의 빈 측정은 측정 목록을 만들지 않는다", () => {
+    expect(migrate(v1({ pulse: "", bpSys: "", bpDia: "" }), 1).entries[DAY].readings).toEqual([]);
+  });
+
+  it("읽을 수 없는 값은 raw 에 남긴다", () => {
+    const [r] = migrate(v1({ pulse: "72회", bpSys: "", bpDia: "80" }), 1).entries[DAY].readings;
+    expect(r).toMatchObject({ pulse: null, sys: null, dia: 80, raw: { pulse: "72회" } });
+  });
+
+  it("예전 meds 가 객체가 아니면 비운다", () => {
+    expect(migrate(v1({ meds: true }), 1).entries[DAY].meds).toEqual({});
+  });
+
+  it("v3 → v4 는 프로필을 건드리지 않는다", () => {
+    const snap = { entries: { [DAY]: { date: DAY, readings: [{ id: "r1", pulse: " 80 ", sys: 130, dia: null }] } }, settings: { profile: { name: "김", birthYear: "1950" } } };
+    const out = migrate(snap, 3);
+    expect(out.settings.profile).toEqual({ name: "김", birthYear: "1950" });
+    expect(out.entries[DAY].readings[0]).toEqual({ id: "r1", pulse: 80, sys: 130, dia: null });
+  });
+
+  it("최신 버전은 그대로", () => {
+    const snap = { entries: {}, settings: {} };
+    expect(migrate(snap, SCHEMA_VERSION)).toBe(snap);
+  });
+
+  it("모든 버전에 마이그레이션이 있다", () => {
+    for (let v = 2; v <= SCHEMA_VERSION; v++) expect(MIGRATIONS[v]).toBeTypeOf("function");
+  });
+});
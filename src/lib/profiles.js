@@ -0,0 +1,37 @@
+// --- 환자 프로필 ---
+// 프로필마다 기록(entries)과 설정(settings: 레지멘, 경고 기준, 알림 등)을 따로 가진다.
+// 이름·출생연도는 settings.profile 에 두어 백업/내보내기 단위({ entries, settings })를 그대로 쓴다.
+import { t } from "./i18n.js";
+
+export const DEFAULT_PROFILE_ID = "p-default";
+
+export const newProfileId = () => `p-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export const profileInfo = (settings) => ({ name: "", birthYear: "", ...(settings?.profile || {}) });
+
+export const profileName = (settings) => profileInfo(settings).name.trim() || t("profiles.unnamed");
+
+// "홍길동 (1948년생)"
+export const profileLabel = (settings) => {
+  const { birthYear } = profileInfo(settings);
+  return birthYear ? t("profiles.withBirthYear", { name: profileName(settings), year: birthYear }) : profileName(settings);
+};
+
+// 파일 이름에 넣을 수 있는 이름 — 경로/예약 문자 제거
+export const profileFileTag = (settings) => profileName(settings).replace(/[\\/:*?"<>|\s]+/g, "_");
+
+// 새 프로필의 데이터 — 레지멘은 비워 두고 '약 관리'에서 등록한다.
+export const newProfileData = ({ name, birthYear }) => ({
+  entries: {},
+  settings: { profile: { name: name.trim(), birthYear }, regimen: [] }
+});
+
+// 프로필 유효성 검사 — 문제 목록(문자열)을 반환
+export const validateProfile = ({ name, birthYear }, thisYear = new Date().getFullYear()) => {
+  const problems = [];
+  if (!name.trim()) problems.push(t("profiles.problems.name"));
+  if (birthYear && !(/^\d{4}$/.test(birthYear) && Number(birthYear) >= 1900 && Number(birthYear) <= thisYear)) {
+    problems.push(t("profiles.problems.birthYear", { year: thisYear }));
+  }
+  return problems;
+};
@@ -0,0 +1,208 @@
+// --- 활력징후 측정값(하루 여러 번) ---
+// entry.readings = [{ id, time, pulse, sys, dia, arm, position, irregular, raw? }]
+// pulse/sys/dia 는 숫자, 측정하지 않았으면 null. raw 는 예전 기록에서 숫자로 읽지 못한 원래 글자 ({ pulse: "7O" }).
+import { nowTime } from "./date.js";
+import { t } from "./i18n.js";
+
+const labelled = (section, ids) =>
+  ids.map((id) => ({
+    id,
+    get label() {
+      return t(`readings.${section}.${id}`);
+    }
+  }));
+
+export const ARMS = labelled("arms", ["left", "right"]);
+
+export const POSITIONS = labelled("positions", ["sitting", "standing", "lying"]);
+
+export const armLabel = (id) => ARMS.find((a) => a.id === id)?.label || "";
+export const positionLabel = (id) => POSITIONS.find((p) => p.id === id)?.label || "";
+
+export const newReading = (time = nowTime()) => ({
+  id: `r-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+  time,
+  pulse: null,
+  sys: null,
+  dia: null,
+  arm: "left",
+  position: "sitting",
+  irregular: false
+});
+
+// 숫자로 읽을 수 없거나 비어 있으면 null
+export const num = (v) => {
+  if (v === "" || v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+// --- 입력 검증 ---
+// 생리적으로 가능한 범위 — 벗어나면 입력 오류로 보고 저장하지 않는다 (예전 기록은 확인 목록에 표시).
+const vital = (key, min, max) => ({
+  get label() {
+    return t(`readings.vitals.${key}`);
+  },
+  get unit() {
+    return key === "pulse" ? t("readings.pulseUnit") : "mmHg";
+  },
+  min,
+  max
+});
+export const VITALS = {
+  pulse: vital("pulse", 20, 250),
+  sys: vital("sys", 50, 260),
+  dia: vital("dia", 30, 160)
+};
+export const VITAL_KEYS = Object.keys(VITALS);
+
+const rangeText = (key) => `${VITALS[key].min}–${VITALS[key].max} ${VITALS[key].unit}`;
+
+// 입력 글자 → { value: number | null, error }. 빈 칸은 '측정 안 함'(null)
+export function parseVital(key, text) {
+  const s = String(text ?? "").trim();
+  if (!s) return { value: null, error: null };
+  if (!/^\d+$/.test(s)) return { value: null, error: t("common.numbersOnly") };
+  const n = Number(s);
+  if (n < VITALS[key].min || n > VITALS[key].max) return { value: null, error: t("common.between", { range: rangeText(key) }) };
+  return { value: n, error: null };
+}
+
+// 범위 안의 값만 — 통계·그래프·경고에 쓴다
+export const vitalValue = (r, key) => {
+  const n = num(r?.[key]);
+  return n !== null && n >= VITALS[key].min && n <= VITALS[key].max ? n : null;
+};
+
+// 수축기 ≤ 이완기 — 두 값을 바꿔 적는 실수가 흔하다
+export const bpSwapped = (r) => {
+  const sys = vitalValue(r, "sys");
+  const dia = vitalValue(r, "dia");
+  return sys !== null && dia !== null && sys <= dia;
+};
+
+// 측정 하나의 문제 목록: [{ key, problem }] — key 는 pulse/sys/dia 또는 "bp"
+export function readingProblems(r) {
+  const out = [];
+  for (const key of VITAL_KEYS) {
+    if (r.raw?.[key] !== undefined) out.push({ key, problem: t("readings.unreadable", { raw: r.raw[key] }) });
+    else if (num(r[key]) !== null && vitalValue(r, key) === null) out.push({ key, problem: t("readings.outOfRange", { label: VITALS[key].label, value: r[key], range: rangeText(key) }) });
+  }
+  if (bpSwapped(r)) out.push({ key: "bp", problem: t("readings.swapped", { sys: r.sys, dia: r.dia }) });
+  return out;
+}
+
+// 전체 기록에서 확인이 필요한 값: [{ date, reading, key, problem }] — 최근 날짜부터
+export const suspiciousReadings = (entries) =>
+  Object.values(entries)
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .flatMap((e) => sortReadings(e.readings).flatMap((r) => readingProblems(r).map((p) => ({ date: e.date, reading: r, ...p }))));
+
+// 예전 문자열 값 → 숫자/null. 읽을 수 없는 글자는 raw 에 남겨 확인 목록에 보인다. 범위 밖의 숫자도 그대로 둔다.
+export const normalizeReading = (r) => {
+  const out = { ...r };
+  const raw = { ...(r.raw || {}) };
+  for (const key of VITAL_KEYS) {
+    const v = r[key];
+    if (v === null || v === undefined || (typeof v === "string" && !v.trim())) out[key] = null;
+    else if (typeof v === "number") out[key] = Number.isFinite(v) ? v : null;
+    else {
+      const n = Number(String(v).trim());
+      if (Number.isFinite(n) && n > 0) out[key] = n;
+      else {
+        out[key] = null;
+        raw[key] = String(v);
+      }
+    }
+  }
+  if (Object.keys(raw).length) out.raw = raw;
+  else delete out.raw;
+  return out;
+};
+
+// 예전 기록(entry.pulse/bpSys/bpDia 한 벌)을 측정 목록으로 옮긴다.
+export const upgradeLegacyVitals = (entry) => {
+  if (Array.isArray(entry.readings)) return entry;
+  const { pulse, bpSys, bpDia, ...rest } = entry;
+  const hasValue = [pulse, bpSys, bpDia].some((v) => v !== "" && v !== null && v !== undefined);
+  return {
+    ...rest,
+    readings: hasValue
+      ? [{ ...newReading(""), id: `r-legacy-${entry.date}`, pulse: pulse ?? "", sys: bpSys ?? "", dia: bpDia ?? "" }]
+      : []
+  };
+};
+
+export const sortReadings = (readings) =>
+  [...(readings || [])].sort((a, b) => (a.time || "").localeCompare(b.time || ""));
+
+const summarize = (values) => {
+  if (!values.length) return null;
+  const sum = values.reduce((a, b) => a + b, 0);
+  return {
+    n: values.length,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    mean: Math.round((sum / values.length) * 10) / 10
+  };
+};
+
+// 하루 측정값 통계: { pulse, sys, dia } 각각 { n, min, max, mean } 또는 null
+// 가능한 범위 밖의 값은 빼고 계산한다
+export const readingStats = (readings = []) => ({
+  pulse: summarize(readings.map((r) => vitalValue(r, "pulse")).filter((v) => v !== null)),
+  sys: summarize(readings.map((r) => vitalValue(r, "sys")).filter((v) => v !== null)),
+  dia: summarize(readings.map((r) => vitalValue(r, "dia")).filter((v) => v !== null))
+});
+
+export const fmtStat = (s) => {
+  if (!s) return "-";
+  return s.n === 1 ? `${s.mean}` : `${s.mean} (${s.min}–${s.max})`;
+};
+
+export const fmtBP = (r) => (num(r.sys) && num(r.dia) ? `${r.sys}/${r.dia}` : "-");
+
+// "08:10 72bpm 120/80 왼팔·앉아서 [불규칙]"
+export const fmtReading = (r) =>
+  [
+    r.time || "--:--",
+    num(r.pulse) ? `${r.pulse}bpm` : null,
+    num(r.sys) && num(r.dia) ? fmtBP(r) : null,
+    [armLabel(r.arm), positionLabel(r.position)].filter(Boolean).join("·"),
+    r.irregular ? t("readings.irregularTag") : null
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+// 맥압(수축기−이완기)과 평균동맥압(이완기 + 맥압/3) — 두 값이 모두 있고 바뀌지 않은 측정만
+const pressureOf = (r) => {
+  const sys = vitalValue(r, "sys");
+  const dia = vitalValue(r, "dia");
+  if (sys === null || dia === null || sys <= dia) return null;
+  return { pp: sys - dia, map: dia + (sys - dia) / 3 };
+};
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+// 그래프용 일별 요약: 평균 + 최소–최대 범위. date 는 "YYYY-MM-DD" (축 글자는 lib/charts.js dateTick)
+export const dailyVitals = (entryList) =>
+  [...entryList]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((e) => {
+      const st = readingStats(e.readings);
+      const pressures = (e.readings || []).map(pressureOf).filter(Boolean);
+      const mean = (k) => (pressures.length ? round1(pressures.reduce((a, p) => a + p[k], 0) / pressures.length) : null);
+      return {
+        date: e.date,
+        n: e.readings?.length || 0,
+        episodes: e.episodes?.length || 0, // 증상 발작 횟수 — 그래프에 세로선으로 표시
+        pulse: st.pulse?.mean ?? null,
+        pulseRange: st.pulse ? [st.pulse.min, st.pulse.max] : null,
+        sys: st.sys?.mean ?? null,
+        sysRange: st.sys ? [st.sys.min, st.sys.max] : null,
+        dia: st.dia?.mean ?? null,
+        diaRange: st.dia ? [st.dia.min, st.dia.max] : null,
+        pp: mean("pp"),
+        map: mean("map")
+      };
+    });
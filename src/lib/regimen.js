@@ -0,0 +1,124 @@
+// --- 복용 약(레지멘) 모델 ---
+// 각 약은 id/이름/성분명/용량/복용 시간대/시작·종료일을 가진다.
+// 용량·시간 변경은 기존 항목을 종료하고 새 항목을 추가하는 방식이라
+// 과거 기록은 항상 그날 유효했던 레지멘으로 표시된다.
+import { addDays, fmtDate, nowTime } from "./date.js";
+import { t } from "./i18n.js";
+
+// label 은 getter — 화면 언어를 바꾸면 다음 렌더부터 바뀐 이름이 보인다
+export const DOSE_SLOTS = ["am", "noon", "pm", "bed"].map((id) => ({
+  id,
+  get label() {
+    return t(`slots.${id}`);
+  }
+}));
+
+// 시간대 선택/해제 — DOSE_SLOTS 순서를 유지한다.
+export const toggleSlot = (slots, slotId, on) =>
+  DOSE_SLOTS.map((s) => s.id).filter((id) => (id === slotId ? on : slots.includes(id)));
+
+export const slotLabel = (slotId) => DOSE_SLOTS.find((s) => s.id === slotId)?.label || slotId;
+
+// 기존 기록(meds.am.multaq 등)과 id가 맞도록 유지한다.
+export const DEFAULT_REGIMEN = [
+  { id: "multaq", name: "멀택", generic: "Dronedarone", dose: "", slots: ["am", "pm"], start: "", end: "" },
+  { id: "edoxaban", name: "릭시아나", generic: "Edoxaban", dose: "", slots: ["am"], start: "", end: "" },
+  { id: "bisoprolol", name: "콩브렐", generic: "Bisoprolol", dose: "", slots: ["am"], start: "", end: "" }
+];
+
+export const newMed = (start = "") => ({
+  id: `med-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+  name: "",
+  generic: "",
+  dose: "",
+  slots: ["am"],
+  start,
+  end: ""
+});
+
+export const medLabel = (med) => {
+  const base = med.generic ? `${med.name} (${med.generic})` : med.name;
+  return med.dose ? `${base} ${med.dose}` : base;
+};
+
+export const isActiveOn = (med, date) =>
+  (!med.start || med.start <= date) && (!med.end || date <= med.end);
+
+export const activeMeds = (regimen, date) => regimen.filter((m) => isActiveOn(m, date));
+
+// 해당 날짜의 시간대별 복용 목록: [{ slot, label, meds: [...] }]
+export const doseSlotsOn = (regimen, date) => {
+  const meds = activeMeds(regimen, date);
+  return DOSE_SLOTS.map((s) => ({
+    slot: s.id,
+    label: s.label,
+    meds: meds.filter((m) => m.slots.includes(s.id))
+  })).filter((s) => s.meds.length > 0);
+};
+
+// 해당 날짜에 복용해야 하는 모든 (시간대, 약) 쌍
+export const dosesOn = (regimen, date) =>
+  doseSlotsOn(regimen, date).flatMap((s) => s.meds.map((med) => ({ slot: s.slot, med })));
+
+// 복용 체크 값 — 그날 바로 체크하면 그 시각("HH:MM", 응급 카드의 마지막 복용 시각), 지난 날을 고치면 true.
+// isTaken 은 둘 다 복용으로 본다
+export const isTaken = (entry, slot, medId) => !!entry?.meds?.[slot]?.[medId];
+
+export const takenMark = (date, now = new Date()) => (date === fmtDate(now) ? nowTime(now) : true);
+
+export const setTaken = (meds, slot, medId, value) => ({
+  ...meds,
+  [slot]: { ...(meds?.[slot] || {}), [medId]: value }
+});
+
+// 용량·시간대 변경: 기존 항목은 from 전날로 종료, 변경 내용은 새 항목(newId)으로 from부터 기존 종료일까지.
+// from 이 기존 시작일과 같거나 앞서면 나눌 과거가 없으므로 그 항목을 그대로 고친다 (종료일이 시작일보다 앞서지 않게).
+// 종료일 뒤의 from 은 끝난 약을 다시 시작하는 셈이라 바꾸지 않는다 (다시 먹는다면 약을 새로 추가)
+export const changeMed = (regimen, medId, patch, from, newId = newMed().id) => {
+  const old = regimen.find((m) => m.id === medId);
+  if (!old || (old.end && from > old.end)) return regimen;
+  if (old.start && from <= old.start) return regimen.map((m) => (m.id === medId ? { ...m, ...patch, start: from } : m));
+  const next = { ...old, ...patch, id: newId, start: from };
+  return [
+    ...regimen.map((m) => (m.id === medId ? { ...m, end: addDays(from, -1) } : m)),
+    next
+  ];
+};
+
+// 시간대를 바꿨을 때 체크를 옮길 자리 — 시간대 수가 같으면 순서대로(아침→저녁), 아니면 두 항목에 모두 있는 시간대만
+const slotMap = (before, after) =>
+  before.slots.length === after.slots.length
+    ? Object.fromEntries(before.slots.map((s, i) => [s, after.slots[i]]))
+    : Object.fromEntries(before.slots.filter((s) => after.slots.includes(s)).map((s) => [s, s]));
+
+// 지난 날짜부터 바꾸면 from 이후에 기존 항목(before)으로 체크해 둔 복용을 새 항목(after)으로 옮긴다 — 바뀐 기록만 [entry].
+// 옮길 시간대가 없는 체크는 버린다 (새 항목은 그 시간대에 먹지 않으므로)
+export const moveTaken = (entries, before, after, from) => {
+  const map = slotMap(before, after);
+  return Object.values(entries)
+    .filter((e) => e.date >= from && Object.values(e.meds || {}).some((marks) => marks && before.id in marks))
+    .map((e) => {
+      let meds = Object.fromEntries(
+        Object.entries(e.meds).map(([slot, marks]) => {
+          if (!marks || !(before.id in marks)) return [slot, marks];
+          const rest = { ...marks };
+          delete rest[before.id];
+          return [slot, rest];
+        })
+      );
+      for (const [slot, marks] of Object.entries(e.meds)) {
+        const value = marks?.[before.id];
+        if (value && map[slot] && !isTaken({ meds }, map[slot], after.id)) meds = setTaken(meds, map[slot], after.id, value);
+      }
+      return { ...e, meds };
+    });
+};
+
+// 레지멘 유효성 검사 — 문제 목록(문자열)을 반환
+export const validateMed = (med) => {
+  const problems = [];
+  if (!med.name.trim()) problems.push(t("regimen.problems.name"));
+  if (!med.slots.length) problems.push(t("regimen.problems.slots"));
+  if (med.start && med.end && med.end < med.start) problems.push(t("regimen.problems.endBeforeStart"));
+  return problems;
+};
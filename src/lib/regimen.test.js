@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import { changeMed, moveTaken, isTaken, dosesOn } from "./regimen.js";
+
+const MED = { id: "a", name: "약", generic: "", dose: "5mg", slots: ["am"], start: "2026-10-01", end: "" };
+
+describe("changeMed", () => {
+  it("적용일 전날로 끝내고 새 항목을 시작한다", () => {
+    const next = changeMed([MED], "a", { dose: "10mg" }, "2026-10-10", "b");
+    expect(next).toEqual([
+      { ...MED, end: "2026-10-09" },
+      { ...MED, id: "b", dose: "10mg", start: "2026-10-10" }
+    ]);
+    expect(dosesOn(next, "2026-10-09").map((d) => d.med.id)).toEqual(["a"]);
+    expect(dosesOn(next, "2026-10-10").map((d) => d.med.id)).toEqual(["b"]);
+  });
+
+  it("시작일 이전부터 바꾸면 그 항목을 고친다", () => {
+    expect(changeMed([MED], "a", { dose: "10mg" }, "2026-09-20", "b")).toEqual([{ ...MED, dose: "10mg", start: "2026-09-20" }]);
+  });
+
+  it("종료일이 있으면 새 항목도 그날 끝난다", () => {
+    const ending = { ...MED, end: "2026-10-20" };
+    expect(changeMed([ending], "a", { dose: "10mg" }, "2026-10-10", "b")[1].end).toBe("2026-10-20");
+  });
+
+  it("종료일 뒤부터는 바꾸지 않는다 (끝난 약을 다시 시작하지 않게)", () => {
+    const stopped = [{ ...MED, end: "2026-10-05" }];
+    expect(changeMed(stopped, "a", { dose: "10mg" }, "2026-10-10", "b")).toBe(stopped);
+  });
+});
+
+describe("moveTaken", () => {
+  const entries = {
+    "2026-10-09": { date: "2026-10-09", meds: { am: { a: true } } },
+    "2026-10-10": { date: "2026-10-10", meds: { am: { a: "08:05", c: true } } }
+  };
+
+  it("적용일부터의 체크를 새 항목으로 옮긴다", () => {
+    const moved = moveTaken(entries, MED, { ...MED, id: "b" }, "2026-10-10");
+    expect(moved).toEqual([{ date: "2026-10-10", meds: { am: { c: true, b: "08:05" } } }]);
+  });
+
+  it("시간대를 바꾸면 같은 순서의 시간대로 옮긴다", () => {
+    const [e] = moveTaken(entries, MED, { ...MED, id: "b", slots: ["pm"] }, "2026-10-10");
+    expect(isTaken(e, "pm", "b")).toBe(true);
+    expect(isTaken(e, "am", "b")).toBe(false);
+  });
+
+  it("옮길 시간대가 없으면 버린다", () => {
+    const twice = { ...MED, slots: ["am", "pm"] };
+    const list = { "2026-10-10": { date: "2026-10-10", meds: { am: { a: true }, pm: { a: true } } } };
+    const [e] = moveTaken(list, twice, { ...twice, id: "b", slots: ["pm"] }, "2026-10-10");
+    expect(e.meds).toEqual({ am: {}, pm: { b: true } });
+  });
+});
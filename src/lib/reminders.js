@@ -0,0 +1,95 @@
+// --- 복약 알림 일정 ---
+// 시간대별 알림(due)과, 마감 시간까지 복용 기록이 없을 때의 누락 알림(missed)을 만든다.
+// 실제 표시는 서비스워커(public/sw.js)가 담당한다 — useReminders.js 참고.
+import { doseSlotsOn, isTaken, setTaken, takenMark, slotLabel } from "./regimen.js";
+import { fmtDate, addDays } from "./date.js";
+import { t } from "./i18n.js";
+
+export const REMINDER_DEFAULTS = {
+  enabled: false,
+  times: { am: "08:00", noon: "12:30", pm: "19:00", bed: "22:00" },
+  snoozeMinutes: 10,
+  cutoffMinutes: 120 // 알림 후 이 시간까지 기록이 없으면 누락 알림
+};
+
+// 비었거나 잘못 저장된 시각("")은 기본 시각으로 — 알림이 조용히 빠지지 않게
+const validTimes = (times = {}) => Object.fromEntries(Object.entries(times).filter(([, v]) => /^\d{2}:\d{2}$/.test(v || "")));
+
+export const reminderPrefs = (prefs = {}) => ({
+  ...REMINDER_DEFAULTS,
+  ...prefs,
+  times: { ...REMINDER_DEFAULTS.times, ...validTimes(prefs.times) }
+});
+
+const timeAt = (date, hhmm) => new Date(`${date}T${hhmm}:00`).getTime();
+
+export const slotKey = (profile, date, slot) => `${profile}:${date}:${slot}`;
+
+// 한 프로필의 오늘·내일 남은 알림 목록과 아직 복용 기록이 없는 시간대 키 목록
+// who 가 있으면(프로필이 여럿일 때) 알림 제목 앞에 붙인다. locked 면(앱 잠금 사용) 약 이름 없이 만든다 —
+// 일정은 서비스워커 캐시에 평문으로 남고 알림은 잠금 화면에도 보이기 때문이다.
+// → { items: [{ id, kind, profile, date, slot, at, title, body, snoozeMinutes }], pending: ["<profile>:YYYY-MM-DD:am", ...] }
+export function reminderSchedule(regimen, entries, prefs, { profile = "", who = "", locked = false, now = Date.now() } = {}) {
+  const p = reminderPrefs(prefs);
+  const prefix = who ? `[${who}] ` : "";
+  const items = [];
+  const pending = [];
+  if (!p.enabled) return { items, pending };
+  const today = fmtDate(new Date(now));
+  for (const date of [today, addDays(today, 1)]) {
+    for (const s of doseSlotsOn(regimen, date)) {
+      const left = s.meds.filter((m) => !isTaken(entries[date], s.slot, m.id));
+      if (!left.length) continue;
+      const key = slotKey(profile, date, s.slot);
+      pending.push(key);
+      const names = left.map((m) => m.name).join(", ");
+      const due = timeAt(date, p.times[s.slot]);
+      const missed = due + p.cutoffMinutes * 60000;
+      if (due > now) {
+        items.push({
+          id: `${key}:due`,
+          kind: "due",
+          profile,
+          date,
+          slot: s.slot,
+          at: due,
+          title: prefix + t("reminders.dueTitle", { slot: slotLabel(s.slot) }),
+          body: locked ? t("reminders.lockedBody") : names,
+          snoozeMinutes: p.snoozeMinutes
+        });
+      }
+      if (missed > now) {
+        items.push({
+          id: `${key}:missed`,
+          kind: "missed",
+          profile,
+          date,
+          slot: s.slot,
+          at: missed,
+          title: prefix + t("reminders.missedTitle", { slot: slotLabel(s.slot) }),
+          body: locked ? t("reminders.lockedMissedBody") : t("reminders.missedBody", { names }),
+          snoozeMinutes: p.snoozeMinutes
+        });
+      }
+    }
+  }
+  items.sort((a, b) => a.at - b.at);
+  return { items, pending };
+}
+
+// 여러 프로필의 일정을 하나로 — profiles: { [id]: { entries, settings } }, regimenOf(settings) 로 레지멘을 정한다
+// locked 면 프로필 이름도 붙이지 않는다
+export function combinedSchedule(profiles, regimenOf, { nameOf = () => "", locked = false, now = Date.now() } = {}) {
+  const many = Object.keys(profiles).length > 1 && !locked;
+  const all = Object.entries(profiles).map(([id, p]) =>
+    reminderSchedule(regimenOf(p.settings), p.entries, p.settings.reminders, { profile: id, who: many ? nameOf(p.settings) : "", locked, now })
+  );
+  return { items: all.flatMap((s) => s.items).sort((a, b) => a.at - b.at), pending: all.flatMap((s) => s.pending) };
+}
+
+// 해당 시간대의 모든 약을 복용 완료로 표시한 meds
+export function markSlotTaken(entry, regimen, slot) {
+  const s = doseSlotsOn(regimen, entry.date).find((x) => x.slot === slot);
+  if (!s) return entry.meds || {};
+  return s.meds.reduce((meds, m) => setTaken(meds, slot, m.id, takenMark(entry.date)), entry.meds || {});
+}
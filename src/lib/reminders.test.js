@@ -0,0 +1,61 @@
+import { describe, it, expect } from "vitest";
+import { reminderPrefs, reminderSchedule, combinedSchedule, markSlotTaken, REMINDER_DEFAULTS } from "./reminders.js";
+
+const REGIMEN = [{ id: "a", name: "릭시아나", generic: "", dose: "", slots: ["am", "pm"], start: "", end: "" }];
+const NOW = new Date("2026-10-19T07:00:00").getTime();
+const ON = { enabled: true };
+
+describe("reminderPrefs", () => {
+  it("비운 시각은 기본 시각으로", () => {
+    expect(reminderPrefs({ times: { am: "", pm: "20:30" } }).times).toEqual({ ...REMINDER_DEFAULTS.times, pm: "20:30" });
+  });
+});
+
+describe("reminderSchedule", () => {
+  it("시각을 비워도 그 시간대 알림이 빠지지 않는다", () => {
+    const { items, pending } = reminderSchedule(REGIMEN, {}, { ...ON, times: { am: "" } }, { profile: "p", now: NOW });
+    const am = items.filter((i) => i.slot === "am" && i.date === "2026-10-19");
+    expect(am.map((i) => i.kind)).toEqual(["due", "missed"]);
+    expect(am.every((i) => Number.isFinite(i.at))).toBe(true);
+    expect(pending).toContain("p:2026-10-19:am");
+  });
+
+  it("복용한 시간대는 알리지 않는다", () => {
+    const entries = { "2026-10-19": { date: "2026-10-19", meds: { am: { a: true } } } };
+    const { pending } = reminderSchedule(REGIMEN, entries, ON, { profile: "p", now: NOW });
+    expect(pending).not.toContain("p:2026-10-19:am");
+    expect(pending).toContain("p:2026-10-19:pm");
+  });
+
+  it("꺼 두면 아무것도 없다", () => {
+    expect(reminderSchedule(REGIMEN, {}, {}, { now: NOW })).toEqual({ items: [], pending: [] });
+  });
+});
+
+describe("combinedSchedule", () => {
+  const profiles = {
+    p1: { entries: {}, settings: { regimen: REGIMEN, reminders: ON, profile: { name: "김" } } },
+    p2: { entries: {}, settings: { regimen: REGIMEN, reminders: ON, profile: { name: "이" } } }
+  };
+  const regimenOf = (s) => s.regimen;
+  const nameOf = (s) => s.profile.name;
+
+  it("프로필이 여럿이면 제목에 이름을 붙인다", () => {
+    const { items } = combinedSchedule(profiles, regimenOf, { nameOf, now: NOW });
+    expect(items.some((i) => i.title.startsWith("[김]"))).toBe(true);
+    expect(items.some((i) => i.body.includes("릭시아나"))).toBe(true);
+  });
+
+  it("잠금을 쓰면 약·프로필 이름을 넣지 않는다", () => {
+    const { items } = combinedSchedule(profiles, regimenOf, { nameOf, locked: true, now: NOW });
+    expect(items.length).toBeGreaterThan(0);
+    expect(items.some((i) => /김|이\]|릭시아나/.test(`${i.title} ${i.body}`))).toBe(false);
+  });
+});
+
+describe("markSlotTaken", () => {
+  it("그 시간대의 약을 모두 복용으로", () => {
+    const meds = markSlotTaken({ date: "2020-01-01", meds: {} }, REGIMEN, "am");
+    expect(meds).toEqual({ am: { a: true } });
+  });
+});
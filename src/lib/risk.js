@@ -0,0 +1,166 @@
+// --- 뇌졸중·출혈 위험 점수 (CHA₂DS₂-VASc, HAS-BLED) ---
+// 환자 정보는 설정 "risk": { sex, chf, hypertension, diabetes, stroke, vascular, renal, liver, bleedingHistory, labileInr, drugs, alcohol }.
+// 나이는 프로필의 출생연도에서 계산한다. 기록으로 알 수 있는 항목은 기록도 함께 본다 —
+// 평균 혈압(고혈압, 조절되지 않는 고혈압), 출혈/멍 기록, 항혈소판제·소염진통제 복용(레지멘·다른 약), 음주량, 크레아티닌·INR 검사.
+// 결과에는 글자를 넣지 않는다 (항목 id·점수·근거 값만) — 의료진 공유 링크에 그대로 담고, 보는 쪽 언어로 그린다.
+import { readingStats } from "./readings.js";
+import { lifestyleValue } from "./lifestyle.js";
+import { substancesOf } from "./interactions.js";
+import { activeMeds, medLabel } from "./regimen.js";
+import { profileInfo } from "./profiles.js";
+import { todayStr, addDays, inRange } from "./date.js";
+import { t } from "./i18n.js";
+
+export const RISK_DEFAULTS = {
+  sex: "", // "male" | "female" | ""
+  chf: false,
+  hypertension: false,
+  diabetes: false,
+  stroke: false,
+  vascular: false,
+  renal: false,
+  liver: false,
+  bleedingHistory: false,
+  labileInr: false,
+  drugs: false,
+  alcohol: false
+};
+
+export const riskPrefs = (saved = {}) => ({ ...RISK_DEFAULTS, ...saved });
+
+const field = (id) => ({
+  id,
+  get label() {
+    return t(`risk.fields.${id}`);
+  },
+  get hint() {
+    return t(`risk.hints.${id}`);
+  }
+});
+
+// 입력 화면의 체크 항목 (성별·나이는 따로)
+export const RISK_FIELDS = ["chf", "hypertension", "diabetes", "stroke", "vascular", "renal", "liver", "bleedingHistory", "labileInr", "drugs", "alcohol"].map(field);
+
+export const SEXES = ["male", "female"];
+
+// 기록을 볼 기간
+export const BP_DAYS = 90;
+export const BLEEDING_DAYS = 365;
+export const DRUG_DAYS = 90;
+export const ALCOHOL_DAYS = 28;
+export const INR_DAYS = 180;
+
+const MIN_READINGS = 3; // 평균 혈압을 믿을 최소 측정 수
+const MIN_ALCOHOL_DAYS = 7;
+const CREATININE_LIMIT = 2.26; // mg/dL (200 µmol/L)
+const INR_MIN_TESTS = 3;
+const INR_TTR_LIMIT = 60; // %
+
+export const ageOf = (birthYear, today = todayStr) => (/^\d{4}$/.test(birthYear || "") ? Number(today.slice(0, 4)) - Number(birthYear) : null);
+
+const recent = (entries, days, today) => Object.values(entries).filter((e) => inRange(e.date, addDays(today, -(days - 1)), today));
+
+const latestLab = (labs, test) => labs.filter((l) => l.test === test && typeof l.value === "number").sort((a, b) => b.date.localeCompare(a.date))[0] || null;
+
+// 기록에서 읽은 근거 — 각 값은 없으면 null
+function loggedEvidence(settings, entries, regimen, today) {
+  const st = readingStats(recent(entries, BP_DAYS, today).flatMap((e) => e.readings || []));
+  const bp = st.sys && st.dia && st.sys.n >= MIN_READINGS ? { kind: "bp", sys: st.sys.mean, dia: st.dia.mean, n: st.sys.n, days: BP_DAYS } : null;
+
+  const bleedingDays = recent(entries, BLEEDING_DAYS, today).filter((e) => e.bleeding).length;
+
+  const bleedingDrug = (name) => substancesOf(name).some((s) => ["nsaid", "aspirin", "antiplatelet"].includes(s.id));
+  const drugNames = [
+    ...new Set([...activeMeds(regimen, today).map(medLabel), ...recent(entries, DRUG_DAYS, today).flatMap((e) => e.otherMeds || [])])
+  ].filter(bleedingDrug);
+
+  const drinks = recent(entries, ALCOHOL_DAYS, today).map((e) => lifestyleValue(e, "alcohol")).filter((v) => v !== null);
+  const perWeek = drinks.length >= MIN_ALCOHOL_DAYS ? Math.round((drinks.reduce((a, b) => a + b, 0) / drinks.length) * 7 * 10) / 10 : null;
+
+  const labs = settings.labs || [];
+  const creatinine = latestLab(labs, "creatinine");
+  const inrs = labs.filter((l) => l.test === "inr" && typeof l.value === "number" && inRange(l.date, addDays(today, -(INR_DAYS - 1)), today));
+  const inRangeCount = inrs.filter((l) => (l.low === null || l.value >= l.low) && (l.high === null || l.value <= l.high)).length;
+
+  return {
+    bp,
+    bleeding: bleedingDays ? { kind: "bleeding", n: bleedingDays, days: BLEEDING_DAYS } : null,
+    drugs: drugNames.length ? { kind: "drugs", names: drugNames.join(", ") } : null,
+    alcohol: perWeek !== null ? { kind: "alcohol", perWeek, n: drinks.length } : null,
+    creatinine: creatinine && creatinine.unit === "mg/dL" ? { kind: "creatinine", value: creatinine.value, date: creatinine.date } : null,
+    inr: inrs.length >= INR_MIN_TESTS ? { kind: "inr", pct: Math.round((inRangeCount / inrs.length) * 100), n: inrs.length } : null
+  };
+}
+
+const PROFILE = { kind: "profile" };
+
+// 항목: { id, points, max, reason } — reason 은 점수의 근거 (점수가 0 이어도 참고할 기록이 있으면 보인다)
+const item = (id, max, points, reason = null) => ({ id, max, points: Math.min(points, max), reason });
+
+// settings: 프로필 설정 전체, entries: 기록. 결과: { age, sex, missing, chads: { total, max, items, level }, hasbled: { ... } }
+export function riskScores(settings, entries, { regimen = settings.regimen || [], today = todayStr } = {}) {
+  const p = riskPrefs(settings.risk);
+  const age = ageOf(profileInfo(settings).birthYear, today);
+  const female = p.sex === "female";
+  const log = loggedEvidence(settings, entries, regimen, today);
+
+  const bpHigh = !!log.bp && (log.bp.sys >= 140 || log.bp.dia >= 90);
+  const ageReason = age === null ? null : { kind: "age", age };
+
+  const chadsItems = [
+    item("chf", 1, p.chf ? 1 : 0, p.chf ? PROFILE : null),
+    item("hypertension", 1, p.hypertension || bpHigh ? 1 : 0, p.hypertension ? PROFILE : log.bp),
+    item("age", 2, age === null ? 0 : age >= 75 ? 2 : age >= 65 ? 1 : 0, ageReason),
+    item("diabetes", 1, p.diabetes ? 1 : 0, p.diabetes ? PROFILE : null),
+    item("stroke", 2, p.stroke ? 2 : 0, p.stroke ? PROFILE : null),
+    item("vascular", 1, p.vascular ? 1 : 0, p.vascular ? PROFILE : null),
+    item("sex", 1, female ? 1 : 0, female ? { kind: "female" } : null)
+  ];
+
+  const renalLab = !!log.creatinine && log.creatinine.value >= CREATININE_LIMIT;
+  const labileLab = !!log.inr && log.inr.pct < INR_TTR_LIMIT;
+  const alcoholLog = !!log.alcohol && log.alcohol.perWeek >= 8;
+  const hasbledItems = [
+    item("uncontrolledHtn", 1, log.bp && log.bp.sys > 160 ? 1 : 0, log.bp),
+    item("renal", 1, p.renal || renalLab ? 1 : 0, p.renal ? PROFILE : log.creatinine),
+    item("liver", 1, p.liver ? 1 : 0, p.liver ? PROFILE : null),
+    item("stroke", 1, p.stroke ? 1 : 0, p.stroke ? PROFILE : null),
+    item("bleeding", 1, p.bleedingHistory || log.bleeding ? 1 : 0, p.bleedingHistory ? PROFILE : log.bleeding),
+    item("labileInr", 1, p.labileInr || labileLab ? 1 : 0, p.labileInr ? PROFILE : log.inr),
+    item("elderly", 1, age !== null && age > 65 ? 1 : 0, ageReason),
+    item("drugs", 1, p.drugs || log.drugs ? 1 : 0, p.drugs ? PROFILE : log.drugs),
+    item("alcohol", 1, p.alcohol || alcoholLog ? 1 : 0, p.alcohol ? PROFILE : log.alcohol)
+  ];
+
+  const total = (items) => items.reduce((sum, x) => sum + x.points, 0);
+  const chadsTotal = total(chadsItems);
+  // 성별 점수만으로는 항응고 치료 대상이 되지 않는다 (ESC 2020) — 성별을 뺀 점수로 구분
+  const chadsCore = chadsTotal - (female ? 1 : 0);
+  const hasbledTotal = total(hasbledItems);
+
+  return {
+    age,
+    sex: p.sex,
+    missing: [age === null && "birthYear", !p.sex && "sex"].filter(Boolean),
+    chads: { total: chadsTotal, max: 9, items: chadsItems, level: chadsCore >= 2 ? "high" : chadsCore === 1 ? "moderate" : "low" },
+    hasbled: { total: hasbledTotal, max: 9, items: hasbledItems, level: hasbledTotal >= 3 ? "high" : "low" }
+  };
+}
+
+// 근거 한 줄 — reason.kind 별 문구 (locales 의 risk.reasons.*)
+export const reasonText = (reason) => (reason ? t(`risk.reasons.${reason.kind}`, reason) : "");
+
+export const scoreTitle = (score) => t(`risk.${score}.title`);
+export const itemLabel = (score, id) => t(`risk.${score}.items.${id}`);
+export const levelText = (score, level) => t(`risk.${score}.levels.${level}`);
+
+// CSV 로 내보낼 행 — [점수, 항목, 점수, 근거]
+export function buildRiskRows(risk) {
+  const h = t("risk.csvHeaders");
+  const rows = [[h.score, h.item, h.points, h.basis]];
+  for (const score of ["chads", "hasbled"]) {
+    for (const x of risk[score].items) rows.push([scoreTitle(score), itemLabel(score, x.id), `${x.points}/${x.max}`, reasonText(x.reason)]);
+    rows.push([scoreTitle(score), h.total, `${risk[score].total}/${risk[score].max}`, levelText(score, risk[score].level)]);
+  }
+  return rows;
+}
@@ -0,0 +1,114 @@
+import { describe, it, expect } from "vitest";
+import { riskScores, ageOf, BP_DAYS } from "./risk.js";
+import { addDays } from "./date.js";
+
+const TODAY = "2026-10-19";
+
+const settings = (risk = {}, birthYear = "1950", extra = {}) => ({ profile: { name: "김", birthYear }, risk, regimen: [], ...extra });
+
+const scores = (s, entries = {}) => riskScores(s, entries, { today: TODAY });
+
+// 항목 id → 점수
+const points = (score) => Object.fromEntries(score.items.map((x) => [x.id, x.points]));
+
+// 오늘부터 거꾸로 n 일 동안 하루 한 번 측정
+const daily = (n, reading, extra = {}) =>
+  Object.fromEntries(
+    Array.from({ length: n }, (_, i) => {
+      const date = addDays(TODAY, -i);
+      return [date, { date, readings: [{ id: `r${i}`, time: "08:00", ...reading }], ...extra }];
+    })
+  );
+
+describe("ageOf", () => {
+  it("출생연도가 네 자리가 아니면 null", () => {
+    expect(ageOf("1950", TODAY)).toBe(76);
+    expect(ageOf("", TODAY)).toBe(null);
+    expect(ageOf("50", TODAY)).toBe(null);
+  });
+});
+
+describe("CHA₂DS₂-VASc", () => {
+  it("나이: 65–74 세 1점, 75 세 이상 2점", () => {
+    expect(points(scores(settings({}, "1962")).chads).age).toBe(0);
+    expect(points(scores(settings({}, "1961")).chads).age).toBe(1);
+    expect(points(scores(settings({}, "1952")).chads).age).toBe(1);
+    expect(points(scores(settings({}, "1951")).chads).age).toBe(2);
+  });
+
+  it("모든 항목이면 9점", () => {
+    const all = { sex: "female", chf: true, hypertension: true, diabetes: true, stroke: true, vascular: true };
+    const { chads } = scores(settings(all));
+    expect(chads).toMatchObject({ total: 9, max: 9, level: "high" });
+  });
+
+  it("여성이라는 점수만으로는 위험이 낮음", () => {
+    expect(scores(settings({ sex: "female" }, "1970")).chads).toMatchObject({ total: 1, level: "low" });
+    expect(scores(settings({ sex: "male", diabetes: true }, "1970")).chads).toMatchObject({ total: 1, level: "moderate" });
+    expect(scores(settings({ sex: "female", diabetes: true }, "1970")).chads).toMatchObject({ total: 2, level: "moderate" });
+    expect(scores(settings({ sex: "male", stroke: true }, "1970")).chads).toMatchObject({ total: 2, level: "high" });
+  });
+
+  it("고혈압은 평균 혈압 140/90 이상이면 기록으로도", () => {
+    const s = settings({ sex: "male" }, "1970");
+    expect(points(scores(s, daily(3, { sys: 145, dia: 85 })).chads).hypertension).toBe(1);
+    expect(points(scores(s, daily(3, { sys: 130, dia: 80 })).chads).hypertension).toBe(0);
+    expect(points(scores(s, daily(2, { sys: 150, dia: 95 })).chads).hypertension).toBe(0); // 측정이 너무 적다
+  });
+
+  it(`${BP_DAYS}일보다 오래된 측정은 보지 않는다`, () => {
+    const old = Object.fromEntries(Object.values(daily(BP_DAYS + 3, { sys: 150, dia: 95 })).slice(BP_DAYS).map((e) => [e.date, e]));
+    expect(points(scores(settings({ sex: "male" }, "1970"), old).chads).hypertension).toBe(0);
+  });
+
+  it("빠진 정보를 알려 준다", () => {
+    expect(scores(settings({}, "")).missing).toEqual(["birthYear", "sex"]);
+    expect(scores(settings({ sex: "male" })).missing).toEqual([]);
+  });
+});
+
+describe("HAS-BLED", () => {
+  it("아무 것도 없으면 0점", () => {
+    expect(scores(settings({ sex: "male" }, "1970")).hasbled).toMatchObject({ total: 0, level: "low" });
+  });
+
+  it("체크한 항목과 나이(65 세 초과)", () => {
+    const p = { sex: "male", renal: true, liver: true, stroke: true, bleedingHistory: true, labileInr: true, drugs: true, alcohol: true };
+    const { hasbled } = scores(settings(p, "1950"));
+    expect(points(hasbled)).toEqual({ uncontrolledHtn: 0, renal: 1, liver: 1, stroke: 1, bleeding: 1, labileInr: 1, elderly: 1, drugs: 1, alcohol: 1 });
+    expect(hasbled).toMatchObject({ total: 8, level: "high" });
+  });
+
+  it("65 세는 elderly 가 아니다", () => {
+    expect(points(scores(settings({}, "1961")).hasbled).elderly).toBe(0);
+    expect(points(scores(settings({}, "1960")).hasbled).elderly).toBe(1);
+  });
+
+  it("기록에서: 수축기 160 초과, 출혈, 소염진통제, 음주 주 8잔 이상", () => {
+    const entries = daily(7, { sys: 165, dia: 85 }, { alcohol: 2 });
+    entries[TODAY].bleeding = true;
+    entries[TODAY].otherMeds = ["이부프로펜"];
+    const { hasbled } = scores(settings({ sex: "male" }, "1970"), entries);
+    expect(points(hasbled)).toMatchObject({ uncontrolledHtn: 1, bleeding: 1, drugs: 1, alcohol: 1 });
+    expect(hasbled).toMatchObject({ total: 4, level: "high" });
+    expect(hasbled.items.find((x) => x.id === "drugs").reason).toEqual({ kind: "drugs", names: "이부프로펜" });
+  });
+
+  it("검사: 크레아티닌 2.26 mg/dL 이상, INR 범위 안 60% 미만", () => {
+    const inr = (date, value) => ({ id: date, test: "inr", date, value, low: 2, high: 3 });
+    const labs = [
+      { id: "c1", test: "creatinine", date: "2026-10-01", value: 2.4, unit: "mg/dL" },
+      inr("2026-09-01", 2.5),
+      inr("2026-09-15", 1.5),
+      inr("2026-10-01", 3.6)
+    ];
+    const { hasbled } = scores(settings({ sex: "male" }, "1970", { labs }));
+    expect(points(hasbled)).toMatchObject({ renal: 1, labileInr: 1 });
+    expect(hasbled.items.find((x) => x.id === "labileInr").reason).toEqual({ kind: "inr", pct: 33, n: 3 });
+  });
+
+  it("크레아티닌 단위가 µmol/L 이면 점수로 쓰지 않는다", () => {
+    const labs = [{ id: "c1", test: "creatinine", date: "2026-10-01", value: 250, unit: "µmol/L" }];
+    expect(points(scores(settings({ sex: "male" }, "1970", { labs })).hasbled).renal).toBe(0);
+  });
+});
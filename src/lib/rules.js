@@ -0,0 +1,191 @@
+// --- 경고 규칙 엔진 ---
+// 규칙은 선언형 데이터(RULES)이고, 사용자는 규칙별로 켜기/끄기와 기준값(params)만 바꾼다.
+// 문구(경고 이름, 기준값 입력칸 이름)는 locales 의 rules.<id> 에 있다.
+// 설정 "rules": { [ruleId]: { enabled, params } } — resolveRules() 로 기본값과 합친다.
+// 평가는 순수 함수다: (규칙, 기록 맵, 날짜, 레지멘) → { danger: [{ id, label }], warn: [...] }
+//
+// 조건(when)의 종류
+//  - { type: "reading", requires?, any: [{ metric, op?, param? }] }
+//      그날 측정값 중 하나라도 any 의 조건 하나를 만족. op 가 없으면 값이 참인지(예: irregular).
+//  - { type: "field", field, equals? }        그날 기록의 항목(증상 등)이 참/특정 값
+//  - { type: "count", of, window, min }       최근 window 일(그날 포함) 중 of 조건을 만족한 날이 min 일 이상
+//  - { type: "missedRun", med, days }         지정 약을 days 일 연속 누락 (기록 없는 날은 연속을 끊음)
+//  - { type: "gain", field, amount, window }  그날 값이 앞선 window 일 중 가장 낮은 값보다 amount 이상 많음 (체중)
+// window/min/days/med/amount 와 조건의 param 은 params 의 키 이름이다.
+import { vitalValue, VITALS } from "./readings.js";
+import { dosesOn } from "./regimen.js";
+import { doseStatus } from "./adherence.js";
+import { lifestyleValue } from "./lifestyle.js";
+import { addDays, isDateStr, todayStr } from "./date.js";
+import { t } from "./i18n.js";
+
+export const RULES = [
+  {
+    id: "pulse",
+    level: "danger",
+    params: { min: 50, max: 110 },
+    fields: [{ key: "min" }, { key: "max" }],
+    when: { type: "reading", any: [{ metric: "pulse", op: "<", param: "min" }, { metric: "pulse", op: ">", param: "max" }] }
+  },
+  {
+    id: "hypotension",
+    level: "danger",
+    params: { sys: 90, dia: 60 },
+    fields: [{ key: "sys" }, { key: "dia" }],
+    when: { type: "reading", requires: ["sys", "dia"], any: [{ metric: "sys", op: "<", param: "sys" }, { metric: "dia", op: "<", param: "dia" }] }
+  },
+  { id: "bleeding", level: "danger", when: { type: "field", field: "bleeding" } },
+  { id: "syncope", level: "danger", when: { type: "field", field: "syncope" } },
+  { id: "dyspnea", level: "danger", when: { type: "field", field: "dyspnea" } },
+  {
+    id: "bleedingWeek",
+    level: "danger",
+    params: { window: 7, min: 2 },
+    fields: [{ key: "window" }, { key: "min" }],
+    when: { type: "count", window: "window", min: "min", of: { type: "field", field: "bleeding" } }
+  },
+  {
+    id: "anticoagMissed",
+    level: "danger",
+    params: { med: "Edoxaban", days: 2 },
+    fields: [{ key: "med", kind: "med" }, { key: "days" }],
+    when: { type: "missedRun", med: "med", days: "days" }
+  },
+  {
+    id: "pulseHighTrend",
+    level: "warn",
+    params: { value: 100, window: 5, min: 3 },
+    fields: [{ key: "value" }, { key: "window" }, { key: "min" }],
+    when: { type: "count", window: "window", min: "min", of: { type: "reading", any: [{ metric: "pulse", op: ">", param: "value" }] } }
+  },
+  {
+    id: "weightGain",
+    level: "warn",
+    params: { kg: 2, window: 3 },
+    fields: [{ key: "kg", step: 0.1 }, { key: "window" }],
+    when: { type: "gain", field: "weight", amount: "kg", window: "window" }
+  },
+  { id: "irregular", level: "warn", when: { type: "reading", any: [{ metric: "irregular" }] } },
+  { id: "dizziness", level: "warn", when: { type: "field", field: "dizziness" } },
+  { id: "edema", level: "warn", when: { type: "field", field: "edema" } },
+  { id: "fatigue", level: "warn", when: { type: "field", field: "fatigue", equals: "2" } }
+];
+
+// 사용자 설정을 반영한 규칙 목록 — 알 수 없는 params 키는 무시한다
+export function resolveRules(overrides = {}) {
+  return RULES.map((r) => {
+    const o = overrides[r.id] || {};
+    const params = { ...(r.params || {}) };
+    for (const k of Object.keys(params)) {
+      if (o.params?.[k] !== undefined && o.params[k] !== "") params[k] = o.params[k];
+    }
+    return { ...r, params, enabled: o.enabled !== false };
+  });
+}
+
+// 규칙의 약 식별자(성분명/제품명/id)와 일치하는지 — 용량 변경으로 id 가 바뀌어도 성분명으로 찾는다
+const isMed = (med, key) => {
+  const k = String(key || "").trim().toLowerCase();
+  return !!k && [med.generic, med.name, med.id].some((v) => String(v || "").toLowerCase() === k);
+};
+
+export const findMed = (regimen, key) => regimen.find((m) => isMed(m, key)) || null;
+
+// 문구는 locales 의 rules.<id>.label — "{min} 미만" → "50 미만". med 는 레지멘의 제품명으로 표시
+export function ruleLabel(rule, regimen = []) {
+  const params = rule.params || {};
+  const med = params.med !== undefined ? findMed(regimen, params.med)?.name || params.med : undefined;
+  return t(`rules.${rule.id}.label`, { ...params, med });
+}
+
+// 기준값 입력칸 이름 (rules.<id>.<key>)
+export const ruleFieldLabel = (rule, key) => t(`rules.${rule.id}.${key}`);
+
+const compare = (a, op, b) => (op === "<" ? a < b : op === ">" ? a > b : op === "<=" ? a <= b : op === ">=" ? a >= b : false);
+
+// 활력징후는 가능한 범위 안의 값만 본다 (입력 오류로 경고하지 않도록)
+const metricValue = (r, metric) => (VITALS[metric] ? vitalValue(r, metric) : r[metric] ?? null);
+
+const readingMatches = (r, cond, params) => {
+  if (!cond.op) return !!r[cond.metric];
+  const v = metricValue(r, cond.metric);
+  return v !== null && compare(v, cond.op, Number(params[cond.param]));
+};
+
+function test(when, ctx, date) {
+  const { entries, params } = ctx;
+  const entry = entries[date];
+  switch (when.type) {
+    case "reading":
+      return (entry?.readings || []).some(
+        (r) => (when.requires || []).every((m) => metricValue(r, m) !== null) && when.any.some((c) => readingMatches(r, c, params))
+      );
+    case "field":
+      return !!entry && (when.equals === undefined ? !!entry[when.field] : entry[when.field] === when.equals);
+    case "count": {
+      const window = Number(params[when.window]);
+      if (!(Number(params[when.min]) >= 1)) return false;
+      let hits = 0;
+      for (let i = 0; i < window; i++) if (test(when.of, ctx, addDays(date, -i))) hits += 1;
+      return hits >= Number(params[when.min]);
+    }
+    case "missedRun": {
+      // 그날부터 거꾸로: 아직 끝나지 않은 오늘은 건너뛰고, 복용했거나 기록이 없으면 멈춘다.
+      // 미래 날짜는 오늘까지 모두 건너뛸 날이므로 오늘부터 센다
+      const need = Number(params[when.days]);
+      if (!(need >= 1)) return false;
+      let run = 0;
+      for (let d = date > ctx.today ? ctx.today : date; run < need; d = addDays(d, -1)) {
+        const doses = dosesOn(ctx.regimen, d).filter((x) => isMed(x.med, params[when.med]));
+        if (!doses.length) break;
+        const st = doses.map((x) => doseStatus(entries[d], x.slot, x.med.id, ctx.today));
+        if (d >= ctx.today && st.some((s) => s !== "taken")) continue;
+        if (!st.includes("missed") || st.includes("unknown")) break;
+        run += 1;
+      }
+      return run >= need;
+    }
+    case "gain": {
+      const window = Number(params[when.window]);
+      const amount = Number(params[when.amount]);
+      const now = lifestyleValue(entry, when.field);
+      if (!(window >= 1) || !(amount > 0) || now === null) return false;
+      const before = [];
+      for (let i = 1; i <= window; i++) {
+        const v = lifestyleValue(entries[addDays(date, -i)], when.field);
+        if (v !== null) before.push(v);
+      }
+      return before.length > 0 && Math.round((now - Math.min(...before)) * 10) / 10 >= amount;
+    }
+    default:
+      return false;
+  }
+}
+
+// 하루의 경고: { danger: [{ id, label }], warn: [...] } — 날짜가 아니면(비운 입력칸 등) 경고 없음
+export function evaluateRules(rules, entries, date, { regimen = [], today = todayStr } = {}) {
+  const out = { danger: [], warn: [] };
+  if (!isDateStr(date)) return out;
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    if (test(rule.when, { entries, regimen, today, params: rule.params || {} }, date)) {
+      out[rule.level].push({ id: rule.id, label: ruleLabel(rule, regimen) });
+    }
+  }
+  return out;
+}
+
+// 기간 내 규칙별 발생 횟수와 날짜: [{ id, label, level, dates }] — 위험 먼저, 많이 발생한 순
+export function flagSummary(rules, entries, dates, ctx) {
+  const map = new Map();
+  for (const date of dates) {
+    const { danger, warn } = evaluateRules(rules, entries, date, ctx);
+    for (const [level, list] of [["danger", danger], ["warn", warn]]) {
+      for (const f of list) {
+        if (!map.has(f.id)) map.set(f.id, { ...f, level, dates: [] });
+        map.get(f.id).dates.push(date);
+      }
+    }
+  }
+  return [...map.values()].sort((a, b) => (a.level === b.level ? b.dates.length - a.dates.length : a.level === "danger" ? -1 : 1));
+}
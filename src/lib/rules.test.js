@@ -0,0 +1,106 @@
+import { describe, it, expect } from "vitest";
+import { resolveRules, evaluateRules } from "./rules.js";
+
+const TODAY = "2026-10-19";
+const REGIMEN = [{ id: "edoxaban", name: "릭시아나", generic: "Edoxaban", dose: "", slots: ["am"], start: "", end: "" }];
+
+// 규칙 하나만 켠 목록 — 다른 규칙의 경고가 섞이지 않게
+const only = (id, params) =>
+  resolveRules(Object.fromEntries(resolveRules().map((r) => [r.id, { enabled: r.id === id, ...(r.id === id && params ? { params } : {}) }])));
+
+const ids = (flags) => [...flags.danger, ...flags.warn].map((f) => f.id);
+
+const byDate = (list) => Object.fromEntries(list.map((e) => [e.date, e]));
+
+// 무언가 기록했지만 약은 체크하지 않은 날 (복용 누락으로 센다)
+const recorded = (date, extra = {}) => ({ date, notes: "기록", meds: {}, ...extra });
+
+const pulseDay = (date, pulse) => ({ date, readings: [{ id: `r-${date}`, time: "08:00", pulse, sys: null, dia: null }] });
+
+describe("evaluateRules — 날짜", () => {
+  const rules = resolveRules();
+  const entries = byDate([{ date: TODAY, bleeding: true }]);
+
+  it.each(["", undefined, "2026-10", "2026-13-40", "abc"])("날짜가 아니면(%s) 경고가 없다", (date) => {
+    expect(evaluateRules(rules, entries, date, { regimen: REGIMEN, today: TODAY })).toEqual({ danger: [], warn: [] });
+  });
+
+  it("올바른 날짜는 평가한다", () => {
+    expect(ids(evaluateRules(rules, entries, TODAY, { regimen: REGIMEN, today: TODAY }))).toContain("bleeding");
+  });
+});
+
+describe("reading·field 규칙", () => {
+  it("측정값 중 하나라도 기준을 벗어나면 경고", () => {
+    const entries = byDate([{ date: TODAY, readings: [{ id: "a", time: "08:00", pulse: 72 }, { id: "b", time: "20:00", pulse: 45 }] }]);
+    expect(ids(evaluateRules(only("pulse"), entries, TODAY, { today: TODAY }))).toEqual(["pulse"]);
+  });
+
+  it("requires 의 값이 모두 있는 측정만 본다", () => {
+    const entries = byDate([{ date: TODAY, readings: [{ id: "a", time: "08:00", sys: 85, dia: null }] }]);
+    expect(ids(evaluateRules(only("hypotension"), entries, TODAY, { today: TODAY }))).toEqual([]);
+  });
+
+  it("equals 가 있으면 그 값일 때만 경고", () => {
+    expect(ids(evaluateRules(only("fatigue"), byDate([{ date: TODAY, fatigue: "1" }]), TODAY, { today: TODAY }))).toEqual([]);
+    expect(ids(evaluateRules(only("fatigue"), byDate([{ date: TODAY, fatigue: "2" }]), TODAY, { today: TODAY }))).toEqual(["fatigue"]);
+  });
+});
+
+describe("count 규칙", () => {
+  it("최근 window 일 중 min 일 이상이면 경고", () => {
+    const entries = byDate([{ date: "2026-10-10", bleeding: true }, { date: "2026-10-14", bleeding: true }]);
+    const rules = only("bleedingWeek");
+    expect(ids(evaluateRules(rules, entries, "2026-10-16", { today: TODAY }))).toEqual(["bleedingWeek"]);
+    // 10-10 은 10-18 기준 7일 밖이다
+    expect(ids(evaluateRules(rules, entries, "2026-10-18", { today: TODAY }))).toEqual([]);
+  });
+
+  it("측정값 조건을 센다", () => {
+    const entries = byDate([pulseDay("2026-10-15", 120), pulseDay("2026-10-17", 105), pulseDay("2026-10-18", 80), pulseDay("2026-10-19", 130)]);
+    expect(ids(evaluateRules(only("pulseHighTrend"), entries, TODAY, { today: TODAY }))).toEqual(["pulseHighTrend"]);
+    expect(ids(evaluateRules(only("pulseHighTrend", { min: 4 }), entries, TODAY, { today: TODAY }))).toEqual([]);
+  });
+});
+
+describe("missedRun 규칙", () => {
+  const rules = only("anticoagMissed");
+  const ctx = { regimen: REGIMEN, today: TODAY };
+
+  it("days 일 연속 누락이면 경고 — 아직 끝나지 않은 오늘은 건너뛴다", () => {
+    const entries = byDate([recorded("2026-10-17"), recorded("2026-10-18"), recorded(TODAY)]);
+    expect(ids(evaluateRules(rules, entries, "2026-10-18", ctx))).toEqual(["anticoagMissed"]);
+    expect(ids(evaluateRules(rules, entries, TODAY, ctx))).toEqual(["anticoagMissed"]);
+  });
+
+  it("복용했거나 기록이 없는 날에서 연속이 끊긴다", () => {
+    const taken = byDate([recorded("2026-10-17", { meds: { am: { edoxaban: true } } }), recorded("2026-10-18")]);
+    expect(ids(evaluateRules(rules, taken, "2026-10-18", ctx))).toEqual([]);
+    const gap = byDate([recorded("2026-10-16"), recorded("2026-10-18")]);
+    expect(ids(evaluateRules(rules, gap, "2026-10-18", ctx))).toEqual([]);
+  });
+
+  it("미래 날짜는 오늘부터 센다", () => {
+    const entries = byDate([recorded("2026-10-17"), recorded("2026-10-18")]);
+    expect(ids(evaluateRules(rules, entries, "2027-01-01", ctx))).toEqual(["anticoagMissed"]);
+    expect(ids(evaluateRules(rules, {}, "2027-01-01", ctx))).toEqual([]);
+  });
+});
+
+describe("gain 규칙", () => {
+  const rules = only("weightGain");
+  const ctx = { today: TODAY };
+
+  it("앞선 window 일의 가장 낮은 값보다 amount 이상 늘면 경고", () => {
+    const entries = byDate([{ date: "2026-10-16", weight: 68 }, { date: "2026-10-18", weight: 69 }, { date: TODAY, weight: 70 }]);
+    expect(ids(evaluateRules(rules, entries, TODAY, ctx))).toEqual(["weightGain"]);
+  });
+
+  it("늘어난 양이 모자라거나 비교할 값이 없으면 경고하지 않는다", () => {
+    const small = byDate([{ date: "2026-10-16", weight: 68 }, { date: TODAY, weight: 69.9 }]);
+    expect(ids(evaluateRules(rules, small, TODAY, ctx))).toEqual([]);
+    // 68 은 window(3일) 밖이다
+    const old = byDate([{ date: "2026-10-15", weight: 68 }, { date: TODAY, weight: 71 }]);
+    expect(ids(evaluateRules(rules, old, TODAY, ctx))).toEqual([]);
+  });
+});
@@ -0,0 +1,233 @@
+// --- 의료진 공유 (읽기 전용 스냅샷 링크) ---
+// 선택한 기간의 기록을 JSON → deflate-raw 압축 → (암호를 주면) AES-GCM 암호화 → base64url 로 URL 조각(#)에 담는다.
+// 조각은 서버로 보내지지 않으므로 링크·QR 코드만으로 전달되고, 받은 쪽 앱은 저장소를 열지 않고 보여 주기만 한다.
+// 링크: <앱 주소>#snapshot=1.<표시>.<데이터> — 표시: z 압축, e 암호화, p 둘 다 아님
+// 암호화한 데이터: salt(16) + iv(12) + 암호문. 키는 앱 잠금과 같은 PBKDF2-SHA256 (lib/lock.js)
+import { SCHEMA_VERSION } from "./migrations.js";
+import { migrate } from "./storage.js";
+import { deriveKey, ITERATIONS } from "./lock.js";
+import { LIFESTYLE_KEYS } from "./lifestyle.js";
+import { profileLabel } from "./profiles.js";
+import { riskScores } from "./risk.js";
+import { inRange } from "./date.js";
+import { t } from "./i18n.js";
+
+export const SHARE_PARAM = "snapshot";
+export const SHARE_VERSION = 1;
+export const QR_MAX_LENGTH = 2900; // QR 코드(오류 정정 L, 바이트 모드)에 담을 수 있는 대략의 한계
+export const MIN_PASSWORD = 8;
+
+export class ShareError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ShareError";
+  }
+}
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+export const compressionAvailable = () => typeof CompressionStream !== "undefined" && typeof DecompressionStream !== "undefined";
+
+export const validatePassword = (password) => (password && password.length < MIN_PASSWORD ? [t("share.problems.password", { n: MIN_PASSWORD })] : []);
+
+// --- 스냅샷 만들기 ---
+// 빈 값(""·null·false·빈 배열/객체)과 측정·발작 id 는 빼서 링크를 짧게 한다 — 복원할 때 채운다
+const compact = (v) => {
+  if (Array.isArray(v)) {
+    const list = v.map(compact).filter((x) => x !== undefined);
+    return list.length ? list : undefined;
+  }
+  if (isObj(v)) {
+    const out = Object.fromEntries(Object.entries(v).map(([k, x]) => [k, compact(x)]).filter(([, x]) => x !== undefined));
+    return Object.keys(out).length ? out : undefined;
+  }
+  return v === "" || v === null || v === false || v === undefined ? undefined : v;
+};
+
+const withoutId = (x) => {
+  const out = { ...x };
+  delete out.id;
+  return out;
+};
+
+const slimEntry = (e, { notes }) =>
+  compact({
+    ...e,
+    readings: (e.readings || []).map(withoutId),
+    episodes: (e.episodes || []).map(withoutId),
+    fatigue: e.fatigue === "0" ? "" : e.fatigue,
+    notes: notes ? e.notes : ""
+  });
+
+// opts: { from, to, notes } — notes 가 false 이면 메모는 넣지 않는다 (개인적인 내용일 수 있음)
+// 위험 점수(lib/risk.js)는 기간과 상관없이 만든 날 기준으로 계산해 넣는다 — 받는 쪽에는 프로필 체크 항목이 없다
+export function buildSnapshot(entries, settings, regimen, { from = "", to = "", notes = false } = {}) {
+  return {
+    v: SHARE_VERSION,
+    schema: SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    patient: profileLabel(settings),
+    from,
+    to,
+    entries: Object.values(entries)
+      .filter((e) => inRange(e.date, from, to))
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map((e) => slimEntry(e, { notes })),
+    settings: compact({ regimen, rules: settings.rules }) || {},
+    risk: compact(riskScores(settings, entries, { regimen }))
+  };
+}
+
+const restoreEntry = ({ readings = [], episodes = [], ...e }) => ({
+  dizziness: false,
+  syncope: false,
+  dyspnea: false,
+  edema: false,
+  bleeding: false,
+  fatigue: "0",
+  ...Object.fromEntries(LIFESTYLE_KEYS.map((k) => [k, null])),
+  meds: {},
+  otherMeds: [],
+  notes: "",
+  ...e,
+  readings: readings.map((r, i) => ({ irregular: false, ...r, id: `r-s${i}` })),
+  episodes: episodes.map((ep, i) => ({ ...ep, id: `ep-s${i}` }))
+});
+
+const restoreMed = (m) => ({ name: "", generic: "", dose: "", slots: [], start: "", end: "", ...m });
+
+// 받은 스냅샷을 검증하고 { patient, from, to, createdAt, entries: { [date]: entry }, settings } 로 돌려준다
+const restoreScore = (s) => ({ ...s, items: s.items.map((x) => ({ points: 0, reason: null, ...x })) });
+
+// 위험 점수가 없거나(이전 링크) 모양이 맞지 않으면 null — 화면에서 빼고 보여 준다
+const restoreRisk = (r) => {
+  if (!isObj(r) || !["chads", "hasbled"].every((k) => isObj(r[k]) && Array.isArray(r[k].items))) return null;
+  return { age: r.age ?? null, sex: r.sex || "", missing: r.missing || [], chads: restoreScore(r.chads), hasbled: restoreScore(r.hasbled) };
+};
+
+// 빈 목록은 링크에서 빠지므로 없어도 된다 — 있으면 객체의 배열이어야 한다
+const isListOrMissing = (v) => v === undefined || (Array.isArray(v) && v.every(isObj));
+
+export function restoreSnapshot(obj) {
+  if (!isObj(obj) || obj.v !== SHARE_VERSION || !Array.isArray(obj.entries)) throw new ShareError(t("share.errors.format"));
+  if (!Number.isInteger(obj.schema) || obj.schema > SCHEMA_VERSION) throw new ShareError(t("share.errors.newer"));
+  for (const e of obj.entries) {
+    if (!isObj(e) || !/^\d{4}-\d{2}-\d{2}$/.test(e.date) || !isListOrMissing(e.readings) || !isListOrMissing(e.episodes)) {
+      throw new ShareError(t("share.errors.format"));
+    }
+    if (e.meds !== undefined && !isObj(e.meds)) throw new ShareError(t("share.errors.format"));
+  }
+  const settings = isObj(obj.settings) ? obj.settings : {};
+  if (!isListOrMissing(settings.regimen)) throw new ShareError(t("share.errors.format"));
+  let data;
+  try {
+    data = migrate(
+      { entries: Object.fromEntries(obj.entries.map((e) => [e.date, restoreEntry(e)])), settings: { ...settings, regimen: (settings.regimen || []).map(restoreMed) } },
+      obj.schema
+    );
+  } catch {
+    throw new ShareError(t("share.errors.format"));
+  }
+  return {
+    patient: String(obj.patient || ""),
+    from: obj.from || "",
+    to: obj.to || "",
+    createdAt: obj.createdAt || "",
+    risk: restoreRisk(obj.risk),
+    ...data
+  };
+}
+
+// --- 인코딩 ---
+const toBase64Url = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) => {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+};
+
+const pipeThrough = async (bytes, stream) => new Uint8Array(await new Response(new Response(bytes).body.pipeThrough(stream)).arrayBuffer());
+
+export async function encodeSnapshot(snapshot, password = "") {
+  let bytes = new TextEncoder().encode(JSON.stringify(snapshot));
+  let flags = "";
+  if (compressionAvailable()) {
+    bytes = await pipeThrough(bytes, new CompressionStream("deflate-raw"));
+    flags += "z";
+  }
+  if (password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKey(password, salt, ITERATIONS);
+    const data = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, bytes));
+    bytes = new Uint8Array(salt.length + iv.length + data.length);
+    bytes.set(salt);
+    bytes.set(iv, salt.length);
+    bytes.set(data, salt.length + iv.length);
+    flags += "e";
+  }
+  return `${SHARE_VERSION}.${flags || "p"}.${toBase64Url(bytes)}`;
+}
+
+const parseToken = (token) => {
+  const m = /^(\d+)\.([zep]+)\.([A-Za-z0-9_-]+)$/.exec(token || "");
+  if (!m) throw new ShareError(t("share.errors.format"));
+  if (Number(m[1]) > SHARE_VERSION) throw new ShareError(t("share.errors.newer"));
+  return { compressed: m[2].includes("z"), encrypted: m[2].includes("e"), data: m[3] };
+};
+
+export const isEncryptedToken = (token) => {
+  try {
+    return parseToken(token).encrypted;
+  } catch {
+    return false;
+  }
+};
+
+// 링크의 데이터를 풀어 restoreSnapshot 결과를 돌려준다. 암호가 틀리거나 링크가 잘렸으면 ShareError
+export async function decodeSnapshot(token, password = "") {
+  const { compressed, encrypted, data } = parseToken(token);
+  let bytes;
+  try {
+    bytes = fromBase64Url(data);
+  } catch {
+    throw new ShareError(t("share.errors.corrupt"));
+  }
+  if (encrypted) {
+    if (!globalThis.crypto?.subtle) throw new ShareError(t("share.errors.noCrypto"));
+    const key = await deriveKey(password, bytes.slice(0, 16), ITERATIONS);
+    try {
+      bytes = new Uint8Array(await crypto.subtle.decrypt({ name: "AES-GCM", iv: bytes.slice(16, 28) }, key, bytes.slice(28)));
+    } catch {
+      throw new ShareError(t("share.errors.password"));
+    }
+  }
+  if (compressed) {
+    if (!compressionAvailable()) throw new ShareError(t("share.errors.unsupported"));
+    try {
+      bytes = await pipeThrough(bytes, new DecompressionStream("deflate-raw"));
+    } catch {
+      throw new ShareError(t("share.errors.corrupt"));
+    }
+  }
+  let obj;
+  try {
+    obj = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new ShareError(t("share.errors.corrupt"));
+  }
+  return restoreSnapshot(obj);
+}
+
+// --- 링크 ---
+export const shareUrl = (token, loc = window.location) => `${loc.origin}${loc.pathname}#${SHARE_PARAM}=${token}`;
+
+// 현재 주소가 스냅샷 링크이면 그 데이터 부분, 아니면 null
+export const readSnapshotHash = (hash = window.location.hash) => {
+  const prefix = `#${SHARE_PARAM}=`;
+  return hash.startsWith(prefix) ? hash.slice(prefix.length) : null;
+};
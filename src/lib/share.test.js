@@ -0,0 +1,65 @@
+import { describe, it, expect } from "vitest";
+import { buildSnapshot, encodeSnapshot, decodeSnapshot, restoreSnapshot, isEncryptedToken, ShareError, SHARE_VERSION } from "./share.js";
+import { SCHEMA_VERSION } from "./migrations.js";
+
+const REGIMEN = [{ id: "a", name: "릭시아나", generic: "Edoxaban", dose: "60mg", slots: ["am"], start: "", end: "" }];
+const ENTRIES = {
+  "2026-10-18": { date: "2026-10-18", readings: [{ id: "r1", time: "08:00", pulse: 72, sys: 120, dia: 80, irregular: false }], meds: { am: { a: true } }, notes: "개인 메모" },
+  "2026-10-19": { date: "2026-10-19", readings: [], meds: {}, bleeding: true, notes: "" }
+};
+const SETTINGS = { profile: { name: "홍길동", birthYear: "1950" }, regimen: REGIMEN };
+
+const snapshot = (opts) => buildSnapshot(ENTRIES, SETTINGS, REGIMEN, opts);
+
+describe("encodeSnapshot → decodeSnapshot", () => {
+  it("암호 없이 되돌린다 — 메모는 빼고", async () => {
+    const token = await encodeSnapshot(snapshot());
+    expect(isEncryptedToken(token)).toBe(false);
+    const out = await decodeSnapshot(token);
+    expect(Object.keys(out.entries)).toEqual(["2026-10-18", "2026-10-19"]);
+    expect(out.entries["2026-10-18"].readings[0]).toMatchObject({ pulse: 72, sys: 120, dia: 80 });
+    expect(out.entries["2026-10-18"].notes).toBe("");
+    expect(out.entries["2026-10-19"].bleeding).toBe(true);
+    expect(out.settings.regimen[0]).toMatchObject({ id: "a", name: "릭시아나", slots: ["am"] });
+  });
+
+  it("암호를 주면 같은 암호로만 열린다", async () => {
+    const token = await encodeSnapshot(snapshot({ notes: true }), "password1");
+    expect(isEncryptedToken(token)).toBe(true);
+    expect((await decodeSnapshot(token, "password1")).entries["2026-10-18"].notes).toBe("개인 메모");
+    await expect(decodeSnapshot(token, "wrongpass")).rejects.toThrow(ShareError);
+  });
+
+  it("잘리거나 망가진 링크는 ShareError", async () => {
+    const token = await encodeSnapshot(snapshot());
+    await expect(decodeSnapshot(token.slice(0, 20))).rejects.toThrow(ShareError);
+    await expect(decodeSnapshot("not-a-token")).rejects.toThrow(ShareError);
+  });
+});
+
+describe("restoreSnapshot", () => {
+  const base = { v: SHARE_VERSION, schema: SCHEMA_VERSION };
+
+  it("빠진 기본값을 채운다", () => {
+    const out = restoreSnapshot({ ...base, entries: [{ date: "2026-10-19", readings: [{ pulse: 80 }] }] });
+    expect(out.entries["2026-10-19"]).toMatchObject({ bleeding: false, fatigue: "0", meds: {}, episodes: [] });
+    expect(out.entries["2026-10-19"].readings[0]).toMatchObject({ pulse: 80, irregular: false, id: "r-s0" });
+  });
+
+  it.each([
+    ["readings 가 객체", { readings: {} }],
+    ["readings 가 null", { readings: null }],
+    ["episodes 가 문자열", { episodes: "x" }],
+    ["meds 가 배열", { meds: [] }]
+  ])("%s 이면 ShareError", (label, extra) => {
+    expect(() => restoreSnapshot({ ...base, entries: [{ date: "2026-10-19", ...extra }] })).toThrow(ShareError);
+  });
+
+  it("레지멘이 목록이 아니면 ShareError", () => {
+    expect(() => restoreSnapshot({ ...base, entries: [], settings: { regimen: {} } })).toThrow(ShareError);
+  });
+
+  it("더 새 형식은 거부한다", () => {
+    expect(() => restoreSnapshot({ ...base, schema: SCHEMA_VERSION + 1, entries: [] })).toThrow(ShareError);
+  });
+});
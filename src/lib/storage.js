@@ -0,0 +1,296 @@
+// --- 저장소 (IndexedDB) ---
+// 기록은 날짜별 레코드(entries), 설정은 키별 레코드(settings)로 저장한다.
+// v3 부터 키는 [profileId, 날짜 | 설정 키] — 환자 프로필마다 따로 저장한다 (profiles.js).
+// 데이터 형식 버전은 meta.schemaVersion, 마지막으로 연 프로필은 meta.activeProfile 에 둔다.
+// 열 때마다 프로필별로 migrations.js 를 적용해 올린다.
+// 읽기/변환에 실패하면 StorageError 를 던지고 아무것도 쓰지 않는다.
+// 앱 잠금(lock.js)을 켜면 레코드 값은 암호문으로 저장된다 — 읽기·쓰기 함수에 key 를 넘겨 풀고 감싼다.
+import { MIGRATIONS, SCHEMA_VERSION } from "./migrations.js";
+import { DEFAULT_PROFILE_ID } from "./profiles.js";
+import { isEncrypted, encryptValue, decryptValue } from "./lock.js";
+import { t } from "./i18n.js";
+
+const DB_NAME = "afibcare";
+const DB_VERSION = 1; // object store 구조 버전 (데이터 형식 버전과 별개)
+const SAVE_DELAY = 400; // ms — 입력 중 연속 저장을 한 번으로 묶는다
+
+export const LEGACY_KEYS = {
+  entries: "afibcare.entries.v1",
+  regimen: "afibcare.regimen.v1"
+};
+
+export class StorageError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = "StorageError";
+    this.cause = cause;
+  }
+}
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const txDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("transaction aborted"));
+  });
+
+export function openDB() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new StorageError(t("storage.noIndexedDB")));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const name of ["entries", "settings", "meta"]) {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    req.onerror = () => reject(new StorageError(t("storage.openFailed"), req.error));
+    req.onblocked = () => reject(new StorageError(t("storage.blocked")));
+  });
+}
+
+const readStore = async (db, name) => {
+  const tx = db.transaction(name, "readonly");
+  const store = tx.objectStore(name);
+  const [keys, values] = await Promise.all([promisify(store.getAllKeys()), promisify(store.getAll())]);
+  return Object.fromEntries(keys.map((k, i) => [k, values[i]]));
+};
+
+// 암호문이면 풀고, 아니면 그대로 — 키 없이 암호문을 만나면 읽기 실패
+const openValue = async (value, key) => {
+  if (!isEncrypted(value)) return value;
+  if (!key) throw new StorageError(t("storage.locked"));
+  return decryptValue(key, value);
+};
+
+const sealValue = (value, key) => (key ? encryptValue(key, value) : value);
+
+// v3 형식: [profileId, key] 키를 프로필별로 묶는다 → { [profileId]: { [key]: value } }
+const readGrouped = async (db, name, cryptoKey) => {
+  const flat = new Map();
+  const tx = db.transaction(name, "readonly");
+  const store = tx.objectStore(name);
+  const [keys, values] = await Promise.all([promisify(store.getAllKeys()), promisify(store.getAll())]);
+  const opened = await Promise.all(values.map((v) => openValue(v, cryptoKey)));
+  keys.forEach((k, i) => {
+    if (!Array.isArray(k)) return; // 알 수 없는 레코드는 무시
+    if (!flat.has(k[0])) flat.set(k[0], {});
+    flat.get(k[0])[k[1]] = opened[i];
+  });
+  return Object.fromEntries(flat);
+};
+
+async function readProfiles(db, cryptoKey) {
+  const entries = await readGrouped(db, "entries", cryptoKey);
+  const settings = await readGrouped(db, "settings", cryptoKey);
+  const ids = new Set([...Object.keys(entries), ...Object.keys(settings)]);
+  return Object.fromEntries([...ids].map((id) => [id, { entries: entries[id] || {}, settings: settings[id] || {} }]));
+}
+
+// localStorage 에 남아 있는 v1 데이터 — 파싱 실패 시 예외 (덮어쓰지 않기 위해)
+function readLegacySnapshot() {
+  const parse = (key, fallback) => {
+    const raw = localStorage.getItem(key);
+    if (!raw) return fallback;
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      throw new StorageError(t("storage.legacyUnreadable", { key }), e);
+    }
+  };
+  const entries = parse(LEGACY_KEYS.entries, {});
+  const regimen = parse(LEGACY_KEYS.regimen, null);
+  if (!entries || typeof entries !== "object" || Array.isArray(entries)) {
+    throw new StorageError(t("storage.legacyInvalid", { key: LEGACY_KEYS.entries }));
+  }
+  return { entries, settings: Array.isArray(regimen) ? { regimen } : {} };
+}
+
+// 원본 보존용: 읽기 실패 시 사용자가 내려받을 수 있도록 그대로 돌려준다.
+export const readLegacyRaw = () =>
+  Object.fromEntries(Object.values(LEGACY_KEYS).map((k) => [k, localStorage.getItem(k)]));
+
+export function migrate(snapshot, fromVersion) {
+  let snap = snapshot;
+  for (let v = fromVersion + 1; v <= SCHEMA_VERSION; v++) {
+    if (MIGRATIONS[v]) snap = MIGRATIONS[v](snap);
+  }
+  return snap;
+}
+
+const mapValues = (obj, fn) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, fn(v)]));
+
+// 전체를 한 트랜잭션으로 다시 쓴다 — 암호화는 트랜잭션을 열기 전에 끝낸다 (기다리는 동안 자동 커밋되지 않도록)
+// lock 을 넘기면 meta.lock 도 함께 바꾼다 (null 이면 잠금 해제)
+async function writeSnapshot(db, profiles, version, { key, lock } = {}) {
+  const records = [];
+  for (const [id, data] of Object.entries(profiles)) {
+    for (const [k, v] of Object.entries(data.entries)) records.push(["entries", [id, k], v]);
+    for (const [k, v] of Object.entries(data.settings)) records.push(["settings", [id, k], v]);
+  }
+  const sealed = await Promise.all(records.map(([, , v]) => sealValue(v, key)));
+  const tx = db.transaction(["entries", "settings", "meta"], "readwrite");
+  const entries = tx.objectStore("entries");
+  const settings = tx.objectStore("settings");
+  entries.clear();
+  settings.clear();
+  records.forEach(([store, k], i) => (store === "entries" ? entries : settings).put(sealed[i], k));
+  const meta = tx.objectStore("meta");
+  meta.put(version, "schemaVersion");
+  if (lock) meta.put(lock, "lock");
+  else if (lock === null) meta.delete("lock");
+  await txDone(tx);
+}
+
+// 전체 데이터를 읽고 필요하면 최신 형식으로 올린다: { profiles: { [profileId]: { entries, settings } }, active }
+// v3 이전 데이터(단일 사용자)는 기본 프로필이 된다. 잠금을 켠 경우 key 로 복호화한다.
+export async function loadAll(db, { key } = {}) {
+  try {
+    const meta = db.transaction("meta").objectStore("meta");
+    const [version = 0, active] = await Promise.all([promisify(meta.get("schemaVersion")), promisify(meta.get("activeProfile"))]);
+    if (version > SCHEMA_VERSION) {
+      throw new StorageError(t("storage.newerVersion"));
+    }
+    let profiles;
+    if (version >= 3) profiles = await readProfiles(db, key);
+    else if (version === 0) profiles = { [DEFAULT_PROFILE_ID]: readLegacySnapshot() };
+    else profiles = { [DEFAULT_PROFILE_ID]: { entries: await readStore(db, "entries"), settings: await readStore(db, "settings") } };
+    if (!Object.keys(profiles).length) profiles = { [DEFAULT_PROFILE_ID]: migrate({ entries: {}, settings: {} }, 1) };
+    if (version < SCHEMA_VERSION) {
+      profiles = mapValues(profiles, (p) => migrate(p, Math.max(version, 1)));
+      await writeSnapshot(db, profiles, SCHEMA_VERSION, { key });
+    }
+    return { profiles, active: profiles[active] ? active : Object.keys(profiles)[0] };
+  } catch (e) {
+    throw e instanceof StorageError ? e : new StorageError(t("storage.readFailed"), e);
+  }
+}
+
+// --- 앱 잠금 ---
+export const readLock = async (db) => (await promisify(db.transaction("meta").objectStore("meta").get("lock"))) || null;
+
+// 자동 잠금 시간 등 잠금 정보만 바꿀 때 (키는 그대로)
+export async function saveLock(db, lock) {
+  const tx = db.transaction("meta", "readwrite");
+  tx.objectStore("meta").put(lock, "lock");
+  await txDone(tx);
+}
+
+// 잠금 켜기·암호 변경·잠금 끄기 — 메모리의 전체 데이터를 새 키로(또는 평문으로) 한 번에 다시 쓴다.
+// saver.changeKey 안에서 불러야 한다 — 그동안의 저장이 이전 키로 쓰이지 않게.
+export async function rewriteAll(db, profiles, { key = null, lock = null } = {}) {
+  try {
+    await writeSnapshot(db, profiles, SCHEMA_VERSION, { key, lock });
+  } catch (e) {
+    throw new StorageError(t("storage.rewriteFailed"), e);
+  }
+}
+
+// v1 시절 localStorage 사본 — IndexedDB 로 옮긴 뒤에도 평문으로 남아 있으므로 잠금을 켤 때 지운다
+export const hasLegacyData = () => Object.values(LEGACY_KEYS).some((k) => localStorage.getItem(k) !== null);
+export const clearLegacy = () => Object.values(LEGACY_KEYS).forEach((k) => localStorage.removeItem(k));
+
+// PIN 을 잊은 경우의 초기화 — 모든 기록과 잠금 정보를 지운다
+export async function wipeAll(db) {
+  const tx = db.transaction(["entries", "settings", "meta"], "readwrite");
+  for (const name of ["entries", "settings", "meta"]) tx.objectStore(name).clear();
+  await txDone(tx);
+  clearLegacy();
+}
+
+// 레코드 단위 지연 저장 — 같은 키에 대한 연속 변경은 마지막 값만 쓴다.
+// 기록/설정은 saver.profile(id) 로 프로필을 정해 저장한다. key 가 있으면 값을 암호화해 쓴다 (meta 제외).
+export function createSaver(db, { onError, key } = {}) {
+  const pending = new Map(); // `${store}\u0000${JSON.stringify(key)}` → { store, key, value, remove }
+  let timer = null;
+  let writing = Promise.resolve(); // 저장은 한 번에 하나씩 — 앞 저장(암호화 포함)이 끝난 뒤 다음 저장을 시작해 순서가 뒤바뀌지 않게
+  const opId = (op) => `${op.store}\u0000${JSON.stringify(op.key)}`;
+
+  const write = async () => {
+    if (!pending.size) return;
+    const ops = [...pending.values()];
+    pending.clear();
+    try {
+      const values = await Promise.all(ops.map((op) => (op.remove || op.store === "meta" ? op.value : sealValue(op.value, key))));
+      const tx = db.transaction(["entries", "settings", "meta"], "readwrite");
+      ops.forEach((op, i) => {
+        const store = tx.objectStore(op.store);
+        if (op.remove) store.delete(op.key);
+        else store.put(values[i], op.key);
+      });
+      await txDone(tx);
+    } catch (e) {
+      // 실패한 변경은 다시 대기열에 넣어 다음 저장 때 재시도
+      for (const op of ops) {
+        if (!pending.has(opId(op))) pending.set(opId(op), op);
+      }
+      onError?.(new StorageError(t("storage.saveFailed"), e));
+    }
+  };
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    writing = writing.then(write);
+    return writing;
+  };
+
+  // 키 바꾸기 (잠금 켜기·PIN 변경·잠금 끄기) — rewrite(전체 다시 쓰기)를 저장 순서에 끼워 넣는다.
+  // 대기 중인 변경과 그동안 생긴 변경은 rewrite 가 끝난 뒤 새 키로(실패하면 이전 키로) 저장된다 — 이전 키로 쓴 레코드가 남지 않게
+  const changeKey = (nextKey, rewrite) => {
+    clearTimeout(timer);
+    timer = null;
+    const run = writing.then(rewrite).then(() => {
+      key = nextKey;
+    });
+    writing = run.catch(() => {}).then(write);
+    return run;
+  };
+
+  const queue = (op) => {
+    pending.set(opId(op), op);
+    clearTimeout(timer);
+    timer = setTimeout(flush, SAVE_DELAY);
+  };
+
+  const profile = (id) => ({
+    putEntry: (entry) => queue({ store: "entries", key: [id, entry.date], value: entry }),
+    deleteEntry: (date) => queue({ store: "entries", key: [id, date], remove: true }),
+    putSetting: (key, value) => queue({ store: "settings", key: [id, key], value }),
+    // 전체 교체(가져오기 등) — 이전에 있던 키 중 새 데이터에 없는 것은 삭제
+    replaceEntries: (prev, next) => {
+      for (const d of Object.keys(prev)) if (!next[d]) queue({ store: "entries", key: [id, d], remove: true });
+      for (const e of Object.values(next)) queue({ store: "entries", key: [id, e.date], value: e });
+    },
+    replaceSettings: (prev, next) => {
+      for (const k of Object.keys(prev)) if (!(k in next)) queue({ store: "settings", key: [id, k], remove: true });
+      for (const [k, v] of Object.entries(next)) queue({ store: "settings", key: [id, k], value: v });
+    }
+  });
+
+  return {
+    profile,
+    // 프로필 삭제 — 그 프로필의 모든 레코드를 지운다
+    removeProfile: (id, { entries, settings }) => {
+      for (const d of Object.keys(entries)) queue({ store: "entries", key: [id, d], remove: true });
+      for (const k of Object.keys(settings)) queue({ store: "settings", key: [id, k], remove: true });
+    },
+    setActive: (id) => queue({ store: "meta", key: "activeProfile", value: id }),
+    flush,
+    changeKey
+  };
+}
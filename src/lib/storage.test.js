@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from "vitest";
+import { IDBFactory } from "fake-indexeddb";
+import { openDB, loadAll, createSaver, rewriteAll } from "./storage.js";
+import { createLock, isEncrypted } from "./lock.js";
+
+const DAY = "2026-10-19";
+
+const rawValues = (db, name) =>
+  new Promise((resolve, reject) => {
+    const req = db.transaction(name).objectStore(name).getAll();
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+// 새 저장소를 열고 처음 읽기까지 — 기본 프로필 하나
+const fresh = async () => {
+  const db = await openDB();
+  const { profiles, active } = await loadAll(db);
+  return { db, profiles, active };
+};
+
+let first;
+let second;
+
+beforeAll(async () => {
+  first = await createLock("pin", "123456");
+  second = await createLock("pin", "654321");
+});
+
+beforeEach(() => {
+  vi.stubGlobal("indexedDB", new IDBFactory());
+  vi.stubGlobal("localStorage", { getItem: () => null, setItem() {}, removeItem() {} });
+});
+
+describe("createSaver", () => {
+  it("저장은 순서대로 — 나중 값이 남는다", async () => {
+    const { db, active } = await fresh();
+    const saver = createSaver(db);
+    saver.profile(active).putEntry({ date: DAY, notes: "처음" });
+    const a = saver.flush();
+    saver.profile(active).putEntry({ date: DAY, notes: "나중" });
+    await Promise.all([a, saver.flush()]);
+    expect((await loadAll(db)).profiles[active].entries[DAY].notes).toBe("나중");
+  });
+});
+
+describe("changeKey", () => {
+  it("잠금을 켜는 동안 생긴 변경도 새 키로 저장된다", async () => {
+    const { db, profiles, active } = await fresh();
+    const saver = createSaver(db);
+    saver.profile(active).putEntry({ date: "2026-10-18", notes: "켜기 전" });
+    await saver.changeKey(first.key, async () => {
+      saver.profile(active).putEntry({ date: DAY, notes: "다시 쓰는 중" });
+      await rewriteAll(db, profiles, { key: first.key, lock: first.lock });
+    });
+    await saver.flush();
+    expect((await rawValues(db, "entries")).every(isEncrypted)).toBe(true);
+    const { entries } = (await loadAll(db, { key: first.key })).profiles[active];
+    expect(entries[DAY].notes).toBe("다시 쓰는 중");
+    expect(entries["2026-10-18"].notes).toBe("켜기 전");
+  });
+
+  it("PIN 을 바꾸는 동안 생긴 변경도 새 키로 읽힌다", async () => {
+    const { db, profiles, active } = await fresh();
+    await rewriteAll(db, profiles, { key: first.key, lock: first.lock });
+    const saver = createSaver(db, { key: first.key });
+    await saver.changeKey(second.key, async () => {
+      saver.profile(active).putEntry({ date: DAY, notes: "바꾸는 중" });
+      saver.flush(); // 다시 쓰기 도중의 저장 요청 — 끝난 뒤로 미뤄진다
+      await rewriteAll(db, profiles, { key: second.key, lock: second.lock });
+    });
+    await saver.flush();
+    expect((await loadAll(db, { key: second.key })).profiles[active].entries[DAY].notes).toBe("바꾸는 중");
+  });
+
+  it("다시 쓰기가 실패하면 이전 키로 계속 저장한다", async () => {
+    const { db, active } = await fresh();
+    const saver = createSaver(db);
+    await expect(saver.changeKey(first.key, () => Promise.reject(new Error("실패")))).rejects.toThrow("실패");
+    saver.profile(active).putEntry({ date: DAY, notes: "평문" });
+    await saver.flush();
+    expect((await loadAll(db)).profiles[active].entries[DAY].notes).toBe("평문");
+  });
+});
@@ -0,0 +1,67 @@
+// --- 앱 업데이트 (서비스워커) ---
+// 새 버전의 서비스워커는 설치 후 대기(waiting)한다. 앱은 이를 알리고, 사용자가 '새로고침'을 누르면
+// SKIP_WAITING 을 보내 교체한 뒤(controllerchange) 페이지를 다시 불러온다.
+import { useEffect, useState } from "react";
+
+const CHECK_MS = 60 * 60 * 1000; // 앱을 오래 열어 두는 경우 한 시간마다 새 버전 확인
+
+// { worker, error } — worker: 대기 중인 새 버전, error: 등록 실패 (오프라인에서 열 수 없다)
+let current = { worker: null, error: null };
+const listeners = new Set();
+const setState = (patch) => {
+  current = { ...current, ...patch };
+  listeners.forEach((fn) => fn(current));
+};
+const setWaiting = (worker) => setState({ worker });
+
+let reloading = false;
+
+export function registerServiceWorker(url = "/sw.js") {
+  if (!("serviceWorker" in navigator)) return;
+  window.addEventListener("load", async () => {
+    try {
+      const reg = await navigator.serviceWorker.register(url);
+      // 처음 설치할 때(controller 없음)는 알릴 것이 없다
+      const track = (worker) => {
+        if (!worker) return;
+        const check = () => worker.state === "installed" && navigator.serviceWorker.controller && setWaiting(worker);
+        check();
+        worker.addEventListener("statechange", check);
+      };
+      if (reg.waiting && navigator.serviceWorker.controller) setWaiting(reg.waiting);
+      track(reg.installing);
+      reg.addEventListener("updatefound", () => track(reg.installing));
+      setInterval(() => reg.update().catch(() => {}), CHECK_MS);
+      document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "visible") reg.update().catch(() => {});
+      });
+    } catch (e) {
+      setState({ error: e });
+    }
+  });
+  // 우리가 요청한 교체일 때만 다시 불러온다 (첫 설치 시 clients.claim 으로도 발생하므로)
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (!reloading) return;
+    window.location.reload();
+  });
+}
+
+// { available, apply, error, dismissError } — apply(beforeReload) 는 저장 등 정리 작업이 끝난 뒤 새 버전으로 교체한다
+// error 는 서비스워커 등록 실패 — 앱은 그대로 쓰지만 오프라인에서는 열리지 않는다
+export function useAppUpdate() {
+  const [state, setLocal] = useState(current);
+  useEffect(() => {
+    listeners.add(setLocal);
+    return () => listeners.delete(setLocal);
+  }, []);
+  const { worker, error } = state;
+
+  const apply = async (beforeReload) => {
+    if (!worker) return;
+    await beforeReload?.();
+    reloading = true;
+    worker.postMessage({ type: "SKIP_WAITING" });
+  };
+
+  return { available: !!worker, apply, error, dismissError: () => setState({ error: null }) };
+}
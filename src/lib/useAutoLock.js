@@ -0,0 +1,40 @@
+// --- 자동 잠금 ---
+// minutes 동안 입력이 없거나, 백그라운드로 간 뒤 그만큼 지나서 돌아오면 onLock 을 부른다.
+// 모바일에서는 백그라운드 탭의 타이머가 멈추므로 돌아왔을 때(visibilitychange) 경과 시간을 다시 확인한다.
+import { useEffect, useRef } from "react";
+
+const ACTIVITY_EVENTS = ["pointerdown", "keydown", "wheel", "touchstart"];
+
+// minutes: 0 또는 null 이면 끔
+export function useAutoLock(minutes, onLock) {
+  const onLockRef = useRef(onLock);
+  useEffect(() => {
+    onLockRef.current = onLock;
+  }, [onLock]);
+
+  useEffect(() => {
+    if (!minutes) return;
+    const limit = minutes * 60 * 1000;
+    let last = Date.now();
+    let timer = null;
+    const arm = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => onLockRef.current(), limit);
+    };
+    const onActivity = () => {
+      last = Date.now();
+      arm();
+    };
+    const onVisibility = () => {
+      if (document.visibilityState === "visible" && Date.now() - last >= limit) onLockRef.current();
+    };
+    arm();
+    ACTIVITY_EVENTS.forEach((e) => window.addEventListener(e, onActivity, { passive: true }));
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach((e) => window.removeEventListener(e, onActivity));
+      document.removeEventListener("visibilitychange", onVisibility);
+    };
+  }, [minutes]);
+}
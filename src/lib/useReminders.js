@@ -0,0 +1,75 @@
+// --- 복약 알림: 앱 ↔ 서비스워커 연결 ---
+// 앱은 알림 일정을 서비스워커에 보내고, 서비스워커는 일정을 저장해 두었다가
+//  - Notification Triggers(showTrigger)를 지원하면 OS 예약 알림으로,
+//  - 아니면 앱이 열려 있는 동안 1분마다 / periodicsync 이벤트 때 도래한 알림을 표시한다.
+// 알림의 '복용 완료' 버튼은 DOSE_TAKEN 메시지(또는 ?take=slot&date=...&profile=... 로 앱 열기)로 돌아온다.
+import { useEffect, useRef } from "react";
+import { t } from "./i18n.js";
+
+const TICK_MS = 60 * 1000;
+export const PERIODIC_SYNC_TAG = "afibcare-reminders";
+
+export const notificationsSupported = () =>
+  typeof window !== "undefined" && "Notification" in window && "serviceWorker" in navigator;
+
+export async function enableNotifications() {
+  if (!notificationsSupported()) return "unsupported";
+  const permission = await Notification.requestPermission();
+  if (permission === "granted") {
+    try {
+      const reg = await navigator.serviceWorker.ready;
+      // 앱이 닫혀 있어도 주기적으로 깨어나 알림을 확인 (지원 브라우저 한정)
+      await reg.periodicSync?.register(PERIODIC_SYNC_TAG, { minInterval: 15 * 60 * 1000 });
+    } catch {
+      // periodicSync 권한이 없으면 앱이 열려 있을 때만 확인한다.
+    }
+  }
+  return permission;
+}
+
+export async function showTestNotification() {
+  const reg = await navigator.serviceWorker.ready;
+  await reg.showNotification(t("reminders.testTitle"), { body: t("reminders.testBody"), tag: "afibcare-test" });
+}
+
+const post = async (message) => {
+  if (!notificationsSupported()) return;
+  const reg = await navigator.serviceWorker.ready;
+  reg.active?.postMessage(message);
+};
+
+// schedule: lib/reminders.js combinedSchedule() 결과 (불러오기 전에는 null)
+// snoozeMinutes 는 항목에 값이 없을 때의 기본값, onTaken(date, slot, profile)
+export function useReminders(schedule, { snoozeMinutes, onTaken }) {
+  const onTakenRef = useRef(onTaken);
+  useEffect(() => {
+    onTakenRef.current = onTaken;
+  }, [onTaken]);
+
+  // 기록을 입력할 때마다 다시 계산되므로 내용이 바뀐 경우에만 보낸다.
+  const lastSent = useRef("");
+  useEffect(() => {
+    if (!schedule) return; // 데이터를 불러오기 전에는 기존 일정을 건드리지 않는다
+    // 알림 버튼 이름도 함께 보낸다 — 서비스워커는 화면 언어를 모른다 ({minutes} 는 서비스워커가 채운다)
+    const labels = { take: t("reminders.take"), snooze: t("reminders.snooze") };
+    const message = { type: "REMINDERS", items: schedule.items, pending: schedule.pending, snoozeMinutes, labels };
+    const key = JSON.stringify(message);
+    if (key === lastSent.current) return;
+    lastSent.current = key;
+    post(message);
+  }, [schedule, snoozeMinutes]);
+
+  useEffect(() => {
+    if (!notificationsSupported()) return;
+    const tick = () => post({ type: "REMINDERS_TICK" });
+    const timer = setInterval(tick, TICK_MS);
+    const onMessage = (e) => {
+      if (e.data?.type === "DOSE_TAKEN") onTakenRef.current?.(e.data.date, e.data.slot, e.data.profile);
+    };
+    navigator.serviceWorker.addEventListener("message", onMessage);
+    return () => {
+      clearInterval(timer);
+      navigator.serviceWorker.removeEventListener("message", onMessage);
+    };
+  }, []);
+}
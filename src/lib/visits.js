@@ -0,0 +1,44 @@
+// --- 진료 기록·예약 ---
+// 설정 "visits": [{ id, date, time, clinic, doctor, purpose, instructions, doseChanges }]
+// 오늘 이후 날짜는 예약, 지난 날짜는 진료 기록 — 같은 항목을 진료 후에 지시 사항으로 채운다.
+import { addDays, todayStr } from "./date.js";
+import { t } from "./i18n.js";
+
+export const UPCOMING_DAYS = 30; // '오늘 체크'에 보여 줄 예약 기간
+
+export const newVisit = (date = todayStr) => ({
+  id: `visit-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+  date,
+  time: "",
+  clinic: "",
+  doctor: "",
+  purpose: "",
+  instructions: "",
+  doseChanges: ""
+});
+
+export function validateVisit(v) {
+  const problems = [];
+  if (!v.date) problems.push(t("visits.problems.date"));
+  if (!v.clinic.trim() && !v.purpose.trim()) problems.push(t("visits.problems.clinicOrPurpose"));
+  return problems;
+}
+
+const byDateTime = (a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`);
+
+// 오늘부터 days 일 안의 예약 — 가까운 순
+export const upcomingVisits = (visits = [], { days = UPCOMING_DAYS, today = todayStr } = {}) =>
+  visits.filter((v) => v.date >= today && v.date <= addDays(today, days)).sort(byDateTime);
+
+// 지난 진료 — 최근 순
+export const pastVisits = (visits = [], today = todayStr) => visits.filter((v) => v.date < today).sort(byDateTime).reverse();
+
+export const futureVisits = (visits = [], today = todayStr) => visits.filter((v) => v.date >= today).sort(byDateTime);
+
+// "D-3", "오늘"
+export const dDay = (date, today = todayStr) => {
+  const n = Math.round((new Date(`${date}T00:00:00`) - new Date(`${today}T00:00:00`)) / 86400000);
+  return n === 0 ? t("visits.today") : n > 0 ? `D-${n}` : `D+${-n}`;
+};
+
+export const visitTitle = (v) => [v.clinic.trim(), v.doctor.trim() && t("visits.doctor", { name: v.doctor.trim() }), v.purpose.trim()].filter(Boolean).join(" · ") || t("visits.untitled");
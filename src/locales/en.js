@@ -0,0 +1,1127 @@
+// --- English message catalog ---
+// 키 구조는 ko.js 와 같다. 빠진 키는 한국어로 보이므로 ko.js 에 키를 더하면 여기에도 더한다.
+// 복수형이 필요한 메시지는 함수 — plural("{n} day", "{n} days")
+const plural = (one, other) => ({ n }) => (Number(n) === 1 ? one : other);
+
+export default {
+  common: {
+    save: "Save",
+    cancel: "Cancel",
+    close: "Close",
+    edit: "Edit",
+    delete: "Delete",
+    select: "Select",
+    none: "None",
+    yes: "Yes",
+    no: "No",
+    all: "All",
+    date: "Date",
+    time: "Time",
+    notes: "Notes",
+    startDate: "Start date",
+    endDate: "End date",
+    detected: "Yes",
+    example: "e.g. {value}",
+    withUnit: "{label} ({unit})",
+    days: plural("{n} day", "{n} days"),
+    times: plural("{n} time", "{n} times"),
+    items: plural("{n} item", "{n} items"),
+    lastDays: "Last {n} days",
+    notUsed: "Off",
+    danger: "Danger",
+    warn: "Caution",
+    numbersOnly: "Enter numbers only",
+    integersOnly: "Enter a whole number",
+    between: "Enter a value between {range}"
+  },
+
+  app: {
+    title: "AFib Care — Daily log",
+    subtitle: "Daily log, medication checks, alerts and data export for people with atrial fibrillation",
+    loading: "Loading your records…",
+    loadFailed: "Could not load your records",
+    loadFailedHint: "Your saved data has not been changed. Try again, or download the raw data to keep it safe.",
+    retry: "Try again",
+    downloadRaw: "Download raw data",
+    profile: "Patient profile",
+    manageProfiles: "Profiles",
+    lockNow: "Lock",
+    appLock: "App lock",
+    emergency: "Emergency",
+    language: "Language",
+    updateTitle: "A new version is available",
+    updateBody: "Reload to switch to the latest version. Anything you are entering is saved first.",
+    reload: "Reload",
+    offlineFailed: "Offline use could not be set up",
+    offlineFailedHint: "You can keep using the app, but it may not open without an internet connection. It will try again next time you open the app.",
+    saveFailed: "Save failed",
+    saveRetryHint: "Your changes will be saved again on the next save.",
+    saveNow: "Save again now",
+    lockSaveFailed: "Could not save the lock settings.",
+    sampleData: "Sample data",
+    exportCsv: "Export CSV",
+    fillDemo: "Fill sample data"
+  },
+
+  tabs: {
+    today: "Today",
+    history: "History",
+    charts: "Charts",
+    adherence: "Adherence",
+    labs: "Labs & visits",
+    report: "Clinic report",
+    meds: "Medications",
+    education: "Learn"
+  },
+
+  symptoms: {
+    dizziness: "Dizziness",
+    syncope: "Fainting / near-fainting",
+    dyspnea: "Shortness of breath",
+    edema: "Swelling (feet/legs)",
+    bleeding: "Bleeding / bruising"
+  },
+  symptomsShort: {
+    dizziness: "Dizzy",
+    syncope: "Faint",
+    dyspnea: "Breathless",
+    edema: "Swelling",
+    bleeding: "Bleeding"
+  },
+  fatigue: {
+    label: "Fatigue",
+    levels: ["None", "Mild", "Severe"]
+  },
+
+  today: {
+    basics: "Basics",
+    readings: "Pulse & blood pressure",
+    episodes: "Symptom episodes",
+    notesPlaceholder: "Anything unusual today?",
+    dangerTitle: "Needs attention now",
+    dangerHint: "If symptoms persist or get worse, contact a medical facility right away.",
+    openEmergency: "Open emergency screen (FAST & medical info card)",
+    warnTitle: "Keep an eye on",
+    upcoming: "Upcoming visits",
+    visitLog: "Visit log",
+    upcomingHint: "Appointments in the next {days} days. Follow the clinic's instructions about fasting and doses before blood tests.",
+    meds: "Medication check",
+    noMeds: "No medications",
+    noMedsHint: "No medications are scheduled for this date. Add them in the Medications tab.",
+    resetDay: "Clear this day"
+  },
+
+  history: {
+    dayTitle: "Entry for {date}",
+    editDay: "Edit this day",
+    recordDay: "Log this day",
+    pulseAvg: "Pulse avg (range)",
+    bpAvg: "BP avg (range)",
+    bleeding: "Bleeding",
+    present: "Yes",
+    pulse: "Pulse",
+    bp: "BP",
+    armPosition: "Arm · position",
+    irregular: "Irregular",
+    readings: "Readings",
+    symptoms: "Symptoms",
+    doses: "Doses",
+    episode: "Episode",
+    episodes: plural("{n} episode", "{n} episodes"),
+    noNotes: "No notes",
+    suspiciousTitle: "Readings to check",
+    suspiciousHint: "These values could not be read as numbers or are outside the possible range. They are left out of statistics, charts and alerts. Tap the date to fix or delete them.",
+    listTitle: "History ({month}, newest first)",
+    totalDays: plural("{n} day logged", "{n} days logged"),
+    importDevice: "Import device file",
+    shareClinician: "Share with clinician",
+    otherMeds: "Other meds/supplements",
+    backupTitle: "Backup & restore",
+    backupHint: "Saves all records and medication settings in one file. Restore it after reinstalling the app or switching phones.",
+    exportBackup: "Export backup",
+    importBackup: "Restore backup",
+    importFailed: "Restore failed"
+  },
+
+  education: {
+    routineTitle: "Medication & logging tips",
+    noMeds: "No medications registered (Medications tab)",
+    missedDose: "If you miss a dose, do not double up — take the next dose at the usual time",
+    sameArm: "Measure blood pressure and pulse at the same time of day, on the same arm",
+    bleeding: "If gums bleed or bruises appear often, or you see blood in urine or stool, log it and talk to your clinic",
+    risk: "Your CHA₂DS₂-VASc and HAS-BLED risk scores are under Labs & visits. If a score changes, bring it up at your next visit.",
+    interactions: "Avoid grapefruit juice and heavy drinking, and check with your doctor before adding any new medicine (you can check it first under Medications → Drug interactions)",
+    dangerTitle: "Warning signs (get advice now)",
+    severeBleeding: "Bleeding that will not stop, heavy nosebleeds, black stools or bright red urine",
+    stroke: "Sudden slurred speech, weakness on one side, or vision problems",
+    thresholdHint: "The numeric limits can be changed under alert thresholds in the Medications tab.",
+    dataTitle: "Data tips",
+    reportTip: "Before a visit, pick a period in the Clinic report tab and print it (or save as PDF), or export a CSV file for the clinic.",
+    exercise: "Walk {minutes} minutes a week and keep a low-salt diet (sodium 2 g/day or less)",
+    caffeineSleep: "Keep caffeine and energy drinks to {cups} cups a day or fewer, and aim for {hours} hours of sleep.",
+    weightGain: "Gaining {kg} kg or more within {window} days, together with swollen feet or legs, can be a sign of fluid build-up — get advice.",
+    lifestyleTip: "Turn on weight, exercise, alcohol, caffeine or sleep under Lifestyle in the Today tab to see whether you meet weekly targets.",
+    disclaimerTitle: "Important",
+    disclaimer: "This app is a self-tracking aid and does not replace medical care. If anything seems wrong, always talk to your care team."
+  },
+
+  slots: {
+    am: "Morning",
+    noon: "Noon",
+    pm: "Evening",
+    bed: "Bedtime"
+  },
+
+  regimen: {
+    problems: {
+      name: "Enter the medication name",
+      slots: "Choose at least one time of day",
+      endBeforeStart: "The end date is before the start date",
+      fromAfterEnd: "The change date is after this medication's end date ({end}) — to restart it, add it as a new medication"
+    },
+    name: "Medication name",
+    namePlaceholder: "e.g. Eliquis",
+    generic: "Generic name",
+    genericPlaceholder: "e.g. Apixaban",
+    dose: "Dose",
+    dosePlaceholder: "e.g. 5mg",
+    slots: "Times of day",
+    end: "End date (leave empty if ongoing)",
+    newDose: "New dose",
+    from: "Effective from",
+    applyChange: "Apply change",
+    confirmRemove: "Delete this medication completely? Its dose checks will also disappear from past records.\nIf you stopped taking it, use 'Stop' instead.",
+    since: "Start",
+    ongoing: "now",
+    change: "Change dose/times",
+    stop: "Stop",
+    currentTitle: "Current medications",
+    add: "Add medication",
+    empty: "No medications registered.",
+    pastTitle: "Past medications",
+    pastHint: "Shown for past records",
+    changeTitle: "When your medication changes",
+    changeHint: "If the dose or times change, use 'Change dose/times' and set the date it applies from. Earlier records keep showing the medication you were taking then. Always discuss medication changes with your care team."
+  },
+
+  readings: {
+    arms: { left: "Left arm", right: "Right arm" },
+    positions: { sitting: "Sitting", standing: "Standing", lying: "Lying" },
+    vitals: { pulse: "Pulse", sys: "Systolic", dia: "Diastolic" },
+    pulseUnit: "bpm",
+    irregularTag: "[irregular]",
+    unreadable: "Value '{raw}' is not a number",
+    outOfRange: "{label} {value} — outside the possible range ({range})",
+    swapped: "Systolic ({sys}) is not higher than diastolic ({dia}) — check whether the two were swapped",
+    empty: "No readings yet.",
+    swappedHint: "Systolic ({sys}) should be higher than diastolic ({dia}). Check that you did not swap the two values.",
+    swap: "Swap values",
+    irregular: "Irregular pulse detected (monitor indicator)",
+    add: "Add reading"
+  },
+
+  episodes: {
+    symptoms: {
+      palpitations: "Palpitations",
+      dizziness: "Dizziness",
+      dyspnea: "Breathlessness",
+      chestPain: "Chest pain/pressure",
+      fatigue: "Weakness/fatigue",
+      syncope: "Fainting/near-fainting",
+      anxiety: "Anxiety"
+    },
+    ehra: {
+      1: "1 — No symptoms",
+      "2a": "2a — Mild: normal activity not affected, not troubling",
+      "2b": "2b — Moderate: normal activity not affected, but troubling",
+      3: "3 — Severe: normal activity affected",
+      4: "4 — Disabling: normal activity not possible"
+    },
+    triggers: {
+      alcohol: "Alcohol",
+      caffeine: "Caffeine",
+      sleepLoss: "Lack of sleep",
+      exercise: "Exercise",
+      stress: "Stress",
+      meal: "Large meal",
+      missedDose: "Missed dose"
+    },
+    resolutions: {
+      none: "Not selected",
+      spontaneous: "Stopped on its own",
+      vagal: "Vagal maneuver (e.g. bearing down)",
+      medication: "Extra medication (if prescribed)",
+      hospital: "Hospital/ER treatment",
+      ongoing: "Still ongoing"
+    },
+    hours: "{h}h {m}m",
+    minutes: "{m}m",
+    symptomSep: "/",
+    triggersList: "triggers: {list}",
+    problems: {
+      start: "Enter the start time",
+      symptoms: "Choose at least one symptom"
+    },
+    empty: "If you had palpitations or other symptoms, add an episode with its start and end times and severity.",
+    start: "Start",
+    end: "End",
+    duration: "Lasted {duration}",
+    endUnknown: "End time unknown",
+    symptomsLabel: "Symptoms",
+    ehraLabel: "Severity (EHRA symptom class)",
+    triggersLabel: "Possible triggers",
+    resolutionLabel: "How did it stop?",
+    notePlaceholder: "e.g. after climbing stairs",
+    add: "Add episode",
+    count: plural("{n} episode", "{n} episodes")
+  },
+
+  rules: {
+    pulse: { label: "Abnormal pulse (below {min} or above {max})", min: "Lower limit (bpm)", max: "Upper limit (bpm)" },
+    hypotension: { label: "Possible low blood pressure (below {sys}/{dia})", sys: "Systolic lower limit (mmHg)", dia: "Diastolic lower limit (mmHg)" },
+    bleeding: { label: "Bleeding reported" },
+    syncope: { label: "Fainting/near-fainting reported" },
+    dyspnea: { label: "Shortness of breath reported" },
+    bleedingWeek: { label: "Bleeding on {min} or more of the last {window} days", window: "Period (days)", min: "Minimum days" },
+    anticoagMissed: { label: "{med} missed {days} days in a row", med: "Medication", days: "Days in a row" },
+    pulseHighTrend: { label: "Pulse above {value} on {min} of the last {window} days", value: "Limit (bpm)", window: "Period (days)", min: "Minimum days" },
+    weightGain: { label: "Weight up {kg} kg or more within {window} days (check for swelling/fluid)", kg: "Gain (kg)", window: "Period (days)" },
+    irregular: { label: "Irregular pulse detected" },
+    dizziness: { label: "Dizziness" },
+    edema: { label: "Swelling" },
+    fatigue: { label: "Severe fatigue" },
+    settings: {
+      title: "Alert thresholds",
+      intro: "Used for the alerts in the Today tab and in the clinic report. If your doctor set personal targets, adjust them here.",
+      reset: "Defaults",
+      footer: "{n} default rules · Days without records do not count toward a run of missed doses."
+    }
+  },
+
+  dose: {
+    taken: "All taken",
+    partial: "Partly missed",
+    missed: "Missed",
+    pending: "Today (pending)",
+    unknown: "No record",
+    none: "No doses due"
+  },
+
+  adherence: {
+    weekend: "{label} is missed mostly on weekends (weekends {weekend}% vs weekdays {weekday}%)",
+    weekday: "{label} is missed mostly on weekdays (weekdays {weekday}% vs weekends {weekend}%)",
+    day: "{count} of {total} missed {label} doses fell on a {day}",
+    bySlotTitle: "Adherence by time of day",
+    bySlotHint: "Days without records excluded",
+    empty: "No medications were due in the last 90 days.",
+    dose: "Dose",
+    currentStreak: "Current streak",
+    longestStreak: "Longest streak",
+    cellDetail: "Missed {missed} · No record {unknown}",
+    calendarTitle: "Dose calendar, last 13 weeks",
+    patternsTitle: "Missed-dose patterns (last 90 days)",
+    noPatterns: "No clear pattern in missed doses.",
+    methodTitle: "How it is calculated",
+    method: "Adherence is 'taken / (taken + missed)' on days with records. Days without records count separately as 'no record', not as missed. Doses for today that are not checked yet are left out."
+  },
+
+  calendar: {
+    filters: {
+      all: "All",
+      danger: "Days with danger alerts",
+      missed: "Days with missed doses"
+    },
+    dose: {
+      taken: "All taken",
+      partial: "Some missed",
+      missed: "Missed",
+      pending: "Today (pending)",
+      unknown: "No record",
+      none: "No doses due"
+    },
+    title: "Monthly calendar",
+    prevMonth: "Previous month",
+    nextMonth: "Next month",
+    today: "Today",
+    matched: plural("{n} day this month", "{n} days this month"),
+    recorded: "Logged",
+    dangerLegend: "Danger alert",
+    warnLegend: "Caution alert",
+    legendHint: "'Logged' = you entered a record · numbers = doses taken/due"
+  },
+
+  charts: {
+    ranges: { all: "All", custom: "Custom" },
+    periodTitle: "Period",
+    recordedDays: plural("{n} day logged", "{n} days logged"),
+    rollingAvg: "{n}-day moving average",
+    bands: "Alert threshold areas",
+    markers: "Show missed doses and danger alerts",
+    dangerBand: "Danger threshold area",
+    warnBand: "Caution threshold area",
+    missedMarker: "Missed dose (bottom)",
+    dangerMarker: "Danger alert (top)",
+    episode: "Symptom episode",
+    bandsHint: "Thresholds follow the alert settings in the Medications tab: {list}",
+    title: "Charts",
+    empty: "No records in the selected period.",
+    pulseTitle: "Pulse trend",
+    bpTitle: "Blood pressure trend",
+    pressureTitle: "Pulse pressure · mean arterial pressure",
+    pressureHint: "Pulse pressure = systolic − diastolic, mean arterial pressure = diastolic + pulse pressure/3 (calculated per reading, then averaged per day).",
+    pp: "Pulse pressure",
+    map: "Mean arterial pressure",
+    range: "{name} range",
+    mean: "{name} mean",
+    weekAvg: "{name} 7-day average",
+    episodeLine: "Episode {n}"
+  },
+
+  profiles: {
+    unnamed: "Unnamed",
+    withBirthYear: "{name} (born {year})",
+    default: "Default profile",
+    problems: {
+      name: "Enter a name",
+      birthYear: "Enter the birth year as four digits between 1900 and {year}"
+    },
+    name: "Name",
+    namePlaceholder: "e.g. Dad",
+    birthYear: "Birth year",
+    birthYearPlaceholder: "e.g. 1948",
+    confirmRemove: "This deletes the profile '{name}' and {n} days of records. This cannot be undone. Continue?",
+    title: "Patient profiles",
+    intro: "Each profile keeps its own records, medications, alert thresholds and reminder settings. Backups, CSV exports and clinic reports cover only the selected profile.",
+    recordDays: plural("{n} day of records", "{n} days of records"),
+    active: "Selected",
+    add: "Add profile",
+    new: "+ New profile",
+    remindersTitle: "Reminders",
+    remindersHint: "Medication reminders are shown for every profile that has them turned on, with the name in front of the title."
+  },
+
+  reminders: {
+    dueTitle: "Time for your {slot} medication",
+    missedTitle: "No record of your {slot} medication",
+    missedBody: "{names} — if you took it, tap 'Taken'. If you missed it, do not take a double dose.",
+    lockedBody: "Open the app to see which medications.",
+    lockedMissedBody: "If you took it, tap 'Taken'. If you missed it, do not take a double dose.",
+    take: "Taken",
+    snooze: "Remind in {minutes} min",
+    testTitle: "AFib Care test notification",
+    testBody: "Notifications are working.",
+    permission: {
+      granted: "allowed",
+      denied: "blocked",
+      default: "not asked yet",
+      unsupported: "not supported"
+    },
+    title: "Medication reminders",
+    permissionPill: "Notification permission: {state}",
+    unsupportedTitle: "Notifications are not available",
+    unsupported: "This browser does not support notifications or service workers. Try again in the app installed to your home screen (HTTPS).",
+    deniedTitle: "Notifications are blocked",
+    denied: "Allow notifications for this app in your browser (or phone) settings, then turn them on again.",
+    enable: "Turn on dose reminders",
+    slotTime: "{slot} reminder ({meds})",
+    snoozeMinutes: "Snooze interval (min)",
+    cutoffMinutes: "Missed-dose reminder after (min)",
+    howItWorks: "Tapping 'Taken' on a reminder records every medication for that time of day as taken. If nothing is recorded within {minutes} minutes of the reminder, a missed-dose reminder is sent once more.",
+    closedHint: "When the app is fully closed, reminders can only appear if the browser supports it (scheduled notifications / periodic background sync).",
+    test: "Send test notification"
+  },
+
+  lifestyle: {
+    modules: {
+      weight: "Weight",
+      activity: "Walking & exercise",
+      alcohol: "Alcohol",
+      caffeine: "Caffeine",
+      sleep: "Sleep"
+    },
+    fields: {
+      weight: "Weight",
+      steps: "Steps",
+      exerciseMin: "Exercise time",
+      alcohol: "Drinks",
+      caffeine: "Coffee, tea, energy drinks",
+      sleepHours: "Sleep"
+    },
+    units: {
+      weight: "kg",
+      steps: "steps",
+      exerciseMin: "min",
+      alcohol: "drinks",
+      caffeine: "cups",
+      sleepHours: "h"
+    },
+    value: "{value} {unit}",
+    weightMean: "Average {mean} kg",
+    weightChange: " (change this week {delta} kg)",
+    weightTarget: "No sudden gain",
+    exercise: "Exercise {minutes} min",
+    stepsMean: "{steps} steps/day on average",
+    exerciseTarget: "{minutes} min or more a week",
+    drinks: plural("{n} drink", "{n} drinks"),
+    alcoholTarget: "Avoid (0 drinks)",
+    cupsMean: "{n} cups/day on average",
+    caffeineTarget: "{n} cups a day or fewer",
+    sleepMean: "{n} h/day on average",
+    sleepTarget: "{lo}–{hi} h",
+    title: "Lifestyle",
+    done: "Done",
+    choose: "Choose items",
+    chooseHint: "Choose what to log. Items you turn off disappear from the form; values you already entered are kept.",
+    thisWeek: "This week",
+    lastWeek: "Last week",
+    daysRecorded: plural(" ({n} day logged)", " ({n} days logged)"),
+    target: "Target: {target}",
+    met: "Met",
+    notMet: "Not met"
+  },
+
+  labs: {
+    tests: {
+      inr: { label: "INR", hint: "Warfarin target range (your doctor's instructions come first)" },
+      creatinine: { label: "Creatinine", hint: "Kidney function — anticoagulant dosing" },
+      egfr: { label: "eGFR", hint: "Kidney function" },
+      crcl: { label: "Creatinine clearance (CrCl)", hint: "Basis for edoxaban dosing" },
+      hemoglobin: { label: "Hemoglobin (Hb)", hint: "Bleeding check" },
+      platelets: { label: "Platelets", hint: "Bleeding risk" },
+      ast: { label: "AST", hint: "Liver function — monitoring for dronedarone (Multaq)" },
+      alt: { label: "ALT", hint: "Liver function — monitoring for dronedarone (Multaq)" },
+      potassium: { label: "Potassium", hint: "" },
+      qtc: { label: "QTc (ECG)", hint: "ECG monitoring while on antiarrhythmics" }
+    },
+    custom: "Other test",
+    problems: {
+      date: "Enter the test date",
+      name: "Enter the test name",
+      value: "Enter the result as a number",
+      range: "The lower reference limit is above the upper limit",
+      rangeNumbers: "Enter the reference range as numbers (leave empty if none)"
+    },
+    status: { low: "Low", high: "High", normal: "Within range" },
+    date: "Test date",
+    test: "Test",
+    customOption: "Other (enter name)",
+    name: "Test name",
+    namePlaceholder: "e.g. Thyroid-stimulating hormone (TSH)",
+    value: "Result",
+    unit: "Unit",
+    low: "Reference low",
+    high: "Reference high",
+    emptyIfNone: "Leave empty if none",
+    notePlaceholder: "e.g. fasting, outpatient blood draw",
+    rangeHint: "{hint} · Change the reference range to the one printed on your report.",
+    confirmRemove: "Delete this test result?",
+    outOfRangeTitle: "Latest results outside the reference range",
+    outOfRangeItem: "{name} {value} ({status}, reference {range}) · {date}",
+    outOfRangeHint: "Discuss what the results mean and any dose changes with your doctor.",
+    title: "Test results",
+    add: "Add result",
+    empty: "No test results yet. If you take warfarin, keep your INR; for anticoagulants such as edoxaban, kidney function (creatinine, eGFR) and hemoglobin; for dronedarone (Multaq), liver function (AST, ALT) and ECG results — then you can review the trends at your visits.",
+    columns: { test: "Test", latest: "Latest", range: "Reference", status: "Status", date: "Test date", count: "Count", result: "Result", note: "Notes" },
+    trendTitle: "{name} trend",
+    legend: "Green: reference range · red dots: outside range",
+    needTwo: "The trend chart appears once there are at least two results."
+  },
+
+  visits: {
+    problems: {
+      date: "Enter the date",
+      clinicOrPurpose: "Enter the clinic or the purpose of the visit"
+    },
+    today: "Today",
+    doctor: "Dr. {name}",
+    untitled: "Visit",
+    time: "Time",
+    clinic: "Clinic / department",
+    clinicPlaceholder: "e.g. City Hospital, Cardiology",
+    doctorLabel: "Doctor",
+    doctorPlaceholder: "e.g. Kim",
+    purpose: "Purpose",
+    purposePlaceholder: "e.g. routine visit, blood test, ECG, Holter results",
+    instructions: "Doctor's instructions",
+    instructionsPlaceholder: "Fill in after the visit",
+    doseChanges: "Dose changes",
+    doseChangesPlaceholder: "e.g. Lixiana 60mg → 30mg",
+    confirmRemove: "Delete this visit?",
+    writeUp: "Add visit notes",
+    instructionsPrefix: "Instructions: ",
+    doseChangesPrefix: "Dose changes: ",
+    startedMeds: "Medications applied from this day:",
+    upcomingTitle: "Appointments",
+    add: "Add visit",
+    empty: "No upcoming visits. Add your next clinic or blood-test date and the Today tab will remind you in advance.",
+    pastTitle: "Past visits"
+  },
+
+  storage: {
+    noIndexedDB: "This browser does not support IndexedDB.",
+    openFailed: "Could not open storage.",
+    blocked: "Storage could not be opened because the app is open in another tab.",
+    locked: "These records are locked. Unlock with your PIN or passphrase.",
+    legacyUnreadable: "Could not read records in the old format ({key}).",
+    legacyInvalid: "Records in the old format ({key}) have an invalid structure.",
+    newerVersion: "This data was saved by a newer version of the app. Reload the app to update it.",
+    readFailed: "An error occurred while reading your saved records.",
+    rewriteFailed: "Could not save the records again. Your existing data is unchanged.",
+    saveFailed: "Could not save your records."
+  },
+
+  backup: {
+    noChecksum: "Checksums cannot be calculated in this environment (HTTPS required).",
+    notJson: "The file is not JSON or is damaged.",
+    notBackup: "This is not an AFib Care backup file.",
+    badVersion: "The backup file has invalid version information.",
+    newerVersion: "This backup was made by a newer version of the app. Update the app and try again.",
+    badData: "The backup file has an invalid data structure.",
+    checksum: "The checksum does not match. The file is damaged or was modified.",
+    badEntry: "The file contains an invalid record: {date}",
+    badField: "The '{field}' field of the record for {date} is invalid",
+    badSetting: "The '{field}' setting in the backup is invalid"
+  },
+
+  importPreview: {
+    more: "{list} and {n} more days",
+    confirmReplace: "All {n} days of current records will be deleted and replaced with '{source}'. Continue?",
+    title: "Import preview — {source}",
+    recordDays: plural("{n} day of records", "{n} days of records"),
+    added: "Dates to add ({n}): ",
+    changed: "Dates where empty fields get filled ({n}): ",
+    conflicting: "Conflicting dates ({n}): ",
+    unchanged: "Unchanged: {n} days",
+    merge: "Merge (keep my records + add new ones)",
+    replace: "Replace everything",
+    conflictHint: "For conflicting dates your records are kept by default (only empty fields are filled). Select the dates that should take the imported values.",
+    replaceTitle: "Replacing everything",
+    replaceWarning: "All {n} days of current records and your medication settings will be deleted. Back up your current data first.",
+    backupFirst: "Back up current data",
+    confirmed: "I understand that my current records will be deleted",
+    applyMerge: "Apply merge"
+  },
+
+  deviceImport: {
+    formats: { appleHealth: "Apple Health (XML)" },
+    unknownXml: "Unknown XML file. Only export.xml from the Apple Health app is supported.",
+    unsupported: "Unsupported file type. Choose a CSV, Apple Health XML or Google Fit JSON file.",
+    fields: {
+      timestamp: "Date & time (one column)",
+      date: "Date",
+      time: "Time",
+      sys: "Systolic",
+      dia: "Diastolic",
+      pulse: "Pulse",
+      irregular: "Irregular pulse"
+    },
+    dateOrders: {
+      ymd: "Year-month-day",
+      mdy: "Month/day/year (US)",
+      dmy: "Day/month/year (European)"
+    },
+    problems: {
+      dateColumn: "Choose the date & time column or the date column",
+      valueColumn: "Choose at least one of the pulse, systolic or diastolic columns"
+    },
+    rowProblems: {
+      notNumber: "{label}: not a number",
+      outOfRange: "{label} {value}: outside the possible range",
+      date: "Date could not be read",
+      empty: "No values",
+      swapped: "Systolic is not higher than diastolic"
+    },
+    noRows: "The CSV file has no header and reading rows.",
+    notJson: "The file is not JSON or is damaged.",
+    existing: "Already recorded",
+    new: "New reading",
+    title: "Import device file",
+    intro: "Imports pulse and blood pressure from a BP monitor app's CSV, Apple Health's export.xml or a Google Fit (Takeout) JSON file. Files are read on this device only.",
+    chooseFile: "Choose file",
+    readFailed: "Could not read file",
+    preset: "Device preset",
+    autoDetect: "Detect by column names",
+    removePreset: "Delete this preset",
+    presetPlaceholder: "e.g. Omron monitor",
+    savePreset: "Save preset",
+    sampleValue: " (e.g. {value})",
+    dateOrder: "Date order",
+    pulseOnly: "Also import heart-rate-only records without blood pressure (watches may have hundreds a day)",
+    nothing: "There are no pulse or blood pressure records to import.",
+    read: "{n} read",
+    duplicates: "{n} duplicates",
+    invalid: "{n} errors",
+    chosen: "{n} selected",
+    selectAll: "Select all",
+    clearAll: "Clear all",
+    defaultsHint: "Readings already recorded (same values within {minutes} minutes on the same day) and rows with problem values are left out from the start. Rows with errors cannot be imported.",
+    columns: { pick: "Select", bp: "BP", pulse: "Pulse", irregular: "Irregular", status: "Status" },
+    limited: "Showing the first {limit} only. Select all/clear all applies to all {n}.",
+    apply: plural("Add {n} reading", "Add {n} readings")
+  },
+
+  csv: {
+    headers: {
+      date: "Date",
+      readings_count: "Readings",
+      pulse_mean: "Pulse mean",
+      pulse_min: "Pulse min",
+      pulse_max: "Pulse max",
+      sys_mean: "Systolic mean",
+      sys_min: "Systolic min",
+      sys_max: "Systolic max",
+      dia_mean: "Diastolic mean",
+      dia_min: "Diastolic min",
+      dia_max: "Diastolic max",
+      irregular: "Irregular rhythm",
+      readings: "Readings detail",
+      dizziness: "Dizziness",
+      syncope: "Syncope/presyncope",
+      dyspnea: "Dyspnea",
+      edema: "Edema",
+      bleeding: "Bleeding/bruising",
+      fatigue: "Fatigue",
+      episodes_count: "Episodes",
+      episodes_worst: "Worst EHRA",
+      episodes: "Episodes detail",
+      otherMeds: "Other meds/supplements",
+      notes: "Notes"
+    },
+    // "Steps (steps)" 처럼 이름과 단위가 같으면 단위는 뺀다
+    lifestyleHeader: ({ label, unit }) => (label.toLowerCase() === unit ? "{label}" : "{label} ({unit})"),
+    title: "Export CSV",
+    selected: plural("{n} day selected", "{n} days selected"),
+    bools: "Yes/no values",
+    yesNo: "Yes / No",
+    bom: "Excel compatible (adds UTF-8 BOM so non-English text displays correctly)",
+    languageHint: "Column names and values are written in the app language ({lang}).",
+    download: "Download",
+    riskDownload: "Risk scores CSV",
+    riskHint: "Downloads the CHA₂DS₂-VASc and HAS-BLED item points and their basis as a separate file (as of today, regardless of the period)."
+  },
+
+  report: {
+    presets: { twoWeeks: "Last 2 weeks" },
+    periodTitle: "Report period",
+    print: "Print / save PDF",
+    title: "Clinic report — atrial fibrillation daily log",
+    patient: "Patient: {name}",
+    period: "{from} – {to} · {n} days logged",
+    printedOn: "Printed {date}",
+    empty: "No records in the selected period.",
+    vitalsTitle: "Vital signs summary",
+    columns: { item: "Measure", mean: "Mean", min: "Min", max: "Max", count: "Readings", unit: "Unit" },
+    sys: "Systolic BP",
+    dia: "Diastolic BP",
+    episodesTitle: "Symptom episodes",
+    noEpisodes: "No episodes recorded in this period.",
+    totalDuration: "Total {duration}",
+    worst: "Worst {ehra}",
+    triggers: "Triggers: {list}",
+    adherenceTitle: "Adherence by medication",
+    noMeds: "No medications were due.",
+    med: "Medication",
+    rate: "Adherence",
+    takenOfExpected: "Taken/due",
+    takenCount: "{taken}/{expected}",
+    adherenceHint: "Days without records are excluded.",
+    otherMedsTitle: "Other medications & supplements logged",
+    riskTitle: "Stroke & bleeding risk scores (as of today)",
+    noOtherMeds: "No other medications logged in this period.",
+    daysRecorded: "Days logged",
+    flagsTitle: "Alerts",
+    noFlags: "No alerts in this period.",
+    level: "Level",
+    count: "Count",
+    dates: "Dates",
+    notesTitle: "Notes on days with alerts",
+    noteTitle: "Note",
+    note: "Recorded at home by the patient or caregiver. Values may vary with the device used and the time of measurement."
+  },
+
+  insights: {
+    title: "Insights",
+    readings: plural("{n} reading", "{n} readings"),
+    changes: plural("{n} change", "{n} changes"),
+    tooFew: "Not enough data to compare — at least one side has fewer than {n}.",
+    bands: { morning: "Morning (4–11)", afternoon: "Afternoon (11–17)", evening: "Evening (17–22)", night: "Night (22–4)" },
+    timeOfDay: {
+      title: "Pulse & blood pressure by time of day",
+      band: "Time of day",
+      empty: "No readings with a time in this period."
+    },
+    missedDose: {
+      title: "Pulse on the day after a missed dose",
+      medTitle: "Pulse on the day after a missed {med} dose",
+      empty: "No missed doses in this period (or no pulse logged the next day).",
+      sample: "{missed} missed · {adherent} taken",
+      compare: "Mean pulse: after a missed day {missed} bpm ({nMissed} days) / after a fully taken day {adherent} bpm ({nAdherent} days)",
+      diff: "{diff} bpm on days after a missed dose"
+    },
+    lowBp: {
+      title: "Systolic under {sys} and dizziness",
+      low: "Dizziness on {dizzy} of {n} days with systolic under {sys} ({pct}%)",
+      other: "Dizziness on {dizzy} of {n} other days ({pct}%)",
+      lowNone: "No days with systolic under {sys}",
+      otherNone: "No days with systolic of {sys} or higher"
+    },
+    change: {
+      title: "Fatigue before and after a medication change",
+      dateTitle: "Medication change on {date}",
+      empty: "No medications were started or stopped in this period (start/end dates under Medications).",
+      sample: "{before} days before · {after} after",
+      started: "Started: {list}",
+      stopped: "Stopped: {list}",
+      fatigue: "Mean fatigue (0 none – 2 severe, {days} days each side): before {before} → after {after}",
+      pulse: "Mean pulse: before {before} bpm ({nBefore} days) → after {after} bpm ({nAfter} days)"
+    },
+    disclaimerTitle: "Not medical advice",
+    disclaimer: "These are simple statistics from home records. Things happening together does not mean one causes the other, and with few records it may be chance. Always talk to your doctor before changing or stopping a medicine."
+  },
+
+  emergency: {
+    title: "Emergency",
+    call: "Call {number}",
+    views: { fast: "Stroke FAST", bleeding: "Bleeding warning signs", card: "Medical info card" },
+    yes: "Yes",
+    no: "No",
+    fastStep: "Step {n} of {total}",
+    fast: {
+      face: { label: "Face", check: "Ask them to smile. Does one side of the face droop?" },
+      arm: { label: "Arm", check: "Ask them to raise both arms for 10 seconds. Does one arm drift down or feel weak?" },
+      speech: { label: "Speech", check: "Ask them to repeat \"The sky is blue today\". Is their speech slurred or strange?" }
+    },
+    fastPositiveTitle: "Possible stroke — call 119 now",
+    fastPositive: "Positive: {items}. Call right away even if the symptoms get better. Stroke must be treated within hours.",
+    fastNegativeTitle: "No FAST signs",
+    fastNegative: "Call 119 for a sudden severe headache, dizziness, loss of vision on one side, trouble walking, or if symptoms come back.",
+    timeTitle: "Time",
+    timeHint: "Tell the paramedics when the symptoms started (or when they were last seen well). It decides which treatment is possible.",
+    markOnset: "Record current time",
+    onsetAt: "Symptoms noticed at {time}",
+    restart: "Start over",
+    bleedingIntro: "While taking an anticoagulant, call 119 right away for any of these.",
+    bleedingSigns: {
+      nonstop: "Bleeding or a nosebleed that does not stop after 10 minutes of pressure",
+      vomit: "Vomiting blood or material that looks like coffee grounds",
+      stool: "Black, tarry or bloody stools",
+      urine: "Red or dark brown urine",
+      head: "Any head injury (even without symptoms)",
+      headache: "Sudden severe headache or drowsiness"
+    },
+    bleedingWhileWaitingTitle: "While you wait",
+    bleedingPressure: "Press firmly on the bleeding with a clean cloth for at least 10 minutes.",
+    bleedingNoDose: "Do not take the next dose until a doctor says so.",
+    bleedingTell: "Show the medical info card to the paramedics (anticoagulant and last dose time).",
+    age: "{age} years",
+    afib: "Atrial fibrillation",
+    anticoagulant: "Takes an anticoagulant: {meds}",
+    conditions: "Conditions",
+    meds: "Medications (today's doses)",
+    noMeds: "No medications entered",
+    lastDose: "last dose {slot} {time}",
+    timeUnknown: "(time not recorded)",
+    notTakenToday: "no dose logged today",
+    allergies: "Allergies",
+    allergiesPlaceholder: "e.g. penicillin, contrast dye",
+    contact: "Emergency contact",
+    contactName: "Contact name",
+    contactNamePlaceholder: "e.g. son, John Kim",
+    contactPhone: "Phone number",
+    notes: "Other (implanted devices, hospital, etc.)",
+    notesPlaceholder: "e.g. cardiology at City Hospital",
+    notEntered: "Not entered",
+    vitals: "Recent readings ({days} days)",
+    noVitals: "No recent readings",
+    editCard: "Edit card details",
+    offline: "This screen only uses data stored on this device, so it opens without an internet connection."
+  },
+
+  risk: {
+    title: "Stroke & bleeding risk scores",
+    summary: "CHA₂DS₂-VASc {chads} · HAS-BLED {hasbled}",
+    intro: "Tick the conditions you have been diagnosed with. They are combined with your logs (average blood pressure, bleeding/bruising, medications and other meds, alcohol, creatinine and INR results) to calculate CHA₂DS₂-VASc (stroke risk) and HAS-BLED (bleeding risk). Age comes from the birth year in your profile.",
+    sex: "Sex",
+    sexUnset: "Not set",
+    sexes: { male: "Male", female: "Female" },
+    age: "Age",
+    ageValue: "{age} years",
+    ageUnset: "Add a birth year to your profile",
+    total: "{total} / {max}",
+    fields: {
+      chf: "Heart failure (or reduced heart function)",
+      hypertension: "Diagnosed hypertension",
+      diabetes: "Diabetes",
+      stroke: "Prior stroke, TIA or thromboembolism",
+      vascular: "Vascular disease",
+      renal: "Abnormal kidney function",
+      liver: "Abnormal liver function",
+      bleedingHistory: "Prior major bleeding or bleeding tendency",
+      labileInr: "Labile INR (on warfarin)",
+      drugs: "Taking antiplatelets or NSAIDs",
+      alcohol: "Alcohol (8+ drinks a week)"
+    },
+    hints: {
+      chf: "You have been diagnosed with heart failure or told your heart pumps weakly on an echo",
+      hypertension: "Even if unticked, it counts when your last 90 days average 140/90 or higher",
+      diabetes: "Diagnosed, or on diabetes tablets or insulin",
+      stroke: "Worth 1 point in HAS-BLED and 2 points in CHA₂DS₂-VASc",
+      vascular: "Heart attack, peripheral artery disease or aortic plaque",
+      renal: "Dialysis, kidney transplant or creatinine 2.26 mg/dL or higher — your latest creatinine result is checked too",
+      liver: "Cirrhosis, or bilirubin over 2× or liver enzymes (AST/ALT) over 3× normal",
+      bleedingHistory: "Bleeding that needed a hospital stay or transfusion, or anaemia — bleeding/bruising logged in the last year is checked too",
+      labileInr: "INR in target range less than 60% of the time — INR results from the last 180 days are checked too",
+      drugs: "Aspirin, clopidogrel, ibuprofen and the like — your medication list and other meds from the last 90 days are checked too",
+      alcohol: "Alcohol logged in the last 28 days is checked too"
+    },
+    chads: {
+      title: "CHA₂DS₂-VASc",
+      items: {
+        chf: "Heart failure (C)",
+        hypertension: "Hypertension (H)",
+        age: "Age 75+ 2 points, 65–74 1 point (A₂/A)",
+        diabetes: "Diabetes (D)",
+        stroke: "Stroke, TIA or thromboembolism (S₂)",
+        vascular: "Vascular disease (V)",
+        sex: "Female (Sc)"
+      },
+      levels: {
+        high: "High stroke risk",
+        moderate: "Moderate stroke risk",
+        low: "Low stroke risk"
+      },
+      meaning: "A score of 2+ in men or 3+ in women usually means anticoagulation is recommended."
+    },
+    hasbled: {
+      title: "HAS-BLED",
+      items: {
+        uncontrolledHtn: "Uncontrolled hypertension (systolic over 160) (H)",
+        renal: "Abnormal kidney function (A)",
+        liver: "Abnormal liver function (A)",
+        stroke: "Stroke (S)",
+        bleeding: "Bleeding history or tendency (B)",
+        labileInr: "Labile INR (L)",
+        elderly: "Age over 65 (E)",
+        drugs: "Antiplatelets or NSAIDs (D)",
+        alcohol: "Alcohol (D)"
+      },
+      levels: {
+        high: "High bleeding risk",
+        low: "Low to moderate bleeding risk"
+      },
+      meaning: "3+ means a higher bleeding risk — talk to your doctor about what can be changed (blood pressure, other medicines, alcohol). It is not a reason to stop your anticoagulant."
+    },
+    reasons: {
+      profile: "Ticked by you",
+      age: "{age} years",
+      female: "Female",
+      bp: "Last {days} days average {sys}/{dia} mmHg ({n} readings)",
+      bleeding: plural("Bleeding/bruising logged on {n} day in the last {days} days", "Bleeding/bruising logged on {n} days in the last {days} days"),
+      drugs: "Logged: {names}",
+      alcohol: plural("{perWeek} drinks a week (average of {n} logged day)", "{perWeek} drinks a week (average of {n} logged days)"),
+      creatinine: "Creatinine {value} mg/dL ({date})",
+      inr: plural("INR in range {pct}% of the time ({n} test)", "INR in range {pct}% of the time ({n} tests)")
+    },
+    missingTitle: "Some details needed for the scores are missing",
+    missing: {
+      birthYear: "Add a birth year to your profile (age points)",
+      sex: "Choose a sex (CHA₂DS₂-VASc)"
+    },
+    columns: { item: "Item", points: "Points", basis: "Based on" },
+    csvHeaders: { score: "Score", item: "Item", points: "Points", basis: "Based on", total: "Total" },
+    disclaimer: "For reference only. Treatment decisions are made by your doctor in the full clinical picture — never start or stop a medicine because of a score alone."
+  },
+
+  interactions: {
+    title: "Drug interactions",
+    intro: "Checks your current medications and other medications/supplements logged in the last {days} days against the interaction table built into the app. Works without an internet connection.",
+    recentPill: "{name} · {n}d",
+    tryLabel: "Check a medicine before you start it",
+    namePlaceholder: "Medicine or supplement (e.g. ibuprofen)",
+    add: "Add",
+    clearTrial: "Clear",
+    none: "No known interactions found in the table.",
+    disclaimer: "The table is not exhaustive. Even without a warning, check with your doctor or pharmacist before starting a new medicine or supplement.",
+    pair: "{severity}: {a} + {b}",
+    source: "Source: {source}",
+    otherTitle: "Other medications & supplements",
+    otherEmpty: "Add painkillers, cold medicine, supplements or anything else you took today.",
+    remove: "Remove {name}",
+    copyPrevious: "Copy list from {date} ({n})",
+    otherHint: "Saved with the day's record and listed in the clinic report.",
+    severity: {
+      contraindicated: "Contraindicated",
+      major: "Major",
+      moderate: "Moderate",
+      minor: "Minor"
+    },
+    substances: {
+      dronedarone: "dronedarone",
+      edoxaban: "edoxaban",
+      bisoprolol: "bisoprolol",
+      verapamil: "verapamil",
+      diltiazem: "diltiazem",
+      strongCyp3a: "strong CYP3A inhibitor",
+      cyclosporine: "cyclosporine",
+      erythromycin: "erythromycin",
+      simvastatin: "simvastatin",
+      otherStatin: "statin",
+      digoxin: "digoxin",
+      nsaid: "NSAID",
+      aspirin: "aspirin",
+      antiplatelet: "antiplatelet",
+      anticoagulant: "anticoagulant",
+      ssri: "SSRI/SNRI antidepressant",
+      inducer: "CYP3A/P-gp inducer",
+      grapefruit: "grapefruit",
+      clonidine: "clonidine",
+      ginkgo: "ginkgo extract"
+    },
+    rules: {
+      dronedaroneStrongCyp3a: "Strong CYP3A inhibitors (ketoconazole, itraconazole, clarithromycin, cyclosporine, etc.) sharply raise dronedarone levels; combined use is contraindicated.",
+      dronedaroneGrapefruit: "Grapefruit juice raises dronedarone exposure about 3-fold. Avoid it while taking dronedarone.",
+      dronedaroneInducer: "CYP3A inducers such as rifampicin, carbamazepine, phenytoin and St John's wort greatly reduce dronedarone's effect; avoid combining them.",
+      dronedaroneErythromycin: "QT-prolonging drugs such as erythromycin taken with dronedarone carry a risk of serious arrhythmia (torsades de pointes).",
+      dronedaroneCcb: "Verapamil and diltiazem raise each other's levels with dronedarone and slow heart rate and conduction. Start at a low dose and check with an ECG.",
+      dronedaroneDigoxin: "Dronedarone raises digoxin levels and can add to bradycardia and conduction problems. Stop digoxin or halve the dose and monitor levels.",
+      dronedaroneSimvastatin: "Dronedarone raises simvastatin levels and the risk of muscle damage (myopathy). Do not exceed simvastatin 10 mg daily.",
+      dronedaroneStatin: "Other statins such as atorvastatin and rosuvastatin can also rise; limit the dose and watch for muscle pain.",
+      dronedaroneBetaBlocker: "Bradycardia is more common with beta-blockers. Start the beta-blocker at a low dose and check with an ECG.",
+      dronedaroneAnticoagulant: "Dronedarone can increase the effect or levels of anticoagulants such as warfarin; watch for bleeding and check lab values (e.g. INR).",
+      edoxabanAnticoagulant: "Taking another anticoagulant (warfarin, apixaban, rivaroxaban, dabigatran, etc.) at the same time is contraindicated, except while switching. Bleeding risk rises sharply.",
+      edoxabanNsaid: "Long-term NSAID use with edoxaban raises bleeding risk and is not recommended. Ask your doctor or pharmacist before taking painkillers.",
+      edoxabanAspirin: "Aspirin raises bleeding risk. Do not take it with edoxaban unless a doctor prescribed a low dose (100 mg or less).",
+      edoxabanAntiplatelet: "Antiplatelets such as clopidogrel increase clinically relevant bleeding. Make sure the prescribing doctor knows you take both.",
+      edoxabanPgpInhibitor: "P-gp inhibitors such as dronedarone, cyclosporine, erythromycin and ketoconazole raise edoxaban levels. The EU label reduces edoxaban to 30 mg once daily in this case — check your prescribed dose.",
+      edoxabanInducer: "P-gp inducers such as rifampicin and St John's wort lower edoxaban levels and may weaken stroke protection.",
+      edoxabanSsri: "SSRI/SNRI antidepressants affect platelet function and can raise bleeding risk.",
+      edoxabanGinkgo: "Ginkgo extract has been reported to increase bleeding risk. Tell your doctor if you take it with an anticoagulant.",
+      bisoprololCcb: "With verapamil or diltiazem, heart contractility drops and AV conduction slows, which can cause severe bradycardia or low blood pressure; not recommended.",
+      bisoprololClonidine: "Centrally acting drugs such as clonidine slow the heart further, and stopping them suddenly can cause rebound hypertension; not recommended.",
+      bisoprololNsaid: "NSAIDs can weaken bisoprolol's blood-pressure-lowering effect."
+    }
+  },
+
+  share: {
+    title: "Share with clinician",
+    intro: "Turns the selected period into a link and a QR code. The recipient sees charts, history and a warning summary in this app, read-only. Nothing is uploaded to a server — the records travel inside the link itself.",
+    password: "Password (optional)",
+    passwordPlaceholder: "Leave empty for no password — otherwise {n}+ characters",
+    noCrypto: "Encryption is not available here (HTTPS required)",
+    includeNotes: "Include notes (they may be personal)",
+    problems: {
+      password: "The password must be at least {n} characters"
+    },
+    failed: "Could not create the link",
+    create: "Create link",
+    creating: "Creating…",
+    link: "Share link ({n} characters)",
+    copy: "Copy link",
+    copied: "Copied",
+    copyFailed: "Could not copy to the clipboard. Tap the link box and copy it manually.",
+    qrAlt: "QR code for the share link",
+    qrHint: "Your clinician can open it by scanning with a phone camera.",
+    qrTooLongTitle: "The link is too long for a QR code",
+    qrTooLong: "You can still copy and send the link. For a QR code, choose a shorter period or leave out notes.",
+    warningTitle: "Anyone with the link can view it",
+    warningPlain: "The records are inside the link as-is. Send it only to clinicians you trust and never post it publicly.",
+    warningEncrypted: "Tell the password another way (in person, by phone). Anyone who has both the link and the password can view it.",
+    errors: {
+      format: "This is not a valid share link. Check that the link was not cut off.",
+      newer: "This link was made by a newer version of the app. Update the app and open it again.",
+      corrupt: "The link is damaged. Please get the full link again.",
+      password: "Wrong password, or the link is damaged.",
+      noCrypto: "This link cannot be decrypted here. Open it from an https:// address.",
+      unsupported: "This browser cannot open compressed links. Please use an up-to-date browser."
+    },
+    view: {
+      title: "Shared records",
+      bannerTitle: "Read-only snapshot",
+      period: "Period {from} – {to}",
+      createdAt: "Created {at}",
+      riskTitle: "Stroke & bleeding risk scores (as of {date})",
+      banner: "These are the records as of when the link was made. Nothing here is saved on this device or changes its records.",
+      close: "Close and open my app",
+      passwordTitle: "Password-protected link",
+      open: "Open",
+      failed: "Cannot open",
+      vitalsTitle: "Pulse & blood pressure",
+      historyTitle: "History"
+    }
+  },
+
+  lock: {
+    kinds: {
+      pin: "PIN (6 or more digits)",
+      passphrase: "Passphrase (8 or more characters)"
+    },
+    problems: {
+      pin: "The PIN must be 6 or more digits",
+      passphrase: "The passphrase must be 8 or more characters",
+      confirm: "The confirmation does not match"
+    },
+    wrongPin: "Incorrect PIN.",
+    wrongPassphrase: "Incorrect passphrase.",
+    pin: "PIN",
+    passphrase: "Passphrase",
+    minutes: "{n} min",
+    afterIdle: "After {n} min of inactivity",
+    kind: "Lock type",
+    newPin: "New PIN",
+    newPassphrase: "New passphrase",
+    confirm: "Enter again",
+    confirmPlaceholder: "Confirm",
+    recovery: "Download recovery backup",
+    recoveryFiles: " ({n} profiles — {n} files)",
+    title: "App lock",
+    noCryptoTitle: "Encryption is not available here",
+    noCrypto: "The browser's encryption features (Web Crypto) only work on HTTPS addresses. Open the installed app (PWA) or an https:// address.",
+    intro: "With the lock on, the records and settings stored on this device are encrypted with a key made from your PIN/passphrase, and the app asks for it every time it opens.",
+    legacy: " Unencrypted copies left by an earlier version are removed as well.",
+    autoLock: "Auto-lock",
+    forgetTitle: "If you forget your PIN/passphrase, your records cannot be recovered",
+    forget: "The key is not stored anywhere, so neither the app nor its developers can unlock it. Before turning the lock on, download a recovery backup and keep it somewhere safe.",
+    plainBackup: "The backup file is not encrypted, so keep it where others cannot see it.",
+    received: "Downloaded {at}",
+    understood: "I understand that without a backup I will lose my records if I forget the PIN/passphrase",
+    enabled: "Lock turned on.",
+    encrypting: "Encrypting…",
+    enable: "Turn on lock",
+    lockNow: "Lock now",
+    inUse: "{kind} lock in use",
+    autoLockPill: "Auto-lock {value}",
+    recoveryTitle: "Recovery backup",
+    recoveryHint: "If you forget your PIN/passphrase, this backup is the only way to get your records back.",
+    lastRecovery: "Last downloaded: {date}",
+    noRecovery: "Not downloaded yet.",
+    changeSecret: "Change PIN/passphrase",
+    disable: "Turn off lock",
+    current: "Current {kind}",
+    currentPlaceholder: "Current PIN/passphrase",
+    rekeyHint: "All records are encrypted again with the new key. This can take a moment if you have many records.",
+    disableHint: "Records are saved again without encryption. Anyone with the device will be able to see them.",
+    changed: "PIN/passphrase changed and records encrypted again.",
+    reencrypting: "Encrypting again…",
+    change: "Change",
+    disabled: "Lock turned off.",
+    decrypting: "Decrypting…",
+    turnOff: "Turn off",
+    screen: {
+      title: "App locked",
+      enterPin: "Enter PIN",
+      enterPassphrase: "Enter passphrase",
+      tooMany: "{n} wrong attempts. Try again in {seconds} seconds.",
+      checking: "Checking…",
+      unlock: "Unlock",
+      forgotPin: "I forgot my PIN",
+      forgotPassphrase: "I forgot my passphrase",
+      noWayTitle: "There is no way to unlock",
+      noWay: "Your records are encrypted so that only your {kind} can unlock them; neither the app nor its developers can recover them.",
+      restoreHint: "If you have a recovery backup file, erase all records, start over, then restore it with 'History → Restore backup'.",
+      lastRecovery: "Last recovery backup: {date}",
+      reset: "Erase all records and start over",
+      confirmReset: "This erases all records and settings stored on this device. This cannot be undone. Continue?",
+      confirmResetAgain: "Really delete? Without a recovery backup file your records are gone for good."
+    }
+  }
+};
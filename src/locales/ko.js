@@ -0,0 +1,1125 @@
+// --- 한국어 메시지 카탈로그 ---
+// 기준 언어다: 다른 언어에 빠진 키는 여기서 찾는다 (lib/i18n.js). {이름} 은 t() 의 params 로 바뀐다.
+export default {
+  common: {
+    save: "저장",
+    cancel: "취소",
+    close: "닫기",
+    edit: "수정",
+    delete: "삭제",
+    select: "선택",
+    none: "없음",
+    yes: "예",
+    no: "아니오",
+    all: "전체",
+    date: "날짜",
+    time: "시각",
+    notes: "메모",
+    startDate: "시작일",
+    endDate: "종료일",
+    detected: "감지",
+    example: "예: {value}",
+    withUnit: "{label}({unit})",
+    days: "{n}일",
+    times: "{n}회",
+    items: "{n}건",
+    lastDays: "최근 {n}일",
+    notUsed: "사용 안 함",
+    danger: "위험",
+    warn: "주의",
+    numbersOnly: "숫자만 입력하세요",
+    integersOnly: "정수로 입력하세요",
+    between: "{range} 사이로 입력하세요"
+  },
+
+  app: {
+    title: "AFib Care — 생활기록",
+    subtitle: "심방세동 환자를 위한 일상 기록, 복용 확인, 경고 알림, 데이터 내보내기",
+    loading: "기록을 불러오는 중…",
+    loadFailed: "기록을 불러오지 못했습니다",
+    loadFailedHint: "저장된 데이터는 변경되지 않았습니다. 다시 시도하거나, 원본 데이터를 내려받아 보관하세요.",
+    retry: "다시 시도",
+    downloadRaw: "원본 데이터 내려받기",
+    profile: "환자 프로필",
+    manageProfiles: "프로필 관리",
+    lockNow: "잠그기",
+    appLock: "앱 잠금",
+    emergency: "응급",
+    language: "언어",
+    updateTitle: "새 버전이 있습니다",
+    updateBody: "새로고침하면 최신 버전으로 바뀝니다. 입력 중인 기록은 먼저 저장됩니다.",
+    reload: "새로고침",
+    offlineFailed: "오프라인 사용을 준비하지 못했습니다",
+    offlineFailedHint: "앱은 그대로 쓸 수 있지만, 인터넷이 없을 때는 열리지 않을 수 있습니다. 다음에 앱을 열 때 다시 시도합니다.",
+    saveFailed: "저장 실패",
+    saveRetryHint: "변경 내용은 다음 저장 때 다시 시도됩니다.",
+    saveNow: "지금 다시 저장",
+    lockSaveFailed: "잠금 설정을 저장하지 못했습니다.",
+    sampleData: "샘플 데이터",
+    exportCsv: "CSV 내보내기",
+    fillDemo: "샘플데이터 채우기"
+  },
+
+  tabs: {
+    today: "오늘 체크",
+    history: "기록 보기",
+    charts: "그래프",
+    adherence: "복용 분석",
+    labs: "검사·진료",
+    report: "진료 리포트",
+    meds: "약 관리",
+    education: "교육"
+  },
+
+  // 오늘 체크의 증상 토글 / 기록 목록의 짧은 이름
+  symptoms: {
+    dizziness: "어지럼증",
+    syncope: "실신/실신감",
+    dyspnea: "호흡 곤란",
+    edema: "부종(발/다리)",
+    bleeding: "출혈/멍"
+  },
+  symptomsShort: {
+    dizziness: "어지럼",
+    syncope: "실신",
+    dyspnea: "호흡곤란",
+    edema: "부종",
+    bleeding: "출혈"
+  },
+  fatigue: {
+    label: "피로감",
+    levels: ["없음", "약간", "심함"]
+  },
+
+  today: {
+    basics: "기본 정보",
+    readings: "맥박·혈압 측정",
+    episodes: "증상 발작(에피소드)",
+    notesPlaceholder: "특이사항을 적어주세요",
+    dangerTitle: "즉시 확인이 필요한 항목",
+    dangerHint: "증상이 지속되거나 악화되면 즉시 의료기관에 연락하세요.",
+    openEmergency: "응급 화면 열기 (FAST·의료 정보 카드)",
+    warnTitle: "주의가 필요한 항목",
+    upcoming: "다가오는 진료",
+    visitLog: "진료 기록",
+    upcomingHint: "{days}일 안의 예약입니다. 채혈 전 금식·복용 여부는 병원 안내를 따르세요.",
+    meds: "약 복용 확인",
+    noMeds: "복용 약 없음",
+    noMedsHint: "이 날짜에 복용할 약이 없습니다. '약 관리' 탭에서 약을 등록하세요.",
+    resetDay: "오늘 기록 초기화"
+  },
+
+  history: {
+    dayTitle: "{date} 기록",
+    editDay: "이 날 기록 수정",
+    recordDay: "이 날 기록하기",
+    pulseAvg: "맥박 평균(범위)",
+    bpAvg: "혈압 평균(범위)",
+    bleeding: "출혈",
+    present: "있음",
+    pulse: "맥박",
+    bp: "혈압",
+    armPosition: "팔·자세",
+    irregular: "불규칙",
+    readings: "측정",
+    symptoms: "증상",
+    doses: "약 복용",
+    episode: "발작",
+    episodes: "발작 {n}회",
+    noNotes: "메모 없음",
+    suspiciousTitle: "확인이 필요한 측정값",
+    suspiciousHint: "숫자로 읽을 수 없거나 가능한 범위를 벗어난 값입니다. 통계·그래프·경고에서는 빠져 있습니다. 날짜를 눌러 고치거나 지우세요.",
+    listTitle: "이력 목록 ({month}, 최근→과거)",
+    totalDays: "총 {n}일 기록",
+    importDevice: "기기 파일 가져오기",
+    shareClinician: "의료진 공유",
+    otherMeds: "다른 약·보충제",
+    backupTitle: "백업·복원",
+    backupHint: "모든 기록과 약 설정을 한 파일로 저장합니다. 앱을 다시 설치하거나 휴대폰을 바꿀 때 불러오세요.",
+    exportBackup: "백업 내보내기",
+    importBackup: "백업 불러오기",
+    importFailed: "불러오기 실패"
+  },
+
+  education: {
+    routineTitle: "복용·기록 수칙",
+    noMeds: "등록된 복용 약이 없습니다 ('약 관리' 탭)",
+    missedDose: "복용 누락 시 임의로 2배 복용하지 말고, 다음 복용 시간에 평소대로 복용",
+    sameArm: "혈압·맥박은 같은 시간대, 같은 팔로 측정하여 기록",
+    bleeding: "잇몸 출혈·멍이 잦거나 소변/대변에 피가 보이면 기록 후 병원 상담",
+    risk: "CHA₂DS₂-VASc·HAS-BLED 위험 점수는 '검사·진료' 탭에서 볼 수 있습니다. 점수가 바뀌면 진료 때 의사와 이야기해 보세요.",
+    interactions: "자몽주스·과도한 음주를 피하고, 새로운 약을 추가할 때는 의사와 상의 ('약 관리' 탭의 약물 상호작용에서 미리 확인할 수 있습니다)",
+    dangerTitle: "위험 신호 (즉시 상담)",
+    severeBleeding: "멎지 않는 출혈, 대량 코피, 검은 변/선홍빛 소변",
+    stroke: "갑작스러운 말 어눌함, 한쪽 마비, 시야 이상",
+    thresholdHint: "수치 기준은 '약 관리' 탭의 경고 기준에서 바꿀 수 있습니다.",
+    dataTitle: "데이터 관리 팁",
+    reportTip: "진료 전 '진료 리포트' 탭에서 기간을 골라 인쇄(PDF 저장)하거나 CSV 파일로 내보내 병원에 제출하면 평가가 수월합니다.",
+    exercise: "주당 {minutes}분 걷기, 저염식(나트륨 2g/일 이하) 유지",
+    caffeineSleep: "카페인·에너지음료는 하루 {cups}잔 이하로, 수면은 {hours}시간을 지키세요.",
+    weightGain: "발·다리 부종과 함께 체중이 {window}일 사이 {kg}kg 이상 늘면 체액이 고인 신호일 수 있어 상담이 필요합니다.",
+    lifestyleTip: "'오늘 체크'의 생활 습관에서 체중·운동·음주·카페인·수면을 골라 기록하면 주간 목표 달성 여부를 볼 수 있습니다.",
+    disclaimerTitle: "중요 고지",
+    disclaimer: "이 앱은 생활기록 보조 도구이며, 의료행위를 대체하지 않습니다. 이상 소견이 있으면 반드시 의료진과 상담하세요."
+  },
+
+  slots: {
+    am: "아침",
+    noon: "점심",
+    pm: "저녁",
+    bed: "취침 전"
+  },
+
+  regimen: {
+    problems: {
+      name: "약 이름을 입력하세요",
+      slots: "복용 시간대를 하나 이상 선택하세요",
+      endBeforeStart: "종료일이 시작일보다 빠릅니다",
+      fromAfterEnd: "적용일이 이 약의 종료일({end})보다 늦습니다 — 다시 먹는다면 약을 새로 추가하세요"
+    },
+    name: "약 이름",
+    namePlaceholder: "예: 엘리퀴스",
+    generic: "성분명",
+    genericPlaceholder: "예: Apixaban",
+    dose: "용량",
+    dosePlaceholder: "예: 5mg",
+    slots: "복용 시간대",
+    end: "종료일 (비우면 계속 복용)",
+    newDose: "새 용량",
+    from: "적용일",
+    applyChange: "변경 적용",
+    confirmRemove: "이 약을 완전히 삭제할까요? 과거 기록의 복용 표시도 함께 보이지 않게 됩니다.\n복용을 중단한 경우에는 '중단'을 사용하세요.",
+    since: "처음",
+    ongoing: "현재",
+    change: "용량·시간 변경",
+    stop: "중단",
+    currentTitle: "현재 복용 약",
+    add: "약 추가",
+    empty: "등록된 약이 없습니다.",
+    pastTitle: "이전 복용 약",
+    pastHint: "과거 기록 표시용",
+    changeTitle: "약 변경 시 주의",
+    changeHint: "용량이나 복용 시간이 바뀌면 '용량·시간 변경'으로 적용일을 지정하세요. 이전 날짜의 기록은 당시 복용하던 약 기준으로 그대로 표시됩니다. 약 변경은 반드시 의료진과 상의하세요."
+  },
+
+  readings: {
+    arms: { left: "왼팔", right: "오른팔" },
+    positions: { sitting: "앉아서", standing: "서서", lying: "누워서" },
+    vitals: { pulse: "맥박", sys: "수축기", dia: "이완기" },
+    pulseUnit: "회/분",
+    irregularTag: "[불규칙]",
+    unreadable: "숫자로 읽을 수 없는 값 '{raw}'",
+    outOfRange: "{label} {value} — 가능한 범위({range}) 밖",
+    swapped: "수축기({sys})가 이완기({dia})보다 높지 않음 — 두 값이 바뀌지 않았는지 확인",
+    empty: "아직 측정값이 없습니다.",
+    swappedHint: "수축기({sys})가 이완기({dia})보다 높아야 합니다. 두 값을 바꿔 적지 않았는지 확인하세요.",
+    swap: "두 값 바꾸기",
+    irregular: "불규칙 맥박 감지됨 (혈압계 표시)",
+    add: "측정값 추가"
+  },
+
+  episodes: {
+    symptoms: {
+      palpitations: "두근거림",
+      dizziness: "어지럼",
+      dyspnea: "숨참",
+      chestPain: "가슴 통증/압박감",
+      fatigue: "무력감/피로",
+      syncope: "실신/실신감",
+      anxiety: "불안"
+    },
+    ehra: {
+      1: "1 — 증상 없음",
+      "2a": "2a — 가벼움: 일상생활 지장 없고 불편하지 않음",
+      "2b": "2b — 중간: 일상생활 지장 없으나 불편함",
+      3: "3 — 심함: 일상생활에 지장",
+      4: "4 — 일상생활 불가"
+    },
+    triggers: {
+      alcohol: "음주",
+      caffeine: "카페인",
+      sleepLoss: "수면 부족",
+      exercise: "운동",
+      stress: "스트레스",
+      meal: "과식",
+      missedDose: "약 복용 누락"
+    },
+    resolutions: {
+      none: "선택 안 함",
+      spontaneous: "저절로 멈춤",
+      vagal: "숨 참기 등 미주신경 자극",
+      medication: "추가 약 복용(처방받은 경우)",
+      hospital: "병원/응급실 치료",
+      ongoing: "아직 지속 중"
+    },
+    hours: "{h}시간 {m}분",
+    minutes: "{m}분",
+    symptomSep: "·",
+    triggersList: "유발: {list}",
+    problems: {
+      start: "시작 시각을 입력하세요",
+      symptoms: "증상을 하나 이상 선택하세요"
+    },
+    empty: "두근거림 등 증상이 있었다면 발작을 추가해 시작·끝 시각과 정도를 적어 주세요.",
+    start: "시작",
+    end: "끝",
+    duration: "지속 {duration}",
+    endUnknown: "끝 시각 모름",
+    symptomsLabel: "증상",
+    ehraLabel: "정도 (EHRA 증상 분류)",
+    triggersLabel: "의심되는 유발 요인",
+    resolutionLabel: "어떻게 멈췄나요",
+    notePlaceholder: "예: 계단 오른 뒤",
+    add: "발작 추가",
+    count: "{n}회"
+  },
+
+  // 규칙 문구 — {이름} 은 규칙의 기준값(params), 나머지 키는 기준값 입력칸 이름
+  rules: {
+    pulse: { label: "맥박 이상 ({min} 미만 또는 {max} 초과)", min: "하한(회/분)", max: "상한(회/분)" },
+    hypotension: { label: "저혈압 의심 ({sys}/{dia} 미만)", sys: "수축기 하한(mmHg)", dia: "이완기 하한(mmHg)" },
+    bleeding: { label: "출혈 보고됨" },
+    syncope: { label: "실신/실신감 보고됨" },
+    dyspnea: { label: "호흡 곤란 보고됨" },
+    bleedingWeek: { label: "최근 {window}일 중 {min}일 이상 출혈", window: "기간(일)", min: "최소 일수" },
+    anticoagMissed: { label: "{med} {days}일 연속 복용 누락", med: "약", days: "연속 일수" },
+    pulseHighTrend: { label: "최근 {window}일 중 {min}일 맥박 {value} 초과", value: "기준(회/분)", window: "기간(일)", min: "최소 일수" },
+    weightGain: { label: "{window}일 사이 체중 {kg}kg 이상 증가 (부종·체액 저류 확인)", kg: "증가량(kg)", window: "기간(일)" },
+    irregular: { label: "불규칙 맥박 감지" },
+    dizziness: { label: "어지럼증" },
+    edema: { label: "부종" },
+    fatigue: { label: "심한 피로감" },
+    settings: {
+      title: "경고 기준",
+      intro: "'오늘 체크'의 경고와 진료 리포트에 쓰이는 기준입니다. 주치의가 개인 목표를 정해 주었다면 그에 맞춰 바꾸세요.",
+      reset: "기본값",
+      footer: "기본 규칙 {n}개 · 기록이 없는 날은 연속 누락으로 세지 않습니다."
+    }
+  },
+
+  dose: {
+    taken: "모두 복용",
+    partial: "일부 누락",
+    missed: "누락",
+    pending: "오늘(대기)",
+    unknown: "기록 없음",
+    none: "복용 대상 없음"
+  },
+
+  adherence: {
+    weekend: "{label} 누락이 주로 주말에 발생합니다 (주말 {weekend}% vs 평일 {weekday}%)",
+    weekday: "{label} 누락이 주로 평일에 발생합니다 (평일 {weekday}% vs 주말 {weekend}%)",
+    day: "{label} 누락 {total}회 중 {count}회가 {day}입니다",
+    bySlotTitle: "시간대별 복용률",
+    bySlotHint: "기록 없는 날 제외",
+    empty: "최근 90일간 복용 대상 약이 없습니다.",
+    dose: "복용",
+    currentStreak: "현재 연속",
+    longestStreak: "최장 연속",
+    cellDetail: "누락 {missed} · 기록 없음 {unknown}",
+    calendarTitle: "최근 13주 복용 달력",
+    patternsTitle: "누락 패턴 (최근 90일)",
+    noPatterns: "뚜렷한 누락 패턴이 없습니다.",
+    methodTitle: "계산 방법",
+    method: "복용률은 기록이 있는 날의 '복용 / (복용 + 누락)'입니다. 기록이 없는 날은 누락이 아닌 '기록 없음'으로 따로 셉니다. 오늘 아직 체크하지 않은 복용은 계산에서 제외됩니다."
+  },
+
+  calendar: {
+    filters: {
+      all: "전체",
+      danger: "위험 경고가 있는 날",
+      missed: "복용 누락이 있는 날"
+    },
+    dose: {
+      taken: "모두 복용",
+      partial: "일부 누락",
+      missed: "누락",
+      pending: "오늘(대기)",
+      unknown: "기록 없음",
+      none: "복용 대상 없음"
+    },
+    title: "월간 달력",
+    prevMonth: "이전 달",
+    nextMonth: "다음 달",
+    today: "오늘",
+    matched: "이번 달 {n}일",
+    recorded: "기록",
+    dangerLegend: "위험 경고",
+    warnLegend: "주의 경고",
+    legendHint: "'기록' = 입력한 기록 있음 · 숫자 = 복용/복용 대상"
+  },
+
+  charts: {
+    ranges: { all: "전체", custom: "직접 선택" },
+    periodTitle: "표시 기간",
+    recordedDays: "{n}일 기록",
+    rollingAvg: "{n}일 이동 평균",
+    bands: "경고 기준 영역",
+    markers: "복용 누락·위험 경고 표시",
+    dangerBand: "위험 기준 영역",
+    warnBand: "주의 기준 영역",
+    missedMarker: "복용 누락 (아래)",
+    dangerMarker: "위험 경고 (위)",
+    episode: "증상 발작",
+    bandsHint: "기준은 '약 관리' 탭의 경고 기준 설정을 따릅니다: {list}",
+    title: "그래프",
+    empty: "선택한 기간에 기록이 없습니다.",
+    pulseTitle: "맥박 추이",
+    bpTitle: "혈압 추이",
+    pressureTitle: "맥압·평균동맥압",
+    pressureHint: "맥압 = 수축기 − 이완기, 평균동맥압 = 이완기 + 맥압/3 (측정마다 계산한 뒤 하루 평균).",
+    pp: "맥압",
+    map: "평균동맥압",
+    range: "{name} 범위",
+    mean: "{name} 평균",
+    weekAvg: "{name} 7일 평균",
+    episodeLine: "발작 {n}"
+  },
+
+  profiles: {
+    unnamed: "이름 없음",
+    withBirthYear: "{name} ({year}년생)",
+    default: "기본 프로필",
+    problems: {
+      name: "이름을 입력하세요",
+      birthYear: "출생연도는 1900–{year} 사이의 네 자리 숫자로 입력하세요"
+    },
+    name: "이름",
+    namePlaceholder: "예: 아버지",
+    birthYear: "출생연도",
+    birthYearPlaceholder: "예: 1948",
+    confirmRemove: "'{name}' 프로필과 기록 {n}일을 삭제합니다. 되돌릴 수 없습니다. 계속할까요?",
+    title: "환자 프로필",
+    intro: "프로필마다 기록, 복용 약, 경고 기준, 알림 설정이 따로 저장됩니다. 백업·CSV·진료 리포트는 선택한 프로필만 대상으로 합니다.",
+    recordDays: "기록 {n}일",
+    active: "선택됨",
+    add: "프로필 추가",
+    new: "+ 새 프로필",
+    remindersTitle: "알림",
+    remindersHint: "복약 알림은 알림을 켠 모든 프로필에 대해 표시되며, 알림 제목 앞에 이름이 붙습니다."
+  },
+
+  reminders: {
+    dueTitle: "{slot} 약 복용 시간입니다",
+    missedTitle: "{slot} 약 복용 기록이 없습니다",
+    missedBody: "{names} — 복용했다면 '복용 완료'를 눌러 주세요. 놓쳤더라도 2배로 복용하지 마세요.",
+    lockedBody: "약 이름은 앱을 열어 확인하세요.",
+    lockedMissedBody: "복용했다면 '복용 완료'를 눌러 주세요. 놓쳤더라도 2배로 복용하지 마세요.",
+    take: "복용 완료",
+    snooze: "{minutes}분 후 다시",
+    testTitle: "AFib Care 알림 테스트",
+    testBody: "알림이 정상적으로 표시됩니다.",
+    permission: {
+      granted: "허용됨",
+      denied: "차단됨",
+      default: "요청 전",
+      unsupported: "지원 안 됨"
+    },
+    title: "복약 알림",
+    permissionPill: "알림 권한: {state}",
+    unsupportedTitle: "알림을 사용할 수 없습니다",
+    unsupported: "이 브라우저는 알림 또는 서비스워커를 지원하지 않습니다. 홈 화면에 설치한 앱(HTTPS)에서 다시 시도하세요.",
+    deniedTitle: "알림이 차단되어 있습니다",
+    denied: "브라우저(또는 휴대폰) 설정에서 이 앱의 알림을 허용한 뒤 다시 켜 주세요.",
+    enable: "복용 시간 알림 켜기",
+    slotTime: "{slot} 알림 ({meds})",
+    snoozeMinutes: "다시 알림 간격(분)",
+    cutoffMinutes: "누락 알림까지(분)",
+    howItWorks: "알림의 '복용 완료'를 누르면 그날 해당 시간대의 약이 모두 복용으로 기록됩니다. 알림 시각 후 {minutes}분까지 기록이 없으면 누락 알림을 한 번 더 보냅니다.",
+    closedHint: "앱이 완전히 닫혀 있을 때는 브라우저가 지원하는 경우(예약 알림/주기적 백그라운드 동기화)에만 알림이 표시될 수 있습니다.",
+    test: "테스트 알림 보내기"
+  },
+
+  lifestyle: {
+    modules: {
+      weight: "체중",
+      activity: "걷기·운동",
+      alcohol: "음주",
+      caffeine: "카페인",
+      sleep: "수면"
+    },
+    fields: {
+      weight: "체중",
+      steps: "걸음 수",
+      exerciseMin: "운동 시간",
+      alcohol: "술",
+      caffeine: "커피·차·에너지음료",
+      sleepHours: "수면 시간"
+    },
+    units: {
+      weight: "kg",
+      steps: "보",
+      exerciseMin: "분",
+      alcohol: "잔",
+      caffeine: "잔",
+      sleepHours: "시간"
+    },
+    value: "{value}{unit}",
+    weightMean: "평균 {mean}kg",
+    weightChange: " (주중 변화 {delta}kg)",
+    weightTarget: "급격한 증가 없음",
+    exercise: "운동 {minutes}분",
+    stepsMean: "하루 평균 {steps}보",
+    exerciseTarget: "주 {minutes}분 이상",
+    drinks: "{n}잔",
+    alcoholTarget: "피하기 (0잔)",
+    cupsMean: "하루 평균 {n}잔",
+    caffeineTarget: "하루 {n}잔 이하",
+    sleepMean: "하루 평균 {n}시간",
+    sleepTarget: "{lo}–{hi}시간",
+    title: "생활 습관",
+    done: "완료",
+    choose: "항목 선택",
+    chooseHint: "기록할 항목을 고르세요. 끈 항목은 입력칸에서 사라지고, 이미 적은 값은 지워지지 않습니다.",
+    thisWeek: "이번 주",
+    lastWeek: "지난 주",
+    daysRecorded: " ({n}일 기록)",
+    target: "목표 {target}",
+    met: "달성",
+    notMet: "미달"
+  },
+
+  labs: {
+    tests: {
+      inr: { label: "INR", hint: "와파린 목표 범위 (주치의 지시 우선)" },
+      creatinine: { label: "크레아티닌", hint: "신장 기능 — 항응고제 용량 조절" },
+      egfr: { label: "eGFR", hint: "신장 기능" },
+      crcl: { label: "크레아티닌 청소율(CrCl)", hint: "에독사반 용량 기준" },
+      hemoglobin: { label: "혈색소(Hb)", hint: "출혈 확인" },
+      platelets: { label: "혈소판", hint: "출혈 위험" },
+      ast: { label: "AST", hint: "간 기능 — 드로네다론(멀택) 추적" },
+      alt: { label: "ALT", hint: "간 기능 — 드로네다론(멀택) 추적" },
+      potassium: { label: "칼륨", hint: "" },
+      qtc: { label: "QTc (심전도)", hint: "항부정맥제 복용 중 심전도 추적" }
+    },
+    custom: "기타 검사",
+    problems: {
+      date: "검사일을 입력하세요",
+      name: "검사 이름을 입력하세요",
+      value: "결과 값을 숫자로 입력하세요",
+      range: "참고 범위의 하한이 상한보다 큽니다",
+      rangeNumbers: "참고 범위는 숫자로 입력하세요 (없으면 비워 두세요)"
+    },
+    status: { low: "낮음", high: "높음", normal: "정상 범위" },
+    date: "검사일",
+    test: "검사 항목",
+    customOption: "기타 (직접 입력)",
+    name: "검사 이름",
+    namePlaceholder: "예: 갑상선자극호르몬(TSH)",
+    value: "결과 값",
+    unit: "단위",
+    low: "참고 범위 하한",
+    high: "참고 범위 상한",
+    emptyIfNone: "없으면 비움",
+    notePlaceholder: "예: 공복, 외래 채혈",
+    rangeHint: "{hint} · 참고 범위는 결과지에 적힌 값으로 고쳐 주세요.",
+    confirmRemove: "이 검사 결과를 삭제할까요?",
+    outOfRangeTitle: "최근 결과가 참고 범위를 벗어난 검사",
+    outOfRangeItem: "{name} {value} ({status}, 참고 {range}) · {date}",
+    outOfRangeHint: "결과 해석과 약 용량 조절은 주치의와 상의하세요.",
+    title: "검사 결과",
+    add: "결과 추가",
+    empty: "아직 기록한 검사 결과가 없습니다. 와파린을 복용하면 INR, 에독사반 등 항응고제는 신장 기능(크레아티닌·eGFR)과 혈색소, 드로네다론(멀택)은 간 기능(AST·ALT)과 심전도 결과를 남겨 두면 진료 때 추이를 함께 볼 수 있습니다.",
+    columns: { test: "검사", latest: "최근 결과", range: "참고 범위", status: "판정", date: "검사일", count: "횟수", result: "결과", note: "메모" },
+    trendTitle: "{name} 추이",
+    legend: "초록: 참고 범위 · 빨간 점: 범위 밖",
+    needTwo: "결과가 두 번 이상 쌓이면 추이 그래프가 나타납니다."
+  },
+
+  visits: {
+    problems: {
+      date: "날짜를 입력하세요",
+      clinicOrPurpose: "병원 또는 진료 목적을 입력하세요"
+    },
+    today: "오늘",
+    doctor: "{name} 선생님",
+    untitled: "진료",
+    time: "시간",
+    clinic: "병원·진료과",
+    clinicPlaceholder: "예: ○○병원 순환기내과",
+    doctorLabel: "담당 의사",
+    doctorPlaceholder: "예: 김○○",
+    purpose: "진료 목적",
+    purposePlaceholder: "예: 정기 외래, 채혈, 심전도, 홀터 판독",
+    instructions: "의사 지시 사항",
+    instructionsPlaceholder: "진료 후에 적어 두세요",
+    doseChanges: "용량 변경",
+    doseChangesPlaceholder: "예: 릭시아나 60mg → 30mg",
+    confirmRemove: "이 진료 기록을 삭제할까요?",
+    writeUp: "진료 내용 적기",
+    instructionsPrefix: "지시 사항: ",
+    doseChangesPrefix: "용량 변경: ",
+    startedMeds: "이날부터 적용한 약:",
+    upcomingTitle: "진료 예약",
+    add: "진료 추가",
+    empty: "예정된 진료가 없습니다. 다음 외래·채혈 날짜를 적어 두면 '오늘 체크'에 미리 알려 줍니다.",
+    pastTitle: "지난 진료"
+  },
+
+  storage: {
+    noIndexedDB: "이 브라우저는 IndexedDB를 지원하지 않습니다.",
+    openFailed: "저장소를 열 수 없습니다.",
+    blocked: "다른 탭에서 앱이 열려 있어 저장소를 열 수 없습니다.",
+    locked: "잠긴 기록입니다. PIN 또는 암호로 잠금을 해제하세요.",
+    legacyUnreadable: "이전 형식의 기록({key})을 읽을 수 없습니다.",
+    legacyInvalid: "이전 형식의 기록({key}) 구조가 올바르지 않습니다.",
+    newerVersion: "더 최신 버전의 앱에서 저장된 데이터입니다. 앱을 새로고침해 업데이트하세요.",
+    readFailed: "저장된 기록을 읽는 중 오류가 발생했습니다.",
+    rewriteFailed: "기록을 다시 저장하지 못했습니다. 기존 데이터는 그대로입니다.",
+    saveFailed: "기록을 저장하지 못했습니다."
+  },
+
+  backup: {
+    noChecksum: "이 환경에서는 체크섬을 계산할 수 없습니다 (HTTPS 필요).",
+    notJson: "JSON 파일이 아니거나 손상되었습니다.",
+    notBackup: "AFib Care 백업 파일이 아닙니다.",
+    badVersion: "백업 파일의 버전 정보가 올바르지 않습니다.",
+    newerVersion: "더 최신 버전의 앱에서 만든 백업입니다. 앱을 업데이트한 뒤 다시 시도하세요.",
+    badData: "백업 파일의 데이터 구조가 올바르지 않습니다.",
+    checksum: "체크섬이 일치하지 않습니다. 파일이 손상되었거나 수정되었습니다.",
+    badEntry: "잘못된 기록이 포함되어 있습니다: {date}",
+    badField: "{date} 기록의 '{field}' 항목 형식이 잘못되었습니다",
+    badSetting: "백업의 '{field}' 설정 형식이 잘못되었습니다"
+  },
+
+  importPreview: {
+    more: "{list} 외 {n}일",
+    confirmReplace: "현재 기록 {n}일이 모두 삭제되고 '{source}' 내용으로 바뀝니다. 계속할까요?",
+    title: "가져오기 미리보기 — {source}",
+    recordDays: "{n}일 기록",
+    added: "추가될 날짜 ({n}): ",
+    changed: "빈 항목이 채워질 날짜 ({n}): ",
+    conflicting: "충돌 날짜 ({n}): ",
+    unchanged: "변경 없음: {n}일",
+    merge: "병합 (내 기록 유지 + 새 기록 추가)",
+    replace: "전체 교체",
+    conflictHint: "충돌 날짜는 기본으로 내 기록을 유지합니다(빈 칸만 채움). 가져온 값으로 바꿀 날짜를 선택하세요.",
+    replaceTitle: "전체 교체 주의",
+    replaceWarning: "현재 기록 {n}일과 약 설정이 모두 삭제됩니다. 먼저 현재 데이터를 백업해 두세요.",
+    backupFirst: "현재 데이터 백업",
+    confirmed: "현재 기록이 삭제된다는 것을 확인했습니다",
+    applyMerge: "병합 적용"
+  },
+
+  deviceImport: {
+    formats: { appleHealth: "Apple 건강 (XML)" },
+    unknownXml: "알 수 없는 XML 파일입니다. Apple 건강 앱의 export.xml 만 지원합니다.",
+    unsupported: "지원하지 않는 파일 형식입니다. CSV, Apple 건강 XML, Google Fit JSON 파일을 선택하세요.",
+    fields: {
+      timestamp: "측정 일시 (한 열)",
+      date: "날짜",
+      time: "시각",
+      sys: "수축기",
+      dia: "이완기",
+      pulse: "맥박",
+      irregular: "불규칙 맥박"
+    },
+    dateOrders: {
+      ymd: "연-월-일",
+      mdy: "월/일/연 (미국식)",
+      dmy: "일/월/연 (유럽식)"
+    },
+    problems: {
+      dateColumn: "측정 일시 또는 날짜 열을 고르세요",
+      valueColumn: "맥박·수축기·이완기 중 하나 이상의 열을 고르세요"
+    },
+    rowProblems: {
+      notNumber: "{label}: 숫자가 아님",
+      outOfRange: "{label} {value}: 가능한 범위 밖",
+      date: "날짜를 읽을 수 없음",
+      empty: "측정값 없음",
+      swapped: "수축기가 이완기보다 높지 않음"
+    },
+    noRows: "CSV 파일에 머리글과 측정 행이 없습니다.",
+    notJson: "JSON 파일이 아니거나 손상되었습니다.",
+    existing: "이미 있는 측정",
+    new: "새 측정",
+    title: "기기 파일 가져오기",
+    intro: "혈압계 앱의 CSV, Apple 건강 앱의 export.xml, Google Fit(테이크아웃) JSON 파일에서 맥박·혈압을 가져옵니다. 파일은 이 기기 안에서만 읽습니다.",
+    chooseFile: "파일 선택",
+    readFailed: "읽기 실패",
+    preset: "기기 프리셋",
+    autoDetect: "열 이름으로 자동 인식",
+    removePreset: "이 프리셋 삭제",
+    presetPlaceholder: "예: 오므론 혈압계",
+    savePreset: "프리셋 저장",
+    sampleValue: " (예: {value})",
+    dateOrder: "날짜 순서",
+    pulseOnly: "혈압 없이 심박만 있는 기록도 가져오기 (워치는 하루 수백 건일 수 있음)",
+    nothing: "가져올 맥박·혈압 기록이 없습니다.",
+    read: "{n}건 읽음",
+    duplicates: "중복 {n}건",
+    invalid: "오류 {n}건",
+    chosen: "{n}건 선택",
+    selectAll: "모두 선택",
+    clearAll: "모두 해제",
+    defaultsHint: "이미 기록된 측정(같은 날 {minutes}분 안에 같은 값)과 값에 문제가 있는 행은 처음부터 빠져 있습니다. 오류 행은 가져올 수 없습니다.",
+    columns: { pick: "선택", bp: "혈압", pulse: "맥박", irregular: "불규칙", status: "상태" },
+    limited: "앞의 {limit}건만 표시합니다. 모두 선택/해제는 전체 {n}건에 적용됩니다.",
+    apply: "{n}건 기록에 추가"
+  },
+
+  csv: {
+    headers: {
+      date: "날짜",
+      readings_count: "측정 횟수",
+      pulse_mean: "맥박 평균",
+      pulse_min: "맥박 최소",
+      pulse_max: "맥박 최대",
+      sys_mean: "수축기 평균",
+      sys_min: "수축기 최소",
+      sys_max: "수축기 최대",
+      dia_mean: "이완기 평균",
+      dia_min: "이완기 최소",
+      dia_max: "이완기 최대",
+      irregular: "불규칙 맥박",
+      readings: "측정 내역",
+      dizziness: "어지럼증",
+      syncope: "실신/실신감",
+      dyspnea: "호흡 곤란",
+      edema: "부종",
+      bleeding: "출혈/멍",
+      fatigue: "피로감",
+      episodes_count: "발작 횟수",
+      episodes_worst: "발작 최고 EHRA",
+      episodes: "발작 내역",
+      otherMeds: "다른 약·보충제",
+      notes: "메모"
+    },
+    lifestyleHeader: "{label}({unit})",
+    title: "CSV 내보내기",
+    selected: "{n}일 선택됨",
+    bools: "예/아니오 표기",
+    yesNo: "예 / 아니오",
+    bom: "Excel 호환 (UTF-8 BOM 포함 — 한글 깨짐 방지)",
+    languageHint: "열 이름과 값은 화면 언어({lang})로 씁니다.",
+    download: "내려받기",
+    riskDownload: "위험 점수 CSV",
+    riskHint: "CHA₂DS₂-VASc·HAS-BLED 항목별 점수와 근거를 따로 내려받습니다 (기간과 상관없이 오늘 기준)."
+  },
+
+  report: {
+    presets: { twoWeeks: "최근 2주" },
+    periodTitle: "리포트 기간",
+    print: "인쇄 / PDF 저장",
+    title: "진료 리포트 — 심방세동 생활기록",
+    patient: "환자: {name}",
+    period: "{from} ~ {to} · 기록 {n}일",
+    printedOn: "출력일 {date}",
+    empty: "선택한 기간에 기록이 없습니다.",
+    vitalsTitle: "활력징후 요약",
+    columns: { item: "항목", mean: "평균", min: "최소", max: "최대", count: "측정", unit: "단위" },
+    sys: "수축기 혈압",
+    dia: "이완기 혈압",
+    episodesTitle: "증상 발작",
+    noEpisodes: "기간 중 기록된 발작이 없습니다.",
+    totalDuration: "총 {duration}",
+    worst: "최고 {ehra}",
+    triggers: "유발 요인: {list}",
+    adherenceTitle: "약별 복용률",
+    noMeds: "복용 대상 약이 없습니다.",
+    med: "약",
+    rate: "복용률",
+    takenOfExpected: "복용/예정",
+    takenCount: "{taken}/{expected}회",
+    adherenceHint: "기록이 없는 날은 계산에서 제외했습니다.",
+    otherMedsTitle: "기록한 다른 약·보충제",
+    riskTitle: "뇌졸중·출혈 위험 점수 (오늘 기준)",
+    noOtherMeds: "기간 중 기록한 다른 약이 없습니다.",
+    daysRecorded: "기록한 날",
+    flagsTitle: "경고 항목 발생",
+    noFlags: "기간 중 경고 항목이 없습니다.",
+    level: "구분",
+    count: "횟수",
+    dates: "날짜",
+    notesTitle: "경고가 있었던 날의 메모",
+    noteTitle: "참고",
+    note: "환자/보호자가 가정에서 기록한 자료입니다. 측정 기기와 측정 시점에 따라 오차가 있을 수 있습니다."
+  },
+
+  insights: {
+    title: "기록 분석",
+    readings: "측정 {n}회",
+    changes: "변경 {n}건",
+    tooFew: "한쪽이라도 {n}개 미만이라 비교하기에는 기록이 부족합니다.",
+    bands: { morning: "아침 (04–11시)", afternoon: "낮 (11–17시)", evening: "저녁 (17–22시)", night: "밤 (22–04시)" },
+    timeOfDay: {
+      title: "시간대별 맥박·혈압",
+      band: "시간대",
+      empty: "측정 시각이 있는 기록이 없습니다."
+    },
+    missedDose: {
+      title: "약을 빠뜨린 다음 날의 맥박",
+      medTitle: "{med}을(를) 빠뜨린 다음 날의 맥박",
+      empty: "기간 중 복용을 빠뜨린 날이 없습니다 (또는 다음 날 맥박 기록이 없습니다).",
+      sample: "누락 {missed}일 · 복용 {adherent}일",
+      compare: "평균 맥박: 전날 빠뜨림 {missed} bpm ({nMissed}일) / 전날 모두 복용 {adherent} bpm ({nAdherent}일)",
+      diff: "빠뜨린 다음 날이 {diff} bpm"
+    },
+    lowBp: {
+      title: "수축기 {sys} 미만과 어지럼증",
+      low: "수축기 {sys} 미만인 날 {n}일 중 어지럼증 {dizzy}일 ({pct}%)",
+      other: "그 밖의 날 {n}일 중 어지럼증 {dizzy}일 ({pct}%)",
+      lowNone: "수축기 {sys} 미만인 날이 없습니다",
+      otherNone: "수축기 {sys} 이상인 날이 없습니다"
+    },
+    change: {
+      title: "약 변경 전후의 피로감",
+      dateTitle: "{date} 약 변경 전후",
+      empty: "기간 중 약을 시작하거나 끊은 날이 없습니다 ('약 관리' 탭의 시작·종료일).",
+      sample: "전 {before}일 · 후 {after}일",
+      started: "시작: {list}",
+      stopped: "종료: {list}",
+      fatigue: "피로감 평균 (0 없음 – 2 심함, 전후 {days}일): 전 {before} → 후 {after}",
+      pulse: "평균 맥박: 전 {before} bpm ({nBefore}일) → 후 {after} bpm ({nAfter}일)"
+    },
+    disclaimerTitle: "의학적 조언이 아닙니다",
+    disclaimer: "가정에서 기록한 자료로 낸 단순 통계입니다. 함께 나타났다고 원인이라는 뜻은 아니며, 기록이 적으면 우연일 수 있습니다. 약을 바꾸거나 끊기 전에 반드시 의사와 상의하세요."
+  },
+
+  emergency: {
+    title: "응급 상황",
+    call: "{number} 전화",
+    views: { fast: "뇌졸중 FAST", bleeding: "출혈 위험 신호", card: "의료 정보 카드" },
+    yes: "예",
+    no: "아니오",
+    fastStep: "{total}단계 중 {n}단계",
+    fast: {
+      face: { label: "얼굴 (Face)", check: "\"이~\" 하고 웃어 보게 하세요. 한쪽 입꼬리가 처지나요?" },
+      arm: { label: "팔 (Arm)", check: "두 팔을 앞으로 들고 10초 버티게 하세요. 한쪽 팔이 떨어지거나 힘이 빠지나요?" },
+      speech: { label: "말 (Speech)", check: "\"오늘 날씨가 맑다\"를 따라 말하게 하세요. 발음이 어눌하거나 말을 못 알아듣나요?" }
+    },
+    fastPositiveTitle: "뇌졸중이 의심됩니다 — 지금 바로 119",
+    fastPositive: "해당 항목: {items}. 증상이 좋아져도 기다리지 말고 바로 전화하세요. 뇌졸중은 몇 시간 안에 치료해야 합니다.",
+    fastNegativeTitle: "FAST 징후는 없습니다",
+    fastNegative: "갑작스러운 심한 두통, 어지러움, 한쪽 시야 이상, 걷기 어려움이 있거나 증상이 다시 생기면 119 에 전화하세요.",
+    timeTitle: "시간 (Time)",
+    timeHint: "증상이 처음 보인 시각(또는 마지막으로 괜찮았던 시각)을 구급대원에게 알려 주세요. 치료 방법이 이 시각으로 정해집니다.",
+    markOnset: "지금 시각 기록",
+    onsetAt: "증상 확인 {time}",
+    restart: "처음부터 다시",
+    bleedingIntro: "항응고제를 먹는 중에 다음 중 하나라도 있으면 바로 119 에 전화하세요.",
+    bleedingSigns: {
+      nonstop: "10분 이상 눌러도 멎지 않는 출혈·코피",
+      vomit: "피를 토하거나 커피 찌꺼기 같은 것을 토함",
+      stool: "검은 변(짜장 같은 변) 또는 피가 섞인 변",
+      urine: "붉거나 짙은 갈색 소변",
+      head: "머리를 부딪힌 뒤 (증상이 없어도)",
+      headache: "갑작스러운 심한 두통, 의식이 흐려짐"
+    },
+    bleedingWhileWaitingTitle: "기다리는 동안",
+    bleedingPressure: "출혈 부위를 깨끗한 천으로 10분 이상 꾹 누르세요.",
+    bleedingNoDose: "다음 약은 의사가 말하기 전까지 먹지 마세요.",
+    bleedingTell: "의료 정보 카드를 구급대원에게 보여 주세요 (항응고제·마지막 복용 시각).",
+    age: "{age}세",
+    afib: "심방세동",
+    anticoagulant: "항응고제 복용 중: {meds}",
+    conditions: "진단명",
+    meds: "복용 약 (오늘 복용)",
+    noMeds: "등록된 약 없음",
+    lastDose: "마지막 복용 {slot} {time}",
+    timeUnknown: "(시각 기록 없음)",
+    notTakenToday: "오늘 복용 기록 없음",
+    allergies: "알레르기",
+    allergiesPlaceholder: "예: 페니실린, 조영제",
+    contact: "보호자 연락처",
+    contactName: "보호자 이름",
+    contactNamePlaceholder: "예: 아들 김철수",
+    contactPhone: "전화번호",
+    notes: "기타 (이식 기기, 다니는 병원 등)",
+    notesPlaceholder: "예: ○○대병원 순환기내과",
+    notEntered: "입력 안 함",
+    vitals: "최근 측정 ({days}일)",
+    noVitals: "최근 측정 없음",
+    editCard: "카드 정보 수정",
+    offline: "이 화면은 기기에 저장된 정보만 쓰므로 인터넷이 없어도 열립니다."
+  },
+
+  risk: {
+    title: "뇌졸중·출혈 위험 점수",
+    summary: "CHA₂DS₂-VASc {chads} · HAS-BLED {hasbled}",
+    intro: "진단받은 병을 체크하면 기록(평균 혈압, 출혈/멍, 복용 약·다른 약, 음주, 크레아티닌·INR 검사)과 합쳐 CHA₂DS₂-VASc(뇌졸중 위험)와 HAS-BLED(출혈 위험) 점수를 계산합니다. 나이는 프로필의 출생연도에서 계산합니다.",
+    sex: "성별",
+    sexUnset: "선택 안 함",
+    sexes: { male: "남성", female: "여성" },
+    age: "나이",
+    ageValue: "{age}세",
+    ageUnset: "프로필에 출생연도를 입력하세요",
+    total: "{total}점 / {max}",
+    fields: {
+      chf: "심부전 (또는 심장 기능 저하)",
+      hypertension: "고혈압 진단",
+      diabetes: "당뇨병",
+      stroke: "뇌졸중·일과성 뇌허혈(TIA)·혈전색전증 병력",
+      vascular: "혈관 질환",
+      renal: "신장 기능 이상",
+      liver: "간 기능 이상",
+      bleedingHistory: "큰 출혈 병력 또는 출혈 경향",
+      labileInr: "INR 불안정 (와파린 복용 중)",
+      drugs: "항혈소판제·소염진통제 복용",
+      alcohol: "음주 (주 8잔 이상)"
+    },
+    hints: {
+      chf: "심부전 진단을 받았거나 심초음파에서 심장 수축 기능이 떨어져 있다고 들은 경우",
+      hypertension: "체크하지 않아도 최근 90일 평균 혈압이 140/90 이상이면 점수에 넣습니다",
+      diabetes: "당뇨약·인슐린 치료 중이거나 진단받은 경우",
+      stroke: "HAS-BLED 에는 1점, CHA₂DS₂-VASc 에는 2점입니다",
+      vascular: "심근경색, 말초동맥질환, 대동맥 죽상경화반",
+      renal: "투석·신장 이식 또는 크레아티닌 2.26 mg/dL 이상 — 최근 크레아티닌 검사도 봅니다",
+      liver: "간경변 또는 빌리루빈 2배·간 수치(AST/ALT) 3배 이상",
+      bleedingHistory: "입원·수혈이 필요했던 출혈이나 빈혈 — 최근 1년 출혈/멍 기록도 봅니다",
+      labileInr: "INR 이 목표 범위에 있는 기간이 60% 미만 — 최근 180일 INR 검사도 봅니다",
+      drugs: "아스피린, 클로피도그렐, 이부프로펜 등 — 약 목록과 최근 90일 다른 약 기록도 봅니다",
+      alcohol: "최근 28일 음주 기록도 봅니다"
+    },
+    chads: {
+      title: "CHA₂DS₂-VASc",
+      items: {
+        chf: "심부전 (C)",
+        hypertension: "고혈압 (H)",
+        age: "나이 75세 이상 2점, 65–74세 1점 (A₂/A)",
+        diabetes: "당뇨병 (D)",
+        stroke: "뇌졸중·TIA·혈전색전증 (S₂)",
+        vascular: "혈관 질환 (V)",
+        sex: "여성 (Sc)"
+      },
+      levels: {
+        high: "뇌졸중 위험 높음",
+        moderate: "뇌졸중 위험 중간",
+        low: "뇌졸중 위험 낮음"
+      },
+      meaning: "남성 2점·여성 3점 이상이면 일반적으로 항응고 치료를 권합니다."
+    },
+    hasbled: {
+      title: "HAS-BLED",
+      items: {
+        uncontrolledHtn: "조절되지 않는 고혈압 (수축기 160 초과) (H)",
+        renal: "신장 기능 이상 (A)",
+        liver: "간 기능 이상 (A)",
+        stroke: "뇌졸중 (S)",
+        bleeding: "출혈 병력·경향 (B)",
+        labileInr: "INR 불안정 (L)",
+        elderly: "65세 초과 (E)",
+        drugs: "항혈소판제·소염진통제 (D)",
+        alcohol: "음주 (D)"
+      },
+      levels: {
+        high: "출혈 위험 높음",
+        low: "출혈 위험 낮음~중간"
+      },
+      meaning: "3점 이상이면 출혈 위험이 높으니 고칠 수 있는 항목(혈압, 함께 먹는 약, 음주)을 의사와 상의하세요. 항응고제를 끊을 이유는 아닙니다."
+    },
+    reasons: {
+      profile: "직접 체크",
+      age: "{age}세",
+      female: "여성",
+      bp: "최근 {days}일 평균 {sys}/{dia} mmHg ({n}회 측정)",
+      bleeding: "최근 {days}일 출혈/멍 기록 {n}일",
+      drugs: "복용 기록: {names}",
+      alcohol: "주 {perWeek}잔 ({n}일 기록 평균)",
+      creatinine: "크레아티닌 {value} mg/dL ({date})",
+      inr: "INR 목표 범위 안 {pct}% ({n}회 검사)"
+    },
+    missingTitle: "점수 계산에 필요한 정보가 빠졌습니다",
+    missing: {
+      birthYear: "프로필에 출생연도를 입력하세요 (나이 점수)",
+      sex: "성별을 선택하세요 (CHA₂DS₂-VASc)"
+    },
+    columns: { item: "항목", points: "점수", basis: "근거" },
+    csvHeaders: { score: "척도", item: "항목", points: "점수", basis: "근거", total: "합계" },
+    disclaimer: "참고용 계산입니다. 치료 결정은 진료 중 의사가 전체 상황을 보고 내립니다 — 점수만 보고 약을 시작하거나 끊지 마세요."
+  },
+
+  interactions: {
+    title: "약물 상호작용",
+    intro: "현재 복용 약과 최근 {days}일 동안 기록한 다른 약·보충제를 앱에 들어 있는 상호작용 표와 맞춰 봅니다. 인터넷 연결 없이 동작합니다.",
+    recentPill: "{name} · {n}일",
+    tryLabel: "새로 먹으려는 약 미리 확인",
+    namePlaceholder: "약·보충제 이름 (예: 이부프로펜)",
+    add: "추가",
+    clearTrial: "지우기",
+    none: "표에서 알려진 상호작용을 찾지 못했습니다.",
+    disclaimer: "표에 없는 조합도 있을 수 있습니다. 경고가 없어도 새 약·보충제는 의사·약사와 상의한 뒤 드세요.",
+    pair: "{severity}: {a} + {b}",
+    source: "근거: {source}",
+    otherTitle: "다른 약·보충제",
+    otherEmpty: "진통제, 감기약, 영양제 등 오늘 먹은 다른 약이 있으면 추가하세요.",
+    remove: "{name} 삭제",
+    copyPrevious: "{date} 목록 가져오기 ({n}개)",
+    otherHint: "기록에 함께 저장되어 진료 리포트에 표시됩니다.",
+    severity: {
+      contraindicated: "금기",
+      major: "병용 피함",
+      moderate: "용량 조절·관찰",
+      minor: "참고"
+    },
+    substances: {
+      dronedarone: "드로네다론",
+      edoxaban: "에독사반",
+      bisoprolol: "비소프롤롤",
+      verapamil: "베라파밀",
+      diltiazem: "딜티아젬",
+      strongCyp3a: "강력한 CYP3A 억제제",
+      cyclosporine: "사이클로스포린",
+      erythromycin: "에리스로마이신",
+      simvastatin: "심바스타틴",
+      otherStatin: "스타틴",
+      digoxin: "디곡신",
+      nsaid: "소염진통제(NSAID)",
+      aspirin: "아스피린",
+      antiplatelet: "항혈소판제",
+      anticoagulant: "항응고제",
+      ssri: "SSRI·SNRI 항우울제",
+      inducer: "CYP3A·P-gp 유도제",
+      grapefruit: "자몽",
+      clonidine: "클로니딘",
+      ginkgo: "은행잎 추출물"
+    },
+    rules: {
+      dronedaroneStrongCyp3a: "강력한 CYP3A 억제제(케토코나졸·이트라코나졸·클래리트로마이신·사이클로스포린 등)는 드로네다론 농도를 크게 높이므로 함께 쓰면 안 됩니다.",
+      dronedaroneGrapefruit: "자몽주스는 드로네다론 농도를 약 3배 높입니다. 복용하는 동안에는 피하세요.",
+      dronedaroneInducer: "리팜피신·카르바마제핀·페니토인·세인트존스워트 같은 CYP3A 유도제는 드로네다론 효과를 크게 떨어뜨리므로 함께 쓰지 않습니다.",
+      dronedaroneErythromycin: "에리스로마이신처럼 QT 간격을 늘리는 약을 드로네다론과 함께 쓰면 심각한 부정맥(토르사드 드 푸앵트) 위험이 있습니다.",
+      dronedaroneCcb: "베라파밀·딜티아젬은 드로네다론과 서로 농도를 높이고 맥박과 전도를 늦춥니다. 낮은 용량으로 시작하고 심전도로 확인해야 합니다.",
+      dronedaroneDigoxin: "드로네다론은 디곡신 농도를 높이고 서맥·전도 장애를 더할 수 있습니다. 디곡신을 끊거나 용량을 절반으로 줄이고 혈중 농도를 확인합니다.",
+      dronedaroneSimvastatin: "드로네다론은 심바스타틴 농도를 높여 근육 손상(근병증) 위험을 키웁니다. 심바스타틴은 하루 10 mg을 넘기지 않습니다.",
+      dronedaroneStatin: "아토르바스타틴·로수바스타틴 등 다른 스타틴도 농도가 올라갈 수 있어 용량 제한과 근육통 관찰이 필요합니다.",
+      dronedaroneBetaBlocker: "베타차단제와 함께 쓰면 서맥이 더 흔합니다. 베타차단제는 낮은 용량으로 시작하고 심전도로 확인합니다.",
+      dronedaroneAnticoagulant: "드로네다론은 와파린 등 항응고제의 효과나 농도를 높일 수 있어 출혈 징후와 검사 수치(INR 등)를 확인해야 합니다.",
+      edoxabanAnticoagulant: "다른 항응고제(와파린·아픽사반·리바록사반·다비가트란 등)와 함께 쓰는 것은 금기입니다(약을 바꾸는 기간 제외). 출혈 위험이 크게 높아집니다.",
+      edoxabanNsaid: "소염진통제(NSAID)를 오래 함께 쓰면 출혈 위험이 높아져 권장하지 않습니다. 진통제가 필요하면 먼저 의사·약사와 상의하세요.",
+      edoxabanAspirin: "아스피린은 출혈 위험을 높입니다. 의사가 처방한 저용량(100 mg 이하)이 아니라면 함께 먹지 마세요.",
+      edoxabanAntiplatelet: "클로피도그렐 등 항혈소판제와 함께 쓰면 임상적으로 의미 있는 출혈이 늘어납니다. 처방한 의사가 함께 먹는 것을 알고 있는지 확인하세요.",
+      edoxabanPgpInhibitor: "드로네다론·사이클로스포린·에리스로마이신·케토코나졸 같은 P-gp 억제제는 에독사반 농도를 높입니다. 유럽 허가사항은 이때 에독사반을 하루 30 mg으로 줄이도록 합니다 — 처방 용량을 확인하세요.",
+      edoxabanInducer: "리팜피신·세인트존스워트 등 P-gp 유도제는 에독사반 농도를 낮춰 뇌졸중 예방 효과가 줄 수 있습니다.",
+      edoxabanSsri: "SSRI·SNRI 항우울제는 혈소판 기능에 영향을 주어 출혈 위험을 높일 수 있습니다.",
+      edoxabanGinkgo: "은행잎 추출물은 출혈 위험을 높일 수 있다는 보고가 있습니다. 항응고제와 함께 먹는다면 의사에게 알리세요.",
+      bisoprololCcb: "베라파밀·딜티아젬과 함께 쓰면 심장 수축력이 떨어지고 방실 전도가 늦어져 심한 서맥·저혈압이 생길 수 있어 권장하지 않습니다.",
+      bisoprololClonidine: "클로니딘 같은 중추 작용 혈압약은 맥박을 더 늦추고, 갑자기 끊으면 반동성 고혈압이 생길 수 있어 권장하지 않습니다.",
+      bisoprololNsaid: "소염진통제는 비소프롤롤의 혈압 강하 효과를 약하게 할 수 있습니다."
+    }
+  },
+
+  share: {
+    title: "의료진 공유",
+    intro: "선택한 기간의 기록을 링크와 QR 코드로 만듭니다. 받은 사람은 이 앱에서 그래프·이력·경고 요약을 읽기 전용으로 볼 수 있습니다. 기록은 서버에 올라가지 않고 링크 안에만 담깁니다.",
+    password: "암호 (선택)",
+    passwordPlaceholder: "비워 두면 암호 없이 — 쓰려면 {n}자 이상",
+    noCrypto: "이 환경에서는 암호화를 쓸 수 없습니다 (HTTPS 필요)",
+    includeNotes: "메모 포함 (개인적인 내용이 있을 수 있습니다)",
+    problems: {
+      password: "암호는 {n}자 이상이어야 합니다"
+    },
+    failed: "링크를 만들지 못했습니다",
+    create: "링크 만들기",
+    creating: "만드는 중…",
+    link: "공유 링크 ({n}자)",
+    copy: "링크 복사",
+    copied: "복사했습니다",
+    copyFailed: "클립보드에 복사하지 못했습니다. 링크 칸을 눌러 직접 복사하세요.",
+    qrAlt: "공유 링크 QR 코드",
+    qrHint: "진료실에서 의료진이 휴대폰 카메라로 찍으면 열립니다.",
+    qrTooLongTitle: "QR 코드로 만들기에는 링크가 깁니다",
+    qrTooLong: "링크는 복사해서 보낼 수 있습니다. QR 코드가 필요하면 기간을 줄이거나 메모를 빼 보세요.",
+    warningTitle: "링크를 가진 사람은 누구나 볼 수 있습니다",
+    warningPlain: "링크 안에 기록이 그대로 들어 있습니다. 믿을 수 있는 의료진에게만 보내고, 공개된 곳에 올리지 마세요.",
+    warningEncrypted: "암호는 링크와 다른 방법(구두, 전화 등)으로 알려 주세요. 링크와 암호를 함께 가진 사람은 누구나 볼 수 있습니다.",
+    errors: {
+      format: "공유 링크 형식이 아닙니다. 링크가 잘리지 않았는지 확인하세요.",
+      newer: "더 새로운 버전의 앱에서 만든 링크입니다. 앱을 업데이트한 뒤 다시 여세요.",
+      corrupt: "링크 내용이 손상되었습니다. 링크 전체를 다시 받아 주세요.",
+      password: "암호가 맞지 않거나 링크가 손상되었습니다.",
+      noCrypto: "이 환경에서는 암호를 풀 수 없습니다. https:// 주소로 열어 주세요.",
+      unsupported: "이 브라우저는 압축된 링크를 열 수 없습니다. 최신 브라우저로 열어 주세요."
+    },
+    view: {
+      title: "공유받은 기록",
+      bannerTitle: "읽기 전용 스냅샷",
+      period: "기간 {from} ~ {to}",
+      createdAt: "{at}에 만든 기록입니다",
+      riskTitle: "뇌졸중·출혈 위험 점수 ({date} 기준)",
+      banner: "링크를 만든 시점의 기록입니다. 이 화면의 내용은 이 기기에 저장되지 않으며, 이 기기의 기록에 영향을 주지 않습니다.",
+      close: "닫고 내 앱으로",
+      passwordTitle: "암호로 보호된 링크",
+      open: "열기",
+      failed: "열 수 없습니다",
+      vitalsTitle: "맥박·혈압",
+      historyTitle: "이력"
+    }
+  },
+
+  lock: {
+    kinds: {
+      pin: "PIN (숫자 6자리 이상)",
+      passphrase: "암호 (8자 이상)"
+    },
+    problems: {
+      pin: "PIN은 숫자 6자리 이상이어야 합니다",
+      passphrase: "암호는 8자 이상이어야 합니다",
+      confirm: "확인 입력이 일치하지 않습니다"
+    },
+    wrongPin: "PIN이 맞지 않습니다.",
+    wrongPassphrase: "암호가 맞지 않습니다.",
+    pin: "PIN",
+    passphrase: "암호",
+    minutes: "{n}분",
+    afterIdle: "{n}분 동안 사용하지 않으면",
+    kind: "잠금 방식",
+    newPin: "새 PIN",
+    newPassphrase: "새 암호",
+    confirm: "한 번 더 입력",
+    confirmPlaceholder: "확인 입력",
+    recovery: "복구용 백업 내려받기",
+    recoveryFiles: " (프로필 {n}개 — 파일 {n}개)",
+    title: "앱 잠금",
+    noCryptoTitle: "이 환경에서는 암호화를 쓸 수 없습니다",
+    noCrypto: "브라우저의 암호화 기능(Web Crypto)은 HTTPS 주소에서만 사용할 수 있습니다. 설치한 앱(PWA) 또는 https:// 주소로 열어 주세요.",
+    intro: "잠금을 켜면 이 기기에 저장된 기록과 설정이 PIN/암호에서 만든 키로 암호화되고, 앱을 열 때마다 PIN/암호를 물어봅니다.",
+    legacy: " 이전 버전이 남긴 암호화되지 않은 사본도 함께 지웁니다.",
+    autoLock: "자동 잠금",
+    forgetTitle: "PIN/암호를 잊으면 기록을 되살릴 수 없습니다",
+    forget: "키는 어디에도 저장되지 않아 앱이나 개발자도 잠금을 풀 수 없습니다. 켜기 전에 복구용 백업을 내려받아 안전한 곳에 보관하세요.",
+    plainBackup: "백업 파일은 암호화되지 않으므로 다른 사람이 볼 수 없는 곳에 두세요.",
+    received: "받음 {at}",
+    understood: "PIN/암호를 잊으면 백업 없이는 기록을 잃는다는 것을 이해했습니다",
+    enabled: "잠금을 켰습니다.",
+    encrypting: "암호화하는 중…",
+    enable: "잠금 켜기",
+    lockNow: "지금 잠그기",
+    inUse: "{kind} 잠금 사용 중",
+    autoLockPill: "자동 잠금 {value}",
+    recoveryTitle: "복구용 백업",
+    recoveryHint: "PIN/암호를 잊으면 이 백업으로만 기록을 되돌릴 수 있습니다.",
+    lastRecovery: "마지막으로 받은 날: {date}",
+    noRecovery: "아직 받은 적이 없습니다.",
+    changeSecret: "PIN/암호 바꾸기",
+    disable: "잠금 끄기",
+    current: "현재 {kind}",
+    currentPlaceholder: "현재 PIN/암호",
+    rekeyHint: "모든 기록을 새 키로 다시 암호화합니다. 기록이 많으면 잠시 걸릴 수 있습니다.",
+    disableHint: "기록을 암호화하지 않은 상태로 다시 저장합니다. 기기를 가진 사람이면 누구나 볼 수 있게 됩니다.",
+    changed: "PIN/암호를 바꾸고 기록을 다시 암호화했습니다.",
+    reencrypting: "다시 암호화하는 중…",
+    change: "바꾸기",
+    disabled: "잠금을 껐습니다.",
+    decrypting: "복호화하는 중…",
+    turnOff: "끄기",
+    screen: {
+      title: "잠긴 앱",
+      enterPin: "PIN 입력",
+      enterPassphrase: "암호 입력",
+      tooMany: "{n}번 틀렸습니다. {seconds}초 후에 다시 시도하세요.",
+      checking: "확인 중…",
+      unlock: "잠금 해제",
+      forgotPin: "PIN을 잊었어요",
+      forgotPassphrase: "암호를 잊었어요",
+      noWayTitle: "잠금을 풀 방법이 없습니다",
+      noWay: "기록은 {kind}으로만 풀 수 있도록 암호화되어 있어, 앱이나 개발자도 되살릴 수 없습니다.",
+      restoreHint: "복구용 백업 파일이 있다면 모든 기록을 지우고 새로 시작한 뒤 '기록 보기 → 백업 불러오기'로 되돌리세요.",
+      lastRecovery: "마지막 복구용 백업: {date}",
+      reset: "모든 기록 지우고 새로 시작",
+      confirmReset: "이 기기에 저장된 모든 기록과 설정을 지웁니다. 되돌릴 수 없습니다. 계속할까요?",
+      confirmResetAgain: "정말 삭제할까요? 복구용 백업 파일이 없다면 기록은 영구히 사라집니다."
+    }
+  }
+};
@@ -1,15 +1,9 @@
 import React from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App.jsx";
+import { registerServiceWorker } from "./lib/useAppUpdate.js";
 
 createRoot(document.getElementById("root")).render(<App />);
 
-// PWA: Service Worker 등록(HTTPS 환경)
-if ("serviceWorker" in navigator) {
-  window.addEventListener("load", () => {
-    navigator.serviceWorker
-      .register("/sw.js")
-      .then(() => console.log("SW registered"))
-      .catch((e) => console.error("SW registration failed", e));
-  });
-}
+// PWA: Service Worker 등록(HTTPS 환경) — 새 버전 알림은 App 에서 표시
+registerServiceWorker("/sw.js");
@@ -1,7 +1,51 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import fs from 'node:fs'
+import path from 'node:path'
+
+const SW_FILE = 'sw.js'
+const SW_PLACEHOLDER = 'self.__PRECACHE_MANIFEST'
+
+// 빌드가 끝나면 dist/ 의 모든 파일을 서비스워커 precache 목록으로 넣는다.
+// version 은 파일 이름과 내용의 해시 — 무엇이든 바뀌면 sw.js 도 바뀌어 브라우저가 새 버전을 설치한다.
+function precacheManifest() {
+  let config
+  const walk = (dir) =>
+    fs.readdirSync(dir, { withFileTypes: true }).flatMap((d) => {
+      const full = path.join(dir, d.name)
+      return d.isDirectory() ? walk(full) : [full]
+    })
+
+  return {
+    name: 'afibcare-precache-manifest',
+    apply: 'build',
+    configResolved(resolved) {
+      config = resolved
+    },
+    closeBundle() {
+      const outDir = path.resolve(config.root, config.build.outDir)
+      const swPath = path.join(outDir, SW_FILE)
+      if (!fs.existsSync(swPath)) return
+      const sw = fs.readFileSync(swPath, 'utf8')
+      if (!sw.includes(SW_PLACEHOLDER)) this.error(`${SW_FILE} 에 ${SW_PLACEHOLDER} 자리표시자가 없습니다.`)
+
+      const files = walk(outDir)
+        .map((f) => path.relative(outDir, f).split(path.sep).join('/'))
+        .filter((f) => f !== SW_FILE && !f.endsWith('.map'))
+        .sort()
+      const hash = createHash('sha256')
+      for (const f of files) hash.update(f).update(fs.readFileSync(path.join(outDir, f)))
+      const manifest = {
+        version: hash.digest('hex').slice(0, 12),
+        files: [config.base, ...files.map((f) => config.base + f)],
+      }
+      fs.writeFileSync(swPath, sw.replace(SW_PLACEHOLDER, JSON.stringify(manifest)))
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
 })